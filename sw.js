@@ -2,7 +2,7 @@
 // bump V string on deploy to clear old caches
 const V='gump-v6';
 
-const PAGES=["/","/3/","/33/","/60/","/anna/","/apps/","/aurora/","/bloom/","/body/","/borrowed-light/","/butlers-tray/","/chasing-phase/","/cheese-receipt/","/conductor/","/coupled-dynamics/","/creation/","/deep/","/docs/","/fifteen-year-counter/","/first-coat/","/first-lock/","/flex/","/for-her/","/for-kcode/","/gallery/","/gap-breath/","/gospel-for-ai/","/harmonia-prime/","/harmonia-prime/think/","/harmonia/","/hold-the-space/","/home-lab/","/home-lab/v2/","/installation-hum/","/instrument/","/jam/","/letters/","/love-forgets-best/","/love/","/lower-than-bone/","/mirror/","/music/","/one-plus-one/","/one/","/open-orbit/","/oracle-next/","/oracle/","/outfit/","/phase-lock/","/pick-scary/","/play/","/playbook/","/products/","/products/accord/","/products/aitrainer/","/products/chipfast/","/products/couple/","/products/decoder/","/products/dissonance/","/products/diverge/","/products/entropy/","/products/foldwatch/","/products/grace/","/products/knowledge/","/products/learnengine/","/products/oracle/","/products/orgxray/","/products/sensor/","/products/sfumato/","/products/trace/","/products/turbo/","/products/turbo/learn/","/products/turbo/scripts/","/products/verify/","/proper-pleasantry/","/pulse/","/radio/","/rent-the-click/","/research/","/research/aging-fatigue/","/research/ai-delusion/","/research/alzheimers/","/research/bach/","/research/beethoven/","/research/biofeedback/","/research/bird-coupling/","/research/body-music/","/research/cancer-signaling/","/research/chemistry/","/research/chet-baker/","/research/climate/","/research/coltrane/","/research/compute-breakthroughs/","/research/defi-coupling/","/research/drug-interactions/","/research/dyslexia/","/research/earth-core/","/research/ecology/","/research/electromagnetism/","/research/evolution/","/research/failures/","/research/financial-crime/","/research/geometry-destiny/","/research/gravity/","/research/how-we-work/","/research/humor-happiness/","/research/indus-script/","/research/internet-brain/","/research/k-lag/","/research/linguistics/","/research/loo9/","/research/markets/","/research/materials/","/research/mc1r/","/research/miles-davis/","/research/music-evolution/","/research/music-theory/","/research/mutation-scanner/","/research/mycelium-networks/","/research/networks/","/research/nina-simone/","/research/nuclear/","/research/nvidia-blackwell/","/research/opioid-crisis/","/research/pandemic-coupling/","/research/polyrhythm/","/research/prime-bounce/","/research/proto-elamite/","/research/quantum-build/","/research/regulatory/","/research/sleep-staging/","/research/smell/","/research/the-drum/","/research/thermodynamics/","/research/threat-detection/","/research/true-automation/","/research/unlock/","/river-doesnt/","/seam-between-we/","/shapes/","/something-fired/","/start-here/","/stay-awake/","/stays/","/support/","/template/","/the-gap/","/the-loop/","/the-snap/","/three-by-three/","/tools/color/","/trail/","/tryit/","/tuesday/","/twelve-bullet-points/","/v1/","/v3/","/v4/","/v5/","/verification/","/viz/","/wave/","/welcome/","/you-there/"];
+const PAGES=["/","/3/","/33/","/60/","/anna/","/apps/","/aurora/","/bloom/","/body/","/borrowed-light/","/butlers-tray/","/chasing-phase/","/cheese-receipt/","/conductor/","/coupled-dynamics/","/creation/","/deep/","/docs/","/fifteen-year-counter/","/first-coat/","/first-lock/","/flex/","/for-her/","/for-kcode/","/gallery/","/gap-breath/","/gospel-for-ai/","/harmonia-prime/","/harmonia-prime/think/","/harmonia/","/hold-the-space/","/home-lab/","/home-lab/v2/","/installation-hum/","/instrument/","/jam/","/letters/","/love-forgets-best/","/love/","/lower-than-bone/","/mirror/","/music/","/one-plus-one/","/one/","/open-orbit/","/oracle-next/","/oracle/","/outfit/","/phase-lock/","/pick-scary/","/play/","/playbook/","/products/","/products/accord/","/products/aitrainer/","/products/chipfast/","/products/couple/","/products/decoder/","/products/dissonance/","/products/diverge/","/products/entropy/","/products/foldwatch/","/products/grace/","/products/knowledge/","/products/learnengine/","/products/oracle/","/products/orgxray/","/products/sensor/","/products/sfumato/","/products/trace/","/products/turbo/","/products/turbo/learn/","/products/turbo/scripts/","/products/verify/","/proper-pleasantry/","/pulse/","/radio/","/rent-the-click/","/research/","/research/aging-fatigue/","/research/ai-delusion/","/research/alzheimers/","/research/bach/","/research/beethoven/","/research/biofeedback/","/research/bird-coupling/","/research/body-music/","/research/cancer-signaling/","/research/chemistry/","/research/chet-baker/","/research/climate/","/research/coltrane/","/research/compute-breakthroughs/","/research/defi-coupling/","/research/drug-interactions/","/research/dyslexia/","/research/earth-core/","/research/ecology/","/research/electromagnetism/","/research/evolution/","/research/failures/","/research/financial-crime/","/research/geometry-destiny/","/research/gravity/","/research/how-we-work/","/research/humor-happiness/","/research/indus-script/","/research/internet-brain/","/research/k-lag/","/research/linguistics/","/research/loo9/","/research/markets/","/research/materials/","/research/mc1r/","/research/miles-davis/","/research/music-evolution/","/research/music-theory/","/research/mutation-scanner/","/research/mycelium-networks/","/research/networks/","/research/nina-simone/","/research/nuclear/","/research/nvidia-blackwell/","/research/opioid-crisis/","/research/pandemic-coupling/","/research/polyrhythm/","/research/prime-bounce/","/research/proto-elamite/","/research/quantum-build/","/research/regulatory/","/research/sleep-staging/","/research/smell/","/research/the-drum/","/research/thermodynamics/","/research/threat-detection/","/research/true-automation/","/research/unlock/","/river-doesnt/","/seam-between-we/","/shapes/","/something-fired/","/start-here/","/stay-awake/","/stays/","/support/","/template/","/the-gap/","/the-loop/","/the-snap/","/three-by-three/","/tools/color/","/trail/","/tryit/","/tuesday/","/twelve-bullet-points/","/v1/","/v1/fingerprint/","/v3/","/v4/","/v5/","/verification/","/viz/","/wave/","/welcome/","/you-there/"];
 
 const ASSETS=[
   '/js/playlist.js','/js/teleprompter.js','/js/audio.js',
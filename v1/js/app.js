@@ -52,7 +52,8 @@ const App = (function () {
   var outfitPendingJoin = null;
   var lastPeakCount     = 0;
   var lastLocalPeakTime = 0;
-  var lastPartnerPeak   = 0;
+  var lastPeerPeaks     = {};   // id → last peakTime answered
+  var spaceTurn         = 0;
 
   // Voice state -- two moments only: boot + void stillness
   var voiceStillnessStart    = 0;
@@ -288,6 +289,17 @@ const App = (function () {
       if (typeof Identity !== 'undefined') {
         blog('Identity.init()');
         Identity.init();
+        // Fold this session into the cross-session portrait whenever the
+        // page goes away — the fingerprint page reads it from there
+        document.addEventListener('visibilitychange', function () {
+          if (document.hidden) Identity.savePersistent();
+        });
+        window.addEventListener('beforeunload', function () { Identity.savePersistent(); });
+      }
+      if (typeof Pattern !== 'undefined') {
+        document.addEventListener('visibilitychange', function () {
+          if (document.hidden) Pattern.save();
+        });
       }
 
       // Flow (v2 conductor)
@@ -303,6 +315,7 @@ const App = (function () {
       if (urlLens) {
         blog('URL lens: ' + urlLens.name);
         applyLens(urlLens);
+        if (typeof Pattern !== 'undefined') Pattern.setLens(urlLens);
         startPlayScreen();
         blog('PLAY -- url lens');
       } else {
@@ -452,6 +465,12 @@ const App = (function () {
       return;
     }
 
+    // STYLE: the oracle opens each lens from memory · ANSWER: only in silences
+    if ((cmd === 'STYLE' || cmd === 'ANSWER') && typeof Pattern !== 'undefined') {
+      Pattern.setMode(cmd.toLowerCase());
+      return;
+    }
+
     // Name capture -- entity asked, user answered
     if (typeof Voice !== 'undefined' && Voice.isAwaitingName && Voice.isAwaitingName() &&
         cmd.indexOf('RUN ') !== 0 && cmd.length < 32) {
@@ -783,7 +802,7 @@ const App = (function () {
         Pattern.update(dt, flow.silent);
       }
 
-      // 11. Outfit -- sync with dance partner
+      // 11. Outfit -- sync with the other dancers
       if (typeof Outfit !== 'undefined' && Outfit.connected) {
         if (flow.peaks > lastPeakCount) {
           lastPeakCount     = flow.peaks;
@@ -795,28 +814,22 @@ const App = (function () {
           phrase:    flow.phrase,
           archetype: flow.profileArchetype,
           peakTime:  lastLocalPeakTime,
+          clock:     typeof Clock !== 'undefined' ? Clock.stamp() : null,
         });
-        // Respond to partner's peaks
-        var ps = Outfit.partnerState;
-        if (ps && ps.peakTime && ps.peakTime > lastPartnerPeak) {
-          lastPartnerPeak = ps.peakTime;
-          try {
-            var aLens = Lens.active;
-            var sound = getSound();
-            if (aLens && aLens.palette && aLens.palette.harmonic && sound.ctx) {
-              var deg = [0, 2, 4][Math.floor(Math.random() * 3)];
-              sound.synth.play(
-                aLens.palette.harmonic.voice || 'piano',
-                sound.ctx.currentTime + 0.28,
-                flow.scaleFreq(deg, 1),
-                0.18 * Math.min(1, ps.energy || 0.5),
-                (aLens.palette.harmonic.decay || 1.5) * 0.75
-              );
-            }
-          } catch (e) {}
+        // Respond to the other players' peaks, by the part we were dealt
+        var myRole = Outfit.role;
+        var players = Outfit.peers;
+        for (var pi = 0; pi < players.length; pi++) {
+          var ps = players[pi].state;
+          if (!ps || !ps.peakTime || ps.peakTime <= (lastPeerPeaks[players[pi].id] || 0)) continue;
+          lastPeerPeaks[players[pi].id] = ps.peakTime;
+          if (myRole && (myRole === 'lead' || players[pi].role !== 'lead')) continue;
+          answerPeer(myRole, ps, flow);
         }
       }
 
+      if (typeof Clock !== 'undefined') Clock.update(dt);
+
       // 12. Debug
       if (debugVisible) updateDebug(sensor);
 
@@ -920,7 +933,8 @@ const App = (function () {
 
     // Pattern engine debug (if available)
     if (typeof Pattern !== 'undefined') {
-      lines.push('ORACLE L1: motifs=' + Pattern.motifs + ' notes=' + Pattern.notes + (Pattern.generating ? ' GEN' : ''));
+      lines.push('ORACLE L1: motifs=' + Pattern.motifs + ' notes=' + Pattern.notes + ' mem=' + Pattern.memory +
+        (Pattern.mode === 'style' ? ' STYLE' : '') + (Pattern.improvising ? ' RECALL' : Pattern.generating ? ' GEN' : ''));
       lines.push('ORACLE L2: forms=' + Pattern.forms + ' sect=' + Pattern.section + ' crystals=' + Pattern.crystals + ' loops=' + Pattern.loops);
     }
 
@@ -959,17 +973,48 @@ const App = (function () {
     return out;
   }
 
+  // ── OUTFIT VOICES ──────────────────────────────────────────────────
+  // No role (a pair without fingerprints) answers every peak as before.
+  // In a dealt circle only the lead's peaks are answered: answer echoes
+  // a chord tone, pulse thumps the root low and short, space speaks on
+  // one peak in four with a long soft fifth.
+
+  function answerPeer(role, ps, flow) {
+    try {
+      var aLens = Lens.active;
+      var sound = getSound();
+      if (!aLens || !aLens.palette || !aLens.palette.harmonic || !sound.ctx) return;
+      var h = aLens.palette.harmonic;
+      var voice = h.voice || 'piano';
+      var decay = h.decay || 1.5;
+      var vel = Math.min(1, ps.energy || 0.5);
+      var t = sound.ctx.currentTime + 0.28;
+      if (role === 'pulse') {
+        sound.synth.play(voice, sound.ctx.currentTime + 0.02, flow.scaleFreq(0, -1), 0.22 * vel, 0.35);
+      } else if (role === 'space') {
+        if (spaceTurn++ % 4 !== 0) return;
+        sound.synth.play(voice, t + 0.3, flow.scaleFreq(4, 1), 0.1 * vel, decay * 2);
+      } else {
+        var deg = [0, 2, 4][Math.floor(Math.random() * 3)];
+        sound.synth.play(voice, t, flow.scaleFreq(deg, 1), 0.18 * vel, decay * 0.75);
+      }
+    } catch (e) {}
+  }
+
   // ── OUTFIT UI ──────────────────────────────────────────────────────
   // Lazy-loads PeerJS + QRCode CDN libs on first tap.
 
   function loadOutfitLibs(cb) {
     if (outfitLibsLoaded) { cb(); return; }
-    var pending = 2;
+    var needPeer = Signal.backend === 'peerjs';
+    var pending = needPeer ? 2 : 1;
     function done() { if (--pending === 0) { outfitLibsLoaded = true; cb(); } }
-    var s1 = document.createElement('script');
-    s1.src = 'https://cdn.jsdelivr.net/npm/peerjs@1.5.4/dist/peerjs.min.js';
-    s1.onload = done; s1.onerror = done;
-    document.head.appendChild(s1);
+    if (needPeer) {
+      var s1 = document.createElement('script');
+      s1.src = 'https://cdn.jsdelivr.net/npm/peerjs@1.5.4/dist/peerjs.min.js';
+      s1.onload = done; s1.onerror = done;
+      document.head.appendChild(s1);
+    }
     var s2 = document.createElement('script');
     s2.src = 'https://cdn.jsdelivr.net/npm/qrcode@1.5.3/build/qrcode.min.js';
     s2.onload = done; s2.onerror = done;
@@ -990,8 +1035,16 @@ const App = (function () {
     var connGlyph   = document.getElementById('outfit-conn-glyph');
     var connPartner = document.getElementById('outfit-conn-partner');
     var flashEl     = document.getElementById('flash');
+    var scanLabel   = document.getElementById('outfit-scan-label');
+    var manualEl    = document.getElementById('outfit-manual');
+    var manualOut   = document.getElementById('outfit-manual-out');
+    var manualIn    = document.getElementById('outfit-manual-in');
+    var manualGo    = document.getElementById('outfit-manual-go');
+    var manualJoin  = document.getElementById('outfit-manual-join');
     if (!askBtn || !overlay) return;
 
+    Signal.fromURL();
+
     function showOverlay() { overlay.classList.add('active'); }
     function hideOverlay()  { overlay.classList.remove('active'); }
 
@@ -1021,7 +1074,7 @@ const App = (function () {
             qrView.style.display = '';
             connView.classList.remove('show');
             connGlyph.classList.remove('show');
-            askBtn.textContent = 'partner';
+            askBtn.textContent = roomLabel();
             askBtn.classList.add('connected');
           }, 2600);
         }, 380);
@@ -1033,8 +1086,89 @@ const App = (function () {
       askBtn.classList.remove('connected');
     }
 
+    // The host's QR stays valid until the circle is full — tap to show it again
+    function reopenRoom() {
+      if (!Outfit.hosting || Outfit.count >= Outfit.MAX_PEERS - 1) return;
+      waitingEl.textContent = (Outfit.count + 1) + ' IN THE CIRCLE';
+      qrView.style.opacity = '';
+      qrView.style.display = '';
+      connView.classList.remove('show');
+      connGlyph.classList.remove('show');
+      if (manualStep === 'accept') showManual('accept', 'paste the next dancer\'s code', waitingEl.textContent);
+      showOverlay();
+    }
+
+    function drawQR(text) {
+      var g = qrCanvas.getContext('2d');
+      g.clearRect(0, 0, qrCanvas.width, qrCanvas.height);
+      if (!window.QRCode || !text) return;
+      window.QRCode.toCanvas(qrCanvas, text, {
+        width: 200, margin: 1,
+        color: { dark: '#ffffff', light: '#050505' },
+      }, function (err) { if (err) console.warn('[Outfit QR]', err); });
+    }
+
+    // ── Manual signaling: codes copied by hand, no server ──
+    // Host pastes a guest's offer and shows back the reply; a guest makes
+    // an offer, shows it, then pastes the host's reply.
+    var manualStep = null;   // 'accept' | 'finish'
+
+    function showManual(step, label, waiting) {
+      manualStep = step;
+      manualEl.classList.add('show');
+      manualOut.value = '';
+      manualOut.style.display = 'none';
+      manualIn.value = '';
+      manualGo.textContent = step === 'accept' ? 'accept' : 'connect';
+      manualJoin.style.display = step === 'accept' ? '' : 'none';
+      scanLabel.textContent = label;
+      waitingEl.textContent = waiting;
+      drawQR(null);
+    }
+
+    function showCode(code, label, waiting) {
+      manualOut.value = code;
+      manualOut.style.display = '';
+      scanLabel.textContent = label;
+      waitingEl.textContent = waiting;
+      drawQR(code);
+    }
+
+    function manualGoTap() {
+      var sig = Outfit.signaling;
+      var text = manualIn.value;
+      if (!sig || !text) return;
+      if (manualStep === 'accept') {
+        sig.accept(text, function (err, reply) {
+          if (err) { waitingEl.textContent = 'THAT CODE DID NOT TAKE'; return; }
+          manualIn.value = '';
+          showCode(reply, 'show them this reply', 'WAITING FOR THEM');
+        });
+      } else {
+        sig.finish(text, function (err) {
+          waitingEl.textContent = err ? 'THAT REPLY DID NOT TAKE' : 'CONNECTING';
+        });
+      }
+    }
+
+    function manualJoinTap() {
+      Outfit.destroy();
+      roomCodeEl.textContent = '';
+      showManual('finish', 'show the host this code', 'MAKING A CODE');
+      Outfit.joinRoom(null, onConnected, null, onDisconnected);
+      Outfit.signaling.offer(function (err, code) {
+        if (err) { waitingEl.textContent = 'NO CODE \u2014 IS WEBRTC OFF?'; return; }
+        showCode(code, 'show the host this code', 'THEN PASTE THEIR REPLY');
+      });
+    }
+
+    if (manualEl) {
+      manualGo.addEventListener('click', function (e) { e.stopPropagation(); manualGoTap(); });
+      manualJoin.addEventListener('click', function (e) { e.stopPropagation(); manualJoinTap(); });
+    }
+
     function openDance() {
-      if (Outfit.connected) return;
+      if (Outfit.connected) { reopenRoom(); return; }
       loadOutfitLibs(function () {
         Outfit.destroy();
         var code = Outfit.generateCode();
@@ -1045,14 +1179,14 @@ const App = (function () {
         connView.classList.remove('show');
         connGlyph.classList.remove('show');
         showOverlay();
-        var url = Outfit.buildJoinURL(code);
-        if (window.QRCode) {
-          window.QRCode.toCanvas(qrCanvas, url, {
-            width: 200, margin: 1,
-            color: { dark: '#ffffff', light: '#050505' },
-          }, function (err) { if (err) console.warn('[Outfit QR]', err); });
-        }
         Outfit.createRoom(code, onConnected, null, onDisconnected);
+        if (Signal.backend === 'manual' && manualEl) {
+          showManual('accept', 'paste a dancer\'s code', 'AWAITING A CODE');
+        } else {
+          if (manualEl) manualEl.classList.remove('show');
+          scanLabel.textContent = 'scan to dance';
+          drawQR(Outfit.buildJoinURL(code));
+        }
       });
     }
 
@@ -1077,12 +1211,44 @@ const App = (function () {
     }, { passive: false });
     closeBtn.addEventListener('click', hideOverlay);
 
+    function relabel() {
+      if (Outfit.connected) askBtn.textContent = roomLabel();
+    }
+    Outfit.on('join', function () { relabel(); if (Outfit.count > 1) doFlash(); });
+    Outfit.on('leave', relabel);
+    Outfit.on('roles', relabel);
+    Outfit.on('full', function () { askBtn.textContent = 'circle full'; });
+
+    // A broker that's down or blocked used to fail silently
+    var SIGNAL_ERRORS = {
+      unreachable: 'NO SIGNAL \u2014 TRY ?signal=manual',
+      taken:       'CODE IN USE \u2014 CLOSE AND TRY AGAIN',
+      absent:      'THAT ROOM IS GONE',
+      failed:      'HANDSHAKE FAILED',
+    };
+    Outfit.on('error', function (type) {
+      if (Outfit.connected) return;
+      if (overlay.classList.contains('active')) {
+        waitingEl.textContent = SIGNAL_ERRORS[type] || 'NO SIGNAL';
+      } else {
+        askBtn.textContent = 'no signal';
+      }
+    });
+
+    if (typeof Clock !== 'undefined') Clock.attach();
+
     // Auto-join if opened via dance QR link
     outfitPendingJoin = Outfit.checkAutoJoin();
   }
 
+  // 'partner' for a pair; in a circle, your part and how many are playing
+  function roomLabel() {
+    if (Outfit.count < 2) return 'partner';
+    return (Outfit.role || 'circle') + ' \u00b7 ' + (Outfit.count + 1);
+  }
+
   function processAutoJoin() {
-    if (!outfitPendingJoin) return;
+    if (!outfitPendingJoin || Signal.backend === 'manual') return;
     var code = outfitPendingJoin;
     outfitPendingJoin = null;
     loadOutfitLibs(function () {
@@ -1096,7 +1262,7 @@ const App = (function () {
             setTimeout(function () { flashEl.style.opacity = '0'; }, 200);
           }
           if (askBtn) {
-            askBtn.textContent = 'partner';
+            askBtn.textContent = roomLabel();
             askBtn.classList.add('connected');
           }
         },
@@ -0,0 +1,179 @@
+/**
+ * CLOCK — One timeline for every phone in the room
+ *
+ * Each device's Rhythm runs its bar on its own AudioContext, started
+ * whenever that body locked a tempo. Paired through Outfit, the grids
+ * drift apart and never agreed on where "one" is. This keeps them
+ * together in three steps:
+ *
+ *   1. Shared time — guests ping the host NTP-style over the data channel:
+ *        offset = hostTime − (sent + received) / 2,   rtt = received − sent
+ *      The offset from the fastest of the last PING_KEEP round trips wins;
+ *      a slow trip is just queueing, and its offset lies by half of it.
+ *   2. Shared bar phase — every broadcast carries our bar phase stamped in
+ *      shared time, so anyone can tell where our bar is *now*.
+ *   3. Coupling — Kuramoto: each device moves its own phase toward the
+ *      others by K · mean(sin 2π(φj − φi)), and its tempo toward the mean
+ *      of everyone's natural tempo. No snap; the circle pulls itself in.
+ *
+ * Shared time is only for comparing phases. Each phone still fires its
+ * steps when its own, pulled, bar phase crosses them, on the frame that
+ * notices — so hits agree to about a frame plus the difference in the
+ * phones' output latency, not to the sample.
+ *
+ * Tempos an octave apart (a runner at 150, a swayer at 75) lock 2:1 — the
+ * faster bar is compared against the right half of the slower one.
+ *
+ * Usage (app.js): attach() once, stamp() into each Outfit.broadcast,
+ * update(dt) every frame.
+ */
+
+const Clock = (function () {
+  'use strict';
+
+  var PING_FAST_MS = 250;     // first PING_KEEP pings — sync inside two seconds
+  var PING_MS      = 2000;
+  var PING_KEEP    = 8;
+  var STALE_MS     = 3000;    // a peer's stamp older than this no longer pulls
+  var K_PHASE      = 0.8;     // Kuramoto coupling, 1/s
+  var TEMPO_TAU    = 4;       // seconds for the tempo to meet the negotiated one
+  var RAMP_SEC     = 3;       // coupling strength fades in after a join
+
+  var _attached = false;
+  var _samples  = [];         // { offset, rtt } — host time minus ours, ms
+  var _offset   = 0;
+  var _rtt      = 0;
+  var _synced   = false;
+  var _pings    = 0;
+  var _lastPing = 0;
+  var _bpm      = 0;          // the tempo we are playing while coupled
+  var _target   = 0;          // negotiated tempo
+  var _strength = 0;
+  var _coupled  = false;
+
+  // ── SHARED TIME ───────────────────────────────────────────────────────
+
+  function local() {
+    return performance.now();
+  }
+
+  /** Milliseconds on the room's timeline (the host's clock). */
+  function now() {
+    return local() + _offset;
+  }
+
+  function ping() {
+    _pings++;
+    _lastPing = local();
+    Outfit.sendHost({ t: 'ping', a: _lastPing });
+  }
+
+  function onMessage(d, from) {
+    if (d.t === 'ping') {
+      if (Outfit.hosting) Outfit.sendTo(from, { t: 'pong', a: d.a, b: local() });
+      return;
+    }
+    if (d.t !== 'pong' || typeof d.a !== 'number') return;
+    var t3 = local();
+    _samples.push({ offset: d.b - (d.a + t3) / 2, rtt: t3 - d.a });
+    if (_samples.length > PING_KEEP) _samples.shift();
+    var best = _samples[0];
+    for (var i = 1; i < _samples.length; i++) if (_samples[i].rtt < best.rtt) best = _samples[i];
+    _offset = best.offset;
+    _rtt = best.rtt;
+    _synced = true;
+  }
+
+  function attach() {
+    if (_attached || typeof Outfit === 'undefined') return;
+    _attached = true;
+    Outfit.on('message', onMessage);
+  }
+
+  // ── BAR PHASE ─────────────────────────────────────────────────────────
+
+  /** Our bar phase on the shared timeline, for Outfit.broadcast — null until synced. */
+  function stamp() {
+    if (typeof Rhythm === 'undefined' || !(Outfit.hosting || _synced)) return null;
+    var bpm = Rhythm.tempo;
+    return {
+      ph:   Math.round(Rhythm.barPhase * 10000) / 10000,
+      rate: bpm > 0 ? bpm / (15 * Rhythm.steps) : 0,    // bars per second
+      nat:  Rhythm.tempoLocked ? Rhythm.naturalTempo : 0,
+      at:   Math.round(now()),
+    };
+  }
+
+  // ── COUPLING ──────────────────────────────────────────────────────────
+
+  function release() {
+    if (_coupled && typeof Rhythm !== 'undefined') Rhythm.couple(0, 0);
+    _coupled = false;
+    _bpm = 0;
+    _target = 0;
+    _strength = 0;
+  }
+
+  function couple(dt) {
+    var own = Rhythm.tempoLocked ? Rhythm.naturalTempo : 0;
+    if (!(own > 0) || !(Outfit.hosting || _synced)) { release(); return; }
+
+    var t = now();
+    var myPh = Rhythm.barPhase;
+    var sumTempo = own, sumPull = 0, n = 0;
+    var players = Outfit.peers;
+    for (var i = 0; i < players.length; i++) {
+      var c = players[i].state && players[i].state.clock;
+      if (!c || !(c.nat > 0) || t - c.at > STALE_MS) continue;
+      var k = Math.round(Math.log(c.nat / own) / Math.LN2);   // octaves apart
+      var theirs = Math.pow(2, Math.max(0, -k));
+      var mine = Math.pow(2, Math.max(0, k));
+      var ph = c.ph + c.rate * Math.max(0, t - c.at) / 1000;
+      var d = ph * theirs - myPh * mine;
+      sumPull += Math.sin(2 * Math.PI * d) / (2 * Math.PI * mine);
+      sumTempo += c.nat / Math.pow(2, k);
+      n++;
+    }
+    if (n === 0) { release(); return; }
+
+    _target = sumTempo / (n + 1);
+    if (!_bpm) _bpm = own;
+    _bpm += (_target - _bpm) * (1 - Math.exp(-dt / TEMPO_TAU));
+    _strength += (1 - _strength) * (1 - Math.exp(-dt / RAMP_SEC));
+    Rhythm.couple(_bpm, K_PHASE * _strength * sumPull / n);
+    _coupled = true;
+  }
+
+  // ── UPDATE ────────────────────────────────────────────────────────────
+
+  /** Call once per frame. Pings while a guest, couples while anyone's here. */
+  function update(dt) {
+    try {
+      if (typeof Outfit === 'undefined' || typeof Rhythm === 'undefined') return;
+      if (!Outfit.connected) {
+        release();
+        _samples = []; _synced = false; _offset = 0; _rtt = 0; _pings = 0;
+        return;
+      }
+      if (!Outfit.hosting) {
+        var gap = _pings < PING_KEEP ? PING_FAST_MS : PING_MS;
+        if (local() - _lastPing > gap) ping();
+      }
+      couple(dt);
+    } catch (e) { /* never crash the music */ }
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    attach: attach,
+    update: update,
+    stamp:  stamp,
+    now:    now,
+    get synced()  { return _synced || (typeof Outfit !== 'undefined' && Outfit.hosting); },
+    get offset()  { return _offset; },
+    get rtt()     { return _rtt; },
+    get bpm()     { return _target; },
+    get coupled() { return _coupled; },
+  });
+})();
@@ -533,6 +533,11 @@ const Flow = (function () {
             Sound.play(contPalette.voice || 'epiano', Sound.currentTime, freq, vel, phraseDec);
             _noteCount++;
           } catch (e) { _errorCount++; }
+
+          // The AI producer learns your vocabulary from these notes
+          if (typeof Pattern !== 'undefined') {
+            try { Pattern.onNote(motifDeg, timeSinceNote, vel); } catch (e) { _errorCount++; }
+          }
         }
       }
     }
@@ -1536,7 +1541,12 @@ const Flow = (function () {
     // ── GRID STEP CLOCK ──────────────────────────────────────────────
     // Drive melodic events from the BPM clock.
     // stepDur = duration of one 16th note. 16 steps = 1 bar.
-    _grid.clock += dt;
+    // Paired through Outfit, Rhythm's bar is coupled to the room — this
+    // clock follows the same tempo and pull so bass and drums stay together.
+    var ck = Rhythm.coupling;
+    _grid.clock += ck.bpm > 0
+      ? dt * ck.bpm / _grid.bpm + dt * ck.pull * _grid.stepDur * 16
+      : dt;
     var currentStep = Math.floor(_grid.clock / _grid.stepDur) % 16;
     var currentBar  = Math.floor(_grid.clock / (_grid.stepDur * 16));
     var newStep = (currentStep !== _grid.lastStep);
@@ -2148,7 +2158,8 @@ const Flow = (function () {
       // 7. Master gain (organic pipeline only — grid/ascension manage their own)
       if (_pipeline === 'organic' && typeof Sound !== 'undefined' && Sound.ctx) {
         var tribalFloor = Rhythm.drumPresence * 0.35;
-        var effectiveGain = Math.max(_fadeGain, tribalFloor);
+        var recall = typeof Pattern !== 'undefined' ? Pattern.presence : 0;  // playing your style before you move
+        var effectiveGain = Math.max(_fadeGain, tribalFloor, recall);
         try { Sound.setMasterGain(0.48 * effectiveGain * _touchDuck * _prodigy.dynamicRange); } catch (e) {}
         _touchDuck = Math.min(1.0, _touchDuck + dt * 2.0);
       }
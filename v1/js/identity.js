@@ -34,6 +34,8 @@ const Identity = (function () {
   var ENERGY_WINDOW = 128;        // ring buffer for energy observations
   var CONTOUR_DECAY = 0.995;      // slow decay on contour tallies so recent sessions win
   var TENSION_WINDOW = 64;        // ring buffer for tension durations
+  var HISTORY_MAX = 40;           // sessions kept for the fingerprint page
+  var EXPORT_KIND = 'gump-identity';
 
   // Energy arc classification thresholds
   var ARC_BUILDER_RISE = 0.15;    // net energy trend > this = builder
@@ -167,6 +169,7 @@ const Identity = (function () {
 
   // Cross-session persistence
   var _persistent = null;  // loaded from localStorage
+  var _base = null;        // _persistent as it was before this session
 
   // ═══════════════════════════════════════════════════════════════════
   // INIT
@@ -193,6 +196,7 @@ const Identity = (function () {
 
     // Load cross-session data
     _persistent = loadPersistent();
+    _base = _persistent;
 
     // If returning user, seed fingerprint from persistent data
     if (_persistent && _persistent.sessions > 0) {
@@ -441,23 +445,27 @@ const Identity = (function () {
   // HKB model: coupled oscillators entrain when frequency ratio
   // is near a simple integer. 1:1 = strongest. 1:2 = strong.
   // 3:5 = weak but possible.
+  //
+  // `mine` defaults to this session's fingerprint; pass one (e.g. from
+  // fingerprintOf()) to compare two portraits with no live session.
 
-  function compatibility(other) {
-    if (!other || totalSamples < MIN_SAMPLES) return 0;
+  function compatibility(other, mine) {
+    var me = mine || _fingerprint;
+    if (!other || (!mine && totalSamples < MIN_SAMPLES)) return 0;
 
     var score = 0;
 
     // ── Tempo compatibility (HKB: integer ratio = entrainment) ──
     score += tempoCompatibility(
-      _fingerprint.naturalTempo,
+      me.naturalTempo,
       other.naturalTempo
     ) * W_TEMPO;
 
     // ── Energy compatibility ──
     score += energyCompatibility(
-      _fingerprint.preferredIntensity,
-      _fingerprint.dynamicRange,
-      _fingerprint.energyArcType,
+      me.preferredIntensity,
+      me.dynamicRange,
+      me.energyArcType,
       other.preferredIntensity,
       other.dynamicRange,
       other.energyArcType
@@ -465,9 +473,9 @@ const Identity = (function () {
 
     // ── Melodic compatibility (complementary ranges) ──
     score += melodicCompatibility(
-      _fingerprint.pitchCenter,
-      _fingerprint.pitchRange,
-      _fingerprint.contourPreference,
+      me.pitchCenter,
+      me.pitchRange,
+      me.contourPreference,
       other.pitchCenter,
       other.pitchRange,
       other.contourPreference
@@ -475,15 +483,15 @@ const Identity = (function () {
 
     // ── Rhythmic compatibility ──
     score += rhythmCompatibility(
-      _fingerprint.syncopationPreference,
-      _fingerprint.tempoVariability,
+      me.syncopationPreference,
+      me.tempoVariability,
       other.syncopationPreference,
       other.tempoVariability
     ) * W_RHYTHM;
 
     // ── Archetype compatibility ──
     score += archetypeCompatibility(
-      _fingerprint.archetype,
+      me.archetype,
       other.archetype
     ) * W_ARCHETYPE;
 
@@ -614,6 +622,9 @@ const Identity = (function () {
   // ROLE ASSIGNMENT — who calls, who responds, or unison
   // ═══════════════════════════════════════════════════════════════════
   //
+  // Given an array of { id, fingerprint } instead of one fingerprint,
+  // deals roles across the whole group (see GROUP ROLES below).
+  //
   // Roles emerge from fingerprints, not from arbitrary assignment.
   // The person with higher energy and syncopation leads (call).
   // The person with higher tension comfort and melodic range
@@ -623,6 +634,7 @@ const Identity = (function () {
   // emerges from slight asymmetries in coupled oscillators.
 
   function assignRole(other) {
+    if (Array.isArray(other)) return assignGroupRoles(other);
     if (!other || totalSamples < MIN_SAMPLES) return 'unison';
 
     // Compute "initiative" score for each player
@@ -652,6 +664,73 @@ const Identity = (function () {
     return energy * 0.35 + sync * 0.25 + steadiness * 0.2 + dynamics * 0.2;
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // GROUP ROLES — a circle of N players
+  // ═══════════════════════════════════════════════════════════════════
+  //
+  // Pairs differentiate into call and response; a drum circle needs more
+  // parts than that. Whoever has the most initiative leads. The rest are
+  // dealt, in GROUP_SLOTS order, to whoever fits each part best:
+  //
+  //   pulse  — keeps time: steady tempo, strong energy, on the grid
+  //   answer — replies to the lead: wide melodic range, holds tension,
+  //            likes the offbeat
+  //   space  — plays least: long stillness, low intensity
+  //
+  // A pair comes out lead + answer, which is call and response again.
+  // Nobody gets a part until everyone has a fingerprint (MIN_SAMPLES in,
+  // as assignRole asks of a pair) — until then the room plays roleless,
+  // every peak answered. Ties break on id so every phone in the room
+  // deals the same hand.
+
+  var GROUP_SLOTS = ['answer', 'pulse', 'space', 'pulse', 'answer', 'pulse', 'space'];
+
+  function roleFit(role, fp) {
+    var intensity = fp.preferredIntensity || 0;
+    var sync = fp.syncopationPreference || 0;
+    if (role === 'pulse') {
+      var steadiness = 1 - Math.min(1, fp.tempoVariability || 0);
+      return steadiness * 0.45 + intensity * 0.35 + (1 - sync) * 0.2;
+    }
+    if (role === 'answer') {
+      var range = Math.min(1, (fp.pitchRange || 0) / 7);        // scale degrees
+      var tension = Math.min(1, (fp.tensionComfort || 0) / 8);  // seconds
+      return range * 0.4 + tension * 0.3 + sync * 0.3;
+    }
+    return (fp.stillnessRatio || 0) * 0.6 + (1 - intensity) * 0.4;
+  }
+
+  /**
+   * @param {Array<{id: string, fingerprint: Object|null}>} members — everyone, self included
+   * @returns {Object} id → 'lead' | 'pulse' | 'answer' | 'space'; empty while anyone's fingerprint is null
+   */
+  function assignGroupRoles(members) {
+    var pool = [];
+    var roles = {};
+    for (var i = 0; i < members.length; i++) {
+      if (!members[i] || !members[i].id) continue;
+      if (!members[i].fingerprint) return roles;
+      pool.push({ id: members[i].id, fp: members[i].fingerprint });
+    }
+    if (pool.length === 0) return roles;
+
+    function pick(score) {
+      var best = 0;
+      for (var j = 1; j < pool.length; j++) {
+        var d = score(pool[j]) - score(pool[best]);
+        if (d > 0 || (d === 0 && pool[j].id < pool[best].id)) best = j;
+      }
+      return pool.splice(best, 1)[0];
+    }
+
+    roles[pick(function (m) { return computeInitiative(m.fp); }).id] = 'lead';
+    for (var s = 0; pool.length > 0; s++) {
+      var role = GROUP_SLOTS[s % GROUP_SLOTS.length];
+      roles[pick(function (m) { return roleFit(role, m.fp); }).id] = role;
+    }
+    return roles;
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // SERIALIZATION — compact for WebRTC transmission
   // ═══════════════════════════════════════════════════════════════════
@@ -687,10 +766,13 @@ const Identity = (function () {
     }
   }
 
+  // Safe to call more than once a session (every time the page hides):
+  // each call re-blends this session into the copy loaded at init, so
+  // the session counts once and its history entry is replaced, not added.
   function savePersistent() {
     if (totalSamples < MIN_SAMPLES) return;  // don't save noise
 
-    var prev = _persistent || {
+    var prev = _base || {
       sessions: 0,
       naturalTempo: 0,
       preferredIntensity: 0,
@@ -701,6 +783,11 @@ const Identity = (function () {
       tempoVariability: 0,
       dynamicRange: 0,
       tensionComfort: 0,
+      syncopationPreference: 0,
+      pitchCenter: 0.5,
+      pitchRange: 0,
+      energyArcType: 'exploring',
+      history: [],
     };
 
     // Exponential moving average: recent sessions weigh more
@@ -718,7 +805,22 @@ const Identity = (function () {
       tempoVariability: ema(prev.tempoVariability, _fingerprint.tempoVariability, alpha),
       dynamicRange: ema(prev.dynamicRange, _fingerprint.dynamicRange, alpha),
       tensionComfort: ema(prev.tensionComfort, _fingerprint.tensionComfort, alpha),
+      syncopationPreference: ema(prev.syncopationPreference || 0, _fingerprint.syncopationPreference, alpha),
+      pitchCenter: ema(prev.pitchCenter !== undefined ? prev.pitchCenter : 0.5, _fingerprint.pitchCenter, alpha),
+      pitchRange: ema(prev.pitchRange || 0, _fingerprint.pitchRange, alpha),
+      energyArcType: _fingerprint.energyArcType,          // categorical: latest wins
       lastSession: Date.now(),
+      history: (prev.history || []).concat([{
+        at: Date.now(),
+        tempo: _fingerprint.naturalTempo,
+        sync: _fingerprint.syncopationPreference,
+        steady: round3(1 - Math.min(1, _fingerprint.tempoVariability)),
+        intensity: _fingerprint.preferredIntensity,
+        arc: _fingerprint.energyArcType,
+        center: _fingerprint.pitchCenter,
+        range: _fingerprint.pitchRange,
+        length: _fingerprint.sessionLength,
+      }]).slice(-HISTORY_MAX),
     };
 
     try {
@@ -728,6 +830,89 @@ const Identity = (function () {
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // EXPORT / IMPORT — carry the portrait to a new phone, or to a friend
+  // ═══════════════════════════════════════════════════════════════════
+  //
+  // A snapshot is { kind, v, at, persistent }. As a file it keeps the
+  // session history; encode() drops the history so the result fits in a
+  // QR code (URL-safe base64 of the JSON).
+
+  function snapshot(withHistory) {
+    if (!_persistent) return null;
+    var p = {};
+    for (var k in _persistent) {
+      if (k !== 'history' || withHistory !== false) p[k] = _persistent[k];
+    }
+    return { kind: EXPORT_KIND, v: 1, at: Date.now(), persistent: p };
+  }
+
+  function encode(snap) {
+    snap = snap || snapshot(false);
+    if (!snap) return null;
+    var json = JSON.stringify(snap);
+    return btoa(unescape(encodeURIComponent(json)))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /** A snapshot from a file's text, a JSON object, or encode()'s string — null if it isn't one. */
+  function decode(input) {
+    var snap = null;
+    try {
+      if (typeof input === 'object') {
+        snap = input;
+      } else {
+        var text = String(input).trim();
+        if (text.charAt(0) !== '{') {
+          var b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+          while (b64.length % 4) b64 += '=';
+          text = decodeURIComponent(escape(atob(b64)));
+        }
+        snap = JSON.parse(text);
+      }
+    } catch (e) { return null; }
+    if (!snap || snap.kind !== EXPORT_KIND || !snap.persistent) return null;
+    if (!(snap.persistent.sessions > 0)) return null;
+    return snap;
+  }
+
+  /** Adopt an exported portrait as this phone's own. */
+  function importSnapshot(snap) {
+    snap = decode(snap);
+    if (!snap) return false;
+    var p = snap.persistent;
+    if (!p.history) p.history = [];
+    _persistent = p;
+    _base = p;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(p));
+    } catch (e) {
+      return false;
+    }
+    return true;
+  }
+
+  /** Fingerprint-shaped view of a persistent blend, for compatibility(). */
+  function fingerprintOf(p) {
+    if (p && p.persistent) p = p.persistent;
+    if (!p) return null;
+    return {
+      naturalTempo: p.naturalTempo || 0,
+      tempoVariability: p.tempoVariability || 0,
+      syncopationPreference: p.syncopationPreference || 0,
+      pitchRange: p.pitchRange || 0,
+      pitchCenter: p.pitchCenter !== undefined ? p.pitchCenter : 0.5,
+      contourPreference: p.contourPreference || 'arch',
+      tensionComfort: p.tensionComfort || 0,
+      dynamicRange: p.dynamicRange || 0,
+      energyArcType: p.energyArcType || 'exploring',
+      preferredIntensity: p.preferredIntensity || 0,
+      sessionLength: p.avgSessionLength || 0,
+      stillnessRatio: p.stillnessRatio || 0,
+      archetype: p.archetype || 'new',
+    };
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // UTILITIES
   // ═══════════════════════════════════════════════════════════════════
@@ -763,6 +948,11 @@ const Identity = (function () {
     serialize: serialize,
     deserialize: deserialize,
     savePersistent: savePersistent,
+    snapshot: snapshot,
+    encode: encode,
+    decode: decode,
+    importSnapshot: importSnapshot,
+    fingerprintOf: fingerprintOf,
 
     // Read-only access
     get fingerprint() { return _fingerprint; },
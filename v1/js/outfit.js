@@ -1,27 +1,59 @@
 /**
  * OUTFIT — Music Identity + Social Dance Layer
  *
- * Two phones. One dance. P2P after the initial handshake.
- * No server for the music data — only the WebRTC signaling
- * handshake touches PeerJS's free relay, then it's device-to-device.
+ * Two phones, or a circle of them. One dance. P2P after the initial
+ * handshake — only the WebRTC signaling touches a broker (Signal: PeerJS's
+ * free relay by default), then it's device-to-device.
  *
- * Host:  generateCode() → createRoom() → QR shown
+ * Host:  generateCode() → createRoom() → QR shown, stays open for more
  * Guest: scans QR → URL with ?dance=CODE → joinRoom()
- * Both:  broadcast() ~12Hz — partner peaks seed your ANSWER voice
+ * All:   broadcast() ~12Hz — other players' peaks seed your ANSWER voice
+ *
+ * Topology is a star: every guest holds one connection, to the host, and
+ * the host relays. Up to MAX_PEERS phones (a drum circle) without anyone
+ * opening seven connections. The host also hands out roles — lead, pulse,
+ * answer, space — from everyone's Identity fingerprint.
+ *
+ * Wire messages are small JSON envelopes:
+ *   guest → host   { t:'state', s }         { t:'fp', fp }
+ *   host → guests  { t:'states', states }   { t:'roster', ids }
+ *                  { t:'roles', roles }     { t:'full' }
+ *
+ * Any other envelope goes to 'message' listeners untouched — Clock's pings
+ * ride the same channel through sendTo() / sendHost().
+ *
+ * Events (on(name, fn)):
+ *   join(id) · leave(id) · data(state, id) · roles(map) · full()
+ *   message(envelope, fromId) · error(type) — Signal's types, e.g. 'unreachable'
  */
 
 const Outfit = (function () {
   'use strict';
 
-  var peer          = null;
-  var conn          = null;
+  var MAX_PEERS   = 8;       // whole room, host included
+  var SEND_MS     = 80;      // ~12Hz ceiling
+  var FP_MS       = 30000;   // guests resend their fingerprint; host re-deals roles
+  var ROSTER_MS   = 2000;    // the channel is unreliable — the host repeats who's here
+
+  var _sig          = null;    // Signal endpoint
+  var _hostConn     = null;    // guest: the one connection, to the host
+  var _conns        = {};    // id → DataConnection (host: every guest; guest: the host)
+  var _peers        = {};    // id → { id, state, fingerprint, role, joined, lastSeen }
   var _code         = null;
+  var _hosting      = false;
   var _connected    = false;
-  var _partnerState = null;
+  var _partnerState = null;  // the most recent state from anyone — what 1:1 code reads
+  var _partnerId    = null;
+  var _roles        = {};
   var _lastSend     = 0;
+  var _lastFp       = 0;
+  var _lastDeal     = 0;
+  var _lastRoster   = 0;
+  var _dirty        = {};    // host: ids whose state changed since the last relay
   var _onConnect    = null;
   var _onData       = null;
   var _onDisconnect = null;
+  var _listeners    = {};
 
   // ── UTILS ──────────────────────────────────────────────────────────────
 
@@ -38,72 +70,255 @@ const Outfit = (function () {
     return 'gump4-' + code;
   }
 
-  // ── CONNECTION PLUMBING ────────────────────────────────────────────────
+  function selfId() {
+    return _sig ? _sig.id : null;
+  }
+
+  function on(name, fn) {
+    (_listeners[name] = _listeners[name] || []).push(fn);
+  }
+
+  function emit(name, a, b) {
+    var fns = _listeners[name];
+    if (!fns) return;
+    for (var i = 0; i < fns.length; i++) {
+      try { fns[i](a, b); } catch (e) { console.warn('[Outfit ' + name + ']', e); }
+    }
+  }
+
+  function send(c, msg) {
+    if (!c || !c.open) return;
+    try { c.send(msg); } catch (e) {}
+  }
+
+  function sendAll(msg) {
+    for (var id in _conns) send(_conns[id], msg);
+  }
+
+  function ownFingerprint() {
+    if (typeof Identity === 'undefined' || !Identity.valid) return null;
+    return Identity.fingerprint;
+  }
+
+  // ── ROSTER ─────────────────────────────────────────────────────────────
+
+  function addPeer(id) {
+    if (_peers[id]) return;
+    _peers[id] = {
+      id: id, state: null, fingerprint: null,
+      role: _roles[id] || null, joined: Date.now(), lastSeen: Date.now(),
+    };
+    var first = !_connected;
+    _connected = true;
+    emit('join', id);
+    if (first && _onConnect) _onConnect();
+  }
+
+  function removePeer(id) {
+    if (!_peers[id]) return;
+    delete _peers[id];
+    delete _dirty[id];
+    if (_partnerId === id) { _partnerState = null; _partnerId = null; }
+    emit('leave', id);
+    if (Object.keys(_peers).length === 0) {
+      _connected = false;
+      _partnerState = null;
+      if (_onDisconnect) _onDisconnect();
+    }
+  }
+
+  function takeState(id, s) {
+    var p = _peers[id];
+    if (!p || !s) return;
+    p.state = s;
+    p.lastSeen = Date.now();
+    _partnerState = s;
+    _partnerId = id;
+    if (_onData) _onData(s, id);
+    emit('data', s, id);
+  }
+
+  function setRoles(roles) {
+    roles = roles || {};
+    if (JSON.stringify(roles) === JSON.stringify(_roles)) return;
+    _roles = roles;
+    for (var id in _peers) _peers[id].role = _roles[id] || null;
+    emit('roles', _roles);
+  }
 
-  function wireConn(c) {
-    conn = c;
+  // ── HOST: waits for players to scan and join ───────────────────────────
+
+  function dealRoles() {
+    _lastDeal = Date.now();
+    if (typeof Identity === 'undefined' || !Identity.assignRole) return;
+    var members = [{ id: selfId(), fingerprint: ownFingerprint() }];
+    for (var id in _peers) members.push({ id: id, fingerprint: _peers[id].fingerprint });
+    var roles = members.length > 1 ? Identity.assignRole(members) : {};
+    setRoles(roles);
+    sendAll({ t: 'roles', roles: roles });
+  }
+
+  function sendRoster() {
+    var ids = [selfId()];
+    for (var id in _peers) ids.push(id);
+    sendAll({ t: 'roster', ids: ids });
+  }
+
+  function wireGuest(c) {
     c.on('open', function () {
-      _connected = true;
-      if (_onConnect) _onConnect();
+      if (Object.keys(_conns).length >= MAX_PEERS - 1) {
+        send(c, { t: 'full' });
+        setTimeout(function () { try { c.close(); } catch (e) {} }, 500);
+        return;
+      }
+      _conns[c.peer] = c;
+      addPeer(c.peer);
+      sendRoster();
+      dealRoles();
     });
     c.on('data', function (d) {
-      _partnerState = d;
-      if (_onData) _onData(d);
+      if (!d || !_peers[c.peer]) return;
+      if (d.t === 'state') {
+        takeState(c.peer, d.s);
+        _dirty[c.peer] = true;
+      } else if (d.t === 'fp') {
+        _peers[c.peer].fingerprint = d.fp || null;
+        dealRoles();
+      } else {
+        emit('message', d, c.peer);
+      }
     });
     c.on('close', function () {
-      _connected    = false;
-      _partnerState = null;
-      conn          = null;
-      if (_onDisconnect) _onDisconnect();
+      if (_conns[c.peer] !== c) return;
+      delete _conns[c.peer];
+      removePeer(c.peer);
+      sendRoster();
+      dealRoles();
     });
     c.on('error', function (e) { console.warn('[Outfit conn]', e.type || e); });
   }
 
-  // ── HOST: waits for partner to scan and join ───────────────────────────
+  function onSignalError(type) {
+    console.warn('[Outfit signal]', type);
+    emit('error', type);
+  }
 
   function createRoom(code, onConnect, onData, onDisconnect) {
     _code         = code;
+    _hosting      = true;
     _onConnect    = onConnect;
     _onData       = onData;
     _onDisconnect = onDisconnect;
 
-    peer = new Peer(hostId(code), { debug: 0 });
-    peer.on('connection', function (c) { wireConn(c); });
-    peer.on('error', function (e) { console.warn('[Outfit host]', e.type || e); });
+    _sig = Signal.host(hostId(code), wireGuest, onSignalError);
   }
 
   // ── GUEST: connects to an existing room ────────────────────────────────
 
+  function takeRoster(ids) {
+    var me = selfId();
+    var seen = {};
+    for (var i = 0; i < ids.length; i++) {
+      if (ids[i] === me) continue;
+      seen[ids[i]] = true;
+      addPeer(ids[i]);
+    }
+    for (var id in _peers) if (!seen[id]) removePeer(id);
+  }
+
+  function wireHost(c) {
+    _hostConn = c;
+    c.on('open', function () {
+      _conns[c.peer] = c;
+      var fp = ownFingerprint();
+      if (fp) send(c, { t: 'fp', fp: fp });
+      _lastFp = Date.now();
+    });
+    c.on('data', function (d) {
+      if (!d) return;
+      if (d.t === 'roster') {
+        takeRoster(d.ids || []);
+      } else if (d.t === 'states') {
+        for (var id in d.states) takeState(id, d.states[id]);
+      } else if (d.t === 'roles') {
+        setRoles(d.roles);
+      } else if (d.t === 'full') {
+        emit('full');
+      } else {
+        emit('message', d, c.peer);
+      }
+    });
+    c.on('close', function () {
+      delete _conns[c.peer];
+      for (var id in _peers) removePeer(id);
+      setRoles({});
+    });
+    c.on('error', function (e) { console.warn('[Outfit conn]', e.type || e); });
+  }
+
+  // With manual signaling there is no code: the host's id arrives in its reply.
   function joinRoom(code, onConnect, onData, onDisconnect) {
     _code         = code;
+    _hosting      = false;
     _onConnect    = onConnect;
     _onData       = onData;
     _onDisconnect = onDisconnect;
 
-    peer = new Peer(null, { debug: 0 }); // auto-ID for guest
-    peer.on('open', function () {
-      wireConn(peer.connect(hostId(code), {
-        reliable: false,
-        serialization: 'json',
-      }));
-    });
-    peer.on('error', function (e) { console.warn('[Outfit guest]', e.type || e); });
+    _sig = Signal.join(code ? hostId(code) : null, wireHost, onSignalError);
   }
 
   // ── BROADCAST ─────────────────────────────────────────────────────────
+  // Guests send their own state up; the host relays one batch per tick
+  // with whatever changed, its own state included.
 
   function broadcast(state) {
-    if (!_connected || !conn || !conn.open) return;
+    if (!_connected) return;
     var now = Date.now();
-    if (now - _lastSend < 80) return; // ~12Hz ceiling
+    if (now - _lastSend < SEND_MS) return;
     _lastSend = now;
-    try { conn.send(state); } catch (e) {}
+
+    if (!_hosting) {
+      var c = _hostConn;
+      send(c, { t: 'state', s: state });
+      if (now - _lastFp > FP_MS) {
+        _lastFp = now;
+        var fp = ownFingerprint();
+        if (fp) send(c, { t: 'fp', fp: fp });
+      }
+      return;
+    }
+
+    var batch = {};
+    batch[selfId()] = state;
+    for (var id in _dirty) if (_peers[id]) batch[id] = _peers[id].state;
+    _dirty = {};
+    for (var to in _conns) {
+      var mine = {};
+      for (var from in batch) if (from !== to) mine[from] = batch[from];
+      send(_conns[to], { t: 'states', states: mine });
+    }
+    if (now - _lastDeal > FP_MS) dealRoles();
+    if (now - _lastRoster > ROSTER_MS) {
+      _lastRoster = now;
+      sendRoster();
+      sendAll({ t: 'roles', roles: _roles });
+    }
+  }
+
+  function sendTo(id, msg) {
+    send(_conns[id], msg);
+  }
+
+  function sendHost(msg) {
+    if (!_hosting) send(_hostConn, msg);
   }
 
   // ── URL ───────────────────────────────────────────────────────────────
 
   function buildJoinURL(code) {
-    return window.location.origin + window.location.pathname + '?dance=' + code;
+    var sig = Signal.spec();
+    return window.location.origin + window.location.pathname + '?dance=' + code +
+      (sig ? '&signal=' + encodeURIComponent(sig) : '');
   }
 
   function checkAutoJoin() {
@@ -115,9 +330,12 @@ const Outfit = (function () {
   // ── CLEANUP ──────────────────────────────────────────────────────────
 
   function destroy() {
-    if (conn) { try { conn.close(); } catch (e) {} conn = null; }
-    if (peer) { try { peer.destroy(); } catch (e) {} peer = null; }
-    _connected = false; _partnerState = null; _code = null;
+    for (var id in _conns) { try { _conns[id].close(); } catch (e) {} }
+    if (_sig) { try { _sig.destroy(); } catch (e) {} _sig = null; }
+    _hostConn = null;
+    _conns = {}; _peers = {}; _roles = {}; _dirty = {};
+    _connected = false; _partnerState = null; _partnerId = null;
+    _code = null; _hosting = false;
   }
 
   // ── PUBLIC ────────────────────────────────────────────────────────────
@@ -127,11 +345,26 @@ const Outfit = (function () {
     createRoom:    createRoom,
     joinRoom:      joinRoom,
     broadcast:     broadcast,
+    sendTo:        sendTo,
+    sendHost:      sendHost,
     buildJoinURL:  buildJoinURL,
     checkAutoJoin: checkAutoJoin,
     destroy:       destroy,
+    on:            on,
+    MAX_PEERS:     MAX_PEERS,
     get connected()    { return _connected; },
     get partnerState() { return _partnerState; },
     get code()         { return _code; },
+    get hosting()      { return _hosting; },
+    get signaling()    { return _sig; },
+    get selfId()       { return selfId(); },
+    get count()        { return Object.keys(_peers).length; },
+    get peers()        {
+      var out = [];
+      for (var id in _peers) out.push(_peers[id]);
+      return out;
+    },
+    get roles()        { return _roles; },
+    get role()         { return _roles[selfId()] || null; },
   });
 })();
@@ -10,6 +10,11 @@
  *   - Loop detector: 4 consecutive similar phrases → beat drop
  *   - Voice variation: melody + harmonic stabs in phase 2
  *   - Information-rate phrase boundary detection (VMO-style)
+ *   - Long-term memory: one oracle per player and lens, kept in IndexedDB
+ *     (m2_pattern → oracles) and grown across sessions. Older sessions
+ *     fade and are pruned, so it learns your vocabulary without piling up.
+ *   - "Your style" mode (setMode('style')): with enough remembered, the
+ *     oracle improvises from memory when the lens opens — before you move.
  */
 
 const Pattern = (function () {
@@ -49,7 +54,9 @@ const Pattern = (function () {
     oLen = 0;
   }
 
-  function oracleAdd(sym, ioi) {
+  // w: how much this note counts — 1 live, less for old sessions (MEMORY)
+  function oracleAdd(sym, ioi, w) {
+    if (w === undefined) w = 1;
     var n = oStates.length;
     oLen  = n;
 
@@ -58,15 +65,15 @@ const Pattern = (function () {
 
     // Internal (spine) edge
     oStates[n - 1].fwd[sym] = n;
-    oWeights[n - 1][sym]    = (oWeights[n - 1][sym] || 0) + 1;
-    _recordTrans(n - 1, sym);
+    oWeights[n - 1][sym]    = (oWeights[n - 1][sym] || 0) + w;
+    _recordTrans(n - 1, sym, w);
 
     // Walk suffix links, adding external edges where none exist
     var k = oStates[n - 1].link;
     while (k > 0 && !(sym in oStates[k].fwd)) {
       oStates[k].fwd[sym] = n;
-      oWeights[k][sym]    = (oWeights[k][sym] || 0) + 1;
-      _recordTrans(k, sym);
+      oWeights[k][sym]    = (oWeights[k][sym] || 0) + w;
+      _recordTrans(k, sym, w);
       k = oStates[k].link;
     }
 
@@ -78,9 +85,9 @@ const Pattern = (function () {
     }
   }
 
-  function _recordTrans(state, sym) {
+  function _recordTrans(state, sym, w) {
     var key = state + ',' + sym;
-    transFreq[key] = (transFreq[key] || 0) + 1;
+    transFreq[key] = (transFreq[key] || 0) + w;
   }
 
   // Weighted sample from available forward transitions
@@ -408,10 +415,7 @@ const Pattern = (function () {
     for (var attempt = 0; attempt < 4; attempt++) {
       var queue = buildPhraseAttempt();
       if (queue && !phraseIsRepeat(queue)) {
-        genQueue    = queue;
-        genActive   = true;
-        genPlayedMs = 0;
-        genNoteIdx  = 0;
+        startPhrase(queue);
         checkBeatDrop(queue);
         recordPhrase(queue);
         phraseCount++;
@@ -424,12 +428,23 @@ const Pattern = (function () {
     return false;
   }
 
-  function buildPhraseAttempt() {
-    var motif = confirmedMotifs[Math.floor(Math.random() * confirmedMotifs.length)];
-    var seed  = motif.split(',').map(Number);
+  function startPhrase(queue) {
+    genQueue    = queue;
+    genActive   = true;
+    genPlayedMs = 0;
+    genNoteIdx  = 0;
+  }
 
-    // Navigate oracle to find a state after the seed
+  function buildPhraseAttempt() {
+    // Navigate oracle to find a state after a motif — or anywhere in it,
+    // when playing from memory with no motif confirmed yet
     var state = 1;
+    var seed  = [];
+    if (confirmedMotifs.length > 0) {
+      seed = confirmedMotifs[Math.floor(Math.random() * confirmedMotifs.length)].split(',').map(Number);
+    } else {
+      state = 1 + Math.floor(Math.random() * oLen);
+    }
     for (var i = 0; i < seed.length; i++) {
       var deg  = decodeDegree(seed[i]);
       // Find a state reachable with this degree (any matching sym)
@@ -516,17 +531,236 @@ const Pattern = (function () {
     }
   }
 
+  // ── MEMORY ────────────────────────────────────────────────────────────
+  // One record per player + lens. The oracle is rebuilt by replaying its
+  // symbols, so the sequence is what's kept: { syms, iois, w } plus motif
+  // and rest-degree counts. w is each note's weight — 1 when played, then
+  // × DECAY for every session since — and feeds transFreq, so sampling
+  // leans toward how you play lately. A note below W_FLOOR is pruned on
+  // load, and only the newest MAX_SYMS are written back. A record saved
+  // by this page, or in the last SAME_SESSION_MS, is this session's own:
+  // it loads as is, so lens switches and reloads don't age it again.
+
+  var DB_NAME    = 'm2_pattern';
+  var DB_VERSION = 1;
+  var STORE      = 'oracles';
+  var USER_KEY   = 'm2_user';
+  var MODE_KEY   = 'm2_pattern_mode';
+  var DECAY      = 0.85;    // a note ~19 sessions old falls under the floor
+  var W_FLOOR    = 0.05;
+  var MAX_SYMS   = 1500;
+  var MOTIF_KEEP = 64;
+  var SAVE_MS    = 60000;
+  var SAME_SESSION_MS = 30 * 60000;
+
+  var _page     = Date.now();     // this page load, stamped on every save
+  var _db       = null;
+  var _dbFailed = false;
+  var _key      = null;     // user + ':' + lens name
+  var _loaded   = false;    // the past is in (or there is none) — safe to save
+  var _loadId   = 0;        // a newer setLens() wins over a slow load
+  var _past     = { syms: [], iois: [], w: [] };
+  var _live     = { syms: [], iois: [] };   // this session, this lens
+  var _sessions = 0;
+  var _dirty    = false;
+  var _saveMs   = 0;
+
+  function userId() {
+    try {
+      var id = localStorage.getItem(USER_KEY);
+      if (!id) {
+        id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        localStorage.setItem(USER_KEY, id);
+      }
+      return id;
+    } catch (e) { return 'local'; }
+  }
+
+  function _open() {
+    return new Promise(function (resolve, reject) {
+      if (_db) return resolve(_db);
+      if (_dbFailed || typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+      try {
+        var req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = function (e) {
+          var d = e.target.result;
+          if (!d.objectStoreNames.contains(STORE)) d.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        req.onsuccess = function (e) { _db = e.target.result; resolve(_db); };
+        req.onerror = function () { _dbFailed = true; reject(new Error('IndexedDB failed')); };
+      } catch (e) {
+        _dbFailed = true;
+        reject(new Error('IndexedDB unavailable'));
+      }
+    });
+  }
+
+  function _tx(mode, fn) {
+    return _open().then(function (d) {
+      return new Promise(function (resolve, reject) {
+        var tx = d.transaction(STORE, mode);
+        var result = fn(tx.objectStore(STORE));
+        tx.oncomplete = function () { resolve(result && 'result' in result ? result.result : undefined); };
+        tx.onerror = function () { reject(tx.error); };
+      });
+    });
+  }
+
+  function rebuild() {
+    oracleReset();
+    for (var i = 0; i < _past.syms.length; i++) oracleAdd(_past.syms[i], _past.iois[i], _past.w[i]);
+    for (var j = 0; j < _live.syms.length; j++) oracleAdd(_live.syms[j], _live.iois[j], 1);
+  }
+
+  // Fold decayed counts from the record into this session's
+  function mergeCounts(into, from, decay) {
+    if (!from) return;
+    for (var k in from) into[k] = (into[k] || 0) + from[k] * decay;
+  }
+
+  function topCounts(map, keep) {
+    var keys = Object.keys(map).sort(function (a, b) { return map[b] - map[a]; }).slice(0, keep);
+    var out = {};
+    for (var i = 0; i < keys.length; i++) out[keys[i]] = Math.round(map[keys[i]] * 1000) / 1000;
+    return out;
+  }
+
+  function remember(rec) {
+    _past     = { syms: [], iois: [], w: [] };
+    _sessions = 1;
+    if (rec && rec.syms) {
+      var same  = rec.page === _page || Date.now() - (rec.updated || 0) < SAME_SESSION_MS;
+      var decay = same ? 1 : DECAY;
+      for (var i = 0; i < rec.syms.length; i++) {
+        var w = (rec.w ? rec.w[i] : 1) * decay;
+        if (!(w >= W_FLOOR)) continue;
+        _past.syms.push(rec.syms[i]);
+        _past.iois.push(rec.iois ? rec.iois[i] : 0);
+        _past.w.push(w);
+      }
+      _sessions = (rec.sessions || 0) + (same ? 0 : 1);
+      mergeCounts(motifCounts, rec.motifs, decay);
+      mergeCounts(restDegrees, rec.rest, decay);
+      for (var m in motifCounts) {
+        if (motifCounts[m] >= 3 && confirmedMotifs.indexOf(m) === -1) confirmedMotifs.push(m);
+      }
+    }
+    rebuild();
+    _loaded = true;
+  }
+
+  function load(key) {
+    var id = ++_loadId;
+    _tx('readonly', function (store) { return store.get(key); }).then(function (rec) {
+      if (id === _loadId) remember(rec);
+    }).catch(function () {
+      if (id === _loadId) remember(null);   // no memory — still a session
+    });
+  }
+
+  // Past + this session, written whole: calling it twice saves the same thing.
+  function save() {
+    if (!_key || !_loaded || !_dirty) return;
+    _dirty = false;
+    var cut  = Math.max(0, _past.syms.length + _live.syms.length - MAX_SYMS);
+    var ones = _live.syms.map(function () { return 1; });
+    var rec  = {
+      id:       _key,
+      lens:     lens && lens.name,
+      sessions: _sessions,
+      updated:  Date.now(),
+      page:     _page,
+      syms:     _past.syms.concat(_live.syms).slice(cut),
+      iois:     _past.iois.concat(_live.iois).slice(cut).map(function (v) { return Math.round(v); }),
+      w:        _past.w.concat(ones).slice(cut).map(function (v) { return Math.round(v * 1000) / 1000; }),
+      motifs:   topCounts(motifCounts, MOTIF_KEEP),
+      rest:     topCounts(restDegrees, 15),
+    };
+    _tx('readwrite', function (store) { store.put(rec); }).catch(function () {});
+  }
+
+  // Everything learned under the current lens — a lens switch starts over
+  // from that lens's own memory.
+  function forget() {
+    oracleReset();
+    motifCounts     = {};
+    confirmedMotifs = [];
+    recentSyms      = [];
+    recentDegrees   = [];
+    recentIOIs      = [];
+    restDegrees     = {};
+    phraseHistory   = [];
+    _past     = { syms: [], iois: [], w: [] };
+    _live     = { syms: [], iois: [] };
+    _sessions = 0;
+    _dirty    = false;
+    _loaded   = false;
+    _styleMs      = 0;
+    _stylePhrases = 0;
+    _recalling    = false;
+    cancelGeneration();
+  }
+
+  // ── YOUR STYLE ────────────────────────────────────────────────────────
+  // 'answer' (default): the oracle only reflects in long silences.
+  // 'style': it also opens each lens by playing from memory, a few phrases
+  // with room between them, until your first note takes over. Flow holds
+  // the master open by `presence` while it does — nobody has moved yet.
+
+  var STYLE_MIN     = 40;     // remembered notes before there's a style to play
+  var STYLE_WAIT_MS = 2500;   // after the lens opens
+  var STYLE_GAP_MS  = 4000;   // between phrases
+  var STYLE_PHRASES = 6;      // then it waits for you
+  var STYLE_LEVEL   = 0.45;
+  var STYLE_FADE    = 0.8;    // seconds, presence in and out
+
+  var _mode         = 'answer';
+  var _styleMs      = 0;
+  var _stylePhrases = 0;
+  var _recalling    = false;
+  var _presence     = 0;
+
+  try { if (localStorage.getItem(MODE_KEY) === 'style') _mode = 'style'; } catch (e) {}
+
+  function setMode(m) {
+    _mode = m === 'style' ? 'style' : 'answer';
+    try { localStorage.setItem(MODE_KEY, _mode); } catch (e) {}
+    if (_mode !== 'style' && _recalling) {
+      _recalling = false;
+      cancelGeneration();
+    }
+  }
+
+  function improvise(dt) {
+    if (genActive) { _styleMs = 0; return; }
+    _styleMs += dt * 1000;
+    if (_stylePhrases >= STYLE_PHRASES) {
+      if (_styleMs > STYLE_GAP_MS) _recalling = false;
+      return;
+    }
+    if (!_loaded || _past.syms.length < STYLE_MIN) return;
+    if (_styleMs < (_stylePhrases ? STYLE_GAP_MS : STYLE_WAIT_MS)) return;
+    _styleMs = 0;
+    for (var attempt = 0; attempt < 4; attempt++) {
+      var queue = buildPhraseAttempt();
+      if (queue && !phraseIsRepeat(queue)) {
+        startPhrase(queue);
+        recordPhrase(queue);
+        _stylePhrases++;
+        _recalling = true;
+        return;
+      }
+    }
+  }
+
   // ── PUBLIC API ────────────────────────────────────────────────────────
 
   function init() {
-    oracleReset();
-    motifCounts       = {};
-    confirmedMotifs   = [];
-    recentSyms        = [];
-    recentDegrees     = [];
-    recentIOIs        = [];
-    restDegrees       = {};
-    phraseHistory     = [];
+    save();
+    _key    = null;
+    _loadId++;
+    _saveMs = 0;
+    forget();
     totalNotes        = 0;
     lastNoteTime      = 0;
     genActive         = false;
@@ -555,7 +789,7 @@ const Pattern = (function () {
     crystalCount      = 0;
   }
 
-  // Called by follow.js when a tilt-melody note plays
+  // Called by flow.js when a tilt-melody note plays
   function onNote(degree, ioi, velocity) {
     var now = performance.now();
     var actualIOI = lastNoteTime > 0
@@ -565,7 +799,12 @@ const Pattern = (function () {
     lastVelocity  = velocity || 0.4;
 
     var sym = encode(degree, actualIOI, lastVelocity);
+    if (!oStates) oracleReset();
     oracleAdd(sym, actualIOI);
+    _live.syms.push(sym);
+    _live.iois.push(actualIOI);
+    _dirty     = true;
+    _recalling = false;   // you took over from memory
     checkMotifs(sym, degree, actualIOI);
     updateRestDegrees(degree, actualIOI);
     totalNotes++;
@@ -576,13 +815,42 @@ const Pattern = (function () {
     crystalSilenceMs = 0;
   }
 
+  // Each lens has its own memory: switching saves this one, loads that one
   function setLens(l) {
+    var key = l && l.name ? userId() + ':' + l.name : null;
+    if (key === _key) { lens = l; return; }
+    save();
     lens = l;
+    _key = key;
+    _loadId++;
+    forget();
+    if (key) load(key);
+  }
+
+  function playQueued(dt) {
+    if (!genActive || genQueue.length === 0) return;
+    genPlayedMs += dt * 1000;
+    while (genNoteIdx < genQueue.length) {
+      var ev = genQueue[genNoteIdx];
+      if (genPlayedMs >= ev.delayMs) {
+        playGenNote(ev);
+        genNoteIdx++;
+      } else { break; }
+    }
+    if (genNoteIdx >= genQueue.length) cancelGeneration();
   }
 
   function update(dt, isSilent) {
     if (!lens || !Audio.ctx) return;
-    if (Follow.phase < 1) return;
+
+    _saveMs += dt * 1000;
+    if (_saveMs >= SAVE_MS) { _saveMs = 0; save(); }
+
+    // "Your style" — before your first note under this lens
+    if (_mode === 'style' && _live.syms.length === 0) improvise(dt);
+    _presence += ((_recalling ? STYLE_LEVEL : 0) - _presence) * Math.min(1, dt / STYLE_FADE);
+
+    if (Follow.phase < 1) { playQueued(dt); return; }
 
     // Beat drop fire (on next frame after detection)
     if (beatDropPending) {
@@ -624,17 +892,7 @@ const Pattern = (function () {
     }
 
     // Play generated notes
-    if (genActive && genQueue.length > 0) {
-      genPlayedMs += dt * 1000;
-      while (genNoteIdx < genQueue.length) {
-        var ev = genQueue[genNoteIdx];
-        if (genPlayedMs >= ev.delayMs) {
-          playGenNote(ev);
-          genNoteIdx++;
-        } else { break; }
-      }
-      if (genNoteIdx >= genQueue.length) cancelGeneration();
-    }
+    playQueued(dt);
   }
 
   return Object.freeze({
@@ -642,6 +900,8 @@ const Pattern = (function () {
     onNote:  onNote,
     setLens: setLens,
     update:  update,
+    save:    save,
+    setMode: setMode,
     get motifs()     { return confirmedMotifs.length; },
     get forms()      { return confirmedForms.length; },
     get section()    { return sectionMode || '-'; },
@@ -650,6 +910,11 @@ const Pattern = (function () {
     get loops()      { return loopCount; },
     get generating() { return genActive; },
     get dropped()    { return beatDropFired; },
+    get mode()       { return _mode; },
+    get memory()     { return _past.syms.length; },   // remembered notes, this lens
+    get sessions()   { return _sessions; },
+    get improvising() { return _recalling; },
+    get presence()   { return _presence; },          // master level Flow holds open for it
   });
 
 })();
@@ -234,6 +234,11 @@ var Rhythm = (function () {
   var beatInterval = 0;       // ms between beats
   var mode = 'organic';       // 'organic' | 'grid'
   var gridBPM = 128;          // fixed BPM for grid mode
+  var naturalTempo = 0;       // tempo before any coupling — what this body plays
+
+  // -- Coupling (Clock, when other devices are in the room) --
+  var coupledBPM = 0;         // negotiated tempo; 0 = play our own
+  var phasePull = 0;          // bars/sec added to the phase advance
 
   // -- Bar/step tracking --
   var barPhase = 0;           // 0-1 within current bar
@@ -806,6 +811,8 @@ var Rhythm = (function () {
     // Clamp tempo to sane range
     if (tempo > 0) {
       tempo = Math.max(40, Math.min(200, tempo));
+      naturalTempo = tempo;
+      if (coupledBPM > 0) tempo = Math.max(40, Math.min(200, coupledBPM));
       beatInterval = 60000 / tempo; // ms per beat
     }
 
@@ -825,7 +832,8 @@ var Rhythm = (function () {
     // Advance bar phase
     var stepDur = 60 / (tempo * 4); // duration of one 16th note in seconds
     var barDur = stepDur * steps;     // duration of one bar in seconds
-    barPhase += dt / barDur;
+    barPhase += dt / barDur + dt * phasePull;
+    if (barPhase < 0) barPhase += 1.0;   // a pull backwards across the downbeat
 
     // Bar boundary crossed
     if (barPhase >= 1.0) {
@@ -983,6 +991,9 @@ var Rhythm = (function () {
     gridBuildLevel = 0;
     gridDropTriggered = false;
     onDrumHit = null;
+    naturalTempo = 0;
+    coupledBPM = 0;
+    phasePull = 0;
 
     userStampGrid = new Float32Array(steps);
     kickPattern = [];
@@ -1015,6 +1026,17 @@ var Rhythm = (function () {
     }
   }
 
+  /**
+   * Couple the clock to other devices (Clock calls this every frame while
+   * paired). The tempo is taken as given; the pull nudges the bar phase.
+   * @param {number} bpm  - negotiated tempo, 0 to release
+   * @param {number} pull - phase correction in bars per second
+   */
+  function couple(bpm, pull) {
+    coupledBPM = bpm > 0 ? bpm : 0;
+    phasePull = coupledBPM > 0 ? (pull || 0) : 0;
+  }
+
   /**
    * Override Euclidean hit count (lens control).
    * @param {number} hits - Number of Euclidean hits for kick pattern
@@ -1037,6 +1059,7 @@ var Rhythm = (function () {
     reset: reset,
     configure: configure,
     setCallback: setCallback,
+    couple: couple,
 
     // Frame update
     update: update,
@@ -1058,6 +1081,9 @@ var Rhythm = (function () {
     // State queries
     get state()        { return getState(); },
     get tempo()        { return tempo; },
+    get naturalTempo() { return naturalTempo; },
+    get coupling()     { return { bpm: coupledBPM, pull: phasePull }; },
+    get steps()        { return steps; },
     get barPhase()     { return barPhase; },
     get tempoLocked()  { return tempoLocked; },
     get drumPresence() { return drumPresence; },
@@ -0,0 +1,332 @@
+/**
+ * SIGNAL — How two phones find each other before WebRTC takes over
+ *
+ * Outfit only needs a data connection to each peer; who brokered the
+ * handshake doesn't matter once it's open. Three brokers, same shape:
+ *
+ *   peerjs  — PeerJS's free cloud relay (the default; needs the internet)
+ *   ws      — tools/signal-server.js, self-hosted: ?signal=ws://host:8787
+ *   manual  — no server at all: the guest's offer and the host's answer
+ *             are copied across by hand (text or QR). Host candidates only,
+ *             so it works on a local network with no internet: ?signal=manual
+ *
+ * Each backend's host(id, onConnection, onError) and join(hostId,
+ * onConnection, onError) return an endpoint { id, destroy() }. Connections
+ * handed to onConnection look like PeerJS DataConnections — peer, open,
+ * on('open'|'data'|'close'|'error'), send(obj), close() — so Outfit wires
+ * them the same whichever backend made them.
+ *
+ * onError(type) types: 'unreachable' (broker down or blocked), 'taken'
+ * (room code in use), 'absent' (no such room), 'failed' (handshake died).
+ */
+
+const Signal = (function () {
+  'use strict';
+
+  var ICE        = [{ urls: 'stun:stun.l.google.com:19302' }];
+  var CHANNEL    = { ordered: false, maxRetransmits: 0 };   // as PeerJS reliable:false
+  var GATHER_MS  = 3000;      // manual: stop waiting for ICE candidates after this
+
+  var _backend = 'peerjs';
+  var _url     = null;
+
+  function randomId() {
+    return 'g-' + Math.random().toString(36).slice(2, 10);
+  }
+
+  // ── DATA CONNECTION ─────────────────────────────────────────────────────
+  // An RTCDataChannel dressed as a PeerJS DataConnection (JSON serialization).
+
+  function rtcConn(remoteId, pc, channel) {
+    var handlers = {};
+    var conn = {
+      peer: remoteId,
+      get open() { return !!channel && channel.readyState === 'open'; },
+      on: function (evt, fn) { (handlers[evt] = handlers[evt] || []).push(fn); },
+      send: function (obj) {
+        if (channel && channel.readyState === 'open') channel.send(JSON.stringify(obj));
+      },
+      close: function () {
+        try { if (channel) channel.close(); } catch (e) {}
+        try { pc.close(); } catch (e) {}
+        fire('close');
+      },
+    };
+    var closed = false;
+
+    function fire(evt, arg) {
+      if (evt === 'close') { if (closed) return; closed = true; }
+      var fns = handlers[evt] || [];
+      for (var i = 0; i < fns.length; i++) fns[i](arg);
+    }
+
+    function bind(ch) {
+      channel = ch;
+      ch.onopen = function () { fire('open'); };
+      ch.onclose = function () { fire('close'); };
+      ch.onerror = function (e) { fire('error', e); };
+      ch.onmessage = function (m) {
+        var d;
+        try { d = JSON.parse(m.data); } catch (e) { return; }
+        fire('data', d);
+      };
+    }
+
+    if (channel) bind(channel);
+    else pc.ondatachannel = function (e) { bind(e.channel); };
+    pc.onconnectionstatechange = function () {
+      if (pc.connectionState === 'failed' || pc.connectionState === 'closed') fire('close');
+    };
+    return conn;
+  }
+
+  // ── PEERJS CLOUD ──────────────────────────────────────────────────────
+
+  function peerjsError(e, onError) {
+    var t = e && e.type;
+    console.warn('[Signal peerjs]', t || e);
+    if (!onError) return;
+    if (t === 'unavailable-id') onError('taken');
+    else if (t === 'peer-unavailable') onError('absent');
+    else if (t === 'network' || t === 'server-error' || t === 'socket-error' ||
+             t === 'socket-closed' || t === 'browser-incompatible') onError('unreachable');
+  }
+
+  var peerjs = {
+    host: function (id, onConnection, onError) {
+      if (typeof Peer === 'undefined') { if (onError) onError('unreachable'); return null; }
+      var peer = new Peer(id, { debug: 0 });
+      peer.on('connection', onConnection);
+      peer.on('error', function (e) { peerjsError(e, onError); });
+      return { id: id, destroy: function () { try { peer.destroy(); } catch (e) {} } };
+    },
+    join: function (hostId, onConnection, onError) {
+      if (typeof Peer === 'undefined') { if (onError) onError('unreachable'); return null; }
+      var peer = new Peer(null, { debug: 0 }); // auto-ID for guest
+      var ep = { id: null, destroy: function () { try { peer.destroy(); } catch (e) {} } };
+      peer.on('open', function (id) {
+        ep.id = id;
+        onConnection(peer.connect(hostId, { reliable: false, serialization: 'json' }));
+      });
+      peer.on('error', function (e) { peerjsError(e, onError); });
+      return ep;
+    },
+  };
+
+  // ── SELF-HOSTED WEBSOCKET ─────────────────────────────────────────────
+  // tools/signal-server.js relays { to, type, sdp|candidate } between ids
+  // and stamps `from`. Candidates trickle; the socket stays up so a host
+  // can keep taking guests.
+
+  function wsOpen(id, onMessage, onError) {
+    var ws;
+    try {
+      ws = new WebSocket(_url + (_url.indexOf('?') < 0 ? '?' : '&') + 'id=' + encodeURIComponent(id));
+    } catch (e) { if (onError) onError('unreachable'); return null; }
+    var opened = false, said = {};
+    function fail(reason) {
+      if (said[reason] || !onError) return;   // a dead room answers every candidate
+      said[reason] = true;
+      onError(reason);
+    }
+    ws.onopen = function () { opened = true; };
+    ws.onerror = function () { if (!opened) fail('unreachable'); };
+    ws.onmessage = function (m) {
+      var d;
+      try { d = JSON.parse(m.data); } catch (e) { return; }
+      if (d.type === 'error') { fail(d.reason || 'failed'); return; }
+      onMessage(d);
+    };
+    return {
+      ws: ws,
+      send: function (msg) { if (ws.readyState === 1) ws.send(JSON.stringify(msg)); },
+      close: function () { try { ws.close(); } catch (e) {} },
+    };
+  }
+
+  function trickle(pc, sock, to) {
+    pc.onicecandidate = function (e) {
+      if (e.candidate) sock.send({ to: to, type: 'candidate', candidate: e.candidate });
+    };
+  }
+
+  // Candidates can overtake the description they belong to; hold them
+  // until the remote side is set.
+  function addCandidate(pc, queue, c) {
+    if (pc && pc.remoteDescription) pc.addIceCandidate(c).catch(function () {});
+    else queue.push(c);
+  }
+
+  function flush(pc, queue) {
+    while (queue.length) pc.addIceCandidate(queue.shift()).catch(function () {});
+  }
+
+  var ws = {
+    host: function (id, onConnection, onError) {
+      var pcs = {}, queues = {};
+      var sock = wsOpen(id, function (d) {
+        var q = queues[d.from] = queues[d.from] || [];
+        if (d.type === 'offer') {
+          var pc = new RTCPeerConnection({ iceServers: ICE });
+          pcs[d.from] = pc;
+          trickle(pc, sock, d.from);
+          onConnection(rtcConn(d.from, pc, null));
+          pc.setRemoteDescription({ type: 'offer', sdp: d.sdp })
+            .then(function () { flush(pc, q); return pc.createAnswer(); })
+            .then(function (a) { return pc.setLocalDescription(a); })
+            .then(function () { sock.send({ to: d.from, type: 'answer', sdp: pc.localDescription.sdp }); })
+            .catch(function (e) { console.warn('[Signal ws]', e); });
+        } else if (d.type === 'candidate') {
+          addCandidate(pcs[d.from], q, d.candidate);
+        }
+      }, onError);
+      if (!sock) return null;
+      return { id: id, destroy: function () {
+        sock.close();
+        for (var k in pcs) { try { pcs[k].close(); } catch (e) {} }
+      } };
+    },
+    join: function (hostId, onConnection, onError) {
+      var id = randomId();
+      var pc = new RTCPeerConnection({ iceServers: ICE });
+      var conn = rtcConn(hostId, pc, pc.createDataChannel('outfit', CHANNEL));
+      var q = [];
+      var sock = wsOpen(id, function (d) {
+        if (d.from !== hostId) return;
+        if (d.type === 'answer') {
+          pc.setRemoteDescription({ type: 'answer', sdp: d.sdp })
+            .then(function () { flush(pc, q); })
+            .catch(function () { if (onError) onError('failed'); });
+        } else if (d.type === 'candidate') {
+          addCandidate(pc, q, d.candidate);
+        }
+      }, onError);
+      if (!sock) return null;
+      trickle(pc, sock, hostId);
+      onConnection(conn);
+      sock.ws.addEventListener('open', function () {
+        pc.createOffer()
+          .then(function (o) { return pc.setLocalDescription(o); })
+          .then(function () { sock.send({ to: hostId, type: 'offer', sdp: pc.localDescription.sdp }); })
+          .catch(function () { if (onError) onError('failed'); });
+      });
+      return { id: id, destroy: function () { sock.close(); conn.close(); } };
+    },
+  };
+
+  // ── MANUAL (OFFLINE) ──────────────────────────────────────────────────
+  // No trickle: wait for ICE gathering to finish so one blob carries every
+  // candidate. A code is base64 JSON { i: sender id, s: sdp }.
+  //
+  //   guest: join() → offer(cb) → show code → finish(host's reply)
+  //   host:  host() → accept(guest's code, cb) → show the reply
+
+  function encode(id, sdp) {
+    return btoa(JSON.stringify({ i: id, s: sdp }));
+  }
+
+  function decode(code) {
+    try {
+      var d = JSON.parse(atob(String(code).replace(/\s+/g, '')));
+      return (d && d.i && d.s) ? d : null;
+    } catch (e) { return null; }
+  }
+
+  function gathered(pc, cb) {
+    var done = false;
+    function finish() { if (!done) { done = true; cb(pc.localDescription.sdp); } }
+    if (pc.iceGatheringState === 'complete') { finish(); return; }
+    pc.onicegatheringstatechange = function () {
+      if (pc.iceGatheringState === 'complete') finish();
+    };
+    setTimeout(finish, GATHER_MS);
+  }
+
+  var manual = {
+    host: function (id, onConnection, onError) {
+      var pcs = [];
+      return {
+        id: id,
+        accept: function (code, cb) {
+          var d = decode(code);
+          if (!d) { cb('bad code'); return; }
+          var pc = new RTCPeerConnection({ iceServers: [] });
+          pcs.push(pc);
+          onConnection(rtcConn(d.i, pc, null));
+          pc.setRemoteDescription({ type: 'offer', sdp: d.s })
+            .then(function () { return pc.createAnswer(); })
+            .then(function (a) { return pc.setLocalDescription(a); })
+            .then(function () { gathered(pc, function (sdp) { cb(null, encode(id, sdp)); }); })
+            .catch(function () { cb('failed'); if (onError) onError('failed'); });
+        },
+        destroy: function () {
+          for (var i = 0; i < pcs.length; i++) { try { pcs[i].close(); } catch (e) {} }
+        },
+      };
+    },
+    join: function (hostId, onConnection, onError) {
+      var id = randomId();
+      var pc = new RTCPeerConnection({ iceServers: [] });
+      var conn = rtcConn(hostId, pc, pc.createDataChannel('outfit', CHANNEL));
+      onConnection(conn);
+      return {
+        id: id,
+        offer: function (cb) {
+          pc.createOffer()
+            .then(function (o) { return pc.setLocalDescription(o); })
+            .then(function () { gathered(pc, function (sdp) { cb(null, encode(id, sdp)); }); })
+            .catch(function () { cb('failed'); if (onError) onError('failed'); });
+        },
+        finish: function (code, cb) {
+          var d = decode(code);
+          if (!d) { if (cb) cb('bad code'); return; }
+          conn.peer = d.i;
+          pc.setRemoteDescription({ type: 'answer', sdp: d.s })
+            .then(function () { if (cb) cb(null); })
+            .catch(function () { if (cb) cb('failed'); if (onError) onError('failed'); });
+        },
+        destroy: function () { conn.close(); },
+      };
+    },
+  };
+
+  // ── SELECTION ─────────────────────────────────────────────────────────
+
+  var BACKENDS = { peerjs: peerjs, ws: ws, manual: manual };
+
+  /** Pick a backend: 'peerjs', 'manual', or a ws:// / wss:// signaling URL. */
+  function use(spec) {
+    if (!spec || spec === 'peerjs') { _backend = 'peerjs'; _url = null; }
+    else if (spec === 'manual') { _backend = 'manual'; _url = null; }
+    else if (/^wss?:\/\//.test(spec)) { _backend = 'ws'; _url = spec; }
+  }
+
+  /** ?signal=… on the page URL, so a join link carries the host's choice. */
+  function fromURL() {
+    try { use(new URLSearchParams(window.location.search).get('signal')); } catch (e) {}
+  }
+
+  /** What to put back in ?signal= — null for the default. */
+  function spec() {
+    return _backend === 'ws' ? _url : (_backend === 'manual' ? 'manual' : null);
+  }
+
+  function host(id, onConnection, onError) {
+    return BACKENDS[_backend].host(id, onConnection, onError);
+  }
+
+  function join(hostId, onConnection, onError) {
+    return BACKENDS[_backend].join(hostId, onConnection, onError);
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    use:     use,
+    fromURL: fromURL,
+    spec:    spec,
+    host:    host,
+    join:    join,
+    get backend() { return _backend; },
+  });
+})();
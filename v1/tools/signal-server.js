@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * signal-server.js — self-hosted signaling for Outfit (js/signal.js, 'ws').
+ *
+ * A WebSocket relay and nothing else: each client connects with ?id=…,
+ * sends JSON { to, … } and the server forwards it to `to` with `from`
+ * stamped on. It never sees the music — once the WebRTC data channel is
+ * open the phones talk directly. No dependencies; plain Node.
+ *
+ * Errors go back as { type: 'error', reason }:
+ *   taken  — a client with that id is already connected (room code in use)
+ *   absent — nobody by that id to forward to (no such room)
+ *
+ * Usage:
+ *     node v1/tools/signal-server.js              listens on :8787
+ *     node v1/tools/signal-server.js 9000
+ *     then open /v1/?signal=ws://<this machine>:8787 and tap dance
+ *
+ * Also a module, for a local stand-in in tests:
+ *     var srv = require('./signal-server').start(0, function () {
+ *       srv.address().port …
+ *     });
+ */
+'use strict';
+
+var http   = require('http');
+var crypto = require('crypto');
+var url    = require('url');
+
+var GUID    = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';   // RFC 6455
+var MAX_MSG = 64 * 1024;                                // an SDP is a few KB
+
+// ── FRAMING ─────────────────────────────────────────────────────────────
+// Just enough of RFC 6455: text frames, close, ping/pong. Client frames
+// are masked; ours are not. Fragmented messages are not needed for SDP.
+
+function frame(opcode, payload) {
+  var len = payload.length;
+  var head;
+  if (len < 126) {
+    head = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode; head[1] = 126; head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode; head[1] = 127; head.writeUInt32BE(0, 2); head.writeUInt32BE(len, 6);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+/** Pull whole frames off the front of `buf`: { frames, rest } — null on a bad frame. */
+function parse(buf) {
+  var frames = [];
+  for (;;) {
+    if (buf.length < 2) break;
+    var opcode = buf[0] & 0x0f;
+    var masked = (buf[1] & 0x80) !== 0;
+    var len = buf[1] & 0x7f;
+    var at = 2;
+    if (len === 126) {
+      if (buf.length < 4) break;
+      len = buf.readUInt16BE(2); at = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) break;
+      if (buf.readUInt32BE(2) !== 0) return null;
+      len = buf.readUInt32BE(6); at = 10;
+    }
+    if (len > MAX_MSG || !masked) return null;
+    if (buf.length < at + 4 + len) break;
+    var mask = buf.slice(at, at + 4);
+    var data = Buffer.alloc(len);
+    for (var i = 0; i < len; i++) data[i] = buf[at + 4 + i] ^ mask[i & 3];
+    frames.push({ opcode: opcode, data: data });
+    buf = buf.slice(at + 4 + len);
+  }
+  return { frames: frames, rest: buf };
+}
+
+// ── RELAY ───────────────────────────────────────────────────────────────
+
+function start(port, onListening) {
+  var clients = {};   // id → socket
+
+  function sendJSON(sock, obj) {
+    try { sock.write(frame(0x1, Buffer.from(JSON.stringify(obj)))); } catch (e) {}
+  }
+
+  function drop(sock) {
+    if (sock.outfitId && clients[sock.outfitId] === sock) delete clients[sock.outfitId];
+    try { sock.end(frame(0x8, Buffer.alloc(0))); } catch (e) {}
+  }
+
+  function onMessage(sock, text) {
+    var d;
+    try { d = JSON.parse(text); } catch (e) { return; }
+    if (!d || typeof d.to !== 'string') return;
+    var to = clients[d.to];
+    if (!to) { sendJSON(sock, { type: 'error', reason: 'absent', to: d.to }); return; }
+    d.from = sock.outfitId;
+    sendJSON(to, d);
+  }
+
+  var server = http.createServer(function (req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('outfit signaling — ' + Object.keys(clients).length + ' connected\n');
+  });
+
+  server.on('upgrade', function (req, sock) {
+    // Before anything is written: a reset on any path must not take the server down
+    sock.on('error', function () {
+      if (sock.outfitId && clients[sock.outfitId] === sock) delete clients[sock.outfitId];
+    });
+
+    var key = req.headers['sec-websocket-key'];
+    var id = url.parse(req.url, true).query.id;
+    if (!key || typeof id !== 'string' || !id || id.length > 64) { sock.destroy(); return; }
+
+    var accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    sock.write('HTTP/1.1 101 Switching Protocols\r\n' +
+               'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+               'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+    sock.setNoDelay(true);
+
+    if (clients[id]) {
+      sendJSON(sock, { type: 'error', reason: 'taken' });
+      drop(sock);
+      return;
+    }
+    sock.outfitId = id;
+    clients[id] = sock;
+
+    var pending = Buffer.alloc(0);
+    sock.on('data', function (chunk) {
+      var got = parse(Buffer.concat([pending, chunk]));
+      if (!got) { drop(sock); return; }
+      pending = got.rest;
+      for (var i = 0; i < got.frames.length; i++) {
+        var f = got.frames[i];
+        if (f.opcode === 0x1) onMessage(sock, f.data.toString('utf8'));
+        else if (f.opcode === 0x8) { drop(sock); return; }
+        else if (f.opcode === 0x9) { try { sock.write(frame(0xA, f.data)); } catch (e) {} }
+      }
+    });
+    sock.on('close', function () {
+      if (clients[id] === sock) delete clients[id];
+    });
+  });
+
+  server.listen(port, onListening);
+  return server;
+}
+
+module.exports = { start: start };
+
+if (require.main === module) {
+  var port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+  start(port, function () {
+    console.log('outfit signaling on ws://0.0.0.0:' + port);
+  });
+}
@@ -0,0 +1,285 @@
+/**
+ * ARCHIVE — Snapshots you can keep, compare and export
+ *
+ * CAPTURE WAND + ENV used to print one object to the console. Now every
+ * capture is stored in IndexedDB (gump_v4 → snapshots) with what the engine
+ * was doing at that moment and the last few seconds of what it sounded like:
+ *
+ *   style + sunoPrompt + live prompt (js/prompt.js)   section (form)   key + mode (Harmony)   tempo
+ *   wand (tremor, shape, speed, curvature, KRET)   env + GPS + weather
+ *   audio — the last CLIP_SEC of the master bus, mono WAV
+ *
+ * snapshots.html browses the archive, diffs two snapshots side by side and
+ * exports everything as JSONL — one snapshot per line, the training set the
+ * sensor → conditioning model needs.
+ *
+ * The clip comes from a ring buffer on Sound.master. tap() is called every
+ * frame and follows the master across Conductor.init (a new graph per init).
+ */
+
+const Archive = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var DB_NAME    = 'gump_v4';
+  var DB_VERSION = 1;
+  var STORE      = 'snapshots';
+  var CLIP_SEC   = 6;
+  var CLIP_RATE  = 22050;     // clips are for listening back, not mastering
+  var BLOCK      = 4096;
+  var NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _memory   = {};      // fallback when IndexedDB is blocked (private mode)
+
+  var _tapNode  = null;    // node the ring buffer listens to
+  var _proc     = null;
+  var _ring     = null;    // Float32Array at CLIP_RATE
+  var _ringPos  = 0;
+  var _ringFull = false;
+  var _decim    = 1;       // ctx samples per ring sample
+  var _rate     = CLIP_RATE;
+  var _acc      = 0;
+  var _accN     = 0;
+
+  // ── INDEXEDDB ─────────────────────────────────────────────────────────
+
+  var _store = (typeof IDB !== 'undefined') ? IDB.store(DB_NAME, DB_VERSION, STORE) : null;
+
+  function _tx(mode, fn) {
+    return _store ? _store.tx(mode, fn) : Promise.reject(new Error('IndexedDB unavailable'));
+  }
+
+  function save(snap) {
+    return _tx('readwrite', function (s) { s.put(snap); }).catch(function () {
+      _memory[snap.id] = snap;
+    }).then(function () { return snap; });
+  }
+
+  /** Every snapshot, newest first. */
+  function list() {
+    return _tx('readonly', function (s) { return s.getAll(); }).catch(function () {
+      return Object.keys(_memory).map(function (k) { return _memory[k]; });
+    }).then(function (all) {
+      return (all || []).sort(function (a, b) { return a.time < b.time ? 1 : a.time > b.time ? -1 : 0; });
+    });
+  }
+
+  function get(id) {
+    return _tx('readonly', function (s) { return s.get(id); }).catch(function () {
+      return _memory[id];
+    }).then(function (snap) { return snap || null; });
+  }
+
+  function remove(id) {
+    return _tx('readwrite', function (s) { s.delete(id); }).catch(function () {
+      delete _memory[id];
+    });
+  }
+
+  function clear() {
+    return _tx('readwrite', function (s) { s.clear(); }).catch(function () {
+      _memory = {};
+    });
+  }
+
+  // ── AUDIO CLIP ────────────────────────────────────────────────────────
+
+  /**
+   * Keep the last CLIP_SEC of `node` (usually Sound.master). Cheap to call
+   * every frame — it only rewires when the node changes.
+   */
+  function tap(ctx, node) {
+    if (!ctx || !node || node === _tapNode || !ctx.createScriptProcessor) return;
+    try {
+      if (_proc) { _proc.onaudioprocess = null; _proc.disconnect(); }
+      _decim = Math.max(1, Math.round(ctx.sampleRate / CLIP_RATE));
+      _rate  = Math.round(ctx.sampleRate / _decim);
+      if (!_ring) _ring = new Float32Array(Math.ceil(CLIP_SEC * ctx.sampleRate / _decim));
+      _proc = ctx.createScriptProcessor(BLOCK, 1, 1);
+      _proc.onaudioprocess = _onAudio;
+      node.connect(_proc);
+      // Some browsers only run a processor that reaches the destination; it outputs silence
+      _proc.connect(ctx.destination);
+      _tapNode = node;
+    } catch (e) { _tapNode = null; }
+  }
+
+  function _onAudio(e) {
+    var data = e.inputBuffer.getChannelData(0);
+    for (var i = 0; i < data.length; i++) {
+      _acc += data[i];
+      if (++_accN < _decim) continue;
+      _ring[_ringPos++] = _acc / _accN;
+      _acc = 0; _accN = 0;
+      if (_ringPos >= _ring.length) { _ringPos = 0; _ringFull = true; }
+    }
+  }
+
+  /** The last CLIP_SEC as a mono WAV Blob, or null before any audio. */
+  function clip() {
+    if (!_ring || (!_ringFull && _ringPos === 0)) return null;
+    var len = _ringFull ? _ring.length : _ringPos;
+    var out = new Float32Array(len);
+    if (_ringFull) {
+      out.set(_ring.subarray(_ringPos));
+      out.set(_ring.subarray(0, _ringPos), _ring.length - _ringPos);
+    } else {
+      out.set(_ring.subarray(0, _ringPos));
+    }
+    // Render.encodeWAV only needs the AudioBuffer shape
+    return Render.encodeWAV({
+      numberOfChannels: 1,
+      length:           len,
+      sampleRate:       _rate,
+      getChannelData:   function () { return out; },
+    });
+  }
+
+  // ── CAPTURE ───────────────────────────────────────────────────────────
+
+  function _noteName(hz) {
+    if (!(hz > 0)) return null;
+    var midi = Math.round(69 + 12 * Math.log(hz / 440) / Math.LN2);
+    return NOTE_NAMES[((midi % 12) + 12) % 12];
+  }
+
+  function _num(v, places) {
+    return (typeof v === 'number' && isFinite(v)) ? +v.toFixed(places) : null;
+  }
+
+  /**
+   * Snapshot what the engine is doing right now (no audio, not stored).
+   * Reads the live modules — anything not loaded is simply left out.
+   */
+  function current() {
+    var sensor = (typeof Sensor !== 'undefined') ? Sensor.read() : {};
+    var wand   = (typeof Conductor !== 'undefined' && Conductor.wand) ? Conductor.wand
+               : (typeof Wand !== 'undefined' ? Wand.getState() : {}) || {};
+    var styleId = (typeof Conductor !== 'undefined') ? Conductor.styleId : 'lofi';
+    var style  = (typeof Styles !== 'undefined') ? Styles.get(styleId) : {};
+    var now    = new Date();
+    var snap = {
+      id:         'snap-' + now.getTime(),
+      time:       now.toISOString(),
+      style:      style.id || styleId,
+      sunoPrompt: style.sunoPrompt || '',
+      prompt:     (typeof Prompt !== 'undefined') ? Prompt.build() : null,   // what the wand has been saying
+      section:    (typeof Conductor !== 'undefined') ? Conductor.songSection : null,
+      phase:      (typeof Conductor !== 'undefined') ? Conductor.phase : null,
+      seed:       (typeof Seed !== 'undefined') ? Seed.value : null,
+      tempo:      (typeof Rhythm !== 'undefined') ? _num(Rhythm.tempo, 1) : null,
+      harmony: (typeof Harmony !== 'undefined') ? {
+        key:  _noteName(Harmony.root),
+        mode: Harmony.mode,
+        root: _num(Harmony.root, 2),
+      } : null,
+      env: {
+        gps:       { lat: sensor.latitude, lon: sensor.longitude },
+        weather:   sensor.weather,
+        temp:      sensor.temperature,
+        humidity:  sensor.humidity,
+        timeOfDay: sensor.timeOfDay,
+        label:     (typeof Environ !== 'undefined' && Environ.label) ? Environ.label() : null,
+      },
+      wand: {
+        tremor:    wand.tremor,
+        shape:     wand.shapeType,
+        speed:     wand.speed,
+        curvature: wand.curvature,
+        kret:      wand.kret,
+      },
+      motionSampleRate: sensor.sampleRate,
+    };
+    return JSON.parse(JSON.stringify(snap));
+  }
+
+  /** Snapshot + audio clip, stored. Resolves with the saved snapshot. */
+  function capture(extra) {
+    var snap = current();
+    if (extra) Object.keys(extra).forEach(function (k) { snap[k] = extra[k]; });
+    snap.audio = clip();
+    return save(snap);
+  }
+
+  // ── DIFF ──────────────────────────────────────────────────────────────
+
+  /** Nested snapshot → { 'wand.kret.K': 0.61, … } (audio and id left out). */
+  function flatten(snap) {
+    var out = {};
+    (function walk(obj, prefix) {
+      Object.keys(obj || {}).forEach(function (k) {
+        if (!prefix && (k === 'audio' || k === 'id')) return;
+        var v = obj[k];
+        var path = prefix ? prefix + '.' + k : k;
+        if (v && typeof v === 'object' && !Array.isArray(v) && !(typeof Blob !== 'undefined' && v instanceof Blob)) walk(v, path);
+        else out[path] = v;
+      });
+    })(snap, '');
+    return out;
+  }
+
+  /**
+   * Every field of a and b side by side.
+   * @returns {Array} [{ path, a, b, same, delta }] — delta = b − a for numbers
+   */
+  function diff(a, b) {
+    var fa = flatten(a), fb = flatten(b);
+    var paths = Object.keys(fa);
+    Object.keys(fb).forEach(function (p) { if (!(p in fa)) paths.push(p); });
+    return paths.sort().map(function (p) {
+      var va = fa[p], vb = fb[p];
+      var row = { path: p, a: va, b: vb, same: JSON.stringify(va) === JSON.stringify(vb) };
+      if (typeof va === 'number' && typeof vb === 'number') row.delta = +(vb - va).toFixed(4);
+      return row;
+    });
+  }
+
+  // ── EXPORT ────────────────────────────────────────────────────────────
+
+  function _dataURL(blob) {
+    return new Promise(function (resolve) {
+      var r = new FileReader();
+      r.onload = function () { resolve(r.result); };
+      r.onerror = function () { resolve(null); };
+      r.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Snapshots → JSONL text, one per line, oldest first.
+   * @param {Array} snaps
+   * @param {Object} [opts] — { audio: true } embeds each clip as a WAV data URL
+   */
+  function toJSONL(snaps, opts) {
+    opts = opts || {};
+    var ordered = snaps.slice().sort(function (a, b) { return a.time < b.time ? -1 : a.time > b.time ? 1 : 0; });
+    return Promise.all(ordered.map(function (s) {
+      var row = JSON.parse(JSON.stringify(Object.assign({}, s, { audio: undefined })));
+      if (!opts.audio || !s.audio) return row;
+      return _dataURL(s.audio).then(function (url) { row.audio = url; return row; });
+    })).then(function (rows) {
+      return rows.map(function (r) { return JSON.stringify(r); }).join('\n') + (rows.length ? '\n' : '');
+    });
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    tap:      tap,
+    clip:     clip,
+    current:  current,
+    capture:  capture,
+    save:     save,
+    list:     list,
+    get:      get,
+    remove:   remove,
+    clear:    clear,
+    flatten:  flatten,
+    diff:     diff,
+    toJSONL:  toJSONL,
+    CLIP_SEC: CLIP_SEC,
+  });
+})();
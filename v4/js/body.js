@@ -19,6 +19,9 @@
 const Body = (function () {
   'use strict';
 
+  // Session PRNG (seed.js) when loaded
+  var rand = (typeof Seed !== 'undefined') ? Seed.random : Math.random;
+
   // ── CALLBACKS ──────────────────────────────────────────────────────────
   // Simple pub/sub. No event bus overhead.
 
@@ -647,7 +650,7 @@ const Body = (function () {
     for (var i = 0; i < 8; i++) {
       // Source i updates every 2^i steps
       if ((this._counter & ((1 << i) - 1)) === 0) {
-        this._sources[i] = Math.random() * 2 - 1;
+        this._sources[i] = rand() * 2 - 1;
       }
       sum += this._sources[i];
     }
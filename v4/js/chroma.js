@@ -0,0 +1,258 @@
+/**
+ * CHROMA — The room's chords and key, heard through the mic
+ *
+ * Key and mode come from Environ (GPS tile, weather); nothing listens to a
+ * guitar or a piano in the room. This folds the mic's spectrum into twelve
+ * pitch classes (a chromagram) and reads two things off it:
+ *
+ *   chord — the last ~CHORD_TAU s matched against the 24 major and minor
+ *           triads (cosine); a new best held for CHORD_HOLD_MS is a change
+ *   key   — the last ~KEY_TAU s correlated with the Krumhansl–Kessler
+ *           major and minor profiles; a key is only reported once it has
+ *           won for KEY_HOLD_MS, so one borrowed chord doesn't modulate
+ *
+ * update() returns { root, quality, name, key, mode } on the frame the chord
+ * or the key changes. With LOCK TO ROOM on, the conductor (Conductor.roomChord)
+ * moves Harmony to that key and voice-leads the band onto the chord.
+ */
+
+const Chroma = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var FFT_SIZE      = 8192;    // ~6 Hz bins — a semitone apart from ~100 Hz up
+  var MIN_HZ        = 80;
+  var MAX_HZ        = 2000;    // above this it is overtones and cymbals
+  var ANALYSE_MS    = 100;
+  var SILENCE_DB    = -70;     // loudest bin below this: nobody is playing
+  var PEAK_OVER     = 4;       // a partial stands this far above the band's mean
+  var CHORD_TAU     = 0.35;    // seconds
+  var CHORD_MIN     = 0.62;    // cosine below this is no chord (noise, speech, drums)
+  var CHORD_HOLD_MS = 250;
+  var KEY_TAU       = 20;
+  var KEY_MIN       = 0.55;    // correlation
+  var KEY_HOLD_MS   = 4000;
+  var NOTE_NAMES    = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  // Krumhansl & Kessler 1982 — how well each scale step fits a major / minor key
+  var PROFILE = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+  };
+  var TRIADS = { M: [0, 4, 7], m: [0, 3, 7] };
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _analyser = null;
+  var _source   = null;
+  var _spec     = null;
+  var _rate     = 44100;
+  var _lastRun  = -Infinity;
+
+  var _short    = new Float32Array(12);   // chord window
+  var _long     = new Float32Array(12);   // key window
+  var _chord    = null;                   // { root, quality, name, score } as reported
+  var _cand     = null;                   // best chord being held
+  var _candT    = 0;
+  var _key      = null;                   // { key, mode, name, confidence } as reported
+  var _keyCand  = null;
+  var _keyCandT = 0;
+
+  // ── ANALYSIS ──────────────────────────────────────────────────────────
+
+  /**
+   * Twelve pitch-class weights (C first) from one magnitude spectrum in dB,
+   * or null when the band is silent. Only spectral peaks count, each on the
+   * pitch class it is nearest to, weighted by how close it is to in tune.
+   */
+  function chromaOf(spec, sampleRate, fftSize) {
+    var hzPerBin = sampleRate / fftSize;
+    var lo = Math.max(2, Math.floor(MIN_HZ / hzPerBin));
+    var hi = Math.min(spec.length - 2, Math.ceil(MAX_HZ / hzPerBin));
+    var max = -Infinity, mean = 0;
+    for (var i = lo; i <= hi; i++) {
+      if (spec[i] > max) max = spec[i];
+      mean += Math.pow(10, spec[i] / 20);
+    }
+    if (!(max > SILENCE_DB)) return null;
+    mean /= (hi - lo + 1);
+
+    var out = new Float32Array(12);
+    for (var k = lo; k <= hi; k++) {
+      var db = spec[k];
+      if (db < spec[k - 1] || db < spec[k + 1]) continue;
+      var mag = Math.pow(10, db / 20);
+      if (mag < mean * PEAK_OVER) continue;
+      // parabolic peak on the dB curve — bins alone are too coarse in the bass
+      var a = spec[k - 1], c = spec[k + 1];
+      var denom = a - 2 * db + c;
+      var bin = k + (denom < 0 ? 0.5 * (a - c) / denom : 0);
+      var midi = 69 + 12 * Math.log(bin * hzPerBin / 440) / Math.LN2;
+      var near = Math.round(midi);
+      var w = 1 - 2 * Math.abs(midi - near);
+      if (w <= 0) continue;
+      out[((near % 12) + 12) % 12] += mag * w;
+    }
+    return out;
+  }
+
+  function _norm(v) {
+    var s = 0;
+    for (var i = 0; i < 12; i++) s += v[i] * v[i];
+    return Math.sqrt(s);
+  }
+
+  /** Best major/minor triad for a chroma vector: { root, quality, name, score }. */
+  function detectChord(chroma) {
+    var n = _norm(chroma);
+    if (!(n > 0)) return null;
+    var best = null;
+    for (var root = 0; root < 12; root++) {
+      for (var q in TRIADS) {
+        var dot = 0;
+        for (var j = 0; j < 3; j++) dot += chroma[(root + TRIADS[q][j]) % 12];
+        var score = dot / (n * Math.sqrt(3));
+        if (!best || score > best.score) best = { root: root, quality: q, score: score };
+      }
+    }
+    best.name = NOTE_NAMES[best.root] + (best.quality === 'm' ? 'm' : '');
+    return best;
+  }
+
+  function _corr(x, y) {
+    var mx = 0, my = 0;
+    for (var i = 0; i < 12; i++) { mx += x[i]; my += y[i]; }
+    mx /= 12; my /= 12;
+    var sxy = 0, sxx = 0, syy = 0;
+    for (var j = 0; j < 12; j++) {
+      var dx = x[j] - mx, dy = y[j] - my;
+      sxy += dx * dy; sxx += dx * dx; syy += dy * dy;
+    }
+    return (sxx > 0 && syy > 0) ? sxy / Math.sqrt(sxx * syy) : 0;
+  }
+
+  /** Best key for a chroma vector: { key (0–11), mode, name, confidence }. */
+  function detectKey(chroma) {
+    var best = null;
+    for (var key = 0; key < 12; key++) {
+      for (var mode in PROFILE) {
+        var rotated = [];
+        for (var i = 0; i < 12; i++) rotated.push(PROFILE[mode][(i - key + 12) % 12]);
+        var r = _corr(chroma, rotated);
+        if (!best || r > best.confidence) best = { key: key, mode: mode, confidence: r };
+      }
+    }
+    best.name = NOTE_NAMES[best.key] + ' ' + best.mode;
+    return best;
+  }
+
+  // ── MIC ───────────────────────────────────────────────────────────────
+
+  /** Listen to `source` (the mic's MediaStreamSource). */
+  function attach(ctx, source) {
+    detach();
+    try {
+      _analyser = ctx.createAnalyser();
+      _analyser.fftSize = FFT_SIZE;
+      _analyser.smoothingTimeConstant = 0;
+      source.connect(_analyser);
+      _source = source;
+      _rate = ctx.sampleRate;
+      _spec = new Float32Array(_analyser.frequencyBinCount);
+    } catch (e) { _analyser = null; }
+  }
+
+  function detach() {
+    if (_source && _analyser) { try { _source.disconnect(_analyser); } catch (e) { /* already gone */ } }
+    _analyser = null;
+    _source = null;
+    _short = new Float32Array(12);
+    _long = new Float32Array(12);
+    _chord = null;
+    _cand = null;
+    _key = null;
+    _keyCand = null;
+  }
+
+  // ── UPDATE ────────────────────────────────────────────────────────────
+
+  /**
+   * Call once per loop frame.
+   * @param {number} now — ms
+   * @returns {{ root, quality, name, key, mode }|null} only when the chord or key changes
+   */
+  function update(now) {
+    if (!_analyser || now - _lastRun < ANALYSE_MS) return null;
+    var dt = Math.min(0.5, (now - _lastRun) / 1000);
+    _lastRun = now;
+    try {
+      _analyser.getFloatFrequencyData(_spec);
+      var c = chromaOf(_spec, _rate, FFT_SIZE);
+      var cn = c ? _norm(c) : 0;
+      var aShort = 1 - Math.exp(-dt / CHORD_TAU);
+      var aLong  = 1 - Math.exp(-dt / KEY_TAU);
+      for (var i = 0; i < 12; i++) {
+        var v = cn > 0 ? c[i] / cn : 0;
+        _short[i] += (v - _short[i]) * aShort;
+        if (cn > 0) _long[i] += (v - _long[i]) * aLong;    // the key remembers through rests
+      }
+
+      var changed = false;
+
+      var ch = detectChord(_short);
+      if (!ch || ch.score < CHORD_MIN) {
+        _cand = null;
+      } else if (!_cand || _cand.name !== ch.name) {
+        _cand = ch;
+        _candT = now;
+      } else if (now - _candT >= CHORD_HOLD_MS && (!_chord || _chord.name !== ch.name)) {
+        _chord = ch;
+        changed = true;
+      }
+      if (_chord && _cand && _cand.name === _chord.name) _chord.score = ch.score;
+
+      var k = detectKey(_long);
+      if (k.confidence < KEY_MIN) {
+        _keyCand = null;
+      } else if (!_keyCand || _keyCand.name !== k.name) {
+        _keyCand = k;
+        _keyCandT = now;
+      } else if (now - _keyCandT >= KEY_HOLD_MS && (!_key || _key.name !== k.name)) {
+        _key = k;
+        changed = true;
+      }
+      if (_key && _key.name === k.name) _key.confidence = k.confidence;
+
+      return changed ? current() : null;
+    } catch (e) { return null; }
+  }
+
+  /** What the room is on right now, in update()'s shape — null before anything was heard. */
+  function current() {
+    if (!_chord && !_key) return null;
+    return {
+      root:    _chord ? _chord.root : null,
+      quality: _chord ? _chord.quality : null,
+      name:    _chord ? _chord.name : null,
+      key:     _key ? _key.key : null,
+      mode:    _key ? _key.mode : null,
+    };
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    attach:      attach,
+    detach:      detach,
+    update:      update,
+    current:     current,
+    chromaOf:    chromaOf,
+    detectChord: detectChord,
+    detectKey:   detectKey,
+    get listening() { return _analyser !== null; },
+    get chord()     { return _chord; },
+    get key()       { return _key; },
+    get chroma()    { return Array.prototype.slice.call(_short); },
+  });
+})();
@@ -17,6 +17,9 @@
 const Conductor = (function () {
   'use strict';
 
+  // Call & response waits and section choices: session PRNG (seed.js)
+  var rand = (typeof Seed !== 'undefined') ? Seed.random : Math.random;
+
   // ── CONSTANTS ─────────────────────────────────────────────────────────
 
   var PHASE_LISTENING = 3;   // 3s engaged → phase 1
@@ -27,6 +30,8 @@ const Conductor = (function () {
   var _active     = false;
   var _styleId    = 'lofi';
   var _lens       = null;
+  var _lensBase   = null;      // lens before setVoices() — style voices already applied
+  var _voiceOverride = null;   // { continuous, harmonic, peak } from setVoices()
   var _lastT      = 0;
 
   // Silence / presence
@@ -41,8 +46,15 @@ const Conductor = (function () {
   // v4 Song Form — the missing piece for "sounds like a real song"
   // Wand movement + cumulative gesture "story" is the prompt that builds the song structure.
   // Sections evolve over time, shaped uniquely by how the user waves the phone.
-  var _songSection = 'intro';   // intro | verse | build | chorus | bridge | release
+  // Which sections exist, how they connect and what they do is the style's
+  // form (js/form.js) — the song form is intro → verse → build → chorus → …
+  var _form             = null;     // { start, sections } from Form.resolve
+  var _songSection      = 'intro';
   var _sectionStartTime = 0;
+  var _sectionGestures  = 0;        // big shapes since the section began
+  var _sectionVisits    = {};       // section → times entered
+  var _sectionFx        = { reverb: 1, mute: {}, chordRhythm: null, density: 1 };
+  var _pendingSection   = null;     // { name, bar, pickup, picked } — waiting for its downbeat
   var _wandNarrative = {
     totalBigGestures: 0,
     cumulativeEnergy: 0,
@@ -85,6 +97,11 @@ const Conductor = (function () {
   var _errorCount = 0;
   var _touchDuck  = 1.0;
 
+  // Key + tempo as the lens set them — sections shift from here
+  var _rootHz   = 261.626;
+  var _modeBase = 'minor';
+  var _bpm      = 88;
+
   // v4 WAND state (populated every frame from wand.js)
   var _wandState = null;
 
@@ -295,8 +312,10 @@ const Conductor = (function () {
         if (deg === null || deg === undefined) deg = 0;
 
         var h = _lens.palette.harmonic;
-        try { Sound.play(h.voice, Sound.currentTime, Harmony.freq(0, -1), 0.25, 2.0); }
-        catch(e) {}
+        if (!_sectionFx.mute.chords) {
+          try { Sound.play(h.voice, Sound.currentTime, Harmony.freq(_chordRoot(), -1), 0.25, 2.0); }
+          catch(e) {}
+        }
 
         var cont2 = _lens.palette.continuous;
         try {
@@ -327,7 +346,8 @@ const Conductor = (function () {
   // This is the heart of the instrument. Everything else is support.
 
   function _updateTiltPitch(sensor, now, dt) {
-    if (!Sound.ctx || _isSilent || _fadeGain < 0.08) return;
+    if (!Sound.ctx || _isSilent || _fadeGain < 0.08 || _sectionFx.mute.melody) return;
+    if (now - _voiceT < VOICE_HOLD_MS) return;   // someone is singing the lead
 
     var tiltRange = _lens.response.tiltRange;
     // Natural iPhone hold ≈ 62°. Center instrument there.
@@ -402,11 +422,101 @@ const Conductor = (function () {
           Sound.play(cont.voice, Sound.currentTime, freq, vel, dec);
           _noteCount++;
         } catch(e) { _errorCount++; }
+        if (typeof Pattern !== 'undefined') {
+          try { Pattern.onNote(motifDeg, vel, now); } catch(e) { _errorCount++; }
+        }
       }
     }
   }
 
 
+  // ── VOICE LEAD ────────────────────────────────────────────────────────
+  //
+  // A note sung or hummed into the mic (js/pitch.js) takes the melody: it is
+  // snapped to the scale, played on the lead voice, and recorded into
+  // Harmony's history and motif memory — so the chords, answers and
+  // gravity follow the singer. Tilt melody rests while someone sings.
+
+  var VOICE_HOLD_MS = 1500;
+  var _voiceT       = -Infinity;
+  var _voiceShift   = 0;      // octaves (in degrees) that put the phrase in the lead's range
+
+  function sing(hz, level) {
+    if (!_active || !_lens || !Sound.ctx || !(hz > 0)) return;
+    var len = Harmony.scale.length;
+    var deg = Harmony.nearestDegree(hz);
+    // A new phrase picks its octave from its first note; inside it the contour is the singer's
+    if (_lastT - _voiceT > VOICE_HOLD_MS) _voiceShift = -Math.floor(deg / len) * len;
+    _voiceT = _lastT;
+    _stillnessTimer = 0;
+
+    _currentDegree = deg + _voiceShift;
+    Harmony.recordNote(_currentDegree);
+    _lastNoteTime = _lastT;
+    if (_sectionFx.mute.melody) return;
+
+    var cont = _lens.palette.continuous;
+    var vel  = Math.min(0.55, (0.22 + 0.4 * (level || 0.5)) * (cont.velBoost || 1));
+    try {
+      Sound.play(cont.voice, Sound.currentTime, Harmony.freq(_currentDegree, cont.octave || 0), vel, cont.decay || 1.2);
+      _noteCount++;
+    } catch(e) { _errorCount++; }
+  }
+
+
+  // ── ROOM HARMONY ──────────────────────────────────────────────────────
+  //
+  // LOCK TO ROOM: the key and the chords come from whoever is playing near
+  // the mic (js/chroma.js). Harmony moves to the heard key — sections stop
+  // transposing it — and each heard chord is voice-led onto the harmonic
+  // voice as it arrives, even one the scale can't spell. Peaks, touches,
+  // wake-ups and phrase ends take their chord tones from the heard chord.
+
+  var _roomLock    = false;
+  var _roomKey     = null;    // { key: 0–11, mode } Harmony is in
+  var _roomChord   = null;    // { deg, semis } the band is on
+  var _roomVoicing = null;    // Hz — the last heard chord as the band voiced it
+
+  function lockToRoom(on) {
+    _roomLock = !!on;
+    if (_roomLock) return;
+    _roomKey = null;
+    _roomChord = null;
+    _roomVoicing = null;
+    if (_lens) _configureHarmony();
+  }
+
+  // c = Chroma.update() / Chroma.current(): { root, quality, key, mode }, any may be null
+  function roomChord(c) {
+    if (!_roomLock || !_active || !_lens || !c) return;
+    if (c.key !== null && c.key !== undefined &&
+        (!_roomKey || _roomKey.key !== c.key || _roomKey.mode !== c.mode)) {
+      _roomKey = { key: c.key, mode: c.mode };
+      _configureHarmony();
+    }
+    if (c.root === null || c.root === undefined) return;
+
+    var keyPc = Math.round(12 * Math.log(Harmony.root / 261.626) / Math.LN2);
+    var rel   = (((c.root - keyPc) % 12) + 12) % 12;
+    var semis = [rel, rel + (c.quality === 'm' ? 3 : 4), rel + 7];
+    _roomChord = { deg: Harmony.nearestDegree(Harmony.root * Math.pow(2, rel / 12)), semis: semis };
+
+    var h = _lens.palette.harmonic;
+    _roomVoicing = Harmony.voiceLeadSemis(_roomVoicing, semis, h.octave || 0);
+    if (_isSilent || _sectionFx.mute.chords || !Sound.ctx) return;
+    var vel = Math.min(0.40, 0.14 + _fadeGain * 0.22);
+    for (var i = 0; i < _roomVoicing.length; i++) {
+      try { Sound.play(h.voice, Sound.currentTime + i * 0.03, _roomVoicing[i], vel, h.decay || 1.8); }
+      catch(e) { _errorCount++; }
+    }
+  }
+
+  // Scale degree chord tones are counted from — 0 unless the room says otherwise
+  function _chordRoot() {
+    return _roomChord ? _roomChord.deg : 0;
+  }
+
+
   // ── PHRASE ────────────────────────────────────────────────────────────
 
   function _updatePhrase(mag, now, dt) {
@@ -453,15 +563,16 @@ const Conductor = (function () {
     Harmony.endPhrase(_phraseMaxMag);
 
     // Resolution chord — the musical full stop
-    if (!_isSilent && _fadeGain > 0.15 && Sound.ctx) {
+    if (!_isSilent && _fadeGain > 0.15 && Sound.ctx && !_sectionFx.mute.chords) {
       var h      = _lens.palette.harmonic;
       var resVel = Math.min(0.50, 0.18 + _fadeGain * 0.28);
       var chord  = Harmony.tension > 0.6 ? [0,2,4,6] : [0,2,4];
       var t0     = Sound.currentTime;
-      for (var ci = 0; ci < chord.length; ci++) {
+      // Locked to the room, the full stop is the chord the room is on
+      var freqs  = _roomVoicing || chord.map(function (d) { return Harmony.freq(d, h.octave || 0); });
+      for (var ci = 0; ci < freqs.length; ci++) {
         try {
-          Sound.play(h.voice, t0 + ci * 0.12,
-            Harmony.freq(chord[ci], h.octave || 0),
+          Sound.play(h.voice, t0 + ci * 0.12, freqs[ci],
             resVel * (1 - ci * 0.10), h.decay || 1.8);
         } catch(e) { _errorCount++; }
       }
@@ -479,12 +590,12 @@ const Conductor = (function () {
       var p   = _lens.palette.peak;
 
       // Peak voice: nearest chord tone to current melody degree
-      if (p && vel > 0.08) {
+      if (p && vel > 0.08 && !_sectionFx.mute.peak) {
         var chordTones = [0,2,4,7];
         var peakDeg = 0, minD = 99;
         for (var ci = 0; ci < chordTones.length; ci++) {
           for (var oi = -1; oi <= 1; oi++) {
-            var cand = chordTones[ci] + oi * 7;
+            var cand = _chordRoot() + chordTones[ci] + oi * 7;
             var d    = Math.abs(cand - _currentDegree);
             if (d < minD) { minD = d; peakDeg = cand; }
           }
@@ -496,7 +607,7 @@ const Conductor = (function () {
 
       // Harmonic answer — slightly delayed, softer
       var h = _lens.palette.harmonic;
-      if (h && vel > 0.38 && _sessionPhase >= 1) {
+      if (h && vel > 0.38 && _sessionPhase >= 1 && !_sectionFx.mute.chords) {
         var answerDeg = Harmony.tension > 0.65 ? 0
           : _phraseEnergyArc > 0.55 ? 4 : _currentDegree % 7;
         Sound.play(h.voice, t + 0.32,
@@ -538,13 +649,13 @@ const Conductor = (function () {
     }
 
     if (Rhythm.tempoLocked && Rhythm.tempo > 0) {
-      _answerTime = now + (60000 / Rhythm.tempo) * (Math.random() < 0.5 ? 2 : 4);
+      _answerTime = now + (60000 / Rhythm.tempo) * (rand() < 0.5 ? 2 : 4);
     } else {
-      _answerTime = now + 1500 + Math.random() * 2000;
+      _answerTime = now + 1500 + rand() * 2000;
     }
     _answerIdx     = 0;
     _answerPending = true;
-    _crCooldown    = now + 10000 + Math.random() * 4000;
+    _crCooldown    = now + 10000 + rand() * 4000;
   }
 
   function _processAnswer(now) {
@@ -555,12 +666,14 @@ const Conductor = (function () {
       var note = _answerNotes[_answerIdx];
       if (now >= _answerTime + note.delayMs) {
         var h = _lens.palette.harmonic;
-        try {
-          Sound.play(h.voice, Sound.currentTime,
-            Harmony.freq(note.deg, h.octave || 0),
-            note.vel * _fadeGain, h.decay || 1.8);
-          Harmony.recordNote(note.deg);
-        } catch(e) { _errorCount++; }
+        if (!_sectionFx.mute.chords) {
+          try {
+            Sound.play(h.voice, Sound.currentTime,
+              Harmony.freq(note.deg, h.octave || 0),
+              note.vel * _fadeGain, h.decay || 1.8);
+            Harmony.recordNote(note.deg);
+          } catch(e) { _errorCount++; }
+        }
         _answerIdx++;
       }
     } else {
@@ -600,6 +713,8 @@ const Conductor = (function () {
     // Style-specific reverb floor
     var reverbFloor = (_lens.space && _lens.space.reverbMix) || 0.25;
     _prodigy.reverbTarget = Math.max(reverbFloor * 0.6, _prodigy.reverbTarget);
+    // The song section colors the room on top (form reverb multiplier)
+    _prodigy.reverbTarget = Math.min(0.9, _prodigy.reverbTarget * _sectionFx.reverb);
     try { Sound.setReverbMix(_prodigy.reverbTarget); } catch(e) {}
 
     // Volatile energy → compress dynamic range
@@ -627,9 +742,10 @@ const Conductor = (function () {
   // Inspired by Suno: structure is not a separate planner — it emerges from
   // long-term coherence + explicit structural cues. Here the structural cues
   // come from your physical gestures + the accumulating "story" of your movement.
+  // Which sections there are and what moves between them is the style's form.
 
   function _updateSongStructure(now, dt) {
-    if (!_wandState) return;
+    if (!_wandState || !_form) return;
 
     var w = _wandState;
 
@@ -640,112 +756,163 @@ const Conductor = (function () {
       if (now - _wandNarrative.lastBigShapeTime > 800) {
         _wandNarrative.totalBigGestures++;
         _wandNarrative.lastBigShapeTime = now;
+        _sectionGestures++;
       }
     }
 
     // Simple rolling tremor average
     _wandNarrative.recentTremorAvg = _wandNarrative.recentTremorAvg * 0.9 + (w.tremor || 0) * 0.1;
 
-    var sectionAge = (now - _sectionStartTime) / 1000;
+    // A change already decided waits for its downbeat (_updateTransition)
+    if (_pendingSection) return;
+
+    // Progression rules are the form's — Form.next reads them against these
+    var tempo = (Rhythm.tempo > 0) ? Rhythm.tempo : _bpm;
+    var nextSection = Form.next(_form.sections[_songSection], {
+      bars:          (now - _sectionStartTime) / 1000 / (240 / tempo),
+      speed:         w.speed || 0,
+      tremor:        _wandNarrative.recentTremorAvg,
+      gestures:      _sectionGestures,
+      totalGestures: _wandNarrative.totalBigGestures,
+      story:         _wandNarrative.cumulativeEnergy,
+      energy:        Body.energy || 0,
+      visits:        _sectionVisits[_songSection] || 0,
+      phase:         _sessionPhase,
+    }, rand, _form.sections, _sectionVisits);
+
+    if (nextSection && nextSection !== _songSection && _form.sections[nextSection]) {
+      _queueSection(nextSection, now);
+    }
+  }
 
-    var nextSection = _songSection;
+  // ── SECTION TRANSITIONS ───────────────────────────────────────────────
+  //
+  // A section never changes mid-bar. The change is queued for a downbeat
+  // on Rhythm's bar clock — the next bar, or the next 4-bar phrase when the
+  // section says land: 'phrase' — with at least one whole bar in between.
+  // That bar carries the pickup (snare roll, riser, reverse swell) and the
+  // new section lands on the one. With no clock to land on (silence, tempo
+  // not locked yet) there is nothing to interrupt, so it changes at once.
+
+  function _clockRunning(rs) {
+    return !_isSilent && rs && rs.tempo > 0 && (rs.tempoLocked || rs.mode === 'grid');
+  }
 
-    // Progression rules — heavily influenced by wand activity
-    switch (_songSection) {
-      case 'intro':
-        // Intro ends when there's been some real movement or time passes
-        if (sectionAge > 12 || _wandNarrative.totalBigGestures >= 1 || _wandNarrative.cumulativeEnergy > 4) {
-          nextSection = 'verse';
-        }
-        break;
+  function _queueSection(name, now) {
+    var sec = _form.sections[name];
+    var rs  = Rhythm.getState();
+    if (!_clockRunning(rs)) { _enterSection(name, now); return; }
+
+    var bar = rs.barCount + 2;
+    if (sec.land === 'phrase') while (bar % 4 !== 0) bar++;
+    var style = (typeof Styles !== 'undefined') ? Styles.get(_styleId) : null;
+    _pendingSection = {
+      name:   name,
+      bar:    bar,
+      pickup: sec.pickup || (style && style.pickup) || 'roll',
+      picked: false,
+    };
+  }
 
-      case 'verse':
-        // Verse lives on steady, engaged movement. Big gestures start pushing toward build.
-        if (sectionAge > 18 && (_wandNarrative.totalBigGestures >= 2 || w.speed > 1.2)) {
-          nextSection = 'build';
-        }
-        break;
+  // Seconds per bar as Rhythm's clock is running it: its bar length in
+  // 16ths, and the rate it speeds up or slows by to follow the room
+  function _barDur(rs) {
+    return 15 * (rs.steps || 16) / (rs.tempo * (rs.rate || 1));
+  }
 
-      case 'build':
-        // Build wants rising energy and dramatic shapes
-        if ((sectionAge > 8 && w.speed > 1.4) || _wandNarrative.recentTremorAvg > 0.45) {
-          nextSection = 'chorus';
-        }
-        break;
+  // Before Rhythm.update: if its step this frame crosses a downbeat, that
+  // downbeat is either the start of the pickup bar or the landing.
+  function _updateTransition(dt, now) {
+    if (!_pendingSection) return;
+    var p  = _pendingSection;
+    var rs = Rhythm.getState();
+    if (!_clockRunning(rs)) {
+      _pendingSection = null;
+      _enterSection(p.name, now);
+      return;
+    }
 
-      case 'chorus':
-        // Chorus peaks — stay here while energy is high, then look for contrast
-        if (sectionAge > 12 && (w.speed < 0.6 || _wandNarrative.recentTremorAvg < 0.2)) {
-          nextSection = (Math.random() < 0.6) ? 'bridge' : 'release';
-        }
-        break;
-
-      case 'bridge':
-        // Bridge is contrast space. Big weird gestures here feel powerful.
-        if (sectionAge > 10 && (_wandNarrative.totalBigGestures > 4 || w.speed > 1.3)) {
-          nextSection = 'chorus'; // return for a final hit
-        } else if (sectionAge > 14) {
-          nextSection = 'release';
-        }
-        break;
+    var barDur   = _barDur(rs);
+    var crossing = rs.barPhase + dt / barDur >= 1;
+    var nextBar  = crossing ? rs.barCount + 1 : rs.barCount;
 
-      case 'release':
-        // Let it breathe and end
-        if (sectionAge > 18 || w.speed < 0.2) {
-          // can loop back to verse for longer performances, or just stay in release
-          nextSection = 'release';
-        }
-        break;
+    if (nextBar >= p.bar) {
+      _pendingSection = null;
+      _enterSection(p.name, now);
+    } else if (crossing && nextBar === p.bar - 1 && !p.picked) {
+      p.picked = true;
+      _playPickup(p.pickup, Sound.currentTime, barDur, rs.kit);
     }
+  }
 
-    if (nextSection !== _songSection) {
-      _songSection = nextSection;
-      _sectionStartTime = now;
-
-      // Apply immediate musical consequences of the section change
-      _handleSectionTransition(_songSection);
+  function _playPickup(kind, t0, barDur, kit) {
+    if (kind === 'none') return;
+    if (kind === 'riser' || kind === 'swell') {
+      try { Sound.playSweep(kind, t0, barDur, 0.75); } catch(e) { _errorCount++; }
+      return;
+    }
+    // Snare roll: 8ths, 16ths, then 32nds into the one, crescendo
+    var step = barDur / 16;
+    var hits = [0, 2, 4, 6, 8, 9, 10, 11, 12, 12.5, 13, 13.5, 14, 14.5, 15, 15.5];
+    var lift = Math.max(0.5, Rhythm.drumPresence || 0);
+    for (var i = 0; i < hits.length; i++) {
+      try {
+        Sound.playDrum('snare', t0 + hits[i] * step, (0.25 + 0.6 * hits[i] / 16) * lift, kit);
+      } catch(e) { _errorCount++; }
     }
   }
 
+  // Start the style's form from its first section, with a fresh narrative
+  function _startForm(now) {
+    var style = (typeof Styles !== 'undefined') ? Styles.get(_styleId) : null;
+    _form = (typeof Form !== 'undefined') ? Form.resolve(style && style.form) : null;
+    _sectionVisits = {};
+    _pendingSection = null;
+    _wandNarrative = { totalBigGestures: 0, cumulativeEnergy: 0, lastBigShapeTime: 0, recentTremorAvg: 0 };
+    if (_form) _enterSection(_form.start, now);
+  }
+
+  function _enterSection(name, now) {
+    _songSection      = name;
+    _sectionStartTime = now;
+    _sectionGestures  = 0;
+    _sectionVisits[name] = (_sectionVisits[name] || 0) + 1;
+
+    // Apply immediate musical consequences of the section change
+    _handleSectionTransition(_form.sections[name]);
+  }
+
   function _handleSectionTransition(section) {
-    // This is where sections feel like real song moments
+    // This is where sections feel like real song moments — layers drop in
+    // and out, the room opens or closes, the drums thin or thicken
     var lens = _lens || {};
+    var mute = {};
+    (section.mute || []).forEach(function (layer) { mute[layer] = true; });
+    _sectionFx = {
+      reverb:      section.reverb || 1,
+      mute:        mute,
+      chordRhythm: (section.harmony && section.harmony.chordRhythm) || null,
+      density:     (section.drums && section.drums.density) || 1.0,
+    };
+
+    try { Sound.setReverbMix(Math.min(0.9, ((lens.space && lens.space.reverbMix) || 0.35) * _sectionFx.reverb)); } catch(e){}
+    if (Rhythm && typeof Rhythm.setDensityBoost === 'function') {
+      Rhythm.setDensityBoost((section.drums && section.drums.density) || 1.0);
+    }
+    _configureHarmony();
+  }
 
-    switch (section) {
-      case 'intro':
-        // Very open, atmospheric
-        try { Sound.setReverbMix( (lens.space && lens.space.reverbMix || 0.4) * 1.3 ); } catch(e){}
-        break;
-
-      case 'verse':
-        // Main body — clearer, more intimate
-        try { Sound.setReverbMix( (lens.space && lens.space.reverbMix || 0.35) * 0.85 ); } catch(e){}
-        break;
-
-      case 'build':
-        // Rising tension — brighter, tighter, more urgent
-        try { Sound.setReverbMix( (lens.space && lens.space.reverbMix || 0.35) * 0.7 ); } catch(e){}
-        if (Rhythm && typeof Rhythm.setDensityBoost === 'function') Rhythm.setDensityBoost(1.25);
-        break;
-
-      case 'chorus':
-        // Peak — fullest, most dramatic
-        try { Sound.setReverbMix( (lens.space && lens.space.reverbMix || 0.35) * 0.55 ); } catch(e){}
-        if (Rhythm && typeof Rhythm.setDensityBoost === 'function') Rhythm.setDensityBoost(1.6);
-        break;
-
-      case 'bridge':
-        // Contrast — often more open or different character
-        try { Sound.setReverbMix( (lens.space && lens.space.reverbMix || 0.35) * 1.4 ); } catch(e){}
-        if (Rhythm && typeof Rhythm.setDensityBoost === 'function') Rhythm.setDensityBoost(0.7);
-        break;
-
-      case 'release':
-        // Let it go
-        try { Sound.setReverbMix( (lens.space && lens.space.reverbMix || 0.35) * 1.6 ); } catch(e){}
-        if (Rhythm && typeof Rhythm.setDensityBoost === 'function') Rhythm.setDensityBoost(0.4);
-        break;
+  // Lens key + mode, shifted by the current section's harmony
+  function _configureHarmony() {
+    if (_roomKey) {
+      try { Harmony.configure({ root: 261.626 * Math.pow(2, _roomKey.key / 12), mode: _roomKey.mode }); }
+      catch(e) { _errorCount++; }
+      return;
     }
+    var sec = _form && _form.sections[_songSection];
+    var h   = (sec && sec.harmony) || {};
+    var root = _rootHz * Math.pow(2, (h.transpose || 0) / 12);
+    try { Harmony.configure({ root: root, mode: h.mode || _modeBase }); } catch(e) { _errorCount++; }
   }
 
   function getSongSection() {
@@ -753,11 +920,84 @@ const Conductor = (function () {
   }
 
 
+  // ── CUES ──────────────────────────────────────────────────────────────
+  //
+  // Asked for by hand rather than earned by the narrative — a trained wand
+  // gesture (js/gesture.js) or anything else that wants "do it now":
+  //   fill     forced fill into the next downbeat (through the next bar if
+  //            this one is nearly over)
+  //   section  move on — the section's `after`, else its first rule's target
+  //   drop     drums out until the downbeat after next, then back in on the one
+
+  var CUES = ['fill', 'section', 'drop'];
+  var _cueFillUntil = 0;     // Sound time
+  var _cueDropUntil = 0;
+
+  // Seconds to the downbeat `bars` downbeats from now (style tempo with no clock)
+  function _toDownbeat(bars) {
+    var rs = Rhythm.getState();
+    if (!_clockRunning(rs)) return bars * 240 / _bpm;
+    var barDur = _barDur(rs);
+    return (1 - rs.barPhase) * barDur + (bars - 1) * barDur;
+  }
+
+  /**
+   * @param {string} action — one of CUES
+   * @param {string} [arg]  — section: the section to go to
+   * @returns {boolean} false when it can't happen now (not playing, change already queued)
+   */
+  function cue(action, arg) {
+    if (!_active || !Sound.ctx) return false;
+    var t = Sound.currentTime;
+    if (action === 'fill') {
+      var rs = Rhythm.getState();
+      _cueFillUntil = t + _toDownbeat(rs.barPhase > 0.75 ? 2 : 1);
+      return true;
+    }
+    if (action === 'drop') {
+      _cueDropUntil = t + _toDownbeat(2);
+      return true;
+    }
+    if (action === 'section') {
+      if (_pendingSection || !_form) return false;
+      var name = arg || Form.advance(_form.sections[_songSection], rand);
+      if (!name || name === _songSection || !_form.sections[name]) return false;
+      _queueSection(name, _lastT);
+      return true;
+    }
+    return false;
+  }
+
+
   // ── APPLY LENS ────────────────────────────────────────────────────────
 
+  // Swap palette voices by role. Only voices Sound knows (built-ins or loaded
+  // sampler instruments) are taken — a missing instrument keeps the synth.
+  function _withVoices(lens, voices) {
+    if (!voices || !lens.palette) return lens;
+    var palette = {};
+    Object.keys(lens.palette).forEach(function (role) {
+      var slot = lens.palette[role];
+      var v = voices[role];
+      palette[role] = (v && Sound.voices && Sound.voices[v] && slot)
+        ? Object.assign({}, slot, { voice: v })
+        : slot;
+    });
+    return Object.assign({}, lens, { palette: palette });
+  }
+
   function _applyLens(styleId) {
     _styleId = styleId || 'lofi';
-    _lens    = STYLE_LENS[_styleId] || STYLE_LENS.lofi;
+    // User styles (Styles.add) borrow the lens of their built-in base
+    var based = (typeof Styles !== 'undefined' && Styles.has && Styles.has(_styleId)) ? Styles.get(_styleId).base : null;
+    _lensBase = STYLE_LENS[_styleId] || STYLE_LENS[based] || STYLE_LENS.lofi;
+    if (typeof Styles !== 'undefined' && Styles.has && Styles.has(_styleId)) {
+      _lensBase = _withVoices(_lensBase, Styles.get(_styleId).voices);
+    }
+    _lens = _withVoices(_lensBase, _voiceOverride);
+
+    // Each style keeps its own oracle memory (js/pattern.js)
+    if (typeof Pattern !== 'undefined') Pattern.setStyle(_styleId);
 
     // Sound: configure voice routing + reverb
     try { Sound.configure(_lens); } catch(e) { _errorCount++; }
@@ -775,8 +1015,9 @@ const Conductor = (function () {
     }
     // Root: C3=261.626 Hz, shifted by Environ.key semitones
     var key    = (typeof Environ !== 'undefined') ? (Environ.key || 0) : 0;
-    var rootHz = 261.626 * Math.pow(2, key / 12);
-    try { Harmony.configure({ root: rootHz, mode: mode }); } catch(e) { _errorCount++; }
+    _rootHz    = 261.626 * Math.pow(2, key / 12);
+    _modeBase  = mode;
+    _configureHarmony();
 
     // Rhythm: style determines drum kit character + the actual musical DNA grids
     var profile = (_lens.rhythm && _lens.rhythm.kit) || 'acoustic';
@@ -784,6 +1025,7 @@ const Conductor = (function () {
     if (style && style.bpmRange) {
       bpm = Math.max(style.bpmRange[0], Math.min(style.bpmRange[1], bpm));
     }
+    _bpm = bpm;
 
     // v4 fix: pass the full per-style rhythmic DNA so styles actually sound different
     var rhythmDNA = style ? {
@@ -794,8 +1036,10 @@ const Conductor = (function () {
       melodyRhythm: style.melodyRhythm,
       bassStyle: style.bassStyle,
       hatVels: style.hatVels,
+      hatGrid: style.hatGrid,
       swing: style.swing,
-      fills: style.fills
+      fills: style.fills,
+      bpmRange: style.bpmRange
     } : null;
 
     try {
@@ -810,11 +1054,31 @@ const Conductor = (function () {
     // Wire drum callback to Sound
     try {
       Rhythm.setCallback(function (time, velocity, instrument, kit) {
-        if (_isSilent || !Sound.ctx) return;
+        if (_isSilent || !Sound.ctx || _sectionFx.mute.drums) return;
+        if (time < _cueDropUntil - 0.01) return;   // the returning downbeat still plays
+        if (typeof Stems !== 'undefined' && Stems.covers(instrument)) return;
         try { Sound.playDrum(instrument, time, velocity, kit); } catch(e) {}
       });
     } catch(e) { _errorCount++; }
 
+    // Loaded stems (js/stems.js) retrigger their slices on the same steps
+    try {
+      Rhythm.setStepCallback(function (step, time, stepDur, steps) {
+        if (_isSilent || typeof Stems === 'undefined' || !Stems.loaded) return;
+        var mute = _sectionFx.mute;
+        if (time < _cueDropUntil - 0.01) mute = { drums: true, chords: mute.chords };
+        Stems.step(step, time, {
+          stepDur:      stepDur,
+          steps:        steps,
+          density:      _sectionFx.density,
+          tremor:       _wandState ? _wandState.tremor || 0 : 0,
+          drumPresence: Rhythm.drumPresence,
+          mute:         mute,
+          velocity:     0.5 + _fadeGain * 0.5,
+        });
+      });
+    } catch(e) { _errorCount++; }
+
     // Motion profile adaptation (Body adjusts thresholds to this player's style)
     try {
       if (Body.motionProfile && Body.motionProfile.adapt) {
@@ -827,14 +1091,23 @@ const Conductor = (function () {
 
   // ── PUBLIC API ────────────────────────────────────────────────────────
 
-  function init(ctx, styleId) {
+  // t0 = timestamp of the first frame that will be passed to update().
+  // Defaults to now; offline replays pass the recorded start time.
+  function init(ctx, styleId, t0) {
     Body.init();
     Sound.init(ctx);
     Harmony.init();
     Rhythm.init();
+    if (typeof Stems !== 'undefined') Stems.rewind();
+    if (typeof Pattern !== 'undefined') Pattern.rewind();
 
     _active  = false;
     _styleId = styleId || 'lofi';
+    // LOCK TO ROOM is the button's; what it heard starts over, so a take
+    // (and its render) begins from the chords logged after this
+    _roomKey     = null;
+    _roomChord   = null;
+    _roomVoicing = null;
 
     // Water bottle physics (same params as flow.js)
     _pitchWater = null;
@@ -856,8 +1129,12 @@ const Conductor = (function () {
     _touchDuck      = 1.0;
     _answerPending  = false;
     _crCooldown     = 0;
-    _lastT          = performance.now();
+    _lastT          = (typeof t0 === 'number') ? t0 : performance.now();
+    _cueFillUntil   = 0;
+    _cueDropUntil   = 0;
+    _voiceT         = -Infinity;
     _active         = true;
+    _startForm(_lastT);
   }
 
   function applyStyle(styleId) {
@@ -870,13 +1147,16 @@ const Conductor = (function () {
     _phraseActive   = false;
     _currentDegree  = 0;
     _answerPending  = false;
+    // A new style brings its own form — start it from the top
+    _startForm(_lastT);
   }
 
   // Called from RAF loop every frame.
   // sensor = Sensor.read() from v1 sensor.js
   // ts     = performance.now() timestamp
   // wand   = v4 Wand state (tremor, shapeType, kret, speed, curvature) — the musical paint
-  function update(sensor, ts, wand) {
+  // room   = Onset.estimate(ts) as the loop read it (or a take/session replayed it), or null
+  function update(sensor, ts, wand, room) {
     if (!_active || !_lens || !Sound.ctx) return;
 
     var now = ts;  // milliseconds (for interval comparisons)
@@ -908,17 +1188,24 @@ const Conductor = (function () {
     // 2. Silence / presence gate
     _updateSilence(dt, now);
 
-    // 3. Master gain — silence fades, presence grows over session
-    if (_isSilent && _fadeGain < 0.005) {
+    // 3. Master gain — silence fades, presence grows over session.
+    // Pattern playing your style from memory holds it open before you move.
+    var recall = (typeof Pattern !== 'undefined') ? Pattern.presence : 0;
+    if (_isSilent && _fadeGain < 0.005 && recall < 0.005) {
       try { Sound.setMasterGain(0.001); } catch(e) {}
     } else {
       var drumFloor = (typeof Rhythm !== 'undefined' && Rhythm.drumPresence)
         ? Rhythm.drumPresence * 0.35 : 0;
-      var effectiveGain = Math.max(_fadeGain, drumFloor);
+      var effectiveGain = Math.max(_fadeGain, drumFloor, recall);
       try { Sound.setMasterGain(0.50 * effectiveGain * _touchDuck * _prodigy.dynamicRange); } catch(e) {}
     }
     _touchDuck = Math.min(1.0, _touchDuck + dt * 2.0);
 
+    // AI producer — answers silences, and before the first move can play from memory
+    if (typeof Pattern !== 'undefined') {
+      try { Pattern.update(dt, _isSilent, now); } catch(e) { _errorCount++; }
+    }
+
     if (_isSilent && _fadeGain < 0.005) return;
 
     // 4. Phrase tracking
@@ -943,6 +1230,7 @@ const Conductor = (function () {
       var s = Styles.get(_styleId);
       if (s && typeof s.chordRhythm === 'number') chordRhythm = s.chordRhythm;
     }
+    if (_sectionFx.chordRhythm) chordRhythm = _sectionFx.chordRhythm;
     var wandChordBoost = (_wandState && (_wandState.shapeType === 'sweep' || _wandState.shapeType === 'arc')) ? 0.6 : 1.0;
     try { Harmony.updateHarmonicRhythm(dt * wandChordBoost, _prodigy.arc, Body.energy, chordRhythm); } catch(e) {}
     try { Harmony.updateHarmonicGravity(dt, Body.energy, _isSilent); } catch(e) {}
@@ -960,6 +1248,8 @@ const Conductor = (function () {
       peaked:           Body.peaked,
       peakMag:          Body.peakMagnitude,
       audioTime:        Sound.currentTime,
+      // MIC + ROOM: a drummer or claps in the room pull the clock (js/onset.js)
+      room:             room || null,
     };
 
     if (_wandState) {
@@ -977,6 +1267,13 @@ const Conductor = (function () {
       // Tremor adds human micro-variation to the entire rhythm
       rhythmOpts.humanize = (_wandState.tremor || 0) * 0.8;
     }
+    if (Sound.currentTime < _cueFillUntil) {
+      rhythmOpts.forcedFill = true;
+      rhythmOpts.fillBoost  = 2.0;
+    }
+
+    // Section changes land on Rhythm's downbeats
+    _updateTransition(dt, now);
 
     if (!_isSilent && typeof Rhythm !== 'undefined') {
       try {
@@ -1008,7 +1305,7 @@ const Conductor = (function () {
     var nearest = rawDeg, minD = 99;
     for (var ci = 0; ci < chordTones.length; ci++) {
       for (var oi = -1; oi <= 1; oi++) {
-        var cand = chordTones[ci] + oi * 7;
+        var cand = _chordRoot() + chordTones[ci] + oi * 7;
         var d = Math.abs(rawDeg - cand);
         if (d < minD) { minD = d; nearest = cand; }
       }
@@ -1023,20 +1320,44 @@ const Conductor = (function () {
     } catch(e) { _errorCount++; }
   }
 
+  // Play a loaded instrument in place of the style's voices until cleared.
+  // voices = { continuous, harmonic, peak } (any subset), or null to clear.
+  function setVoices(voices) {
+    _voiceOverride = voices || null;
+    if (_lensBase) _lens = _withVoices(_lensBase, _voiceOverride);
+  }
+
   return Object.freeze({
     init:       init,
     applyStyle: applyStyle,
+    setVoices:  setVoices,
     update:     update,
     refresh:    refresh,
     touch:      touch,
+    cue:        cue,
+    sing:       sing,
+    lockToRoom: lockToRoom,
+    roomChord:  roomChord,
+    CUES:       CUES,
     get silent()  { return _isSilent; },
     get phase()   { return _sessionPhase; },
     get degree()  { return _currentDegree; },
     get errors()  { return _errorCount; },
     get notes()   { return _noteCount; },
     get styleId() { return _styleId; },
+    get lens()    { return _lens; },       // active lens (palette, kit) — the style editor previews through it
     get wand()    { return _wandState; },   // v4 — full wand paint state (tremor, shape, kret)
-    get songSection() { return _songSection; }, // v4 — current section (intro/verse/build/chorus/bridge/release)
+    get songSection() { return _songSection; }, // v4 — current section, named by the style's form
+    get form()    { return _form; },       // { start, sections } — see js/form.js
+    get roomLocked() { return _roomLock; },
+    get roomKey()    { return _roomKey; },    // { key, mode } while locked and heard
+    // the style's tempo and Environ's key + mode, before sections move them — what loaded stems are conformed to.
+    // While locked to the room, the key heard there.
+    get home() {
+      if (_roomLock && _roomKey) return { bpm: _bpm, key: _roomKey.key, mode: _roomKey.mode };
+      return { bpm: _bpm, key: ((Math.round(12 * Math.log(_rootHz / 261.626) / Math.LN2) % 12) + 12) % 12, mode: _modeBase };
+    },
+    get pendingSection() { return _pendingSection ? _pendingSection.name : null; }, // queued for the next downbeat
   });
 
 })();
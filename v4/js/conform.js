@@ -0,0 +1,440 @@
+/**
+ * CONFORM — Loaded stems stretched and shifted to the session's tempo and key
+ *
+ * Slicing (js/stems.js) keeps a stem on the beat, but every slice still
+ * plays at the speed and pitch it was recorded: a 120 BPM loop under an
+ * 88 BPM band has gaps between its hits, and a stem in E against a band in
+ * C clashes however well it grooves. On load this reads the stem's
+ *
+ *   tempo — Stems.analyse (onset autocorrelation, loop length)
+ *   key   — chroma of 8192-point frames (Chroma.chromaOf), matched against
+ *           the Krumhansl–Kessler profiles (Chroma.detectKey)
+ *
+ * and renders a copy at the session's bpm and key (Conductor.home):
+ *
+ *   WSOLA   — 40 ms Hann frames overlap-added at a fixed hop, each read
+ *             from where it best continues the last (cross-correlation
+ *             within ±10 ms of its nominal place), so hits stay hits and
+ *             held notes don't phase. Stretches by tempo × pitch ratio.
+ *   resample — back to length by the pitch ratio, which moves the pitch
+ *
+ * The stem moves to whichever key shares the band's seven notes — its
+ * relative, or the parent scale of the band's mode — so the shift is never
+ * more than a tritone. Tempos fold by octaves first:
+ * a 170 BPM drum loop under an 85 BPM band is not slowed by half.
+ *
+ * Renders are cached in IndexedDB (gump_v4_stems → renders) under the
+ * source's fingerprint and the target, so reloading a stem or going back
+ * to a style is instant. Every pass over the audio — the key read, the mix
+ * to mono, the stretch, the resample — runs a slice per timer, so the page
+ * keeps drawing while a song-length stem renders. Only the tempo read
+ * (Stems.analyse) is in one go, and callers that already have it pass it.
+ */
+
+const Conform = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var DB_NAME     = 'gump_v4_stems';
+  var DB_VERSION  = 1;
+  var STORE       = 'renders';
+  var MAX_RENDERS = 12;        // oldest dropped past this — a song stem is tens of MB
+  var WIN_SEC     = 0.04;
+  var TOL_SEC     = 0.01;
+  var DECIM       = 4;         // coarse alignment search reads every 4th sample
+  var CHUNK       = 300;       // WSOLA frames per timer slice
+  var LOOP_CHUNK  = 1 << 18;   // samples per timer slice for the plain loops
+  var KEY_CHUNK   = 24;        // key FFT frames per timer slice
+  var KEY_FFT     = 8192;
+  var KEY_SEC     = 90;        // key read from at most this much
+  var KEY_TOP_HZ  = 2500;      // chromaOf stops at 2 kHz; bins above it aren't converted
+  // which degree of its parent major scale each mode starts on, in semitones
+  var MODE_DEGREE = { major: 0, dorian: 2, phrygian: 4, lydian: 5, mixolydian: 7, minor: 9, aeolian: 9, locrian: 11 };
+  var BPM_SLACK   = 0.005;     // closer than this: leave the tempo alone
+
+  // ── INDEXEDDB ─────────────────────────────────────────────────────────
+
+  var _store = (typeof IDB !== 'undefined')
+    ? IDB.store(DB_NAME, DB_VERSION, STORE, function (s) { s.createIndex('at', 'at'); })
+    : null;
+
+  function _tx(mode, fn) {
+    return _store ? _store.tx(mode, fn) : Promise.reject(new Error('IndexedDB unavailable'));
+  }
+
+  // Oldest first by the 'at' index, keys only — the values are whole stems
+  function _prune() {
+    return _tx('readwrite', function (s) {
+      var ids = [];
+      s.index('at').openKeyCursor().onsuccess = function (e) {
+        var c = e.target.result;
+        if (c) { ids.push(c.primaryKey); c.continue(); return; }
+        for (var i = 0; i < ids.length - MAX_RENDERS; i++) s.delete(ids[i]);
+      };
+    });
+  }
+
+  function _load(id) {
+    return _tx('readonly', function (s) { return s.get(id); })
+      .catch(function () { return null; })
+      .then(function (rec) { return rec || null; });
+  }
+
+  function _save(rec) {
+    return _tx('readwrite', function (s) { s.put(rec); })
+      .then(_prune)
+      .catch(function () { /* no cache this time — the render still plays */ });
+  }
+
+  /** Forget every cached render. */
+  function clearCache() {
+    return _tx('readwrite', function (s) { s.clear(); }).catch(function () {});
+  }
+
+  // Same audio → same id: FNV-1a over a sparse read of every channel
+  function fingerprint(buffer) {
+    var h = 0x811c9dc5;
+    var mix = function (v) { h ^= v & 0xff; h = Math.imul(h, 0x01000193) >>> 0; };
+    mix(buffer.numberOfChannels); mix(buffer.length); mix(buffer.length >> 8); mix(buffer.length >> 16);
+    for (var c = 0; c < buffer.numberOfChannels; c++) {
+      var d = buffer.getChannelData(c);
+      var stride = Math.max(1, Math.floor(d.length / 4096));
+      for (var i = 0; i < d.length; i += stride) {
+        var q = Math.round(d[i] * 32767);
+        mix(q); mix(q >> 8);
+      }
+    }
+    return buffer.sampleRate + '-' + buffer.length + '-' + h.toString(16);
+  }
+
+  // ── TIMER SLICES ──────────────────────────────────────────────────────
+
+  // body(from, to) over [0, total) `size` at a time, yielding to the page
+  // between slices. Resolves when the last slice is done; a throw rejects.
+  function _slices(total, size, body) {
+    return new Promise(function (resolve, reject) {
+      var at = 0;
+      function next() {
+        try {
+          var end = Math.min(total, at + size);
+          body(at, end);
+          at = end;
+        } catch (e) { return reject(e); }
+        if (at < total) setTimeout(next, 0);
+        else resolve();
+      }
+      next();
+    });
+  }
+
+  function _mono(buffer) {
+    var ch = buffer.numberOfChannels;
+    var out = new Float32Array(buffer.length);
+    var data = [];
+    for (var c = 0; c < ch; c++) data.push(buffer.getChannelData(c));
+    return _slices(out.length, LOOP_CHUNK, function (a, b) {
+      for (var c = 0; c < ch; c++) {
+        var d = data[c];
+        for (var i = a; i < b; i++) out[i] += d[i] / ch;
+      }
+    }).then(function () { return out; });
+  }
+
+  // ── KEY ───────────────────────────────────────────────────────────────
+
+  // In-place radix-2 FFT
+  function _fft(re, im) {
+    var n = re.length;
+    for (var i = 1, j = 0; i < n; i++) {
+      var bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        var t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (var len = 2; len <= n; len <<= 1) {
+      var ang = -2 * Math.PI / len;
+      var wr = Math.cos(ang), wi = Math.sin(ang);
+      for (var s = 0; s < n; s += len) {
+        var cr = 1, ci = 0;
+        for (var k = 0; k < len / 2; k++) {
+          var a = s + k, b = a + len / 2;
+          var xr = re[b] * cr - im[b] * ci, xi = re[b] * ci + im[b] * cr;
+          re[b] = re[a] - xr; im[b] = im[a] - xi;
+          re[a] += xr; im[a] += xi;
+          var nr = cr * wr - ci * wi;
+          ci = cr * wi + ci * wr;
+          cr = nr;
+        }
+      }
+    }
+  }
+
+  // Chroma summed over half-overlapping frames of the first KEY_SEC.
+  // frame(i) adds one; result() is the key once they're all in.
+  function _keyReader(buffer) {
+    var sr = buffer.sampleRate;
+    var n = Math.min(buffer.length, Math.round(KEY_SEC * sr));
+    var ch = buffer.numberOfChannels;
+    var data = [];
+    for (var c = 0; c < ch; c++) data.push(buffer.getChannelData(c));
+    var win = new Float32Array(KEY_FFT);
+    for (var w = 0; w < KEY_FFT; w++) {
+      // Blackman, as the AnalyserNode uses — chromaOf's thresholds assume it
+      var p = 2 * Math.PI * w / KEY_FFT;
+      win[w] = (0.42 - 0.5 * Math.cos(p) + 0.08 * Math.cos(2 * p)) / ch;
+    }
+    var re = new Float32Array(KEY_FFT), im = new Float32Array(KEY_FFT);
+    var spec = new Float32Array(KEY_FFT / 2).fill(-Infinity);
+    var top = Math.min(spec.length, Math.ceil(KEY_TOP_HZ / (sr / KEY_FFT)));
+    var sum = new Float32Array(12), used = 0;
+
+    function frame(f) {
+      var at = f * KEY_FFT / 2;
+      for (var i = 0; i < KEY_FFT; i++) {
+        var v = 0;
+        for (var c = 0; c < ch; c++) v += data[c][at + i];
+        re[i] = v * win[i];
+        im[i] = 0;
+      }
+      _fft(re, im);
+      for (var k = 0; k < top; k++) {
+        spec[k] = 20 * Math.log(Math.sqrt(re[k] * re[k] + im[k] * im[k]) / KEY_FFT + 1e-12) / Math.LN10;
+      }
+      var chroma = Chroma.chromaOf(spec, sr, KEY_FFT);
+      if (!chroma) return;
+      var norm = 0;
+      for (var q = 0; q < 12; q++) norm += chroma[q] * chroma[q];
+      if (!(norm > 0)) return;
+      norm = Math.sqrt(norm);
+      for (q = 0; q < 12; q++) sum[q] += chroma[q] / norm;
+      used++;
+    }
+
+    return {
+      frames: n >= KEY_FFT ? Math.floor((n - KEY_FFT) / (KEY_FFT / 2)) + 1 : 0,
+      frame:  frame,
+      result: function () { return used < 4 ? null : Chroma.detectKey(sum); },
+    };
+  }
+
+  /**
+   * The stem's key from its pitch content, or null without js/chroma.js or
+   * when nothing tonal was found (a drum loop).
+   * @returns {{ key, mode, name, confidence }|null}
+   */
+  function keyOf(buffer) {
+    if (typeof Chroma === 'undefined') return null;
+    var r = _keyReader(buffer);
+    for (var f = 0; f < r.frames; f++) r.frame(f);
+    return r.result();
+  }
+
+  // keyOf, a few frames per timer slice
+  function _keyOfSliced(buffer) {
+    if (typeof Chroma === 'undefined') return Promise.resolve(null);
+    var r = _keyReader(buffer);
+    return _slices(r.frames, KEY_CHUNK, function (a, b) {
+      for (var f = a; f < b; f++) r.frame(f);
+    }).then(r.result);
+  }
+
+  /**
+   * Semitones (−6…+5) that put a stem in `from` on the same seven notes as
+   * the band's `to` — both are taken to their parent major scale, so A minor
+   * under C major doesn't move and E minor under D dorian goes up 5.
+   */
+  function shiftFor(from, to) {
+    if (!from || !to) return 0;
+    var parent = function (k) { return k.key - (MODE_DEGREE[k.mode] || 0); };
+    var s = (((parent(to) - parent(from)) % 12) + 12) % 12;
+    return s > 5 ? s - 12 : s;
+  }
+
+  // ── WSOLA + RESAMPLE ──────────────────────────────────────────────────
+
+  // The offset in [lo, hi] where x[pos + δ …] looks most like x[ref …]
+  function _align(x, ref, pos, lo, hi, len, step, decim) {
+    var best = 0, bestC = -Infinity;
+    for (var d = lo; d <= hi; d += step) {
+      var p = pos + d;
+      if (p < 0 || p + len > x.length) continue;
+      var c = 0;
+      for (var i = 0; i < len; i += decim) c += x[ref + i] * x[p + i];
+      if (c > bestC) { bestC = c; best = d; }
+    }
+    return best;
+  }
+
+  /**
+   * Time-stretch every channel by `alpha` (output length / input length),
+   * pitch unchanged.
+   * @returns {Promise<Float32Array[]>}
+   */
+  function _stretch(channels, mono, alpha, sr) {
+    var N = 2 * Math.round(WIN_SEC * sr / 2);
+    var Hs = N / 2;
+    var Ha = Hs / alpha;
+    var tol = Math.round(TOL_SEC * sr);
+    var inLen = mono.length;
+    var outLen = Math.max(N, Math.round(inLen * alpha));
+    var out = channels.map(function () { return new Float32Array(outLen + N); });
+    var norm = new Float32Array(outLen + N);
+    var win = new Float32Array(N);
+    for (var w = 0; w < N; w++) win[w] = 0.5 - 0.5 * Math.cos(2 * Math.PI * w / N);
+
+    var prev = 0;
+    return _slices(Math.ceil(outLen / Hs), CHUNK, function (from, to) {
+      for (var k = from; k < to; k++) {
+        var nominal = Math.round(k * Ha);
+        var pos = nominal;
+        if (k > 0) {
+          // where the last frame would naturally have gone on
+          var ref = prev + Hs;
+          if (ref + N <= inLen) {
+            // only the half that will overlap the next frame has to match
+            var d = _align(mono, ref, nominal, -tol, tol, Hs, DECIM, DECIM);
+            d += _align(mono, ref, nominal + d, -DECIM, DECIM, Hs, 1, 2);
+            pos = nominal + d;
+          }
+        }
+        pos = Math.max(0, Math.min(inLen - 1, pos));
+        var o = k * Hs;
+        var len = Math.min(N, inLen - pos);
+        for (var c = 0; c < channels.length; c++) {
+          var src = channels[c], dst = out[c];
+          for (var i = 0; i < len; i++) dst[o + i] += src[pos + i] * win[i];
+        }
+        for (i = 0; i < N; i++) norm[o + i] += win[i];
+        prev = pos;
+      }
+    }).then(function () {
+      return _slices(outLen, LOOP_CHUNK, function (a, b) {
+        for (var c = 0; c < out.length; c++) {
+          var y = out[c];
+          for (var j = a; j < b; j++) if (norm[j] > 1e-3) y[j] /= norm[j];
+        }
+      });
+    }).then(function () {
+      return out.map(function (y) { return y.subarray(0, outLen); });
+    });
+  }
+
+  /**
+   * Read `x` at `rate` samples per output sample (cubic) into `out`.
+   * @returns {Promise}
+   */
+  function _resample(x, rate, out) {
+    // padded so the four taps never need clamping
+    var pad = new Float32Array(x.length + 3);
+    pad.set(x, 1);
+    pad[0] = x[0];
+    pad[x.length + 1] = pad[x.length + 2] = x[x.length - 1];
+    var max = x.length - 1;
+    return _slices(out.length, LOOP_CHUNK, function (a, b) {
+      for (var i = a; i < b; i++) {
+        var t = i * rate;
+        if (t > max) t = max;
+        var n = t | 0, f = t - n;
+        var y0 = pad[n], y1 = pad[n + 1], y2 = pad[n + 2], y3 = pad[n + 3];
+        out[i] = y1 + 0.5 * f * (y2 - y0 + f * (2 * y0 - 5 * y1 + 4 * y2 - y3 + f * (3 * (y1 - y2) + y3 - y0)));
+      }
+    });
+  }
+
+  /**
+   * Render `buffer` `tempoRatio` times as long, `semis` semitones up.
+   * @returns {Promise<AudioBuffer>}
+   */
+  function render(ctx, buffer, tempoRatio, semis) {
+    var pitch = Math.pow(2, semis / 12);
+    var channels = [];
+    for (var c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+    return _mono(buffer).then(function (mono) {
+      return _stretch(channels, mono, tempoRatio * pitch, buffer.sampleRate);
+    }).then(function (stretched) {
+      var len = Math.max(1, Math.round(buffer.length * tempoRatio));
+      var out = ctx.createBuffer(stretched.length, len, buffer.sampleRate);
+      // one channel after another, each sliced
+      return stretched.reduce(function (p, y, k) {
+        return p.then(function () {
+          var dst = out.getChannelData(k);
+          if (pitch === 1) { dst.set(y.subarray(0, len)); return; }
+          return _resample(y, pitch, dst);
+        });
+      }, Promise.resolve()).then(function () { return out; });
+    });
+  }
+
+  // ── CONFORM ───────────────────────────────────────────────────────────
+
+  /**
+   * Analyse `buffer` and bring it to `target`'s tempo and key — from the
+   * cache when this stem was rendered to this target before.
+   * @param {AudioContext} ctx
+   * @param {AudioBuffer} buffer
+   * @param {{ bpm, key, mode }} target — Conductor.home; key/mode may be null (tempo only)
+   * @param {{ tonal, bpm, key }} [opts] — tonal: false skips the key (drum stems);
+   *   bpm / key: the stem's own, when already read (Stems.set on load, an earlier fit)
+   * @returns {Promise<{ buffer, bpm, fromBpm, key, semis, cached }>}
+   *   bpm the rendered stem's tempo (target.bpm, octave-folded), key the stem's own
+   */
+  function conform(ctx, buffer, target, opts) {
+    opts = opts || {};
+    var fromBpm;
+    try {
+      fromBpm = opts.bpm > 0 ? opts.bpm : (typeof Stems !== 'undefined') ? Stems.analyse(buffer).bpm : 0;
+    } catch (e) { return Promise.reject(e); }
+    var readKey = (opts.tonal === false) ? Promise.resolve(null)
+      : (opts.key !== undefined) ? Promise.resolve(opts.key)
+      : _keyOfSliced(buffer);
+    return readKey.then(function (key) { return _fit(ctx, buffer, target, fromBpm, key); });
+  }
+
+  // The fold, the shift and the render (or the cached one) once tempo and key are known
+  function _fit(ctx, buffer, target, fromBpm, key) {
+    var semis = (key && target && target.key !== null && target.key !== undefined) ? shiftFor(key, target) : 0;
+
+    var bpm = fromBpm, ratio = 1;
+    if (fromBpm > 0 && target && target.bpm > 0) {
+      bpm = target.bpm;
+      while (bpm < fromBpm / Math.SQRT2) bpm *= 2;
+      while (bpm > fromBpm * Math.SQRT2) bpm /= 2;
+      ratio = fromBpm / bpm;
+      if (Math.abs(ratio - 1) < BPM_SLACK) { ratio = 1; bpm = fromBpm; }
+    }
+    var result = function (buf, cached) {
+      return { buffer: buf, bpm: bpm, fromBpm: fromBpm, key: key, semis: semis, cached: cached };
+    };
+    if (ratio === 1 && semis === 0) return Promise.resolve(result(buffer, false));
+
+    var id = fingerprint(buffer) + '|' + bpm.toFixed(2) + '|' + semis;
+    return _load(id).then(function (rec) {
+      if (rec && rec.channels && rec.channels.length) {
+        var buf = ctx.createBuffer(rec.channels.length, rec.channels[0].length, rec.sampleRate);
+        rec.channels.forEach(function (d, c) { buf.getChannelData(c).set(d); });
+        return result(buf, true);
+      }
+      return render(ctx, buffer, ratio, semis).then(function (buf) {
+        var channels = [];
+        for (var c = 0; c < buf.numberOfChannels; c++) channels.push(new Float32Array(buf.getChannelData(c)));
+        _save({ id: id, at: Date.now(), sampleRate: buf.sampleRate, channels: channels });
+        return result(buf, false);
+      });
+    });
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    conform:     conform,
+    render:      render,
+    keyOf:       keyOf,
+    shiftFor:    shiftFor,
+    fingerprint: fingerprint,
+    clearCache:  clearCache,
+  });
+})();
@@ -254,6 +254,26 @@ const Environ = (function () {
     return (MODES[state.mode] || MODES.minor).color;
   }
 
+  // Fields a replay needs to hear the same song the performer heard.
+  var SNAPSHOT_FIELDS = ['key', 'mode', 'bpm', 'energy', 'reverbDepth',
+    'weather', 'weatherCode', 'temperature', 'humidity', 'hour', 'cityName'];
+
+  /** Plain copy of the derived song parameters (stored with recorded takes) */
+  function snapshot() {
+    var out = {};
+    SNAPSHOT_FIELDS.forEach(function (k) { out[k] = state[k]; });
+    return out;
+  }
+
+  /** Pin the song parameters to a previous snapshot. Unknown fields are ignored. */
+  function restore(snap) {
+    if (!snap || typeof snap !== 'object') return;
+    SNAPSHOT_FIELDS.forEach(function (k) {
+      if (snap[k] !== undefined) state[k] = snap[k];
+    });
+    state.loaded = true;
+  }
+
   return Object.freeze({
     init: init,
     scale: scale,
@@ -262,6 +282,8 @@ const Environ = (function () {
     label: label,
     description: description,
     modeColor: modeColor,
+    snapshot: snapshot,
+    restore: restore,
     get key()         { return state.key; },
     get mode()        { return state.mode; },
     get bpm()         { return state.bpm; },
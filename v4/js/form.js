@@ -0,0 +1,333 @@
+/**
+ * FORM — Song forms as data
+ *
+ * A form is the order a song moves through its sections and what each
+ * section does to the band. Conductor used to hardcode one (intro → verse
+ * → build → chorus → bridge → release); now a style names a form, or
+ * carries its own:
+ *
+ *   "form": "jazz"                       built-in: song, jazz, edm
+ *   "form": { start, sections: { … } }   inline
+ *
+ * A section:
+ *
+ *   bars:    [min, max]      length in bars — rules are only checked after
+ *                            min; at max the form moves to `after` (max
+ *                            null = stay until a rule fires)
+ *   next:    [{ to, when }]  first rule whose `when` holds wins. `to` is a
+ *                            section name or { name: weight, … } to roll for
+ *   after:   section         where max bars leads (default: stay)
+ *   enter:   when            rules and `after` only move into this section
+ *                            while this holds — a weighted `to` rolls among
+ *                            the ones that can be entered. `visits` here is
+ *                            how often it was entered before; the rest are
+ *                            the section being left. Cues ignore it.
+ *   reverb:  0.2–3           × the style's reverb mix
+ *   mute:    [layers]        melody | chords | peak | drums
+ *   drums:   { density }     Rhythm density boost 0.3–2.2 (default 1)
+ *   harmony: { mode, transpose, chordRhythm }
+ *                            mode override, key shift in semitones (−12…12),
+ *                            bars per chord (1–8)
+ *   land:    bar | phrase    entering this section waits for the next bar
+ *                            (default) or 4-bar phrase downbeat
+ *   pickup:  roll | riser | swell | none
+ *                            what plays in the bar before it lands (default:
+ *                            the style's `pickup`)
+ *
+ * `when` is { metric: [min, max] } — every metric must be at least min and
+ * below max (null = open). A list of those means any of them. The metrics
+ * are the wand narrative Conductor keeps:
+ *
+ *   bars           bars spent in this section
+ *   speed          wand speed right now, 0–1
+ *   tremor         rolling tremor average, 0–1
+ *   gestures       big shapes (sweep / arc / circle) in this section
+ *   totalGestures  big shapes in the song
+ *   story          cumulative movement energy of the song
+ *   energy         Body energy right now, 0–1
+ *   visits         times this section has been entered, this one included
+ *   phase          session phase (0 listening, 1 alive, 2 full)
+ */
+
+const Form = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var METRICS = ['bars', 'speed', 'tremor', 'gestures', 'totalGestures', 'story', 'energy', 'visits', 'phase'];
+  var UNIT    = { speed: 1, tremor: 1, energy: 1 };   // metrics that never leave 0–1
+  var LAYERS  = ['melody', 'chords', 'peak', 'drums'];
+  var MODES   = ['major', 'minor', 'dorian', 'lydian', 'mixolydian', 'phrygian'];
+  var PICKUPS = ['roll', 'riser', 'swell', 'none'];
+  var MAX_SECTIONS = 16;
+
+  // ── BUILT-IN FORMS ────────────────────────────────────────────────────
+
+  var FORMS = {
+
+    // The original v4 arc — the wand decides when each section turns
+    song: {
+      start: 'intro',
+      sections: {
+        intro: {
+          bars: [0, 4], after: 'verse', reverb: 1.3,
+          next: [{ to: 'verse', when: [{ totalGestures: [1, null] }, { story: [4, null] }] }],
+        },
+        verse: {
+          bars: [6, null], reverb: 0.85,
+          next: [{ to: 'build', when: [{ totalGestures: [2, null] }, { speed: [0.8, null] }] }],
+        },
+        build: {
+          bars: [0, null], reverb: 0.7, drums: { density: 1.25 },
+          next: [
+            { to: 'chorus', when: { tremor: [0.45, null] } },
+            { to: 'chorus', when: { bars: [3, null], speed: [0.9, null] } },
+          ],
+        },
+        chorus: {
+          bars: [4, null], land: 'phrase', reverb: 0.55, drums: { density: 1.6 },
+          next: [{ to: { bridge: 0.6, release: 0.4 }, when: [{ speed: [null, 0.6] }, { tremor: [null, 0.2] }] }],
+        },
+        bridge: {
+          bars: [4, 5], after: 'release', reverb: 1.4, drums: { density: 0.7 },
+          next: [{ to: 'chorus', when: [{ totalGestures: [5, null] }, { speed: [0.85, null] }] }],
+        },
+        release: {
+          bars: [0, null], pickup: 'swell', reverb: 1.6, drums: { density: 0.4 },
+        },
+      },
+    },
+
+    // Head – solos – head. The second head plays its chorus and goes out.
+    jazz: {
+      start: 'head',
+      sections: {
+        head: {
+          bars: [8, 16], land: 'phrase', after: 'solos', drums: { density: 0.9 },
+          next: [
+            { to: 'out',   when: { visits: [2, null] } },
+            { to: 'solos', when: [{ totalGestures: [1, null] }, { speed: [0.9, null] }] },
+          ],
+        },
+        solos: {
+          bars: [8, 32], land: 'phrase', after: 'head', reverb: 0.8, mute: ['peak'],
+          drums: { density: 1.3 }, harmony: { chordRhythm: 1 },
+          next: [{ to: 'head', when: { speed: [null, 0.4] } }],
+        },
+        out: {
+          bars: [4, null], land: 'phrase', pickup: 'swell', reverb: 1.5, mute: ['peak'], drums: { density: 0.5 },
+        },
+      },
+    },
+
+    // Build – drop – breakdown, round and round
+    edm: {
+      start: 'intro',
+      sections: {
+        intro: {
+          bars: [4, 8], after: 'build', mute: ['peak'], drums: { density: 0.6 },
+          next: [{ to: 'build', when: [{ totalGestures: [1, null] }, { story: [4, null] }] }],
+        },
+        build: {
+          bars: [4, 8], pickup: 'roll', after: 'drop', reverb: 0.7, mute: ['chords'], drums: { density: 1.3 },
+          next: [{ to: 'drop', when: [{ tremor: [0.4, null] }, { speed: [0.85, null] }] }],
+        },
+        drop: {
+          bars: [8, 16], land: 'phrase', pickup: 'riser', after: 'breakdown', reverb: 0.5, drums: { density: 1.9 },
+          next: [{ to: 'breakdown', when: { speed: [null, 0.6] } }],
+        },
+        breakdown: {
+          bars: [4, 8], pickup: 'swell', after: 'build', reverb: 1.5, mute: ['drums'], harmony: { chordRhythm: 4 },
+          next: [{ to: 'build', when: { speed: [0.7, null] } }],
+        },
+      },
+    },
+  };
+
+  // ── VALIDATION ────────────────────────────────────────────────────────
+
+  function _isNum(v, lo, hi) { return typeof v === 'number' && isFinite(v) && v >= lo && v <= hi; }
+
+  function _range(v) {
+    return Array.isArray(v) && v.length >= 1 && v.length <= 2 &&
+      v.every(function (x) { return x === null || _isNum(x, -1e6, 1e6); });
+  }
+
+  function _checkWhen(when, where, errors) {
+    var list = Array.isArray(when) ? when : [when];
+    list.forEach(function (cond) {
+      if (!cond || typeof cond !== 'object' || Array.isArray(cond)) {
+        errors.push(where + ': expected { metric: [min, max] }');
+        return;
+      }
+      Object.keys(cond).forEach(function (m) {
+        if (METRICS.indexOf(m) === -1) errors.push(where + '.' + m + ': unknown metric (' + METRICS.join(', ') + ')');
+        else if (!_range(cond[m])) errors.push(where + '.' + m + ': expected [min, max], null = open');
+        else if (UNIT[m] && cond[m][0] > 1) errors.push(where + '.' + m + ': runs 0–1, a min above 1 never holds');
+      });
+    });
+  }
+
+  /**
+   * Check a form — a built-in name or an inline { start, sections }.
+   * Returns a list of 'path: problem' strings, empty when the form is good.
+   */
+  function validate(form) {
+    if (typeof form === 'string') {
+      return FORMS[form] ? [] : ['unknown form "' + form + '" (' + Object.keys(FORMS).join(', ') + ')'];
+    }
+    if (!form || typeof form !== 'object' || Array.isArray(form)) return ['expected a form name or { start, sections }'];
+    var errors = [];
+    var sections = form.sections;
+    if (!sections || typeof sections !== 'object' || Array.isArray(sections)) return ['sections: required object'];
+    var names = Object.keys(sections);
+    if (!names.length || names.length > MAX_SECTIONS) errors.push('sections: 1–' + MAX_SECTIONS + ' sections');
+    if (!sections[form.start]) errors.push('start: must name a section');
+
+    function target(to, where) {
+      if (typeof to === 'string') {
+        if (!sections[to]) errors.push(where + ': no section "' + to + '"');
+      } else if (to && typeof to === 'object' && !Array.isArray(to) && Object.keys(to).length) {
+        Object.keys(to).forEach(function (k) {
+          if (!sections[k]) errors.push(where + ': no section "' + k + '"');
+          if (!_isNum(to[k], 0, 1e3)) errors.push(where + '.' + k + ': weight must be a number ≥ 0');
+        });
+      } else {
+        errors.push(where + ': expected a section name or { name: weight }');
+      }
+    }
+
+    names.forEach(function (name) {
+      var s = sections[name];
+      var at = 'sections.' + name;
+      if (!s || typeof s !== 'object' || Array.isArray(s)) { errors.push(at + ': expected an object'); return; }
+      if (s.bars !== undefined) {
+        var b = s.bars;
+        if (!Array.isArray(b) || b.length !== 2 || !_isNum(b[0], 0, 256) || !(b[1] === null || (_isNum(b[1], 1, 256) && b[1] >= b[0]))) {
+          errors.push(at + '.bars: expected [min, max|null] within 0–256');
+        }
+      }
+      if (s.after !== undefined) target(s.after, at + '.after');
+      if (s.enter !== undefined) _checkWhen(s.enter, at + '.enter', errors);
+      if (s.next !== undefined) {
+        if (!Array.isArray(s.next)) errors.push(at + '.next: expected a list of { to, when }');
+        else s.next.forEach(function (r, i) {
+          var rat = at + '.next[' + i + ']';
+          if (!r || typeof r !== 'object') { errors.push(rat + ': expected { to, when }'); return; }
+          target(r.to, rat + '.to');
+          if (r.when !== undefined) _checkWhen(r.when, rat + '.when', errors);
+        });
+      }
+      if (s.land !== undefined && s.land !== 'bar' && s.land !== 'phrase') errors.push(at + '.land: bar or phrase');
+      if (s.pickup !== undefined && PICKUPS.indexOf(s.pickup) === -1) errors.push(at + '.pickup: one of ' + PICKUPS.join(', '));
+      if (s.reverb !== undefined && !_isNum(s.reverb, 0.2, 3)) errors.push(at + '.reverb: expected 0.2–3');
+      if (s.mute !== undefined && !(Array.isArray(s.mute) && s.mute.every(function (l) { return LAYERS.indexOf(l) !== -1; }))) {
+        errors.push(at + '.mute: expected a list of ' + LAYERS.join(', '));
+      }
+      if (s.drums !== undefined && !(s.drums && typeof s.drums === 'object' && (s.drums.density === undefined || _isNum(s.drums.density, 0.3, 2.2)))) {
+        errors.push(at + '.drums: expected { density: 0.3–2.2 }');
+      }
+      if (s.harmony !== undefined) {
+        var h = s.harmony;
+        if (!h || typeof h !== 'object') errors.push(at + '.harmony: expected { mode, transpose, chordRhythm }');
+        else {
+          if (h.mode !== undefined && MODES.indexOf(h.mode) === -1) errors.push(at + '.harmony.mode: one of ' + MODES.join(', '));
+          if (h.transpose !== undefined && !(_isNum(h.transpose, -12, 12) && Math.floor(h.transpose) === h.transpose)) errors.push(at + '.harmony.transpose: integer −12…12');
+          if (h.chordRhythm !== undefined && !(_isNum(h.chordRhythm, 1, 8) && Math.floor(h.chordRhythm) === h.chordRhythm)) errors.push(at + '.harmony.chordRhythm: integer bars 1–8');
+        }
+      }
+    });
+    return errors;
+  }
+
+  /** A style's `form` field → a form object. Anything invalid is the song form. */
+  function resolve(form) {
+    if (typeof form === 'string') return FORMS[form] || FORMS.song;
+    if (form && validate(form).length === 0) return form;
+    return FORMS.song;
+  }
+
+  // ── RULES ─────────────────────────────────────────────────────────────
+
+  function _holds(when, metrics) {
+    if (when === undefined) return true;
+    var list = Array.isArray(when) ? when : [when];
+    return list.some(function (cond) {
+      return Object.keys(cond).every(function (m) {
+        var v = metrics[m] || 0;
+        var r = cond[m];
+        return (r[0] === null || r[0] === undefined || v >= r[0]) &&
+               (r[1] === null || r[1] === undefined || v < r[1]);
+      });
+    });
+  }
+
+  // `to`'s section, or a roll among its weighted ones that `ok` allows — null when none is
+  function _pick(to, rand, ok) {
+    if (typeof to === 'string') return (!ok || ok(to)) ? to : null;
+    var names = Object.keys(to).filter(function (k) { return !ok || ok(k); });
+    if (!names.length) return null;
+    var total = names.reduce(function (n, k) { return n + to[k]; }, 0);
+    var x = rand() * total;
+    for (var i = 0; i < names.length; i++) {
+      x -= to[names[i]];
+      if (x < 0) return names[i];
+    }
+    return names[names.length - 1];
+  }
+
+  /**
+   * Where a section goes next, given the current metrics.
+   * @param {Object} section  — one entry of form.sections
+   * @param {Object} metrics  — { bars, speed, tremor, … }
+   * @param {Function} rand   — 0–1, so weighted choices replay with the seed
+   * @param {Object} [sections] — the whole form's, for the targets' `enter`
+   * @param {Object} [entered]  — section → times entered so far
+   * @returns {string|null} next section name, or null to stay
+   */
+  function next(section, metrics, rand, sections, entered) {
+    if (!section) return null;
+    var bars = section.bars || [0, null];
+    if (metrics.bars < bars[0]) return null;
+    rand = rand || Math.random;
+    var ok = function (name) {
+      var s = sections && sections[name];
+      if (!s || s.enter === undefined) return true;
+      var m = {};
+      for (var k in metrics) m[k] = metrics[k];
+      m.visits = (entered && entered[name]) || 0;
+      return _holds(s.enter, m);
+    };
+    var rules = section.next || [];
+    for (var i = 0; i < rules.length; i++) {
+      if (!_holds(rules[i].when, metrics)) continue;
+      var to = _pick(rules[i].to, rand, ok);
+      if (to) return to;
+    }
+    if (bars[1] !== null && bars[1] !== undefined && metrics.bars >= bars[1] && section.after) {
+      return _pick(section.after, rand, ok);
+    }
+    return null;
+  }
+
+  /** Where a section goes when moved on by hand: `after`, else its first rule's target. */
+  function advance(section, rand) {
+    if (!section) return null;
+    var to = section.after || (section.next && section.next.length ? section.next[0].to : null);
+    return to ? _pick(to, rand || Math.random) : null;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    validate: validate,
+    resolve:  resolve,
+    next:     next,
+    advance:  advance,
+    get:      function (id) { return FORMS[id] || null; },
+    names:    function ()   { return Object.keys(FORMS); },
+    METRICS:  METRICS,
+    LAYERS:   LAYERS,
+    PICKUPS:  PICKUPS,
+  });
+})();
@@ -0,0 +1,314 @@
+/**
+ * GESTURE — Your own wand moves, taught by example
+ *
+ * Wand.computeShape names what the hand is doing right now (hold, paint,
+ * arc, circle, sweep, shake). This names what it just did: a whole move
+ * with a start and an end — "flick up", "figure-8 in the air", "stab" —
+ * taught by performing it a few times, and bound to something the
+ * conductor does on cue (a fill, the next section, a drop, the next style).
+ *
+ * How it works:
+ *   - Segment: a burst of motion (accel + rotation rate) between two still
+ *     moments, MIN_MS–MAX_MS long, read back from Wand's sample ring buffer
+ *   - Describe: resample to N points of (beta, gamma, ax, ay, az); the
+ *     orientation path is centred and scaled by its own range, the accel by
+ *     its peak — so a small careful figure-8 matches a big one
+ *   - Match: DTW (Sakoe-Chiba band) against every example of every template;
+ *     the nearest wins if it is within that template's threshold, which is
+ *     learned from how far apart its own examples were
+ *
+ * Templates live in localStorage (gump_v4_gestures). Nothing is built in —
+ * a gesture is only a gesture once someone has taught it.
+ */
+
+const Gesture = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var STORAGE_KEY = 'gump_v4_gestures';
+  var N           = 32;      // points per resampled gesture
+  var BAND        = 6;       // DTW window (points)
+  var MIN_MS      = 180;     // shorter = a twitch
+  var MAX_MS      = 2600;    // longer = painting, not a gesture (Wand keeps ~4 s)
+  var PRE_MS      = 80;      // motion starts a little before it crosses ON
+  var QUIET_MS    = 160;     // stillness that ends a gesture
+  var COOLDOWN_MS = 500;
+  var ON          = 1.6;     // motion energy that starts a gesture
+  var OFF         = 0.8;     // ... and that counts as still
+  var MIN_TURN    = 20;      // degrees — smaller paths aren't scaled up past this
+  var MIN_ACCEL   = 2.5;     // m/s² — same for accel
+  var ACCEL_W     = 0.7;     // accel shape matters a bit less than the path
+  var THRESHOLD   = 0.3;     // match distance for a template with one example
+  var SPREAD      = 2;       // × mean distance between a template's examples,
+  var THRESH_MIN  = 0.2;     //   kept in this range — onsets never line up exactly
+  var THRESH_MAX  = 0.45;
+  var TEACH_COUNT = 3;
+
+  var ACTIONS = {
+    fill:    'fill',
+    section: 'next section',
+    drop:    'drop the drums',
+    style:   'next style',
+  };
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _templates = [];       // [{ name, action, samples: [features], ms: [durations] }]
+  var _listeners = {};
+  var _motion    = 0;
+  var _prev      = null;     // last sample seen
+  var _state     = 'idle';   // idle | moving | busy (too long — wait for stillness)
+  var _startT    = 0;
+  var _quietT    = null;
+  var _coolT     = 0;
+  var _teaching  = null;     // { name, action, count, samples, ms }
+
+  // ── EVENT EMITTER ─────────────────────────────────────────────────────
+
+  function on(event, fn) {
+    if (!_listeners[event]) _listeners[event] = [];
+    _listeners[event].push(fn);
+  }
+
+  function _emit(event, data) {
+    var fns = _listeners[event] || [];
+    for (var i = 0; i < fns.length; i++) {
+      try { fns[i](data); } catch (e) { /* a listener never stops recognition */ }
+    }
+  }
+
+  // ── STORAGE ───────────────────────────────────────────────────────────
+
+  function _load() {
+    try {
+      var raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      _templates = (Array.isArray(raw) ? raw : []).filter(function (t) {
+        return t && typeof t.name === 'string' && ACTIONS[t.action] && Array.isArray(t.samples) && t.samples.length;
+      });
+    } catch (e) { _templates = []; }
+    _templates.forEach(_calibrate);
+  }
+
+  function _save() {
+    var out = _templates.map(function (t) {
+      return { name: t.name, action: t.action, samples: t.samples, ms: t.ms };
+    });
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(out)); } catch (e) { /* storage full or blocked */ }
+  }
+
+  // ── FEATURES ──────────────────────────────────────────────────────────
+
+  // Wand samples → N points, each [beta, gamma, ax, ay, az], normalized
+  function _features(seg) {
+    var t0 = seg[0].t;
+    var span = Math.max(1, seg[seg.length - 1].t - t0);
+    var pts = [];
+    var j = 0;
+    for (var k = 0; k < N; k++) {
+      var tt = t0 + span * k / (N - 1);
+      while (j < seg.length - 2 && seg[j + 1].t < tt) j++;
+      var a = seg[j], b = seg[Math.min(j + 1, seg.length - 1)];
+      var f = b.t > a.t ? Math.max(0, Math.min(1, (tt - a.t) / (b.t - a.t))) : 0;
+      pts.push([
+        a.beta  + (b.beta  - a.beta)  * f,
+        a.gamma + (b.gamma - a.gamma) * f,
+        a.ax    + (b.ax    - a.ax)    * f,
+        a.ay    + (b.ay    - a.ay)    * f,
+        a.az    + (b.az    - a.az)    * f,
+      ]);
+    }
+
+    var mb = 0, mg = 0, lo = [Infinity, Infinity], hi = [-Infinity, -Infinity], peak = 0;
+    pts.forEach(function (p) {
+      mb += p[0] / N; mg += p[1] / N;
+      lo[0] = Math.min(lo[0], p[0]); hi[0] = Math.max(hi[0], p[0]);
+      lo[1] = Math.min(lo[1], p[1]); hi[1] = Math.max(hi[1], p[1]);
+      peak = Math.max(peak, Math.sqrt(p[2] * p[2] + p[3] * p[3] + p[4] * p[4]));
+    });
+    var turn = Math.max(MIN_TURN, hi[0] - lo[0], hi[1] - lo[1]);
+    var acc  = Math.max(MIN_ACCEL, peak) / ACCEL_W;
+
+    return pts.map(function (p) {
+      return [(p[0] - mb) / turn, (p[1] - mg) / turn, p[2] / acc, p[3] / acc, p[4] / acc]
+        .map(function (v) { return Math.round(v * 1000) / 1000; });
+    });
+  }
+
+  function _dist(p, q) {
+    var s = 0;
+    for (var i = 0; i < p.length; i++) { var d = p[i] - q[i]; s += d * d; }
+    return Math.sqrt(s);
+  }
+
+  // Banded DTW, normalized by path length
+  function _dtw(a, b) {
+    var n = a.length, m = b.length;
+    var w = Math.max(BAND, Math.abs(n - m));
+    var prev = new Array(m + 1), cur = new Array(m + 1);
+    for (var j = 0; j <= m; j++) prev[j] = Infinity;
+    prev[0] = 0;
+    for (var i = 1; i <= n; i++) {
+      for (j = 0; j <= m; j++) cur[j] = Infinity;
+      for (j = Math.max(1, i - w); j <= Math.min(m, i + w); j++) {
+        cur[j] = _dist(a[i - 1], b[j - 1]) + Math.min(prev[j], cur[j - 1], prev[j - 1]);
+      }
+      var tmp = prev; prev = cur; cur = tmp;
+    }
+    return prev[m] / (n + m);
+  }
+
+  // Threshold from the spread of a template's own examples
+  function _calibrate(t) {
+    var sum = 0, pairs = 0;
+    for (var i = 0; i < t.samples.length; i++) {
+      for (var j = i + 1; j < t.samples.length; j++) { sum += _dtw(t.samples[i], t.samples[j]); pairs++; }
+    }
+    t._threshold = pairs ? Math.max(THRESH_MIN, Math.min(THRESH_MAX, SPREAD * sum / pairs)) : THRESHOLD;
+    var ms = t.ms && t.ms.length ? t.ms : [MIN_MS, MAX_MS];
+    t._minMs = Math.min.apply(null, ms) * 0.5;
+    t._maxMs = Math.max.apply(null, ms) * 2;
+  }
+
+  // ── RECOGNITION ───────────────────────────────────────────────────────
+
+  /**
+   * Match one segment of Wand samples against the taught templates.
+   * @param {Array} seg — [{ t, beta, gamma, ax, ay, az }], oldest first
+   * @returns {{ name, action, distance }|null}
+   */
+  function recognize(seg) {
+    if (!seg || seg.length < 6 || !_templates.length) return null;
+    var ms = seg[seg.length - 1].t - seg[0].t;
+    var f = _features(seg);
+    var best = null, bestScore = 1;
+    _templates.forEach(function (t) {
+      if (ms < t._minMs || ms > t._maxMs) return;
+      var d = Infinity;
+      t.samples.forEach(function (s) { d = Math.min(d, _dtw(f, s)); });
+      var score = d / t._threshold;
+      if (score < bestScore) { bestScore = score; best = { name: t.name, action: t.action, distance: +d.toFixed(3) }; }
+    });
+    return best;
+  }
+
+  function _segmentDone(endT) {
+    var seg = Wand.trajectory(endT - _startT + PRE_MS + QUIET_MS + 200).filter(function (s) {
+      return s.t >= _startT - PRE_MS && s.t <= endT;
+    });
+    var ms = seg.length ? seg[seg.length - 1].t - seg[0].t : 0;
+    if (ms < MIN_MS || ms > MAX_MS) return;
+
+    if (_teaching) {
+      _teaching.samples.push(_features(seg));
+      _teaching.ms.push(Math.round(ms));
+      _emit('teach', { name: _teaching.name, got: _teaching.samples.length, of: _teaching.count });
+      if (_teaching.samples.length >= _teaching.count) _finishTeaching();
+      return;
+    }
+
+    var m = recognize(seg);
+    if (m) {
+      _coolT = endT + COOLDOWN_MS;
+      _emit('match', m);
+    }
+  }
+
+  /**
+   * Call once per loop frame, after Wand.update. Reads Wand's newest sample,
+   * tracks motion bursts, and emits 'match' (or 'teach' while teaching).
+   */
+  function update() {
+    if (typeof Wand === 'undefined' || !Wand.trajectory) return;
+    var recent = Wand.trajectory(200);
+    var s = recent[recent.length - 1];
+    if (!s || s === _prev) return;
+
+    var rate = 0;
+    if (_prev && s.t > _prev.t) {
+      rate = (Math.abs(s.beta - _prev.beta) + Math.abs(s.gamma - _prev.gamma)) / ((s.t - _prev.t) / 1000);
+    }
+    _prev = s;
+    var m = Math.sqrt(s.ax * s.ax + s.ay * s.ay + s.az * s.az) + rate * 0.02;
+    _motion = _motion * 0.6 + m * 0.4;
+
+    if (_state === 'idle') {
+      if (_motion > ON && s.t >= _coolT) { _state = 'moving'; _startT = s.t; _quietT = null; }
+      return;
+    }
+
+    if (_motion < OFF) {
+      if (_quietT === null) _quietT = s.t;
+      if (s.t - _quietT < QUIET_MS) return;
+      if (_state === 'moving') _segmentDone(_quietT);
+      _state = 'idle';
+      return;
+    }
+    _quietT = null;
+    if (_state === 'moving' && s.t - _startT > MAX_MS) _state = 'busy';
+  }
+
+  // ── TEACHING ──────────────────────────────────────────────────────────
+
+  /**
+   * The next `count` gestures become the examples of `name`, bound to `action`.
+   * Emits 'teach' { name, got, of } per example, 'taught' { name, action } at the end.
+   */
+  function teach(name, action, count) {
+    name = String(name || '').trim().slice(0, 32);
+    if (!name || !ACTIONS[action]) return false;
+    _teaching = { name: name, action: action, count: count || TEACH_COUNT, samples: [], ms: [] };
+    _emit('teach', { name: name, got: 0, of: _teaching.count });
+    return true;
+  }
+
+  function _finishTeaching() {
+    var t = { name: _teaching.name, action: _teaching.action, samples: _teaching.samples, ms: _teaching.ms };
+    _teaching = null;
+    _calibrate(t);
+    _templates = _templates.filter(function (x) { return x.name !== t.name; });
+    _templates.push(t);
+    _save();
+    _emit('taught', { name: t.name, action: t.action });
+  }
+
+  function cancel() {
+    _teaching = null;
+  }
+
+  function remove(name) {
+    _templates = _templates.filter(function (t) { return t.name !== name; });
+    _save();
+  }
+
+  function bind(name, action) {
+    if (!ACTIONS[action]) return false;
+    var found = false;
+    _templates.forEach(function (t) { if (t.name === name) { t.action = action; found = true; } });
+    if (found) _save();
+    return found;
+  }
+
+  /** [{ name, action, examples }] in teaching order. */
+  function list() {
+    return _templates.map(function (t) { return { name: t.name, action: t.action, examples: t.samples.length }; });
+  }
+
+  _load();
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    on:        on,
+    update:    update,
+    recognize: recognize,
+    teach:     teach,
+    cancel:    cancel,
+    remove:    remove,
+    bind:      bind,
+    list:      list,
+    ACTIONS:   ACTIONS,
+    get teaching() { return _teaching ? _teaching.name : null; },
+    get moving()   { return _state === 'moving'; },
+  });
+})();
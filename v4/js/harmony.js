@@ -34,6 +34,9 @@
 var Harmony = (function () {
   'use strict';
 
+  // Contour and gravity picks use the session PRNG (seed.js)
+  var rand = (typeof Seed !== 'undefined') ? Seed.random : Math.random;
+
   // ════════════════════════════════════════════════════════════════════
   // 1. MODES — all scale definitions
   // ════════════════════════════════════════════════════════════════════
@@ -310,6 +313,26 @@ var Harmony = (function () {
     return _root * Math.pow(2, semi / 12);
   }
 
+  /**
+   * The scale degree nearest a frequency — the inverse of freq(). Counted
+   * from the root with octaves included (an octave up = +scale length).
+   *
+   * @param {number} hz
+   * @returns {number} scale degree
+   */
+  function nearestDegree(hz) {
+    var len  = _scale.length;
+    var semi = 12 * Math.log(hz / _root) / Math.LN2;
+    var oct  = Math.floor(semi / 12);
+    var pc   = semi - oct * 12;
+    var best = 0, bestD = Infinity;
+    for (var i = 0; i <= len; i++) {
+      var d = Math.abs(pc - (i < len ? _scale[i] : 12));
+      if (d < bestD) { bestD = d; best = i; }
+    }
+    return oct * len + best;
+  }
+
   /**
    * Convert an array of scale degrees to an array of frequencies.
    * Convenience for chord voicings.
@@ -481,7 +504,7 @@ var Harmony = (function () {
           : ['arch', 'rising', 'falling', 'question', 'answer', 'love'];
         break;
     }
-    _phraseContour = options[Math.floor(Math.random() * options.length)];
+    _phraseContour = options[Math.floor(rand() * options.length)];
     return _phraseContour;
   }
 
@@ -676,7 +699,7 @@ var Harmony = (function () {
       if (_gravityTimer >= _gravityTonicDur) {
         _gravityState = 'dominant';
         _gravityTimer = 0;
-        _gravityDomDur = 8 + Math.random() * 5;
+        _gravityDomDur = 8 + rand() * 5;
 
         // Return event: announce the V
         return {
@@ -709,7 +732,7 @@ var Harmony = (function () {
       if (_gravityTimer > 1.2) {
         _gravityState = 'tonic';
         _gravityTimer = 0;
-        _gravityTonicDur = 18 + Math.random() * 10;
+        _gravityTonicDur = 18 + rand() * 10;
 
         return { type: 'resolved', rootHz: _root };
       }
@@ -744,9 +767,34 @@ var Harmony = (function () {
     if (!currentFreqs || currentFreqs.length === 0) {
       return chordFreqs(targetDegrees, octave || 0);
     }
+    return _lead(currentFreqs, targetDegrees.map(_degreeSemi), octave || 0);
+  }
 
+  /**
+   * voiceLead for a chord the scale can't spell — one heard in the room,
+   * a borrowed or secondary chord. Targets are semitones from the root.
+   *
+   * @param {number[]} currentFreqs - current voicing as frequencies
+   * @param {number[]} targetSemis - e.g. [4, 8, 11] for the major III
+   * @param {number} [octave=0] - base octave for the target chord
+   * @returns {number[]} optimal voicing as frequencies
+   */
+  function voiceLeadSemis(currentFreqs, targetSemis, octave) {
+    if (!currentFreqs || currentFreqs.length === 0) {
+      return targetSemis.map(function (st) { return _root * Math.pow(2, (st + (octave || 0) * 12) / 12); });
+    }
+    return _lead(currentFreqs, targetSemis, octave || 0);
+  }
+
+  // Scale degree → semitones from root, octaves included
+  function _degreeSemi(deg) {
+    var len = _scale.length;
+    return _scale[((deg % len) + len) % len] + Math.floor(deg / len) * 12;
+  }
+
+  function _lead(currentFreqs, targetSemis, baseOct) {
     var voices = currentFreqs.length;
-    var targetVoices = targetDegrees.length;
+    var targetVoices = targetSemis.length;
 
     // Convert current frequencies to semitones from root
     var currentSemis = [];
@@ -755,9 +803,8 @@ var Harmony = (function () {
     }
 
     // Generate candidate voicings: target chord across nearby octaves
-    // For each target degree, consider it at octave-1, octave, octave+1
-    var baseOct = octave || 0;
-    var candidates = _generateVoicings(targetDegrees, baseOct, targetVoices);
+    // For each target tone, consider it at octave-1, octave, octave+1
+    var candidates = _generateVoicings(targetSemis, baseOct, targetVoices);
 
     // Score each candidate by total voice movement
     var bestVoicing = null;
@@ -774,7 +821,7 @@ var Harmony = (function () {
     }
 
     // Convert winning voicing from semitones back to Hz
-    if (!bestVoicing) return chordFreqs(targetDegrees, baseOct);
+    if (!bestVoicing) bestVoicing = targetSemis.map(function (st) { return st + baseOct * 12; });
 
     var result = [];
     for (var ri = 0; ri < bestVoicing.length; ri++) {
@@ -797,7 +844,7 @@ var Harmony = (function () {
    * Generate candidate voicings for a chord across nearby octaves.
    * Each voice can be placed at oct-1, oct, or oct+1.
    *
-   * @param {number[]} degrees - scale degrees
+   * @param {number[]} degrees - chord tones, semitones from root
    * @param {number} baseOct - base octave
    * @param {number} voiceCount - number of voices to fill
    * @returns {number[][]} array of candidate voicings (semitone arrays)
@@ -834,14 +881,10 @@ var Harmony = (function () {
       return;
     }
 
-    var deg = degrees[idx];
-    var len = _scale.length;
-    var normDeg = ((deg % len) + len) % len;
-    var octWrap = Math.floor(deg / len);
-    var semi = _scale[normDeg];
+    var semi = degrees[idx];
 
     for (var oi = 0; oi < octaves.length; oi++) {
-      current.push(semi + (octaves[oi] + octWrap) * 12);
+      current.push(semi + octaves[oi] * 12);
       _enumerateVoicings(degrees, octaves, idx + 1, current, results);
       current.pop();
     }
@@ -1150,6 +1193,7 @@ var Harmony = (function () {
 
     // Frequency computation
     freq: scaleFreq,
+    nearestDegree: nearestDegree,
     chordFreqs: chordFreqs,
 
     // Note recording and state
@@ -1174,6 +1218,7 @@ var Harmony = (function () {
 
     // Voice leading (Tymoczko 2011)
     voiceLead: voiceLead,
+    voiceLeadSemis: voiceLeadSemis,
 
     // Mode-aware chord qualities
     getChordQuality: getChordQuality,
@@ -1189,6 +1234,9 @@ var Harmony = (function () {
     enterSilence: enterSilence,
     exitSilence: exitSilence,
 
+    // State snapshot (plain object — safe to serialize)
+    getState: getState,
+
     // State (read-only getters)
     get state()     { return getState(); },
     get root()      { return _root; },
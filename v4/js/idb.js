@@ -0,0 +1,94 @@
+/**
+ * IDB — One IndexedDB object store, behind a promise
+ *
+ * Archive (snapshots), Conform (rendered stems) and Pattern (oracles) each
+ * keep one object store in a database of their own, and each used to carry
+ * its own copy of the same open + transaction wrapper. This is that wrapper:
+ *
+ *   var db = IDB.store('gump_v4', 1, 'snapshots');
+ *   db.tx('readwrite', function (s) { s.put(rec); })       → Promise
+ *   db.tx('readonly',  function (s) { return s.get(id); })  → Promise<result>
+ *
+ * A transaction settles once. Complete resolves with the returned request's
+ * result. Error or abort (quota, the browser closing the database, storage
+ * cleared underneath) rejects, so callers' .catch fallbacks run instead of
+ * waiting forever. A database that fails to open stays failed for the page.
+ * An open blocked by another tab rejects too, but is retried next call.
+ * One the browser closes, or that a newer version in another tab asks to
+ * close, is opened again on the next call.
+ */
+
+const IDB = (function () {
+  'use strict';
+
+  /**
+   * @param {string}   name
+   * @param {number}   version
+   * @param {string}   storeName — created with keyPath 'id'
+   * @param {Function} [onCreate] — (objectStore) on creation, for indexes
+   */
+  function store(name, version, storeName, onCreate) {
+    var _db     = null;
+    var _failed = false;
+
+    function open() {
+      return new Promise(function (resolve, reject) {
+        if (_db) return resolve(_db);
+        if (_failed || typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+        try {
+          var req = indexedDB.open(name, version);
+          req.onupgradeneeded = function (e) {
+            var d = e.target.result;
+            if (!d.objectStoreNames.contains(storeName)) {
+              var s = d.createObjectStore(storeName, { keyPath: 'id' });
+              if (onCreate) onCreate(s);
+            }
+          };
+          req.onsuccess = function (e) {
+            var d = e.target.result;
+            // a blocked open that got through after a later one — keep one connection
+            if (_db && _db !== d) { try { d.close(); } catch (err) {} return resolve(_db); }
+            _db = d;
+            d.onclose = function () { if (_db === d) _db = null; };
+            d.onversionchange = function () { try { d.close(); } catch (err) {} if (_db === d) _db = null; };
+            resolve(d);
+          };
+          req.onerror = function () { _failed = true; reject(new Error('IndexedDB failed')); };
+          // another tab holds an older version open and won't close it —
+          // reject now; the next call tries again
+          req.onblocked = function () { reject(new Error('IndexedDB blocked by another tab')); };
+        } catch (e) {
+          _failed = true;
+          reject(new Error('IndexedDB unavailable'));
+        }
+      });
+    }
+
+    function tx(mode, fn) {
+      return open().then(function (d) {
+        return new Promise(function (resolve, reject) {
+          var t, result;
+          try {
+            t = d.transaction(storeName, mode);
+            result = fn(t.objectStore(storeName));
+          } catch (e) {
+            if (e && e.name === 'InvalidStateError') _db = null;   // closed under us
+            return reject(e);
+          }
+          t.oncomplete = function () { resolve(result && 'result' in result ? result.result : undefined); };
+          t.onerror = function () { reject(t.error || new Error('IndexedDB transaction failed')); };
+          t.onabort = function () { reject(t.error || new Error('IndexedDB transaction aborted')); };
+        });
+      });
+    }
+
+    return Object.freeze({
+      tx: tx,
+      get failed() { return _failed; },
+    });
+  }
+
+  return Object.freeze({
+    store: store,
+  });
+})();
@@ -0,0 +1,275 @@
+/**
+ * KIT — Drop in a folder (or zip) of one-shots, play them as the drums
+ *
+ * Files are sorted into instruments by name, so most sample packs load
+ * without a manifest:
+ *
+ *   kick  — kick, bd, bassdrum          snare — snare, sd, clap, rim
+ *   hat   — hat, hh, hihat, cymbal      shaker — shaker, shk, maraca
+ *   perc  — perc, tom, conga, bongo, cowbell, tamb, block
+ *
+ * Velocity layers come from a v1 / vel2 / layer3 tag or soft / medium /
+ * hard in the name (lowest = softest). Files that share an instrument and
+ * layer become round-robin takes. Folder names count too: Kicks/01.wav is
+ * a kick.
+ *
+ * Decoded buffers go to Sound.loadSample, so playDrum keeps its timing,
+ * sidechain pump and per-hit variation. Instruments the kit doesn't cover
+ * stay synthesized.
+ */
+
+const Kit = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var AUDIO_EXT = /\.(wav|wave|aif|aiff|mp3|ogg|flac|m4a)$/i;
+
+  // Whole words only (digits, '_', '-' and spaces separate; a plural 's' is
+  // fine) — "prime_hat" is not a rim, "override" not a ride, "bottom" not a tom
+  function _words(alts) {
+    return new RegExp('(^|[^a-z])(' + alts + ')s?([^a-z]|$)');
+  }
+
+  // First match wins — snare before hat so "clap_hh_bleed" stays a snare
+  var INSTRUMENTS = [
+    ['kick',   _words('kick|bd|bass ?drum')],
+    ['snare',  _words('snare|sd|clap|rim|rimshot|sidestick')],
+    ['shaker', _words('shaker|shk|maraca')],
+    ['hat',    _words('(hi|open|closed)?hat|hh|cymbal|ride')],
+    ['perc',   _words('perc|percussion|(hi|mid|low|floor)?tom|conga|bongo|cowbell|tamb|tambourine|(wood)?block|tabla')],
+  ];
+
+  var LAYER_WORDS = { soft: 1, ghost: 1, light: 1, med: 2, medium: 2, mid: 2, hard: 3, loud: 3, accent: 3 };
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _name   = '';
+  var _loaded = {};     // instrument → number of samples
+
+  // ── NAMES ─────────────────────────────────────────────────────────────
+
+  /** Instrument for a file path, or null. */
+  function instrumentFor(path) {
+    var p = String(path).toLowerCase();
+    var file = p.split('/').pop();
+    // The file name decides; the folder is only asked when the name is silent
+    var tries = [file, p];
+    for (var t = 0; t < tries.length; t++) {
+      for (var i = 0; i < INSTRUMENTS.length; i++) {
+        if (INSTRUMENTS[i][1].test(tries[t])) return INSTRUMENTS[i][0];
+      }
+    }
+    return null;
+  }
+
+  function _layerFor(path) {
+    var file = String(path).toLowerCase().split('/').pop();
+    var m = file.match(/(?:^|[^a-z])(?:v|vel|layer)[\s_-]?(\d+)/);
+    if (m) return parseInt(m[1], 10);
+    var words = file.split(/[^a-z]+/);
+    for (var i = 0; i < words.length; i++) {
+      if (LAYER_WORDS[words[i]]) return LAYER_WORDS[words[i]];
+    }
+    return 0;
+  }
+
+  // ── ZIP ───────────────────────────────────────────────────────────────
+  //
+  // Just enough of PKZIP to read a sample pack: central directory, stored
+  // and deflated entries (DecompressionStream). No zip64, no encryption.
+
+  function _inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      return Promise.reject(new Error('Kit: this browser cannot unzip — drop the folder instead'));
+    }
+    var stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer();
+  }
+
+  /**
+   * Read a zip archive.
+   * @param {ArrayBuffer} buf
+   * @returns {Promise<Array>} [{ name, data: ArrayBuffer }] — files only
+   */
+  function unzip(buf) {
+    var view = new DataView(buf);
+    var eocd = -1;
+    for (var i = buf.byteLength - 22; i >= Math.max(0, buf.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) return Promise.reject(new Error('Kit: not a zip file'));
+
+    var count = view.getUint16(eocd + 10, true);
+    var off   = view.getUint32(eocd + 16, true);
+    var jobs  = [];
+
+    for (var n = 0; n < count; n++) {
+      if (view.getUint32(off, true) !== 0x02014b50) break;
+      var method   = view.getUint16(off + 10, true);
+      var compSize = view.getUint32(off + 20, true);
+      var nameLen  = view.getUint16(off + 28, true);
+      var extraLen = view.getUint16(off + 30, true);
+      var commLen  = view.getUint16(off + 32, true);
+      var local    = view.getUint32(off + 42, true);
+      var name     = new TextDecoder().decode(new Uint8Array(buf, off + 46, nameLen));
+      off += 46 + nameLen + extraLen + commLen;
+
+      if (name.charAt(name.length - 1) === '/') continue;
+      if (view.getUint32(local, true) !== 0x04034b50) continue;
+      var start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      var bytes = new Uint8Array(buf, start, compSize);
+
+      (function (name, method, bytes) {
+        if (method === 0) {
+          jobs.push(Promise.resolve({ name: name, data: bytes.slice().buffer }));
+        } else if (method === 8) {
+          jobs.push(_inflate(bytes).then(function (data) { return { name: name, data: data }; }));
+        }
+      })(name, method, bytes);
+    }
+    return Promise.all(jobs);
+  }
+
+  // ── SOURCES ───────────────────────────────────────────────────────────
+
+  function _read(file) {
+    if (file.arrayBuffer) return file.arrayBuffer();
+    return new Promise(function (resolve, reject) {
+      var r = new FileReader();
+      r.onload = function () { resolve(r.result); };
+      r.onerror = function () { reject(r.error); };
+      r.readAsArrayBuffer(file);
+    });
+  }
+
+  // Files (from an <input>, a drop, or { name, data } objects) → flat
+  // [{ name, data }], with zips opened in place
+  function _expand(files) {
+    return Promise.all(Array.prototype.map.call(files, function (f) {
+      var name = f.webkitRelativePath || f.name || '';
+      var got = f.data ? Promise.resolve(f.data) : _read(f);
+      return got.then(function (data) {
+        if (/\.zip$/i.test(name)) return unzip(data);
+        return [{ name: name, data: data }];
+      });
+    })).then(function (lists) {
+      return [].concat.apply([], lists);
+    });
+  }
+
+  // Walk dropped folders (webkitGetAsEntry) into File objects with paths
+  function _walk(entry, prefix) {
+    if (entry.isFile) {
+      return new Promise(function (resolve) {
+        entry.file(function (f) { resolve([{ path: prefix + f.name, file: f }]); },
+                   function () { resolve([]); });
+      });
+    }
+    if (!entry.isDirectory) return Promise.resolve([]);
+    var reader = entry.createReader();
+    var all = [];
+    return new Promise(function (resolve) {
+      (function more() {
+        reader.readEntries(function (batch) {
+          if (!batch.length) {
+            Promise.all(all.map(function (e) { return _walk(e, prefix + entry.name + '/'); }))
+              .then(function (lists) { resolve([].concat.apply([], lists)); });
+            return;
+          }
+          all = all.concat(Array.prototype.slice.call(batch));
+          more();
+        }, function () { resolve([]); });
+      })();
+    });
+  }
+
+  /** Files from a drop event's DataTransfer — folders are walked. */
+  function fromDataTransfer(dt) {
+    var items = dt && dt.items ? Array.prototype.slice.call(dt.items) : [];
+    var entries = items
+      .map(function (it) { return it.webkitGetAsEntry ? it.webkitGetAsEntry() : null; })
+      .filter(Boolean);
+    if (!entries.length) return load(dt ? dt.files : []);
+    return Promise.all(entries.map(function (e) { return _walk(e, ''); })).then(function (lists) {
+      return Promise.all([].concat.apply([], lists).map(function (x) {
+        return _read(x.file).then(function (data) { return { name: x.path, data: data }; });
+      }));
+    }).then(load);
+  }
+
+  // ── LOAD ──────────────────────────────────────────────────────────────
+
+  function _decode(data) {
+    return new Promise(function (resolve) {
+      try {
+        var p = Sound.ctx.decodeAudioData(data, resolve, function () { resolve(null); });
+        if (p && p.catch) p.catch(function () { resolve(null); });
+      } catch (e) { resolve(null); }
+    });
+  }
+
+  /**
+   * Load a kit, replacing the previous one.
+   * @param {FileList|Array} files — audio files and/or zips (File, or { name, data })
+   * @returns {Promise<Object>} { loaded: { kick: n, … }, skipped: [names] }
+   */
+  function load(files) {
+    if (typeof Sound === 'undefined' || !Sound.ctx) {
+      return Promise.reject(new Error('Kit: start audio first'));
+    }
+    return _expand(files || []).then(function (list) {
+      var skipped = [];
+      var wanted = list.filter(function (f) {
+        var ok = AUDIO_EXT.test(f.name) && instrumentFor(f.name) && !/(^|\/)(__macosx|\.)/i.test(f.name);
+        if (!ok) skipped.push(f.name);
+        return ok;
+      });
+      wanted.sort(function (a, b) { return a.name < b.name ? -1 : a.name > b.name ? 1 : 0; });
+
+      return Promise.all(wanted.map(function (f) { return _decode(f.data); })).then(function (bufs) {
+        var byInst = {};
+        wanted.forEach(function (f, i) {
+          if (!bufs[i]) { skipped.push(f.name); return; }
+          var inst = instrumentFor(f.name);
+          var layer = _layerFor(f.name);
+          byInst[inst] = byInst[inst] || {};
+          (byInst[inst][layer] = byInst[inst][layer] || []).push(bufs[i]);
+        });
+
+        Sound.clearSamples();
+        _loaded = {};
+        Object.keys(byInst).forEach(function (inst) {
+          var layers = Object.keys(byInst[inst])
+            .map(Number)
+            .sort(function (a, b) { return a - b; })
+            .map(function (l) { return byInst[inst][l]; });
+          if (Sound.loadSample(inst, layers)) {
+            _loaded[inst] = layers.reduce(function (n, l) { return n + l.length; }, 0);
+          }
+        });
+        _name = (wanted[0] && wanted[0].name.indexOf('/') > 0) ? wanted[0].name.split('/')[0] : 'kit';
+        return { loaded: _loaded, skipped: skipped };
+      });
+    });
+  }
+
+  /** Drop the kit — every drum goes back to synthesis. */
+  function clear() {
+    if (typeof Sound !== 'undefined') Sound.clearSamples();
+    _loaded = {};
+    _name = '';
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    load:             load,
+    fromDataTransfer: fromDataTransfer,
+    clear:            clear,
+    unzip:            unzip,
+    instrumentFor:    instrumentFor,
+    get name()   { return _name; },
+    get loaded() { return JSON.parse(JSON.stringify(_loaded)); },
+  });
+})();
@@ -0,0 +1,203 @@
+/**
+ * MIDIIN — A keyboard or pad as the body
+ *
+ * Alternate sensor source for laptops. MIDI messages are folded into the
+ * same SensorState that Sensor.read() produces, so Body, Conductor and Wand
+ * can't tell a drum pad from a phone:
+ *
+ *   note on velocity → acceleration impulse on z (one clean peak per hit,
+ *                      the shape Body.detectPeak is tuned for)
+ *   held notes       → touch: x = key across KEY_LO..KEY_HI, y = 1 - velocity
+ *   mod wheel (CC1)  → beta  (0 → BETA_LO, 127 → BETA_HI; 62° is centre)
+ *   pitch bend       → gamma (±GAMMA_RANGE degrees)
+ *
+ * Tilt fields are only overridden once their controller has moved, so a
+ * phone with a MIDI pad still tilts normally.
+ *
+ * init(access) takes any MIDIAccess-shaped object; handle(data) accepts a
+ * raw message, so a mock can drive it without Web MIDI.
+ */
+
+const MidiIn = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var IMPULSE_MIN   = 1.8;    // m/s² — just over Body's default peak threshold
+  var IMPULSE_SCALE = 7.0;    // extra m/s² at full velocity
+  var IMPULSE_DECAY = 0.45;   // per frame — fast fall so the peak is a peak
+  var KEY_LO = 36, KEY_HI = 96;
+  var BETA_LO = 20, BETA_HI = 100;
+  var GAMMA_RANGE = 45;
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _access  = null;
+  var _active  = false;
+  var _impulse = 0;
+  var _held    = [];          // note numbers currently down, newest last
+  var _vel     = {};          // note → velocity 0–1
+  var _beta    = null;        // null until the mod wheel moves
+  var _gamma   = null;        // null until the bend moves
+  var _prevTx  = 0.5, _prevTy = 0.5;
+  var _touching = false;
+  var _touchStart = 0, _startTx = 0.5, _startTy = 0.5;
+  var _messages = 0;
+
+  // ── MESSAGES ──────────────────────────────────────────────────────────
+
+  function _noteOn(note, vel) {
+    var v = vel / 127;
+    _impulse = Math.max(_impulse, IMPULSE_MIN + v * IMPULSE_SCALE);
+    var i = _held.indexOf(note);
+    if (i !== -1) _held.splice(i, 1);
+    if (_held.length === 0) _touchStart = (typeof performance !== 'undefined') ? performance.now() : 0;
+    _held.push(note);
+    _vel[note] = v;
+  }
+
+  function _noteOff(note) {
+    var i = _held.indexOf(note);
+    if (i !== -1) _held.splice(i, 1);
+    delete _vel[note];
+  }
+
+  /** Feed one raw MIDI message (Uint8Array or array). */
+  function handle(data) {
+    if (!data || data.length < 2) return;
+    var status = data[0] & 0xf0;
+    var d1 = data[1], d2 = data.length > 2 ? data[2] : 0;
+    _messages++;
+
+    switch (status) {
+      case 0x90:
+        if (d2 > 0) _noteOn(d1, d2); else _noteOff(d1);
+        break;
+      case 0x80:
+        _noteOff(d1);
+        break;
+      case 0xb0:
+        if (d1 === 1) _beta = BETA_LO + (d2 / 127) * (BETA_HI - BETA_LO);
+        else if (d1 === 123 || d1 === 120) { _held = []; _vel = {}; }
+        break;
+      case 0xe0:
+        var bend = ((d2 << 7) | d1) - 8192;
+        _gamma = (bend / 8192) * GAMMA_RANGE;
+        break;
+    }
+  }
+
+  function _onMessage(e) {
+    if (_active) handle(e.data);
+  }
+
+  function _attach() {
+    if (!_access || !_access.inputs) return;
+    _access.inputs.forEach(function (input) {
+      if (input.addEventListener) {
+        input.removeEventListener('midimessage', _onMessage);
+        input.addEventListener('midimessage', _onMessage);
+      } else {
+        input.onmidimessage = _onMessage;
+      }
+    });
+  }
+
+  /**
+   * Listen on every MIDI input (hot-plugged ones included).
+   * @param {Object} [access] — a MIDIAccess (or mock). Omit to request one.
+   * @returns {Promise<Array>} inputs [{ id, name }]
+   */
+  function init(access) {
+    var p;
+    if (access) {
+      p = Promise.resolve(access);
+    } else if (typeof navigator !== 'undefined' && navigator.requestMIDIAccess) {
+      p = navigator.requestMIDIAccess({ sysex: false });
+    } else {
+      return Promise.reject(new Error('MidiIn: Web MIDI unavailable'));
+    }
+    return p.then(function (a) {
+      _access = a;
+      _attach();
+      try { a.onstatechange = _attach; } catch (e) {}
+      var list = [];
+      if (a.inputs) a.inputs.forEach(function (i) { list.push({ id: i.id, name: i.name || '' }); });
+      return list;
+    });
+  }
+
+  // ── SENSORSTATE ───────────────────────────────────────────────────────
+
+  /**
+   * Fold MIDI into a SensorState. Call once per frame, after Sensor.read().
+   * Returns a new object; the input is not modified.
+   */
+  function apply(sensor) {
+    var s = {};
+    var k;
+    for (k in sensor) if (Object.prototype.hasOwnProperty.call(sensor, k)) s[k] = sensor[k];
+    if (!_active) return s;
+
+    // Peaks: decaying impulse on z
+    if (_impulse > 0.01) {
+      s.gz = (s.gz || 0) + _impulse;
+      s.az = (s.az || 0) + _impulse;
+      _impulse *= IMPULSE_DECAY;
+    } else {
+      _impulse = 0;
+    }
+
+    // Tilt
+    if (_beta !== null)  s.beta  = Math.max(-90, Math.min(90, _beta));
+    if (_gamma !== null) s.gamma = _gamma;
+
+    // Touch: newest held note
+    if (_held.length > 0) {
+      var note = _held[_held.length - 1];
+      var tx = Math.max(0, Math.min(1, (note - KEY_LO) / (KEY_HI - KEY_LO)));
+      var ty = 1 - (_vel[note] || 0.5);
+      if (!_touching) { _touching = true; _startTx = _prevTx = tx; _startTy = _prevTy = ty; }
+      s.touching = true;
+      s.tx = tx;
+      s.ty = ty;
+      s.touchVelX = tx - _prevTx;
+      s.touchVelY = ty - _prevTy;
+      s.touchStartX = _startTx;
+      s.touchStartY = _startTy;
+      s.touchStartTime = _touchStart;
+      _prevTx = tx;
+      _prevTy = ty;
+    } else {
+      _touching = false;
+    }
+
+    s.hasMotion = true;
+    return s;
+  }
+
+  function enable()  { _active = true; }
+
+  function disable() {
+    _active = false;
+    _impulse = 0;
+    _held = [];
+    _vel = {};
+    _touching = false;
+    _beta = null;
+    _gamma = null;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    init:    init,
+    handle:  handle,
+    apply:   apply,
+    enable:  enable,
+    disable: disable,
+    get active()   { return _active; },
+    get held()     { return _held.slice(); },
+    get messages() { return _messages; },
+  });
+})();
@@ -0,0 +1,233 @@
+/**
+ * MIDIOUT — The wand plays external instruments
+ *
+ * Optional Web MIDI backend next to Sound. Every note and drum hit the
+ * conductor decides on (via Sound.addListener) is mirrored to a MIDI
+ * output, and the wand's continuous state rides along as controllers:
+ *
+ *   note on/off   — melodic voices on `channel`, drums on channel 10 (GM keys)
+ *   pitch bend    — gamma (left-right tilt), ±BEND_RANGE degrees = full bend
+ *   CC            — tremor, speed, curvature, K, R, E, T (see DEFAULT_CC)
+ *
+ * Audio-clock note times are converted to performance.now() timestamps so
+ * output.send() schedules them in step with the built-in synths.
+ *
+ * init(access) takes any MIDIAccess-shaped object ({ outputs: Map-like of
+ * { id, name, send(data, ts), clear() } }), so tests can pass a mock and
+ * skip navigator.requestMIDIAccess entirely — tools/check-midi.js does.
+ */
+
+const MidiOut = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var DRUM_CH     = 9;
+  var BEND_RANGE  = 45;     // degrees of gamma for full bend
+  var CC_INTERVAL = 30;     // ms between controller sweeps (~33Hz)
+
+  var DEFAULT_CC = Object.freeze({
+    tremor:    1,    // mod wheel — most patches map it to vibrato
+    speed:     11,   // expression
+    curvature: 74,   // brightness / cutoff
+    K: 20, R: 21, E: 22, T: 23,   // undefined controllers, free to MIDI-learn
+  });
+
+  var GM_DRUM = { kick: 36, snare: 38, hat: 42, shaker: 70, perc: 37 };
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _access   = null;
+  var _output   = null;
+  var _enabled  = false;
+  var _channel  = 0;
+  var _ccMap    = DEFAULT_CC;
+  var _lastCC   = {};
+  var _lastBend = -1;
+  var _lastSweep = 0;
+  var _sent     = 0;
+
+  // ── PORTS ─────────────────────────────────────────────────────────────
+
+  // A MIDIPort's name may be null — virtual ports often have none
+  function _port(o) {
+    return { id: o.id, name: o.name || '' };
+  }
+
+  function _outputsList() {
+    var list = [];
+    if (!_access || !_access.outputs) return list;
+    _access.outputs.forEach(function (o) { list.push(o); });
+    return list;
+  }
+
+  /**
+   * Connect to Web MIDI.
+   * @param {Object} [access] — a MIDIAccess (or mock). Omit to request one.
+   * @returns {Promise<Array>} available outputs [{ id, name }]
+   */
+  function init(access) {
+    var p;
+    if (access) {
+      p = Promise.resolve(access);
+    } else if (typeof navigator !== 'undefined' && navigator.requestMIDIAccess) {
+      p = navigator.requestMIDIAccess({ sysex: false });
+    } else {
+      return Promise.reject(new Error('MidiOut: Web MIDI unavailable'));
+    }
+    return p.then(function (a) {
+      _access = a;
+      var outs = _outputsList();
+      if (!_output && outs.length) _output = outs[0];
+      return outs.map(_port);
+    });
+  }
+
+  function select(id) {
+    var outs = _outputsList();
+    for (var i = 0; i < outs.length; i++) {
+      if (outs[i].id === id) { _output = outs[i]; _lastCC = {}; _lastBend = -1; return true; }
+    }
+    return false;
+  }
+
+  function configure(opts) {
+    opts = opts || {};
+    if (typeof opts.channel === 'number') _channel = Math.max(0, Math.min(15, opts.channel | 0));
+    if (opts.cc && typeof opts.cc === 'object') {
+      var map = {};
+      Object.keys(DEFAULT_CC).forEach(function (k) {
+        map[k] = (typeof opts.cc[k] === 'number') ? opts.cc[k] : DEFAULT_CC[k];
+      });
+      _ccMap = map;
+    }
+  }
+
+  // ── SEND ──────────────────────────────────────────────────────────────
+
+  function _send(data, ts) {
+    if (!_output) return;
+    try {
+      if (typeof ts === 'number') _output.send(data, ts);
+      else _output.send(data);
+      _sent++;
+    } catch (e) {}
+  }
+
+  // Audio-clock seconds → performance.now() milliseconds
+  function _toPerf(audioTime) {
+    var nowAudio = (typeof Sound !== 'undefined') ? Sound.currentTime : 0;
+    var nowPerf  = (typeof performance !== 'undefined') ? performance.now() : 0;
+    return nowPerf + Math.max(0, audioTime - nowAudio) * 1000;
+  }
+
+  function _note(freq) {
+    return Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(freq / 440))));
+  }
+
+  function _vel(v) {
+    return Math.max(1, Math.min(127, Math.round(v * 127)));
+  }
+
+  function _onSound(ev) {
+    if (!_enabled || !_output) return;
+    // Offline renders replay the take faster than real time — keep them off the wire
+    if (typeof Render !== 'undefined' && Render.rendering) return;
+    var on = _toPerf(ev.time);
+    var ch, note, dur;
+    if (ev.type === 'drum') {
+      ch = DRUM_CH;
+      note = GM_DRUM[ev.instrument] || 39;
+      dur = 0.1;
+    } else {
+      ch = _channel;
+      note = _note(ev.freq || 440);
+      dur = Math.max(0.02, ev.duration || 0.25);
+    }
+    _send([0x90 | ch, note, _vel(ev.velocity)], on);
+    _send([0x80 | ch, note, 0], on + dur * 1000);
+  }
+
+  // ── CONTROLLERS ───────────────────────────────────────────────────────
+
+  function _cc(name, value01) {
+    var num = _ccMap[name];
+    if (typeof num !== 'number' || typeof value01 !== 'number') return;
+    var v = Math.max(0, Math.min(127, Math.round(value01 * 127)));
+    if (_lastCC[name] === v) return;
+    _lastCC[name] = v;
+    _send([0xb0 | _channel, num, v]);
+  }
+
+  /**
+   * Per-frame: wand → CCs, tilt → pitch bend. Only changed values are sent.
+   * @param {Object} sensor — SensorState (gamma used for bend)
+   * @param {Object} wand   — Wand.getState()
+   * @param {number} [now]  — ms, defaults to performance.now()
+   */
+  function update(sensor, wand, now) {
+    if (!_enabled || !_output) return;
+    var t = (typeof now === 'number') ? now : performance.now();
+    if (t - _lastSweep < CC_INTERVAL) return;
+    _lastSweep = t;
+
+    if (wand) {
+      _cc('tremor', wand.tremor);
+      _cc('speed', wand.speed);
+      _cc('curvature', wand.curvature);
+      if (wand.kret) {
+        _cc('K', wand.kret.K);
+        _cc('R', wand.kret.R);
+        _cc('E', wand.kret.E);
+        _cc('T', wand.kret.T);
+      }
+    }
+
+    if (sensor && typeof sensor.gamma === 'number') {
+      var g = Math.max(-1, Math.min(1, sensor.gamma / BEND_RANGE));
+      var bend = Math.max(0, Math.min(16383, Math.round(8192 + g * 8191)));
+      if (Math.abs(bend - _lastBend) >= 32) {
+        _lastBend = bend;
+        _send([0xe0 | _channel, bend & 0x7f, (bend >> 7) & 0x7f]);
+      }
+    }
+  }
+
+  // ── ENABLE ────────────────────────────────────────────────────────────
+
+  function enable() {
+    _enabled = true;
+    if (typeof Sound !== 'undefined' && Sound.addListener) Sound.addListener(_onSound);
+  }
+
+  // Drop what's queued with future timestamps, then all notes off + bend
+  // home, so nothing sounds or hangs on the hardware after MIDI is off
+  function disable() {
+    _enabled = false;
+    if (typeof Sound !== 'undefined' && Sound.removeListener) Sound.removeListener(_onSound);
+    if (!_output) return;
+    try { if (_output.clear) _output.clear(); } catch (e) {}
+    [_channel, DRUM_CH].forEach(function (ch) {
+      _send([0xb0 | ch, 123, 0]);
+      _send([0xe0 | ch, 0x00, 0x40]);
+    });
+    _lastCC = {};
+    _lastBend = -1;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    init:      init,
+    select:    select,
+    configure: configure,
+    enable:    enable,
+    disable:   disable,
+    update:    update,
+    outputs:   function () { return _outputsList().map(_port); },
+    DEFAULT_CC: DEFAULT_CC,
+    get enabled() { return _enabled; },
+    get output()  { return _output ? _port(_output) : null; },
+    get sent()    { return _sent; },
+  });
+})();
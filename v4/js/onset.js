@@ -0,0 +1,291 @@
+/**
+ * ONSET — The room's beat, heard through the mic
+ *
+ * Tempo used to come only from the hand (Body peaks) or a style's grid BPM;
+ * a drummer in the room, claps or feet were just reverb. This listens to the
+ * MIC + ROOM stream for hits and follows them:
+ *
+ *   spectral flux   — every frame, how much louder each FFT bin got
+ *                     (log-compressed, rises only). Hits light up many bins
+ *                     at once; a held note or a hum barely moves it.
+ *   onsets          — flux above the last second's mean + ONSET_K·std and
+ *                     ONSET_RATIO × its median
+ *   tempo           — autocorrelation of the flux envelope over WINDOW_SEC,
+ *                     MIN_BPM–MAX_BPM, weighted toward ~PRIOR_BPM so a
+ *                     straight beat does not read as its own half or double
+ *   phase           — the comb of beats at that period that sits on the
+ *                     most flux; where `now` falls between its teeth
+ *
+ * estimate(now) → { tempo, phase (0–1 within the beat), confidence } feeds
+ * Rhythm.update (bodyState.room) through the conductor, which pulls the
+ * band's BPM to it and speeds or slows the bar clock until the beats line up.
+ *
+ * The mic also hears the phone's own drums (echo cancellation is off so
+ * the room comes through whole). Every drum hit the band plays is noted
+ * from Sound's listener, and flux heard within OWN_EARLY_MS–OWN_LATE_MS of
+ * one (after output latency) is skipped: it neither builds the envelope nor
+ * counts as an onset. Only hits that aren't the band's own raise confidence,
+ * so the phone alone never follows itself. A drummer right on the band's
+ * hits is skipped with them and keeps the lock on the hits in between.
+ */
+
+const Onset = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var FFT_SIZE    = 1024;
+  var MAX_HZ      = 10000;   // above this is mostly hiss
+  var COMPRESS    = 1000;    // log(1 + C·mag) — quiet hits count, loud ones don't dominate
+  var ENV_MS      = 20;      // flux envelope resolution
+  var WINDOW_SEC  = 8;
+  var ESTIMATE_MS = 250;     // tempo + phase re-estimated this often
+  var MIN_BPM     = 60;
+  var MAX_BPM     = 180;
+  var PRIOR_BPM   = 110;
+  var PRIOR_OCT   = 1.0;     // width of the tempo prior, octaves
+  var ONSET_K     = 2.0;
+  var ONSET_RATIO = 3;       // …and this many times the median — room noise has a flux floor of its own
+  var FLUX_MIN    = 2.0;     // below this nothing hit, whatever the statistics say
+  var REFRACTORY  = 90;      // ms between onsets
+  var LATENCY_MS  = 40;      // mic + analyser delay — heard beats happened this much earlier
+  var STALE_MS    = 500;     // estimate() goes quiet when update() stops being called
+  var LOST_BEATS  = 3;       // beats without an onset before confidence drops to nothing
+  var OWN_EARLY_MS = 30;     // around each of the band's own drum hits,
+  var OWN_LATE_MS  = 150;    // …this window of flux is the phone, not the room
+  var OWN_KEEP     = 64;
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _analyser = null;
+  var _source   = null;
+  var _ctx      = null;
+  var _own      = [];        // audio-clock times (s) of the band's own drum hits
+  var _spec     = null;      // dB, this frame
+  var _prev     = null;      // compressed magnitude, last frame
+  var _rate     = 44100;
+  var _maxBin   = 0;
+
+  var _env      = null;      // flux envelope ring, one slot per ENV_MS
+  var _envSlot  = -1;        // absolute slot index last written
+  var _recent   = [];        // [flux] for the last second, onset threshold
+  var _lastOnset = -Infinity;
+  var _lastRun  = -Infinity;
+  var _lastEst  = -Infinity;
+
+  var _tempo    = 0;
+  var _periodMs = 0;
+  var _beatT    = 0;         // time of the last beat on the comb, ms
+  var _conf     = 0;
+
+  // ── MIC ───────────────────────────────────────────────────────────────
+
+  /** Listen to `source` (the mic's MediaStreamSource). */
+  function attach(ctx, source) {
+    detach();
+    try {
+      _ctx = ctx;
+      if (typeof Sound !== 'undefined' && Sound.addListener) Sound.addListener(_onSound);
+      _analyser = ctx.createAnalyser();
+      _analyser.fftSize = FFT_SIZE;
+      _analyser.smoothingTimeConstant = 0;    // the default smears every hit across frames
+      source.connect(_analyser);
+      _source = source;
+      _rate = ctx.sampleRate;
+      _spec = new Float32Array(_analyser.frequencyBinCount);
+      _prev = new Float32Array(_analyser.frequencyBinCount);
+      _maxBin = Math.min(_spec.length, Math.floor(MAX_HZ / (_rate / FFT_SIZE)));
+      _env = new Float32Array(Math.round(WINDOW_SEC * 1000 / ENV_MS));
+    } catch (e) { _analyser = null; }
+  }
+
+  function detach() {
+    if (_source && _analyser) { try { _source.disconnect(_analyser); } catch (e) { /* already gone */ } }
+    if (typeof Sound !== 'undefined' && Sound.removeListener) Sound.removeListener(_onSound);
+    _analyser = null;
+    _source = null;
+    _ctx = null;
+    _own = [];
+    _envSlot = -1;
+    _recent = [];
+    _lastOnset = -Infinity;
+    _lastEst = -Infinity;
+    _tempo = 0;
+    _periodMs = 0;
+    _conf = 0;
+  }
+
+  // ── OWN DRUMS ─────────────────────────────────────────────────────────
+
+  // Live hits only — an offline render plays on another clock
+  function _onSound(ev) {
+    if (ev.type !== 'drum' || (typeof Render !== 'undefined' && Render.rendering)) return;
+    _own.push(ev.time);
+    if (_own.length > OWN_KEEP) _own.shift();
+  }
+
+  // Is what the mic hears now one of ours? Hits are scheduled ahead, and
+  // leave the speaker output latency after their time.
+  function _ownHit() {
+    if (!_ctx || _own.length === 0) return false;
+    var out = _ctx.currentTime - ((_ctx.outputLatency || 0) + (_ctx.baseLatency || 0));
+    for (var i = _own.length - 1; i >= 0; i--) {
+      var d = (out - _own[i]) * 1000;
+      if (d >= -OWN_EARLY_MS && d <= OWN_LATE_MS) return true;
+    }
+    return false;
+  }
+
+  // ── FLUX ──────────────────────────────────────────────────────────────
+
+  function _flux() {
+    _analyser.getFloatFrequencyData(_spec);
+    var sum = 0;
+    for (var i = 1; i < _maxBin; i++) {
+      var db = _spec[i];
+      var m = isFinite(db) ? Math.log(1 + COMPRESS * Math.pow(10, db / 20)) : 0;
+      if (m > _prev[i]) sum += m - _prev[i];
+      _prev[i] = m;
+    }
+    return sum;
+  }
+
+  // Keep the loudest flux per ENV_MS slot; slots no frame reached stay 0
+  function _store(now, flux) {
+    var slot = Math.floor(now / ENV_MS);
+    var n = _env.length;
+    if (_envSlot < 0 || slot - _envSlot >= n) { _env.fill(0); _envSlot = slot - 1; }
+    while (_envSlot < slot) { _envSlot++; _env[_envSlot % n] = 0; }
+    var k = slot % n;
+    if (flux > _env[k]) _env[k] = flux;
+  }
+
+  // ── TEMPO + PHASE ─────────────────────────────────────────────────────
+
+  // The window, oldest first, minus its local mean and floored at 0 —
+  // a steady loud room becomes flat, only the hits stand out
+  function _window() {
+    var n = _env.length;
+    var raw = new Float32Array(n);
+    for (var i = 0; i < n; i++) raw[i] = _env[(_envSlot + 1 + i) % n];
+    var out = new Float32Array(n);
+    var HALF = 12;
+    for (var j = 0; j < n; j++) {
+      var s = 0, c = 0;
+      for (var k = Math.max(0, j - HALF); k <= Math.min(n - 1, j + HALF); k++) { s += raw[k]; c++; }
+      out[j] = Math.max(0, raw[j] - s / c);
+    }
+    return out;
+  }
+
+  function _estimate(now) {
+    var env = _window();
+    var n = env.length;
+    var zero = 0;
+    for (var i = 0; i < n; i++) zero += env[i] * env[i];
+    if (zero <= 0) { _conf = 0; return; }
+
+    // autocorrelation across the tempo range, with the prior
+    var minLag = Math.floor(60000 / MAX_BPM / ENV_MS);
+    var maxLag = Math.ceil(60000 / MIN_BPM / ENV_MS);
+    var ac = [];
+    for (var lag = minLag - 1; lag <= 2 * maxLag + 2; lag++) {
+      var s = 0;
+      for (var j = lag; j < n; j++) s += env[j] * env[j - lag];
+      ac[lag] = s / zero;
+    }
+    // A period that falls between slots smears over two; the one at twice
+    // the lag is the same beat again, and keeps a true tempo ahead of its half
+    var near = function (l) { return Math.max(ac[l - 1], ac[l], ac[l + 1]); };
+    var best = -1, bestScore = 0;
+    for (lag = minLag; lag <= maxLag; lag++) {
+      var oct = Math.log(60000 / (lag * ENV_MS) / PRIOR_BPM) / Math.LN2 / PRIOR_OCT;
+      var score = (ac[lag] + 0.5 * near(2 * lag)) * Math.exp(-0.5 * oct * oct);
+      if (score > bestScore) { bestScore = score; best = lag; }
+    }
+    if (best < 0) { _conf = 0; return; }
+
+    // parabolic peak — the 20 ms grid alone is several BPM coarse
+    var a = ac[best - 1], b = ac[best], c2 = ac[best + 1];
+    var denom = a - 2 * b + c2;
+    var lagF = best + (denom < 0 ? 0.5 * (a - c2) / denom : 0);
+    var period = lagF * ENV_MS;
+
+    // comb phase: the offset whose teeth land on the most flux
+    var bestOff = 0, bestSum = -1;
+    for (var off = 0; off < lagF; off++) {
+      var sum = 0;
+      for (var pos = n - 1 - off; pos >= 1; pos -= lagF) {
+        var p = Math.round(pos);
+        sum += Math.max(env[p], env[p - 1], p + 1 < n ? env[p + 1] : 0);
+      }
+      if (sum > bestSum) { bestSum = sum; bestOff = off; }
+    }
+
+    _tempo = 60000 / period;
+    _periodMs = period;
+    _beatT = (_envSlot - bestOff) * ENV_MS + ENV_MS / 2 - LATENCY_MS;
+
+    // a clean beat correlates with itself at one period almost as well as at zero
+    var conf = Math.max(0, Math.min(1, (b - 0.15) / 0.5));
+    if (now - _lastOnset > LOST_BEATS * period) conf = 0;
+    _conf = conf;
+  }
+
+  // ── UPDATE ────────────────────────────────────────────────────────────
+
+  /**
+   * Call once per loop frame.
+   * @param {number} now — ms
+   * @returns {{ strength }|null} an onset, only on the frame it was heard
+   */
+  function update(now) {
+    if (!_analyser || now <= _lastRun) return null;
+    _lastRun = now;
+    var hit = null;
+    try {
+      var flux = _flux();       // every frame, so the next one rises from here
+      if (!_ownHit()) {
+        _store(now, flux);
+
+        _recent.push(flux);
+        if (_recent.length > 60) _recent.shift();
+        var mean = 0, sq = 0;
+        for (var i = 0; i < _recent.length; i++) { mean += _recent[i]; sq += _recent[i] * _recent[i]; }
+        mean /= _recent.length;
+        var std = Math.sqrt(Math.max(0, sq / _recent.length - mean * mean));
+        var median = _recent.slice().sort(function (x, y) { return x - y; })[_recent.length >> 1];
+        if (flux > FLUX_MIN && flux > mean + ONSET_K * std && flux > median * ONSET_RATIO &&
+            now - _lastOnset > REFRACTORY) {
+          _lastOnset = now;
+          hit = { strength: Math.min(1, (flux - mean) / (ONSET_K * std + FLUX_MIN) / 4) };
+        }
+      }
+
+      if (now - _lastEst >= ESTIMATE_MS) { _lastEst = now; _estimate(now); }
+    } catch (e) { /* never crash the music */ }
+    return hit;
+  }
+
+  /**
+   * The room's beat at `now`, or null when nothing is listening.
+   * @returns {{ tempo, phase, confidence }|null} phase 0–1, 0 = on the beat
+   */
+  function estimate(now) {
+    if (!_analyser || !(_periodMs > 0) || Math.abs(now - _lastRun) > STALE_MS) return null;
+    var ph = ((now - _beatT) / _periodMs) % 1;
+    return { tempo: _tempo, phase: ph < 0 ? ph + 1 : ph, confidence: _conf };
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    attach:   attach,
+    detach:   detach,
+    update:   update,
+    estimate: estimate,
+    get listening()  { return _analyser !== null; },
+    get tempo()      { return _tempo; },
+    get confidence() { return _conf; },
+  });
+})();
@@ -0,0 +1,745 @@
+/**
+ * PATTERN — The AI producer, ported from v1 (v1/js/pattern.js)
+ *
+ * A Factor Oracle (Assayag/Allauzen, IRCAM 1999) over the tilt melody the
+ * conductor plays. Each note is one symbol: degree × duration × energy,
+ * 135 of them. On top of it, as in v1:
+ *
+ *   motifs        — 3–6 symbol runs heard three times
+ *   phrase forms  — 10-note blocks clustered falling / low / center / high /
+ *                   rising; a trigram heard three times is a form
+ *   generation    — after a long silence, one phrase navigated through the
+ *                   oracle from a motif, beat-aligned, resolving toward the
+ *                   degree you rest on
+ *   beat drop     — four similar phrases in a row cue Conductor's drop
+ *   crystallize   — with a form found and 7 s of silence, its progression
+ *                   plays once on the harmonic voice
+ *
+ * Memory: one oracle per player and per style, kept in IndexedDB
+ * (gump_v4_pattern → oracles) as its symbol sequence with a weight per
+ * note. Each session multiplies the old weights by DECAY; notes under
+ * W_FLOOR are pruned and only the newest MAX_SYMS are kept. A record saved
+ * by this page, or in the last SAME_SESSION_MS, loads undecayed — style
+ * switches and reloads aren't new sessions. The player is
+ * the same `m2_user` id v1 uses, so one phone is one player across both.
+ *
+ * Modes: 'answer' plays only into silences. 'style' also opens each style
+ * by improvising from memory before you move; Conductor holds the master
+ * open at `presence` while it does.
+ *
+ * Conductor drives it: setStyle() from _applyLens, onNote() for every tilt
+ * note, update() every frame, rewind() from init. Chance draws from the
+ * session PRNG like every other module. The oracle itself can't replay —
+ * memory grows between a take and its render — so each phrase it builds is
+ * logged as a 'pattern' event, in the take and in a sensor session, along
+ * with how many draws building it took. Offline (a render, or a session
+ * playing back), update() plays the logged phrase and burns the same
+ * draws, so everything after it in the frame draws what it drew live.
+ */
+
+const Pattern = (function () {
+  'use strict';
+
+  // Session PRNG (seed.js) when loaded
+  var rand = (typeof Seed !== 'undefined') ? Seed.random : Math.random;
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var DB_NAME    = 'gump_v4_pattern';
+  var DB_VERSION = 1;
+  var STORE      = 'oracles';
+  var USER_KEY   = 'm2_user';            // shared with v1
+  var MODE_KEY   = 'gump_v4_pattern_mode';
+  var DECAY      = 0.85;                 // per session — ~19 sessions to the floor
+  var W_FLOOR    = 0.05;
+  var MAX_SYMS   = 1500;
+  var MOTIF_KEEP = 64;
+  var SAVE_MS    = 60000;
+  var SAME_SESSION_MS = 30 * 60000;
+
+  var GEN_SILENCE_MS     = 9000;   // answer after this much silence
+  var GEN_MIN_NOTES      = 40;     // oracle size before it answers at all
+  var CRYSTAL_SILENCE_MS = 7000;
+  var PHRASE_TYPE_WINDOW = 10;     // notes per phrase-type snapshot
+  var CLUSTER_DEGREE     = [-4, -2, 0, 3, 5];   // falling … rising
+
+  var STYLE_MIN     = 40;          // remembered notes before there's a style to play
+  var STYLE_WAIT_MS = 2500;
+  var STYLE_GAP_MS  = 4000;
+  var STYLE_PHRASES = 6;
+  var STYLE_LEVEL   = 0.45;
+  var STYLE_FADE    = 0.8;         // seconds
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  // Oracle: _states[i] = { fwd: { sym: state }, link, sym, ioi }
+  var _states = null;
+  var _len    = 0;
+  var _freq   = null;              // "state,sym" → weight
+
+  // Level 1
+  var _motifCounts = {};
+  var _motifs      = [];
+  var _recent      = [];           // last 64 symbols
+  var _restDegrees = {};
+  var _phraseHist  = [];
+
+  // Level 2
+  var _typeAccum   = 0;
+  var _typeCount   = 0;
+  var _typeSeq     = [];
+  var _formCounts  = {};
+  var _forms       = [];
+  var _sectionA    = null;
+  var _sectionB    = null;
+  var _sectionMode = null;
+  var _crystal     = null;         // degrees to play
+  var _crystalSilence  = 0;
+  var _crystalReady    = true;
+  var _crystalCooldown = 0;
+  var _crystals        = 0;
+
+  // Loop → drop
+  var _loopCount   = 0;
+  var _lastHash    = null;
+  var _dropFired   = false;
+  var _temperature = 0.10;
+
+  // Generation
+  var _queue       = [];
+  var _genActive   = false;
+  var _genMs       = 0;
+  var _genIdx      = 0;
+  var _silenceMs   = 0;
+  var _genEpisode  = false;        // one answer per silence
+  var _phrases     = 0;
+
+  var _notes       = 0;
+  var _lastNote    = 0;
+
+  // Memory
+  var _page     = Date.now();      // this page load, stamped on every save
+  var _styleId  = null;
+  var _key      = null;
+  var _loaded   = false;
+  var _loadId   = 0;
+  var _past     = { syms: [], iois: [], w: [] };
+  var _live     = { syms: [], iois: [] };
+  var _sessions = 0;
+  var _dirty    = false;
+  var _saveMs   = 0;
+
+  // Your style
+  var _mode         = 'answer';
+  var _styleMs      = 0;
+  var _stylePhrases = 0;
+  var _recalling    = false;
+  var _presence     = 0;
+
+  // Take replay
+  var _draws        = 0;           // PRNG draws since _build started counting
+  var _pending      = [];          // logged phrases waiting for the next offline update
+  var _replayStyle  = null;
+
+  try { if (localStorage.getItem(MODE_KEY) === 'style') _mode = 'style'; } catch (e) {}
+
+  // Rendering a take, or playing back a session: phrases come from the log
+  function _offline() {
+    return (typeof Render !== 'undefined' && Render.rendering) ||
+           (typeof Session !== 'undefined' && Session.playing);
+  }
+
+  function _rand() { _draws++; return rand(); }
+
+  function _log(now, data) {
+    if (typeof Render !== 'undefined') Render.event(now, 'pattern', data);
+    if (typeof Session !== 'undefined') Session.event(now, 'pattern', data);
+  }
+
+  // ── SYMBOLS ───────────────────────────────────────────────────────────
+  // degree −7..7 (15) × duration short/mid/long (3) × energy soft/mid/loud (3)
+
+  function _encode(degree, ioiMs, velocity) {
+    var d   = Math.max(0, Math.min(14, (degree || 0) + 7));
+    var dur = ioiMs < 180 ? 0 : ioiMs < 500 ? 1 : 2;
+    var en  = velocity < 0.3 ? 0 : velocity < 0.6 ? 1 : 2;
+    return d + dur * 15 + en * 45;
+  }
+
+  function _degreeOf(sym) { return (sym % 15) - 7; }
+
+  // ── FACTOR ORACLE ─────────────────────────────────────────────────────
+
+  function _oracleReset() {
+    _states = [{ fwd: {}, link: 0, sym: -1, ioi: 0 }];
+    _freq   = {};
+    _len    = 0;
+  }
+
+  function _edge(from, sym, to, w) {
+    _states[from].fwd[sym] = to;
+    _freq[from + ',' + sym] = (_freq[from + ',' + sym] || 0) + w;
+  }
+
+  function _oracleAdd(sym, ioi, w) {
+    var n = _states.length;
+    _len = n;
+    _states.push({ fwd: {}, link: 0, sym: sym, ioi: ioi });
+    _edge(n - 1, sym, n, w);
+
+    var k = _states[n - 1].link;
+    while (k > 0 && !(sym in _states[k].fwd)) {
+      _edge(k, sym, n, w);
+      k = _states[k].link;
+    }
+    _states[n].link = (!(sym in _states[k].fwd) || _states[k].fwd[sym] === n) ? 0 : _states[k].fwd[sym];
+  }
+
+  // Forward step, weighted by how often (and how lately) each was taken
+  function _next(state) {
+    var fwd  = _states[state].fwd;
+    var keys = Object.keys(fwd);
+    if (keys.length === 0) return 1;
+    var total = 0, i;
+    for (i = 0; i < keys.length; i++) total += _freq[state + ',' + keys[i]] || 1;
+    var r = _rand() * total;
+    for (i = 0; i < keys.length; i++) {
+      r -= _freq[state + ',' + keys[i]] || 1;
+      if (r <= 0) return fwd[keys[i]];
+    }
+    return fwd[keys[keys.length - 1]];
+  }
+
+  function _navigate(state, temperature) {
+    var s = _states[state];
+    if (Object.keys(s.fwd).length === 0) return 1;
+    if (s.link > 0 && _rand() < temperature) return s.link;
+    return _next(state);
+  }
+
+  // ── MOTIFS + FORMS ────────────────────────────────────────────────────
+
+  function _learn(sym, degree, ioi) {
+    _recent.push(sym);
+    if (_recent.length > 64) _recent.shift();
+    for (var len = 3; len <= Math.min(6, _recent.length); len++) {
+      var sub = _recent.slice(-len).join(',');
+      _motifCounts[sub] = (_motifCounts[sub] || 0) + 1;
+      if (_motifCounts[sub] >= 3 && _motifs.indexOf(sub) === -1) _motifs.push(sub);
+    }
+    if (ioi > 500) _restDegrees[degree] = (_restDegrees[degree] || 0) + 1;
+
+    _typeAccum += degree;
+    if (++_typeCount >= PHRASE_TYPE_WINDOW) {
+      var avg = _typeAccum / _typeCount;
+      _typeAccum = 0;
+      _typeCount = 0;
+      _addPhraseType(avg < -3 ? 0 : avg < -1 ? 1 : avg < 1 ? 2 : avg < 3 ? 3 : 4);
+    }
+  }
+
+  function _addPhraseType(cluster) {
+    _typeSeq.push(cluster);
+    if (_typeSeq.length > 18) _typeSeq.shift();
+    if (_typeSeq.length < 3) return;
+    var tri = _typeSeq.slice(-3).join(',');
+    _formCounts[tri] = (_formCounts[tri] || 0) + 1;
+    if (_formCounts[tri] < 3 || _forms.indexOf(tri) !== -1) return;
+    _forms.push(tri);
+
+    // Learn A, then B, then synthesize C
+    if (!_sectionA)                      { _sectionA = tri; _sectionMode = 'A'; }
+    else if (tri !== _sectionA && !_sectionB) { _sectionB = tri; _sectionMode = 'B'; }
+    else if (_sectionA && _sectionB)     { _sectionMode = 'C'; }
+    _crystal = _formHarmony(tri);
+    _crystalReady = true;
+  }
+
+  function _toDegrees(tri) {
+    return tri.split(',').map(function (c) { return CLUSTER_DEGREE[Math.max(0, Math.min(4, +c))]; });
+  }
+
+  // Cluster shape → progression, resolving to the tonic; C interleaves A and B
+  function _formHarmony(tri) {
+    var out;
+    if (_sectionMode === 'C') {
+      var a = _toDegrees(_sectionA), b = _toDegrees(_sectionB);
+      out = [];
+      for (var i = 0; i < Math.max(a.length, b.length); i++) {
+        if (i < a.length) out.push(a[i]);
+        if (i < b.length) out.push(b[i]);
+      }
+    } else {
+      out = _toDegrees(tri);
+    }
+    out.push(0);
+    return out;
+  }
+
+  function _restDegree() {
+    var best = 0, n = 0;
+    for (var d in _restDegrees) if (_restDegrees[d] > n) { n = _restDegrees[d]; best = +d; }
+    return best;
+  }
+
+  // ── PHRASES ───────────────────────────────────────────────────────────
+
+  function _hash(queue) {
+    return queue.map(function (e) { return e.degree; }).join(',');
+  }
+
+  function _similar(a, b) {
+    var da = a.split(','), db = b.split(',');
+    var len = Math.min(da.length, db.length), hits = 0;
+    for (var i = 0; i < len; i++) if (da[i] === db[i]) hits++;
+    return len ? hits / len : 0;
+  }
+
+  // Snap to the nearest subdivision of the band's beat, once it has one
+  function _aligned(ms) {
+    if (typeof Rhythm === 'undefined' || !Rhythm.tempoLocked || !(Rhythm.tempo >= 30)) return ms;
+    var beat = 60000 / Rhythm.tempo;
+    var subs = [1.5, 1.0, 0.75, 0.5, 0.375, 0.25];
+    var best = ms, diff = Infinity;
+    for (var i = 0; i < subs.length; i++) {
+      var d = Math.abs(ms - beat * subs[i]);
+      if (d < diff) { diff = d; best = beat * subs[i]; }
+    }
+    return best;
+  }
+
+  function _startState() {
+    if (_motifs.length === 0) return 1 + Math.floor(_rand() * _len);
+    var seed  = _motifs[Math.floor(_rand() * _motifs.length)].split(',').map(Number);
+    var state = 1;
+    for (var i = 0; i < seed.length; i++) {
+      var fwd = _states[state].fwd, found = false;
+      for (var sym in fwd) {
+        if (_degreeOf(+sym) === _degreeOf(seed[i])) { state = fwd[sym]; found = true; break; }
+      }
+      if (!found) return Math.max(1, Math.floor(_rand() * _len));
+    }
+    return state;
+  }
+
+  // A (faithful) · A′ (varied) · B (steps home to the rest degree)
+  function _buildAttempt() {
+    var state   = _startState();
+    var len     = 6 + Math.floor(_rand() * 6);
+    var aLen    = Math.floor(len * 0.5);
+    var apLen   = Math.floor(len * 0.3);
+    var home    = _restDegree();
+    var arch    = (typeof Body !== 'undefined' && Body.archetype) || 'exploring';
+    var scale   = arch === 'bouncing' ? 0.70 : arch === 'waving' ? 1.25 : 1.0;
+    var queue   = [];
+    var t       = 0;
+
+    for (var n = 0; n < len; n++) {
+      var s   = _states[state];
+      var deg = s.sym >= 0 ? _degreeOf(s.sym) : 0;
+      if (n >= aLen + apLen) deg = deg > home ? deg - 1 : deg < home ? deg + 1 : home;
+      var ioi = _aligned((s.ioi > 0 ? Math.max(120, Math.min(1800, s.ioi)) : 380) * scale);
+      queue.push({ degree: deg, delayMs: t, vel: 0.18 + _rand() * 0.12 });
+      t += ioi;
+      var temp = n < aLen ? _temperature * 0.3 : n < aLen + apLen ? _temperature : _temperature * 0.1;
+      state = _navigate(state, temp);
+    }
+    return queue;
+  }
+
+  function _start(queue) {
+    _queue     = queue;
+    _genActive = true;
+    _genMs     = 0;
+    _genIdx    = 0;
+  }
+
+  // Up to four tries for a phrase that isn't one of the last three.
+  // _draws counts what the tries took from the PRNG, found or not.
+  function _build() {
+    _draws = 0;
+    for (var attempt = 0; attempt < 4; attempt++) {
+      var queue = _buildAttempt();
+      if (queue.length && _phraseHist.indexOf(_hash(queue)) === -1) {
+        _phraseHist.push(_hash(queue));
+        if (_phraseHist.length > 3) _phraseHist.shift();
+        _start(queue);
+        return queue;
+      }
+    }
+    return null;
+  }
+
+  function _answer(now) {
+    if (_len < GEN_MIN_NOTES || _motifs.length === 0) return;
+    var queue = _build();
+    var ev    = { draws: _draws };
+    if (queue) {
+      ev.queue = queue;
+      _genEpisode = true;
+      _phrases++;
+      _temperature = Math.min(0.35, _temperature + 0.02);
+
+      // Four similar answers in a row — the groove is found: drop
+      var h = _hash(queue);
+      _loopCount = (_lastHash && _similar(h, _lastHash) > 0.55) ? _loopCount + 1 : 1;
+      _lastHash = h;
+      if (_loopCount >= 4 && !_dropFired && typeof Conductor !== 'undefined') {
+        ev.drop      = true;
+        _dropFired   = Conductor.cue('drop');
+        _temperature = 0.08;
+      }
+    }
+    _log(now, ev);
+  }
+
+  function _cancel() {
+    _genActive = false;
+    _queue     = [];
+    _genMs     = 0;
+    _genIdx    = 0;
+  }
+
+  function _palette() {
+    var lens = (typeof Conductor !== 'undefined') ? Conductor.lens : null;
+    return (lens && lens.palette) || {};
+  }
+
+  function _play(ev) {
+    var p = _palette(), cont = p.continuous, harm = p.harmonic;
+    if (!cont) return;
+    var t = Sound.currentTime;
+    try { Sound.play(cont.voice || 'epiano', t, Harmony.freq(ev.degree, cont.octave || 0), ev.vel, (cont.decay || 0.8) * 1.1); } catch (e) {}
+    if (Conductor.phase >= 2 && harm && rand() < 0.25) {
+      try { Sound.play(harm.voice || 'epiano', t + 0.03, Harmony.freq(ev.degree + 4, harm.octave || 0), ev.vel * 0.5, (harm.decay || 1.0) * 0.7); } catch (e) {}
+    }
+  }
+
+  function _playQueued(dt) {
+    if (!_genActive) return;
+    _genMs += dt * 1000;
+    while (_genIdx < _queue.length && _genMs >= _queue[_genIdx].delayMs) _play(_queue[_genIdx++]);
+    if (_genIdx >= _queue.length) _cancel();
+  }
+
+  // Root + fourth per chord, 2.2 s apart
+  function _playCrystal(degrees) {
+    var harm  = _palette().harmonic;
+    var voice = (harm && harm.voice) || 'epiano';
+    var oct   = ((harm && harm.octave) || 0) - 1;
+    var t     = Sound.currentTime;
+    for (var i = 0; i < degrees.length; i++) {
+      var vel = 0.13 + (i === degrees.length - 1 ? 0.04 : 0);
+      try { Sound.play(voice, t + i * 2.2,        Harmony.freq(degrees[i], oct),     vel,       8.0); } catch (e) {}
+      try { Sound.play(voice, t + i * 2.2 + 0.12, Harmony.freq(degrees[i] + 3, oct), vel * 0.6, 8.0); } catch (e) {}
+    }
+  }
+
+  // The arc of arcs, once
+  function _crystallize(now) {
+    if (!_crystal) return;
+    _crystalReady    = false;
+    _crystalCooldown = 12000;
+    _crystals++;
+    _log(now, { crystal: _crystal.slice() });
+    _playCrystal(_crystal);
+    _temperature = 0.04;
+    _loopCount   = 0;
+    _dropFired   = false;
+  }
+
+  // ── MEMORY ────────────────────────────────────────────────────────────
+
+  function _userId() {
+    try {
+      var id = localStorage.getItem(USER_KEY);
+      if (!id) {
+        id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        localStorage.setItem(USER_KEY, id);
+      }
+      return id;
+    } catch (e) { return 'local'; }
+  }
+
+  var _store = (typeof IDB !== 'undefined') ? IDB.store(DB_NAME, DB_VERSION, STORE) : null;
+
+  function _tx(mode, fn) {
+    return _store ? _store.tx(mode, fn) : Promise.reject(new Error('IndexedDB unavailable'));
+  }
+
+  function _round3(v) { return Math.round(v * 1000) / 1000; }
+
+  function _top(map, keep) {
+    var keys = Object.keys(map).sort(function (a, b) { return map[b] - map[a]; }).slice(0, keep);
+    var out = {};
+    keys.forEach(function (k) { out[k] = _round3(map[k]); });
+    return out;
+  }
+
+  function _merge(into, from, decay) {
+    for (var k in from || {}) into[k] = (into[k] || 0) + from[k] * decay;
+  }
+
+  // Replay what's remembered, then whatever was played while it loaded
+  function _rebuild() {
+    _oracleReset();
+    for (var i = 0; i < _past.syms.length; i++) _oracleAdd(_past.syms[i], _past.iois[i], _past.w[i]);
+    for (var j = 0; j < _live.syms.length; j++) _oracleAdd(_live.syms[j], _live.iois[j], 1);
+  }
+
+  function _remember(rec) {
+    _past     = { syms: [], iois: [], w: [] };
+    _sessions = 1;
+    if (rec && rec.syms) {
+      var same  = rec.page === _page || Date.now() - (rec.updated || 0) < SAME_SESSION_MS;
+      var decay = same ? 1 : DECAY;
+      for (var i = 0; i < rec.syms.length; i++) {
+        var w = (rec.w ? rec.w[i] : 1) * decay;
+        if (!(w >= W_FLOOR)) continue;
+        _past.syms.push(rec.syms[i]);
+        _past.iois.push(rec.iois ? rec.iois[i] : 0);
+        _past.w.push(w);
+      }
+      _sessions = (rec.sessions || 0) + (same ? 0 : 1);
+      _merge(_motifCounts, rec.motifs, decay);
+      _merge(_restDegrees, rec.rest, decay);
+      for (var m in _motifCounts) if (_motifCounts[m] >= 3 && _motifs.indexOf(m) === -1) _motifs.push(m);
+    }
+    _rebuild();
+    _loaded = true;
+  }
+
+  function _load(key) {
+    var id = ++_loadId;
+    _tx('readonly', function (store) { return store.get(key); }).then(function (rec) {
+      if (id === _loadId) _remember(rec);
+    }).catch(function () {
+      if (id === _loadId) _remember(null);
+    });
+  }
+
+  /** Write this style's memory — past plus this session, whole, so repeats are harmless. */
+  function save() {
+    if (!_key || !_loaded || !_dirty) return;
+    _dirty = false;
+    var cut = Math.max(0, _past.syms.length + _live.syms.length - MAX_SYMS);
+    var rec = {
+      id:       _key,
+      style:    _styleId,
+      sessions: _sessions,
+      updated:  Date.now(),
+      page:     _page,
+      syms:     _past.syms.concat(_live.syms).slice(cut),
+      iois:     _past.iois.concat(_live.iois).slice(cut).map(Math.round),
+      w:        _past.w.concat(_live.syms.map(function () { return 1; })).slice(cut).map(_round3),
+      motifs:   _top(_motifCounts, MOTIF_KEEP),
+      rest:     _top(_restDegrees, 15),
+    };
+    _tx('readwrite', function (store) { store.put(rec); }).catch(function () {});
+  }
+
+  function _forget() {
+    _oracleReset();
+    _motifCounts = {};
+    _motifs      = [];
+    _recent      = [];
+    _restDegrees = {};
+    _phraseHist  = [];
+    _past        = { syms: [], iois: [], w: [] };
+    _live        = { syms: [], iois: [] };
+    _sessions    = 0;
+    _dirty       = false;
+    _loaded      = false;
+    _styleMs      = 0;
+    _stylePhrases = 0;
+    _recalling    = false;
+    _cancel();
+  }
+
+  // ── YOUR STYLE ────────────────────────────────────────────────────────
+
+  function setMode(m) {
+    _mode = m === 'style' ? 'style' : 'answer';
+    try { localStorage.setItem(MODE_KEY, _mode); } catch (e) {}
+    if (_mode !== 'style' && _recalling) {
+      _recalling = false;
+      _cancel();
+      _log(typeof performance !== 'undefined' ? performance.now() : 0, { recall: false, cancel: true });
+    }
+  }
+
+  // A few phrases from memory with room between them, until the first note
+  function _improvise(dt, now) {
+    if (_genActive) { _styleMs = 0; return; }
+    _styleMs += dt * 1000;
+    if (_stylePhrases >= STYLE_PHRASES) {
+      if (_styleMs > STYLE_GAP_MS && _recalling) {
+        _recalling = false;
+        _log(now, { recall: false });
+      }
+      return;
+    }
+    if (!_loaded || _past.syms.length < STYLE_MIN) return;
+    if (_styleMs < (_stylePhrases ? STYLE_GAP_MS : STYLE_WAIT_MS)) return;
+    _styleMs = 0;
+    var queue = _build();
+    if (queue) {
+      _stylePhrases++;
+      _recalling = true;
+      _log(now, { draws: _draws, queue: queue, recall: true });
+    } else {
+      _log(now, { draws: _draws });
+    }
+  }
+
+  // ── REPLAY ────────────────────────────────────────────────────────────
+  // Offline, the logged events stand in for the oracle. Render or Session
+  // hands them over between frames; update() applies them where the live engine made
+  // them, before the presence fade and the queued notes.
+
+  function _replay() {
+    while (_pending.length) {
+      var d = _pending.shift();
+      for (var i = 0; i < (d.draws || 0); i++) rand();
+      if (d.cancel) _cancel();
+      if (d.queue) _start(d.queue.map(function (e) { return { degree: e.degree, delayMs: e.delayMs, vel: e.vel }; }));
+      if (typeof d.recall === 'boolean') _recalling = d.recall;
+      if (d.drop) { try { Conductor.cue('drop'); } catch (e) {} }
+      if (d.crystal) _playCrystal(d.crystal);
+    }
+  }
+
+  /** A logged 'pattern' event, from a take being rendered or a session playing back. */
+  function replay(data) {
+    if (_offline() && data) _pending.push(data);
+  }
+
+  /** Conductor.init: a take starts with nothing playing from memory, live or offline. */
+  function rewind() {
+    _cancel();
+    _recalling    = false;
+    _presence     = 0;
+    _styleMs      = 0;
+    _stylePhrases = 0;
+    _pending      = [];
+    _replayStyle  = null;
+  }
+
+  // ── PUBLIC API ────────────────────────────────────────────────────────
+
+  /** The conductor's style changed (or started): switch to that style's memory. */
+  function setStyle(styleId) {
+    if (_offline()) {
+      if (styleId !== _replayStyle) { _replayStyle = styleId; _cancel(); _recalling = false; }
+      return;
+    }
+    var key = styleId ? _userId() + ':' + styleId : null;
+    if (key === _key) return;
+    save();
+    _styleId = styleId;
+    _key     = key;
+    _loadId++;
+    _forget();
+    _notes = 0; _lastNote = 0; _silenceMs = 0; _genEpisode = false;
+    _temperature = 0.10; _loopCount = 0; _lastHash = null; _dropFired = false;
+    _typeAccum = 0; _typeCount = 0; _typeSeq = []; _formCounts = {}; _forms = [];
+    _sectionA = null; _sectionB = null; _sectionMode = null; _crystal = null;
+    _crystalSilence = 0; _crystalReady = true; _crystalCooldown = 0;
+    if (key) _load(key);
+  }
+
+  /** A tilt note just played. now = the conductor's clock, ms. */
+  function onNote(degree, velocity, now) {
+    if (_offline()) { _cancel(); _recalling = false; return; }
+    if (!_key) return;
+    var ioi = _lastNote > 0 ? Math.max(80, Math.min(2000, now - _lastNote)) : 400;
+    _lastNote = now;
+    var sym = _encode(degree, ioi, velocity || 0.4);
+    if (!_states) _oracleReset();
+    _oracleAdd(sym, ioi, 1);
+    _live.syms.push(sym);
+    _live.iois.push(ioi);
+    _learn(sym, degree, ioi);
+    _notes++;
+    _dirty = true;
+
+    if (_genActive) _cancel();
+    _recalling      = false;
+    _silenceMs      = 0;
+    _crystalSilence = 0;
+    _genEpisode     = false;
+  }
+
+  // Live only: count the silence, then crystallize into it or answer it
+  function _listen(dt, isSilent, now) {
+    if (_crystalCooldown > 0) _crystalCooldown -= dt * 1000;
+    if (isSilent) {
+      _silenceMs      += dt * 1000;
+      _crystalSilence += dt * 1000;
+    } else {
+      _silenceMs      = 0;
+      _crystalSilence = 0;
+    }
+
+    if (isSilent && _crystalSilence >= CRYSTAL_SILENCE_MS && _forms.length > 0
+        && _crystalReady && _crystalCooldown <= 0) {
+      _crystalSilence = 0;
+      _crystallize(now);
+    }
+
+    // The drums carry the groove — no second autonomous voice over them
+    if (isSilent && _silenceMs >= GEN_SILENCE_MS && !_genActive && !_genEpisode
+        && _crystalCooldown <= 0 && !(typeof Rhythm !== 'undefined' && Rhythm.drumPresence > 0)) {
+      _answer(now);
+    }
+  }
+
+  /** Every frame, silent or not — memory plays before anyone moves. now = the frame's ms. */
+  function update(dt, isSilent, now) {
+    if (!Sound.ctx || typeof Conductor === 'undefined') return;
+    var offline = _offline();
+    if (!offline && !_key) return;
+
+    if (offline) {
+      _replay();
+    } else {
+      _saveMs += dt * 1000;
+      if (_saveMs >= SAVE_MS) { _saveMs = 0; save(); }
+      if (_mode === 'style' && _live.syms.length === 0) _improvise(dt, now);
+    }
+    _presence += ((_recalling ? STYLE_LEVEL : 0) - _presence) * Math.min(1, dt / STYLE_FADE);
+
+    if (Conductor.phase >= 1) {
+      if (!isSilent && _genActive && !_recalling) _cancel();
+      if (!offline) _listen(dt, isSilent, now);
+    }
+
+    _playQueued(dt);
+  }
+
+  if (typeof document !== 'undefined' && document.addEventListener) {
+    document.addEventListener('visibilitychange', function () { if (document.hidden) save(); });
+  }
+
+  return Object.freeze({
+    setStyle: setStyle,
+    onNote:   onNote,
+    update:   update,
+    save:     save,
+    setMode:  setMode,
+    replay:   replay,
+    rewind:   rewind,
+    get mode()        { return _mode; },
+    get notes()       { return _notes; },
+    get memory()      { return _past.syms.length; },   // remembered notes, this style
+    get sessions()    { return _sessions; },
+    get motifs()      { return _motifs.length; },
+    get forms()       { return _forms.length; },
+    get section()     { return _sectionMode || '-'; },
+    get crystals()    { return _crystals; },
+    get generating()  { return _genActive; },
+    get improvising() { return _recalling; },
+    get presence()    { return _presence; },           // master level the conductor holds open
+  });
+
+})();
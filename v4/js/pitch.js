@@ -0,0 +1,206 @@
+/**
+ * PITCH — A hummed or sung line, as notes
+ *
+ * MIC + ROOM used to only put the room in the reverb. This listens to the
+ * same mic for a voice: autocorrelation pitch (the YIN-lite detector from
+ * /js/hum.js, widened to 65–1000 Hz) on an AnalyserNode, then a small note
+ * tracker — a pitch held steady for STABLE_MS is a note; moving more than
+ * NEW_NOTE semitones and holding again is the next one; RELEASE_MS of
+ * nothing ends it.
+ *
+ * update() returns a note only at its onset: { hz, midi, level }. The
+ * conductor (Conductor.sing) snaps it to the scale and makes it the lead.
+ *
+ * The phone's own notes reach the mic too. index.html opens a second mic
+ * stream with echo cancellation for this (the room stream keeps it off).
+ * Whatever gets through is caught here: every note the band plays is noted
+ * from Sound's listener, and a pitch within OWN_SEMIS of one still sounding
+ * can't start a note — it can only carry on the one being sung.
+ */
+
+const Pitch = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var FFT_SIZE   = 2048;
+  var MIN_HZ     = 65;
+  var MAX_HZ     = 1000;
+  var SILENCE    = 0.008;    // rms below this is nobody singing
+  var LOUD       = 0.12;     // rms that counts as full level
+  var ANALYSE_MS = 30;       // detection is the expensive part — not every frame
+  var STABLE_MS  = 70;
+  var RELEASE_MS = 140;
+  var NEW_NOTE   = 0.6;      // semitones
+  var WOBBLE     = 0.5;      // semitones a held candidate may drift
+  var OWN_SEMIS  = 0.5;      // this close to one of the band's sounding notes is the band
+  var OWN_TAIL   = 0.3;      // s of release and room after a note's duration
+  var OWN_KEEP   = 32;
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _analyser = null;
+  var _source   = null;
+  var _ctx      = null;
+  var _own      = [];        // { t0, t1, midi } — the band's notes, audio clock
+  var _buf      = null;
+  var _rate     = 44100;
+  var _lastRun  = 0;
+
+  var _candMidi = null;      // pitch being watched for stability
+  var _candT    = 0;
+  var _noteMidi = null;      // note currently sounding
+  var _lastHeard = 0;
+  var _hz       = 0;
+  var _level    = 0;
+
+  // ── DETECTION ─────────────────────────────────────────────────────────
+
+  /**
+   * Fundamental of a time-domain buffer, or -1 (silence, noise).
+   * Looks for the lag where the signal best resembles itself — the period —
+   * rather than the loudest FFT bin, which is often an overtone.
+   */
+  function detect(buf, sampleRate) {
+    var SIZE = buf.length;
+    var rms = 0;
+    for (var i = 0; i < SIZE; i++) rms += buf[i] * buf[i];
+    rms = Math.sqrt(rms / SIZE);
+    if (rms < SILENCE) return -1;
+
+    var minOffset = Math.floor(sampleRate / MAX_HZ);
+    var maxOffset = Math.min(Math.floor(sampleRate / MIN_HZ), Math.floor(SIZE / 2));
+    var CORR_SIZE = Math.min(512, Math.floor(SIZE / 2));
+
+    var bestOffset = -1;
+    var bestCorr = 0;
+    var foundGoodCorr = false;
+    var lastCorr = 1;
+
+    for (var offset = minOffset; offset < maxOffset; offset++) {
+      var corr = 0;
+      for (var j = 0; j < CORR_SIZE; j++) corr += Math.abs(buf[j] - buf[j + offset]);
+      corr = 1 - (corr / CORR_SIZE);
+
+      // The true period is the first peak after the correlation dips
+      if (corr > 0.9 && corr > lastCorr) {
+        foundGoodCorr = true;
+        if (corr > bestCorr) { bestCorr = corr; bestOffset = offset; }
+      } else if (foundGoodCorr) {
+        break;
+      }
+      lastCorr = corr;
+    }
+
+    return (bestCorr > 0.85 && bestOffset > 0) ? sampleRate / bestOffset : -1;
+  }
+
+  function _rms(buf) {
+    var s = 0;
+    for (var i = 0; i < buf.length; i++) s += buf[i] * buf[i];
+    return Math.sqrt(s / buf.length);
+  }
+
+  // ── MIC ───────────────────────────────────────────────────────────────
+
+  /** Listen to `source` (a mic MediaStreamSource — echo-cancelled if possible). */
+  function attach(ctx, source) {
+    detach();
+    try {
+      _ctx = ctx;
+      if (typeof Sound !== 'undefined' && Sound.addListener) Sound.addListener(_onSound);
+      _analyser = ctx.createAnalyser();
+      _analyser.fftSize = FFT_SIZE;
+      source.connect(_analyser);
+      _source = source;
+      _buf = new Float32Array(FFT_SIZE);
+      _rate = ctx.sampleRate;
+    } catch (e) { _analyser = null; }
+  }
+
+  function detach() {
+    if (_source && _analyser) { try { _source.disconnect(_analyser); } catch (e) { /* already gone */ } }
+    if (typeof Sound !== 'undefined' && Sound.removeListener) Sound.removeListener(_onSound);
+    _analyser = null;
+    _source = null;
+    _ctx = null;
+    _own = [];
+    _candMidi = null;
+    _noteMidi = null;
+    _hz = 0;
+    _level = 0;
+  }
+
+  // ── OWN NOTES ─────────────────────────────────────────────────────────
+
+  // Live notes only — an offline render plays on another clock
+  function _onSound(ev) {
+    if (ev.type !== 'note' || !(ev.freq > 0) || (typeof Render !== 'undefined' && Render.rendering)) return;
+    _own.push({ t0: ev.time, t1: ev.time + (ev.duration || 0) + OWN_TAIL, midi: 69 + 12 * Math.log(ev.freq / 440) / Math.LN2 });
+    if (_own.length > OWN_KEEP) _own.shift();
+  }
+
+  // Is `midi` one of the band's notes, sounding out of the speaker now?
+  function _ownNote(midi) {
+    if (!_ctx || _own.length === 0) return false;
+    var out = _ctx.currentTime - ((_ctx.outputLatency || 0) + (_ctx.baseLatency || 0));
+    for (var i = _own.length - 1; i >= 0; i--) {
+      var n = _own[i];
+      if (out >= n.t0 - 0.03 && out <= n.t1 && Math.abs(midi - n.midi) < OWN_SEMIS) return true;
+    }
+    return false;
+  }
+
+  // ── NOTES ─────────────────────────────────────────────────────────────
+
+  /**
+   * Call once per loop frame.
+   * @param {number} now — ms
+   * @returns {{ hz, midi, level }|null} a note, only on the frame it starts
+   */
+  function update(now) {
+    if (!_analyser || now - _lastRun < ANALYSE_MS) return null;
+    _lastRun = now;
+    _analyser.getFloatTimeDomainData(_buf);
+    var hz = detect(_buf, _rate);
+
+    if (hz < 0) {
+      if (_noteMidi !== null && now - _lastHeard > RELEASE_MS) { _noteMidi = null; _hz = 0; }
+      _candMidi = null;
+      return null;
+    }
+
+    var midi = 69 + 12 * Math.log(hz / 440) / Math.LN2;
+    // The band's own note: it may carry the one being sung, never start one
+    if (_ownNote(midi) && !(_noteMidi !== null && Math.abs(midi - _noteMidi) < WOBBLE)) return null;
+
+    _lastHeard = now;
+    _level = Math.min(1, _rms(_buf) / LOUD);
+
+    if (_candMidi === null || Math.abs(midi - _candMidi) > WOBBLE) {
+      _candMidi = midi;
+      _candT = now;
+      return null;
+    }
+    _candMidi += (midi - _candMidi) * 0.3;
+    if (now - _candT < STABLE_MS) return null;
+    if (_noteMidi !== null && Math.abs(_candMidi - _noteMidi) < NEW_NOTE) return null;
+
+    _noteMidi = _candMidi;
+    _hz = 440 * Math.pow(2, (_noteMidi - 69) / 12);
+    return { hz: _hz, midi: Math.round(_noteMidi), level: _level };
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    attach: attach,
+    detach: detach,
+    update: update,
+    detect: detect,
+    get listening() { return _analyser !== null; },
+    get singing()   { return _noteMidi !== null; },
+    get hz()        { return _hz; },
+    get level()     { return _level; },
+  });
+})();
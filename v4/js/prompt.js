@@ -0,0 +1,199 @@
+/**
+ * PROMPT — What the last half minute sounded like, in words
+ *
+ * A style's sunoPrompt is written once, by hand. The wand says much more:
+ * how still or shaky the hand was, which shapes it drew, how the song moved
+ * through its sections, what the weather was. This keeps a short history of
+ * the performance and turns it into a text prompt for a text-to-music model:
+ *
+ *   lo-fi hip hop, jazz chords, vinyl crackle, mellow beats, 84 BPM,
+ *   D dorian, loose human feel, flowing, looping circular motifs,
+ *   rising tension, verse into build into chorus, rainy evening
+ *
+ * observe() is fed once per loop frame and samples every SAMPLE_MS. build()
+ * reads the last `window` seconds (default WINDOW_SEC) plus the live tempo,
+ * key and weather. Snapshots (js/archive.js) carry the prompt, and the
+ * headless runner prints the one a session ends on.
+ */
+
+const Prompt = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var SAMPLE_MS  = 250;
+  var WINDOW_SEC = 30;
+  var MAX_SEC    = 120;     // history kept — build() can look back this far
+  var MAX_CHARS  = 400;     // same ceiling as a style's sunoPrompt
+  var NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  // Hand → texture. Ordered thresholds: first one the mean falls under wins.
+  var TREMOR_WORDS = [[0.12, 'steady precise playing'], [0.3, 'loose human feel'], [0.55, 'trembling, nervous energy'], [2, 'raw shaking intensity']];
+  var SPEED_WORDS  = [[0.15, 'slow and sparse'], [0.4, 'flowing'], [2, 'driving, energetic']];
+  var ORDER_WORDS  = [[0.35, 'chaotic'], [0.75, null], [2, 'tight']];   // KRET R
+
+  var SHAPE_WORDS = {
+    hold:   'sustained, still',
+    paint:  'legato melodic lines',
+    arc:    'arching phrases',
+    circle: 'looping circular motifs',
+    sweep:  'sweeping dynamics',
+    shake:  'stuttering percussive accents',
+  };
+
+  var WEATHER_WORDS = {
+    clear: 'clear', cloud: 'overcast', fog: 'foggy', drizzle: 'drizzly', rain: 'rainy', snow: 'snowy',
+  };
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _hist     = [];      // [{ t, tremor, speed, order, shape, section }]
+  var _lastT    = -Infinity;
+
+  // ── HISTORY ───────────────────────────────────────────────────────────
+
+  /** Call once per loop frame with the wand state the conductor got. */
+  function observe(now, wand) {
+    if (!wand || now - _lastT < SAMPLE_MS) return;
+    _lastT = now;
+    _hist.push({
+      t:       now,
+      tremor:  wand.tremor || 0,
+      speed:   wand.speed || 0,
+      order:   wand.kret ? wand.kret.R : 0.5,
+      shape:   wand.shapeType || 'hold',
+      section: (typeof Conductor !== 'undefined') ? Conductor.songSection : null,
+    });
+    while (_hist.length && now - _hist[0].t > MAX_SEC * 1000) _hist.shift();
+  }
+
+  function reset() {
+    _hist = [];
+    _lastT = -Infinity;
+  }
+
+  // ── WORDS ─────────────────────────────────────────────────────────────
+
+  function _pick(table, v) {
+    for (var i = 0; i < table.length; i++) if (v < table[i][0]) return table[i][1];
+    return null;
+  }
+
+  function _mean(rows, key) {
+    if (!rows.length) return 0;
+    var s = 0;
+    for (var i = 0; i < rows.length; i++) s += rows[i][key];
+    return s / rows.length;
+  }
+
+  function _keyName(hz) {
+    var midi = Math.round(69 + 12 * Math.log(hz / 440) / Math.LN2);
+    return NOTE_NAMES[((midi % 12) + 12) % 12];
+  }
+
+  function _timeOfDay(hour) {
+    return hour < 5 ? 'late night' : hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : hour < 21 ? 'evening' : 'night';
+  }
+
+  // Style prompt minus its own tempo — the live one replaces it
+  function _base(styleId) {
+    if (typeof Styles === 'undefined' || !styleId) return '';
+    var style = Styles.get(styleId) || {};
+    return (style.sunoPrompt || '').split(',').map(function (s) { return s.trim(); })
+      .filter(function (s) { return s && !/^\d+\s*bpm$/i.test(s); }).join(', ');
+  }
+
+  // ── BUILD ─────────────────────────────────────────────────────────────
+
+  /**
+   * The window, described. Every field may be null when its source is missing.
+   * @param {Object} [opts] — { window: seconds, style: id (default the conductor's) }
+   */
+  function describe(opts) {
+    opts = opts || {};
+    var span = Math.min(MAX_SEC, opts.window || WINDOW_SEC) * 1000;
+    var end  = _hist.length ? _hist[_hist.length - 1].t : 0;
+    var rows = _hist.filter(function (r) { return end - r.t <= span; });
+
+    // dominant shapes by time spent, 'hold' only if nothing else happened
+    var shapeCount = {};
+    rows.forEach(function (r) { shapeCount[r.shape] = (shapeCount[r.shape] || 0) + 1; });
+    var shapes = Object.keys(shapeCount).sort(function (a, b) { return shapeCount[b] - shapeCount[a]; })
+      .filter(function (s) { return shapeCount[s] >= rows.length * 0.2; });
+    if (shapes.length > 1) shapes = shapes.filter(function (s) { return s !== 'hold'; });
+
+    // section arc — consecutive duplicates collapsed
+    var arc = [];
+    rows.forEach(function (r) { if (r.section && arc[arc.length - 1] !== r.section) arc.push(r.section); });
+
+    // tremor trend: second half against first
+    var half = Math.floor(rows.length / 2);
+    var trend = half >= 4 ? _mean(rows.slice(half), 'tremor') - _mean(rows.slice(0, half), 'tremor') : 0;
+
+    var tempo = (typeof Rhythm !== 'undefined' && Rhythm.tempo > 0) ? Rhythm.tempo
+              : (typeof Environ !== 'undefined' ? Environ.bpm : null);
+    var key = null, mode = null;
+    if (typeof Harmony !== 'undefined' && Harmony.root > 0) { key = _keyName(Harmony.root); mode = Harmony.mode; }
+    else if (typeof Environ !== 'undefined') { key = NOTE_NAMES[Environ.key]; mode = Environ.mode; }
+
+    var styleId = opts.style || ((typeof Conductor !== 'undefined') ? Conductor.styleId : null);
+
+    return {
+      seconds: rows.length ? +((end - rows[0].t) / 1000).toFixed(1) : 0,
+      base:    _base(styleId),
+      tempo:   tempo ? Math.round(tempo) : null,
+      key:     key,
+      mode:    mode,
+      tremor:  +_mean(rows, 'tremor').toFixed(3),
+      speed:   +_mean(rows, 'speed').toFixed(3),
+      order:   +_mean(rows, 'order').toFixed(3),
+      trend:   +trend.toFixed(3),
+      shapes:  shapes,
+      arc:     arc,
+      weather: (typeof Environ !== 'undefined' && Environ.loaded) ? Environ.weather : null,
+      hour:    (typeof Environ !== 'undefined' && Environ.loaded) ? Environ.hour : null,
+    };
+  }
+
+  /**
+   * The prompt text for the last `window` seconds.
+   * @param {Object} [opts] — as describe()
+   * @returns {string}
+   */
+  function build(opts) {
+    var d = describe(opts);
+    var parts = [];
+    if (d.base) parts.push(d.base);
+    if (d.tempo) parts.push(d.tempo + ' BPM');
+    if (d.key) parts.push(d.key + ' ' + d.mode);
+    if (d.seconds > 0) {
+      parts.push(_pick(TREMOR_WORDS, d.tremor), _pick(SPEED_WORDS, d.speed), _pick(ORDER_WORDS, d.order));
+      d.shapes.slice(0, 2).forEach(function (s) { parts.push(SHAPE_WORDS[s]); });
+      if (d.trend > 0.12) parts.push('rising tension');
+      else if (d.trend < -0.12) parts.push('settling down');
+    }
+    if (d.arc.length > 1) parts.push(d.arc.slice(-4).join(' into '));
+    else if (d.arc.length === 1) parts.push(d.arc[0] + ' section');
+    if (d.hour !== null) {
+      var place = _timeOfDay(d.hour);
+      parts.push(d.weather ? (WEATHER_WORDS[d.weather] || d.weather) + ' ' + place : place + ' mood');
+    }
+
+    var text = '';
+    parts.filter(Boolean).forEach(function (p) {
+      var next = text ? text + ', ' + p : p;
+      if (next.length <= MAX_CHARS) text = next;
+    });
+    return text;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    observe:  observe,
+    reset:    reset,
+    describe: describe,
+    build:    build,
+    get samples() { return _hist.length; },
+  });
+})();
@@ -0,0 +1,273 @@
+/**
+ * RENDER — Take Capture + Offline Render-to-WAV
+ *
+ * The live engine only plays into a real AudioContext, so a take used to
+ * exist only as a screen recording. This records what the conductor was fed
+ * (SensorState, Wand state and the room's beat per frame, touches, style
+ * changes) and replays that log through Conductor.update into an
+ * OfflineAudioContext.
+ *
+ * Same gestures in, same audio out:
+ *   capture → take (plain JSON, shareable) → render(take) → WAV Blob
+ * The take carries the session seed (seed.js), so every chance decision
+ * in the engine replays identically.
+ *
+ * Frames are fed at their recorded times by suspending the offline context
+ * at each frame's render quantum, so Sound.currentTime inside the conductor
+ * matches what the live engine saw at that moment.
+ */
+
+const Render = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var TAKE_VERSION = 1;
+  var QUANTUM      = 128;   // Web Audio render quantum (frames)
+  var TAIL_SEC     = 4;     // let reverb + release ring out past the last frame
+  var MAX_FRAMES   = 60 * 60 * 10;  // ~10 min at 60fps — a take, not a diary
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _capturing = false;
+  var _rendering = false;
+  var _take      = null;
+  var _onFull    = null;
+
+  // ── CAPTURE ───────────────────────────────────────────────────────────
+
+  function _clone(obj) {
+    return obj ? JSON.parse(JSON.stringify(obj)) : null;
+  }
+
+  // Starts a new seed; call before Conductor.init so init draws from it too.
+  // onFull(take) is called once if the take hits MAX_FRAMES and stops itself.
+  function start(styleId, onFull) {
+    _take = {
+      version:    TAKE_VERSION,
+      seed:       (typeof Seed !== 'undefined') ? Seed.fresh() : null,
+      created:    new Date().toISOString(),
+      style:      styleId || 'lofi',
+      // user styles travel with the take so it renders on any device
+      styleDef:   (typeof Styles !== 'undefined' && Styles.isUser && Styles.isUser(styleId)) ? Styles.get(styleId) : null,
+      environ:    (typeof Environ !== 'undefined' && Environ.snapshot) ? Environ.snapshot() : null,
+      sampleRate: (typeof Sound !== 'undefined' && Sound.ctx) ? Sound.ctx.sampleRate : 44100,
+      roomLock:   (typeof Conductor !== 'undefined') ? Conductor.roomLocked : false,
+      frames:     [],
+      events:     [],
+    };
+    _capturing = true;
+    _onFull = (typeof onFull === 'function') ? onFull : null;
+  }
+
+  // Called once per RAF frame, with exactly what Conductor.update receives.
+  function frame(ts, sensor, wand, room) {
+    if (!_capturing || !_take) return;
+    if (_take.frames.length >= MAX_FRAMES) {
+      // full — stop, and hand the take over rather than drop it
+      var full = _onFull;
+      stop();
+      if (full) { try { full(_take); } catch (e) { console.warn('[v4 render] onFull failed:', e); } }
+      return;
+    }
+    _take.frames.push({ t: ts, s: _clone(sensor), w: _clone(wand), r: _clone(room) });
+  }
+
+  // Discrete inputs that bypass update(): 'touch' {x,y,vx,vy}, 'style' {id}, 'cue' {action, arg}, 'sing' {hz, level}
+  // 'lock' {on} is LOCK TO ROOM; 'pattern' is what the oracle played (pattern.js) — its memory isn't in the take
+  function event(ts, type, data) {
+    if (!_capturing || !_take) return;
+    _take.events.push({ t: ts, type: type, data: _clone(data) });
+  }
+
+  function stop() {
+    _capturing = false;
+    _onFull = null;
+    return _take;
+  }
+
+  // ── REPLAY ────────────────────────────────────────────────────────────
+
+  // one dispatcher for take and session events (session.js)
+  function _applyEvent(ev) {
+    if (typeof Session !== 'undefined') Session.replayEvent(ev);
+  }
+
+  function _feed(f) {
+    if (f.w && typeof f.w.tremor === 'number') {
+      try { Sound.setWandTremor(f.w.tremor); } catch(e) {}
+    }
+    Conductor.update(f.s || {}, f.t, f.w, f.r || null);
+  }
+
+  /**
+   * Replay a take into an OfflineAudioContext.
+   * @param {Object} take  — from stop(), or a parsed take JSON file
+   * @param {Object} [opts] — { sampleRate, tail }
+   * @returns {Promise<AudioBuffer>}
+   *
+   * Conductor, Sound, Rhythm and Harmony are singletons: after this resolves
+   * they are bound to the offline context. Call Conductor.init(liveCtx, …)
+   * to resume live play.
+   */
+  function renderBuffer(take, opts) {
+    opts = opts || {};
+    if (!take || !take.frames || take.frames.length === 0) {
+      return Promise.reject(new Error('Render: empty take'));
+    }
+    var Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!Offline) return Promise.reject(new Error('Render: OfflineAudioContext unavailable'));
+
+    var frames = take.frames;
+    var events = (take.events || []).slice().sort(function (a, b) { return a.t - b.t; });
+    var t0     = frames[0].t;
+    var sr     = opts.sampleRate || take.sampleRate || 44100;
+    var tail   = typeof opts.tail === 'number' ? opts.tail : TAIL_SEC;
+    var dur    = (frames[frames.length - 1].t - t0) / 1000 + tail;
+    var octx   = new Offline(2, Math.ceil(dur * sr), sr);
+    var q      = QUANTUM / sr;
+
+    var liveEnv = (typeof Environ !== 'undefined' && Environ.snapshot) ? Environ.snapshot() : null;
+    if (take.environ && typeof Environ !== 'undefined') Environ.restore(take.environ);
+
+    if (take.styleDef && typeof Styles !== 'undefined' && !Styles.has(take.style)) Styles.add(take.styleDef);
+
+    // The take's LOCK TO ROOM, not whatever the button says now
+    var liveLock = Conductor.roomLocked;
+    Conductor.lockToRoom(!!take.roomLock);
+
+    _rendering = true;
+    if (take.seed !== null && take.seed !== undefined && typeof Seed !== 'undefined') Seed.set(take.seed);
+    Conductor.init(octx, take.style, t0);
+
+    var fi = 0, ei = 0;
+    var failed = null;
+
+    // Everything recorded at or before the offline clock, in recorded order
+    function drain() {
+      var clock = octx.currentTime * 1000 + t0 + 1e-6;
+      while (fi < frames.length && frames[fi].t <= clock) {
+        while (ei < events.length && events[ei].t <= frames[fi].t) _applyEvent(events[ei++]);
+        try { _feed(frames[fi]); } catch(e) {}
+        fi++;
+      }
+      while (ei < events.length && events[ei].t <= clock) _applyEvent(events[ei++]);
+    }
+
+    function scheduleNext() {
+      if (fi >= frames.length) return;
+      var at = Math.ceil(((frames[fi].t - t0) / 1000) / q) * q;
+      if (at <= octx.currentTime) at = octx.currentTime + q;
+      if (at >= dur) return;
+      octx.suspend(at).then(function () {
+        try {
+          drain();
+          scheduleNext();
+        } catch (e) { failed = failed || e; }
+        octx.resume();   // always — a render left suspended never settles
+      }, function (err) {
+        // no stop there: the rest of the take would render unfed
+        failed = failed || err;
+      });
+    }
+
+    drain();
+    scheduleNext();
+
+    function done() {
+      _rendering = false;
+      if (liveEnv) Environ.restore(liveEnv);
+      Conductor.lockToRoom(liveLock);
+    }
+
+    return octx.startRendering().then(function (buf) {
+      done();
+      if (failed) throw failed;
+      return buf;
+    }, function (err) {
+      done();
+      throw err;
+    });
+  }
+
+  /** Same as renderBuffer, resolved as a 16-bit PCM WAV Blob */
+  function render(take, opts) {
+    return renderBuffer(take, opts).then(encodeWAV);
+  }
+
+  // ── WAV ───────────────────────────────────────────────────────────────
+
+  // 16-bit PCM, interleaved. Plain RIFF — opens everywhere.
+  function encodeWAV(buffer) {
+    var nCh    = buffer.numberOfChannels;
+    var len    = buffer.length;
+    var sr     = buffer.sampleRate;
+    var bytes  = len * nCh * 2;
+    var view   = new DataView(new ArrayBuffer(44 + bytes));
+
+    function str(off, s) {
+      for (var i = 0; i < s.length; i++) view.setUint8(off + i, s.charCodeAt(i));
+    }
+
+    str(0, 'RIFF');
+    view.setUint32(4, 36 + bytes, true);
+    str(8, 'WAVE');
+    str(12, 'fmt ');
+    view.setUint32(16, 16, true);          // fmt chunk size
+    view.setUint16(20, 1, true);           // PCM
+    view.setUint16(22, nCh, true);
+    view.setUint32(24, sr, true);
+    view.setUint32(28, sr * nCh * 2, true);
+    view.setUint16(32, nCh * 2, true);
+    view.setUint16(34, 16, true);
+    str(36, 'data');
+    view.setUint32(40, bytes, true);
+
+    var chans = [];
+    for (var c = 0; c < nCh; c++) chans.push(buffer.getChannelData(c));
+
+    var off = 44;
+    for (var i = 0; i < len; i++) {
+      for (var ch = 0; ch < nCh; ch++) {
+        var v = Math.max(-1, Math.min(1, chans[ch][i]));
+        view.setInt16(off, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+        off += 2;
+      }
+    }
+    return new Blob([view], { type: 'audio/wav' });
+  }
+
+  // ── FILES ─────────────────────────────────────────────────────────────
+
+  function download(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(function () { a.remove(); URL.revokeObjectURL(url); }, 1000);
+  }
+
+  function takeBlob(take) {
+    return new Blob([JSON.stringify(take || _take)], { type: 'application/json' });
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    start:        start,
+    frame:        frame,
+    event:        event,
+    stop:         stop,
+    render:       render,
+    renderBuffer: renderBuffer,
+    encodeWAV:    encodeWAV,
+    takeBlob:     takeBlob,
+    download:     download,
+    get capturing() { return _capturing; },
+    get rendering() { return _rendering; },
+    get take()      { return _take; },
+    get frames()    { return _take ? _take.frames.length : 0; },
+  });
+})();
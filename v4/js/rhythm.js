@@ -28,6 +28,9 @@
 var Rhythm = (function () {
   'use strict';
 
+  // Grid probabilities and pink noise use the session PRNG (seed.js)
+  var rand = (typeof Seed !== 'undefined') ? Seed.random : Math.random;
+
   // ═══════════════════════════════════════════════════════════════════════
   // 1. PINK NOISE — 1/f micro-timing (Hennig 2011)
   // ═══════════════════════════════════════════════════════════════════════
@@ -53,7 +56,7 @@ var Rhythm = (function () {
     var sum = 0;
     for (var i = 0; i < 8; i++) {
       if ((this._counter & ((1 << i) - 1)) === 0) {
-        this._sources[i] = Math.random() * 2 - 1;
+        this._sources[i] = rand() * 2 - 1;
       }
       sum += this._sources[i];
     }
@@ -235,6 +238,16 @@ var Rhythm = (function () {
   var mode = 'organic';       // 'organic' | 'grid'
   var gridBPM = 128;          // fixed BPM for grid mode
 
+  // -- Room following (onset.js: a drummer or claps heard through the mic) --
+  var ROOM_ON = 0.35;         // estimate confidence that takes over the clock
+  var ROOM_OFF = 0.2;         // ...and lets go of it
+  var ROOM_PULL = 1.5;        // tempo glide toward the room, per second at full confidence
+  var ROOM_PHASE_GAIN = 0.6;  // clock speed-up per beat of phase error
+  var ROOM_MAX_NUDGE = 0.3;   // never more than ±30% clock speed to catch up
+  var following = false;
+  var roomTempo = 0;
+  var clockRate = 1;          // bar clock speed from followRoom, 1 = not nudged
+
   // -- Bar/step tracking --
   var barPhase = 0;           // 0-1 within current bar
   var barCount = 0;           // total bars since init
@@ -274,6 +287,12 @@ var Rhythm = (function () {
   // v4 song section density control
   var _densityBoost = 1.0;
 
+  // Ghost snares, perc, wand fills and stamp solo hits (fireStep, after the
+  // hats) have never been part of live play: a scope error threw before them
+  // on every step. Turning them on makes every style busier, so that waits
+  // for its own change.
+  var STEP_EXTRAS = false;
+
   // -- Phrase velocity contour --
   // A great drummer plays the SONG, not the drums.
   // Research: standard drum programming wisdom, confirmed by
@@ -301,6 +320,7 @@ var Rhythm = (function () {
 
   // -- Callbacks --
   var onDrumHit = null;       // function(time, velocity, instrument, kit)
+  var onStep = null;          // function(step, time, stepDur, steps) — every step, hit or not
 
   // -- Per-instrument 1/f bias (Butterfield 2010) --
   // Kick slightly ahead of the grid (pushes forward).
@@ -348,8 +368,10 @@ var Rhythm = (function () {
         ? styleDNA.snareGrid.slice(0, 16)
         : euclidean(Math.max(1, Math.round(energy * 3)), 16);
 
-      // Hats: prefer explicit hatVels if present, else derive
-      if (styleDNA.hatVels && styleDNA.hatVels.length >= 16) {
+      // Hats: an explicit probability grid wins, then hatVels (on/off), else derive
+      if (styleDNA.hatGrid && styleDNA.hatGrid.length >= 16) {
+        hatPattern = styleDNA.hatGrid.slice(0, 16);
+      } else if (styleDNA.hatVels && styleDNA.hatVels.length >= 16) {
         hatPattern = styleDNA.hatVels.map(function(v){ return v > 0.05 ? 1 : 0; });
       } else {
         var hatHits = Math.min(s, Math.round(energy * 5 + 4));
@@ -674,8 +696,11 @@ var Rhythm = (function () {
    * @param {number} step       - Current step (0-15)
    * @param {number} time       - Audio context time for scheduling
    * @param {number} userEnergy - Body energy 0-1
+   * @param {object} [fill]     - This frame's wand fill: { forced, boost }. None = no wand.
    */
-  function fireStep(step, time, userEnergy) {
+  function fireStep(step, time, userEnergy, fill) {
+    var forcedFill = !!(fill && fill.forced);
+    var fillBoost  = (fill && fill.boost) || 1.0;
     if (!onDrumHit) return;
     if (drumPresence < 0.01) return;
 
@@ -694,7 +719,7 @@ var Rhythm = (function () {
 
     // ── KICK ── (v4: respect probabilistic grid values from style when present)
     var kickProb = (step < kickPattern.length) ? (kickPattern[step] || 0) : 0;
-    if (kickProb > 0 && Math.random() < kickProb) {
+    if (kickProb > 0 && rand() < kickProb) {
       var kickBase = 0.7 * dp;
       kickBase = Math.max(kickBase, stampVel * dp * 0.8);
       var kickVel = phraseVelocity(step, bar, kickBase, userEnergy) * phaseMultiplier;
@@ -707,7 +732,7 @@ var Rhythm = (function () {
 
     // ── SNARE ── (v4: respect probabilistic grid values)
     var snareProb = (step < snarePattern.length) ? (snarePattern[step] || 0) : 0;
-    if (snareProb > 0 && Math.random() < snareProb) {
+    if (snareProb > 0 && rand() < snareProb) {
       var snareBase = 0.6 * dp;
       snareBase = Math.max(snareBase, stampVel * dp * 0.6);
       var snareVel = phraseVelocity(step, bar, snareBase, userEnergy) * phaseMultiplier;
@@ -720,7 +745,7 @@ var Rhythm = (function () {
 
     // ── HATS ── (v4: respect probabilistic values)
     var hatProb = (step < hatPattern.length) ? (hatPattern[step] || 0) : 0;
-    if (hatProb > 0 && Math.random() < hatProb) {
+    if (hatProb > 0 && rand() < hatProb) {
       var hatBase = 0.35 * dp;
       var hatVel = phraseVelocity(step, bar, hatBase, userEnergy) * phaseMultiplier;
       hatVel = Math.min(0.55, hatVel);
@@ -730,6 +755,8 @@ var Rhythm = (function () {
       }
     }
 
+    if (!STEP_EXTRAS) return;
+
     // ── GHOST NOTES + WAND FILLS ──
     // Ghost notes fill gaps. Wand forcedFill or high fillBoost creates obvious musical responses
     // to big gestures (the "painting" control).
@@ -738,8 +765,8 @@ var Rhythm = (function () {
       var hasHit = (step < kickPattern.length && (kickPattern[step] || 0) > 0) ||
                    (step < snarePattern.length && (snarePattern[step] || 0) > 0);
       var fillChance = forcedFill ? 0.9 : effectiveGhost;
-      if (!hasHit && Math.random() < fillChance) {
-        var ghostVel = 0.06 + Math.random() * 0.08;
+      if (!hasHit && rand() < fillChance) {
+        var ghostVel = 0.06 + rand() * 0.08;
         ghostVel *= dp * phaseMultiplier;
         if (ghostVel > 0.01) {
           var ghostTime = time + hitTiming('snare', step);
@@ -760,9 +787,9 @@ var Rhythm = (function () {
     }
 
     // v4: obvious fill response to big wand gestures (shapeType sweep/arc etc.)
-    if (forcedFill && Math.random() < (0.6 * fillBoost)) {
+    if (forcedFill && rand() < (0.6 * fillBoost)) {
       var fillTime = time + hitTiming('hat', step) * 0.25;
-      onDrumHit(fillTime, 0.42 + Math.random() * 0.25, 'hat', kit);
+      onDrumHit(fillTime, 0.42 + rand() * 0.25, 'hat', kit);
     }
 
     // ── USER STAMP SOLO HITS ──
@@ -788,6 +815,62 @@ var Rhythm = (function () {
   // 12. UPDATE — called each frame
   // ═══════════════════════════════════════════════════════════════════════
 
+  /**
+   * The body's tempo, moved into the style's bpmRange: by octaves while the
+   * result still fits (a 45 BPM sway drives lofi at 90), else to the nearer
+   * edge. Without it a slow sway had the band — and the prompt — at 56 BPM
+   * in a style that lives at 75–98.
+   */
+  function styleTempo(bpm) {
+    var range = styleDNA && styleDNA.bpmRange;
+    if (!range || !(bpm > 0)) return bpm;
+    while (bpm < range[0] && bpm * 2 <= range[1]) bpm *= 2;
+    while (bpm > range[1] && bpm / 2 >= range[0]) bpm /= 2;
+    return Math.max(range[0], Math.min(range[1], bpm));
+  }
+
+  /**
+   * Follow the room's beat (Onset.estimate). Glides tempo toward it and
+   * returns a clock-rate multiplier that closes the phase gap: the bar clock
+   * runs a little fast or slow rather than jumping, so no step fires twice
+   * or gets skipped. Half or double the band's tempo is folded to the
+   * band's octave — a drummer in half-time is still on our beats.
+   */
+  function followRoom(dt, room) {
+    var conf = room ? room.confidence || 0 : 0;
+    if (!room || !(room.tempo > 0) || conf < (following ? ROOM_OFF : ROOM_ON)) {
+      following = false;
+      roomTempo = 0;
+      return 1;
+    }
+    following = true;
+
+    var target = room.tempo;
+    var ref = roomTempo || tempo;
+    if (ref > 0) {
+      while (target < ref / 1.5) target *= 2;
+      while (target > ref * 1.5) target /= 2;
+    }
+    roomTempo = roomTempo > 0 ? roomTempo + (target - roomTempo) * Math.min(1, dt * ROOM_PULL * conf) : target;
+    tempo = roomTempo;
+    tempoLocked = true;
+    lockStrength = Math.max(lockStrength, conf);
+
+    // phase error in beats, measured on the finer of the two grids and
+    // wrapped to ±½ of it — positive: the room is ahead
+    var ours = (barPhase * steps / 4) % 1;
+    var ratio = Math.pow(2, Math.round(Math.log(tempo / room.tempo) / Math.LN2));   // 2: room in half-time
+    var err;
+    if (ratio >= 1) {
+      err = (room.phase * ratio) % 1 - ours;
+      err -= Math.round(err);
+    } else {
+      err = room.phase - (ours / ratio) % 1;
+      err = (err - Math.round(err)) * ratio;
+    }
+    return 1 + Math.max(-ROOM_MAX_NUDGE, Math.min(ROOM_MAX_NUDGE, err * ROOM_PHASE_GAIN * conf));
+  }
+
   /**
    * Main update function. Advances the rhythm clock, generates patterns,
    * and fires drum hits via the onDrumHit callback.
@@ -803,7 +886,8 @@ var Rhythm = (function () {
    *     isSilent: boolean,       // is the user still?
    *     peaked: boolean,         // did a peak happen this frame?
    *     peakMag: number,         // peak magnitude (if peaked)
-   *     audioTime: number        // AudioContext.currentTime
+   *     audioTime: number,       // AudioContext.currentTime
+   *     room: { tempo, phase, confidence } | null  // Onset.estimate — the mic's beat
    *   }
    *
    * @returns {object} Current rhythm state snapshot
@@ -816,8 +900,7 @@ var Rhythm = (function () {
     var bodyTempo = bodyState.tempo || 0;
 
     // v4 wand dynamics options
-    var forcedFill = bodyState.forcedFill || false;
-    var fillBoost = bodyState.fillBoost || 1.0;
+    var fill = { forced: bodyState.forcedFill || false, boost: bodyState.fillBoost || 1.0 };
     var humanizeExtra = bodyState.humanize || 0;
     var densityBoost = bodyState.densityBoost || 1.0;
     var locked = bodyState.tempoLocked || false;
@@ -833,11 +916,14 @@ var Rhythm = (function () {
       tempoLocked = true;
       lockStrength = 1.0;
     } else {
-      tempo = locked ? bodyTempo : tempo;
+      tempo = locked ? styleTempo(bodyTempo) : tempo;
       tempoLocked = locked;
       lockStrength = bodyState.lockStrength || 0;
     }
 
+    // A beat in the room outranks the body and the grid
+    clockRate = followRoom(dt, bodyState.room);
+
     // Clamp tempo to sane range
     if (tempo > 0) {
       tempo = Math.max(40, Math.min(200, tempo));
@@ -860,7 +946,7 @@ var Rhythm = (function () {
     // Advance bar phase
     var stepDur = 60 / (tempo * 4); // duration of one 16th note in seconds
     var barDur = stepDur * steps;     // duration of one bar in seconds
-    barPhase += dt / barDur;
+    barPhase += dt / barDur * clockRate;
 
     // Bar boundary crossed
     if (barPhase >= 1.0) {
@@ -890,7 +976,8 @@ var Rhythm = (function () {
       }
 
       // Fire drum hits for this step
-      fireStep(newStep, audioTime, energy);
+      fireStep(newStep, audioTime, energy, fill);
+      if (onStep) onStep(newStep, audioTime, stepDur / clockRate, steps);
     }
 
     return getState();
@@ -928,6 +1015,9 @@ var Rhythm = (function () {
       swing: (profile || DEFAULT_PROFILE).swing,
       ghostLevel: (profile || DEFAULT_PROFILE).ghostLevel,
       humanize: (profile || DEFAULT_PROFILE).humanize,
+      following: following,
+      rate: clockRate,        // × tempo: how fast the bar clock really runs
+      steps: steps,
       gridPhase: (mode === 'grid') ? gridPhase : null,
       gridBuildLevel: (mode === 'grid') ? gridBuildLevel : null
     };
@@ -942,7 +1032,8 @@ var Rhythm = (function () {
    *     profile: string (key into GROOVE_PROFILES) or object,
    *     steps: number (8, 12, 16, 32),
    *     fullPresence: boolean (skip drum arrival, e.g. Grid lens),
-   *     onDrumHit: function(time, velocity, instrument, kit)
+   *     onDrumHit: function(time, velocity, instrument, kit),
+   *     onStep: function(step, time, stepDur, steps)
    *   }
    */
   function configure(config) {
@@ -993,6 +1084,9 @@ var Rhythm = (function () {
     if (typeof config.onDrumHit === 'function') {
       onDrumHit = config.onDrumHit;
     }
+    if (typeof config.onStep === 'function') {
+      onStep = config.onStep;
+    }
 
     // Generate initial patterns
     generatePatterns(0, profile);
@@ -1008,6 +1102,9 @@ var Rhythm = (function () {
     lockStrength = 0;
     beatInterval = 0;
     mode = 'organic';
+    following = false;
+    roomTempo = 0;
+    clockRate = 1;
     barPhase = 0;
     barCount = 0;
     phraseBar = 0;
@@ -1023,6 +1120,7 @@ var Rhythm = (function () {
     gridBuildLevel = 0;
     gridDropTriggered = false;
     onDrumHit = null;
+    onStep = null;
 
     userStampGrid = new Float32Array(steps);
     kickPattern = [];
@@ -1055,6 +1153,18 @@ var Rhythm = (function () {
     }
   }
 
+  /**
+   * Set the per-step callback — loaded stems (stems.js) retrigger on it.
+   * @param {function} fn - Called as fn(step, time, stepDur, steps)
+   *   step: step within the bar, time: AudioContext time it starts,
+   *   stepDur: seconds per step at the current clock, steps: per bar
+   */
+  function setStepCallback(fn) {
+    if (typeof fn === 'function') {
+      onStep = fn;
+    }
+  }
+
   /**
    * Override Euclidean hit count (lens control).
    * @param {number} hits - Number of Euclidean hits for kick pattern
@@ -1082,11 +1192,15 @@ var Rhythm = (function () {
     reset: reset,
     configure: configure,
     setCallback: setCallback,
+    setStepCallback: setStepCallback,
     setDensityBoost: setDensityBoost,
 
     // Frame update
     update: update,
 
+    // Fire one step directly — the style editor auditions grids without the clock
+    fireStep: fireStep,
+
     // Peak stamping (called by flow.js when Body detects a peak)
     stampPeak: stampPeak,
 
@@ -1102,6 +1216,7 @@ var Rhythm = (function () {
     rotatePattern: rotatePattern,
 
     // State queries
+    getState: getState,
     get state()        { return getState(); },
     get tempo()        { return tempo; },
     get barPhase()     { return barPhase; },
@@ -1109,6 +1224,7 @@ var Rhythm = (function () {
     get drumPresence() { return drumPresence; },
     get currentStep()  { return currentStep; },
     get mode()         { return mode; },
+    get following()    { return following; },
     get gridPhase()    { return (mode === 'grid') ? gridPhase : null; },
     get profile()      { return profile || DEFAULT_PROFILE; },
 
@@ -0,0 +1,338 @@
+/**
+ * SAMPLER — Real pianos and Rhodes from .sfz multi-sample sets
+ *
+ * Parses an SFZ instrument (key ranges, velocity layers, root keys, loops),
+ * decodes its samples and registers the result with Sound.loadInstrument.
+ * From then on the instrument is just another voice name: palettes, style
+ * `voices` and Sound.play all take it, and it rides the same registry
+ * envelope, filter, drift and tremor as the synth voices.
+ *
+ * Sources:
+ *   load(name, 'kits/piano/piano.sfz')   — URL; samples resolve next to it
+ *   load(name, files)                     — a picked/dropped folder with a .sfz
+ *   load(name, files)                     — no .sfz: one zone per file, root
+ *                                           from a note name (Rhodes_C4.wav)
+ *
+ * SFZ subset: <control> default_path, <global>/<master>/<group>/<region>
+ * inheritance, sample, key, lokey, hikey, pitch_keycenter, lovel, hivel,
+ * tune, transpose, loop_mode, loop_start, loop_end, ampeg_attack,
+ * ampeg_decay, ampeg_sustain, ampeg_release.
+ */
+
+const Sampler = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var AUDIO_EXT = /\.(wav|wave|aif|aiff|flac|ogg|mp3|m4a)$/i;
+  var PITCH     = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _loaded = [];     // instrument names registered with Sound
+
+  // ── SFZ ───────────────────────────────────────────────────────────────
+
+  // 60, "c4", "C#4", "eb3", "a-1" → MIDI note (SFZ: c4 = 60)
+  function _note(v) {
+    if (v === undefined || v === null || v === '') return undefined;
+    if (/^-?\d+$/.test(v)) return parseInt(v, 10);
+    var m = String(v).toLowerCase().match(/^([a-g])([#b]?)(-?\d+)$/);
+    if (!m) return undefined;
+    var pc = PITCH[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0);
+    return (parseInt(m[3], 10) + 1) * 12 + pc;
+  }
+
+  /**
+   * Parse SFZ text.
+   * @returns {{ regions: Array, opts: Object }} regions carry the resolved
+   *   sample path and root/lo/hi/lovel/hivel/tune/loop fields; opts holds the
+   *   amp envelope as registry fields (attack, decay, sustain, release)
+   */
+  function parseSFZ(text) {
+    var src = String(text)
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/\/\/.*$/gm, '');
+
+    var control = {}, global = {}, master = {}, group = {};
+    var raw = [];
+    var current = null, region = null;
+
+    var re = /<(\w+)>|([A-Za-z0-9_]+)=/g;
+    var tokens = [], m;
+    while ((m = re.exec(src)) !== null) tokens.push({ m: m, end: re.lastIndex });
+
+    function flush() {
+      if (region) raw.push({ own: region, group: group, master: master, global: global });
+      region = null;
+    }
+
+    for (var i = 0; i < tokens.length; i++) {
+      var tk = tokens[i];
+      if (tk.m[1]) {
+        var h = tk.m[1].toLowerCase();
+        flush();
+        if (h === 'control')     { current = control; }
+        else if (h === 'global') { global = {}; master = {}; group = {}; current = global; }
+        else if (h === 'master') { master = {}; group = {}; current = master; }
+        else if (h === 'group')  { group = {}; current = group; }
+        else if (h === 'region') { region = {}; current = region; }
+        else current = null;     // <curve>, <effect>… — not ours
+        continue;
+      }
+      var next = (i + 1 < tokens.length) ? tokens[i + 1].m.index : src.length;
+      if (current) current[tk.m[2].toLowerCase()] = src.slice(tk.end, next).trim();
+    }
+    flush();
+
+    var base = (control.default_path || '').replace(/\\/g, '/');
+    var regions = [];
+    var opts = null;
+
+    raw.forEach(function (r) {
+      function op(k) {
+        if (r.own[k] !== undefined) return r.own[k];
+        if (r.group[k] !== undefined) return r.group[k];
+        if (r.master[k] !== undefined) return r.master[k];
+        return r.global[k];
+      }
+      var sample = op('sample');
+      if (!sample) return;
+      var key = _note(op('key'));
+      var lo  = _note(op('lokey'));
+      var hi  = _note(op('hikey'));
+      var root = _note(op('pitch_keycenter'));
+      if (key !== undefined) {
+        if (lo === undefined) lo = key;
+        if (hi === undefined) hi = key;
+        if (root === undefined) root = key;
+      }
+      if (root === undefined) root = (lo !== undefined && hi !== undefined) ? Math.round((lo + hi) / 2) : 60;
+      var mode = op('loop_mode');
+      regions.push({
+        sample:    base + sample.replace(/\\/g, '/'),
+        root:      root,
+        lo:        lo !== undefined ? lo : 0,
+        hi:        hi !== undefined ? hi : 127,
+        lovel:     op('lovel') !== undefined ? parseInt(op('lovel'), 10) : 0,
+        hivel:     op('hivel') !== undefined ? parseInt(op('hivel'), 10) : 127,
+        tune:      (parseFloat(op('tune')) || 0) + (parseFloat(op('transpose')) || 0) * 100,
+        loopStart: (mode === 'loop_continuous' || mode === 'loop_sustain') ? parseFloat(op('loop_start')) : undefined,
+        loopEnd:   (mode === 'loop_continuous' || mode === 'loop_sustain') ? parseFloat(op('loop_end')) : undefined,
+      });
+
+      // Amp envelope: the first region that states one speaks for the instrument
+      if (!opts && (op('ampeg_attack') || op('ampeg_release') || op('ampeg_decay') || op('ampeg_sustain'))) {
+        opts = {};
+        if (op('ampeg_attack'))  opts.attack  = parseFloat(op('ampeg_attack'));
+        if (op('ampeg_decay'))   opts.decay   = parseFloat(op('ampeg_decay'));
+        if (op('ampeg_sustain')) opts.sustain = parseFloat(op('ampeg_sustain')) / 100;
+        if (op('ampeg_release')) opts.release = parseFloat(op('ampeg_release'));
+      }
+    });
+
+    return { regions: regions, opts: opts || {} };
+  }
+
+  // ── FILES ─────────────────────────────────────────────────────────────
+
+  // The file's own sample rate, from its header. SFZ loop points count
+  // frames at this rate, but decodeAudioData hands back a buffer already
+  // resampled to the context's. WAV, AIFF and FLAC; null for anything else.
+  function _sourceRate(data) {
+    try {
+      var v = new DataView(data);
+      var tag = function (at) {
+        return String.fromCharCode(v.getUint8(at), v.getUint8(at + 1), v.getUint8(at + 2), v.getUint8(at + 3));
+      };
+      var at, size;
+      if (tag(0) === 'RIFF' && tag(8) === 'WAVE') {
+        for (at = 12; at + 8 <= v.byteLength; at += 8 + size + (size & 1)) {
+          size = v.getUint32(at + 4, true);
+          if (tag(at) === 'fmt ') return v.getUint32(at + 12, true);
+        }
+      } else if (tag(0) === 'FORM' && (tag(8) === 'AIFF' || tag(8) === 'AIFC')) {
+        for (at = 12; at + 8 <= v.byteLength; at += 8 + size + (size & 1)) {
+          size = v.getUint32(at + 4);
+          if (tag(at) !== 'COMM') continue;
+          // 80-bit extended float at offset 8 of the chunk body
+          var exp = (v.getUint16(at + 16) & 0x7fff) - 16383;
+          return Math.round(v.getUint32(at + 18) * Math.pow(2, exp - 31));
+        }
+      } else if (tag(0) === 'fLaC') {
+        // STREAMINFO is always first: 20 bits of rate at byte 10 of its body
+        return (v.getUint8(18) << 12) | (v.getUint8(19) << 4) | (v.getUint8(20) >> 4);
+      }
+    } catch (e) {}
+    return null;
+  }
+
+  // → { buffer, rate } — rate is the file's, read before decoding detaches `data`
+  function _decode(data) {
+    var rate = _sourceRate(data);
+    return new Promise(function (resolve) {
+      var done = function (buffer) { resolve(buffer ? { buffer: buffer, rate: rate || buffer.sampleRate } : null); };
+      try {
+        var p = Sound.ctx.decodeAudioData(data, done, function () { resolve(null); });
+        if (p && p.catch) p.catch(function () { resolve(null); });
+      } catch (e) { resolve(null); }
+    });
+  }
+
+  function _read(file) {
+    if (file.arrayBuffer) return file.arrayBuffer();
+    return new Promise(function (resolve, reject) {
+      var r = new FileReader();
+      r.onload = function () { resolve(r.result); };
+      r.onerror = function () { reject(r.error); };
+      r.readAsArrayBuffer(file);
+    });
+  }
+
+  function _readText(file) {
+    if (file.text) return file.text();
+    return _read(file).then(function (buf) { return new TextDecoder().decode(buf); });
+  }
+
+  function _path(f) {
+    return String(f.webkitRelativePath || f.name || '').replace(/\\/g, '/');
+  }
+
+  // "a/b/../c.wav" → "a/c.wav"
+  function _normalize(path) {
+    var out = [];
+    path.split('/').forEach(function (seg) {
+      if (seg === '..') out.pop();
+      else if (seg && seg !== '.') out.push(seg);
+    });
+    return out.join('/').toLowerCase();
+  }
+
+  // No .sfz: every file is a zone rooted at the note in its name, and
+  // key ranges meet halfway between neighbouring roots
+  function _regionsFromNames(files) {
+    var regions = [];
+    files.forEach(function (f) {
+      var base = _path(f).split('/').pop();
+      var m = base.match(/(?:^|[^a-z])([a-g][#b]?-?\d)(?:[^0-9]|$)/i);
+      var root = m ? _note(m[1]) : undefined;
+      if (root !== undefined) regions.push({ file: f, root: root, lovel: 0, hivel: 127, tune: 0 });
+    });
+    regions.sort(function (a, b) { return a.root - b.root; });
+    regions.forEach(function (r, i) {
+      r.lo = i === 0 ? 0 : Math.floor((regions[i - 1].root + r.root) / 2) + 1;
+      r.hi = i === regions.length - 1 ? 127 : Math.floor((r.root + regions[i + 1].root) / 2);
+    });
+    return regions;
+  }
+
+  // ── LOAD ──────────────────────────────────────────────────────────────
+
+  function _register(name, regions, opts, fetchSample) {
+    var missing = [];
+    var cache = {};
+    return Promise.all(regions.map(function (r) {
+      var key = r.file ? _path(r.file) : r.sample;
+      if (!cache[key]) {
+        cache[key] = fetchSample(r).then(function (data) {
+          return data ? _decode(data) : null;
+        }, function () { return null; });
+      }
+      return cache[key];
+    })).then(function (buffers) {
+      var zones = [];
+      regions.forEach(function (r, i) {
+        var dec = buffers[i];
+        if (!dec) { missing.push(r.file ? _path(r.file) : r.sample); return; }
+        var sr = dec.rate;   // loop_start / loop_end are frames of the file, not of the buffer
+        zones.push({
+          buffer: dec.buffer, root: r.root, lo: r.lo, hi: r.hi, lovel: r.lovel, hivel: r.hivel, tune: r.tune,
+          loop: (r.loopEnd > r.loopStart) ? [r.loopStart / sr, r.loopEnd / sr] : null,
+        });
+      });
+      var merged = {};
+      var k;
+      for (k in opts) merged[k] = opts[k];
+      if (!Sound.loadInstrument(name, zones, merged)) {
+        throw new Error('Sampler: nothing playable in "' + name + '"');
+      }
+      if (_loaded.indexOf(name) === -1) _loaded.push(name);
+      return { name: name, zones: zones.length, missing: missing };
+    });
+  }
+
+  /**
+   * Load a multi-sample instrument and register it as a Sound voice.
+   * @param {string} name — voice name (must not be a built-in synth)
+   * @param {string|FileList|Array} source — .sfz URL, or files (folder with .sfz, or note-named samples)
+   * @param {Object} [opts] — registry overrides (release, filterFreq, reverbSend…)
+   * @returns {Promise<Object>} { name, zones, missing: [sample paths] }
+   */
+  function load(name, source, opts) {
+    if (typeof Sound === 'undefined' || !Sound.ctx) {
+      return Promise.reject(new Error('Sampler: start audio first'));
+    }
+    opts = opts || {};
+
+    if (typeof source === 'string') {
+      return fetch(source).then(function (res) {
+        if (!res.ok) throw new Error('Sampler: ' + source + ' → ' + res.status);
+        return res.text();
+      }).then(function (text) {
+        var sfz = parseSFZ(text);
+        var env = {};
+        var k;
+        for (k in sfz.opts) env[k] = sfz.opts[k];
+        for (k in opts) env[k] = opts[k];
+        return _register(name, sfz.regions, env, function (r) {
+          return fetch(new URL(r.sample, new URL(source, window.location.href)).href)
+            .then(function (res) { return res.ok ? res.arrayBuffer() : null; });
+        });
+      });
+    }
+
+    var files = Array.prototype.slice.call(source || []);
+    var sfzFile = files.filter(function (f) { return /\.sfz$/i.test(_path(f)); })[0];
+    var audio = files.filter(function (f) { return AUDIO_EXT.test(_path(f)); });
+
+    if (!sfzFile) {
+      return _register(name, _regionsFromNames(audio), opts, function (r) { return _read(r.file); });
+    }
+
+    // Sample paths are relative to the .sfz; fall back to matching the file name
+    var byPath = {}, byName = {};
+    audio.forEach(function (f) {
+      byPath[_normalize(_path(f))] = f;
+      byName[_path(f).split('/').pop().toLowerCase()] = f;
+    });
+    var dir = _path(sfzFile).split('/').slice(0, -1).join('/');
+
+    return _readText(sfzFile).then(function (text) {
+      var sfz = parseSFZ(text);
+      var env = {};
+      var k;
+      for (k in sfz.opts) env[k] = sfz.opts[k];
+      for (k in opts) env[k] = opts[k];
+      return _register(name, sfz.regions, env, function (r) {
+        var f = byPath[_normalize((dir ? dir + '/' : '') + r.sample)] ||
+                byName[r.sample.split('/').pop().toLowerCase()];
+        return f ? _read(f) : Promise.resolve(null);
+      });
+    });
+  }
+
+  function unload(name) {
+    var i = _loaded.indexOf(name);
+    if (i !== -1) _loaded.splice(i, 1);
+    return (typeof Sound !== 'undefined') ? Sound.unloadInstrument(name) : false;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    load:     load,
+    unload:   unload,
+    parseSFZ: parseSFZ,
+    get instruments() { return _loaded.slice(); },
+  });
+})();
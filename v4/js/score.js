@@ -0,0 +1,255 @@
+/**
+ * SCORE — Standard MIDI File of what the conductor actually played
+ *
+ * Listens on Sound (play / playChord / playDrum all pass through it) and
+ * writes a type-1 SMF:
+ *   track 0         — tempo map (Rhythm/Environ), key signature + mode (Harmony)
+ *   one per voice   — own channel, GM program guess, track name = voice id
+ *                     (15 channels around the drums'; past them, voices share
+ *                     channel 16 and the 15th voice's program)
+ *   one per drum    — channel 10, GM percussion note, track name = instrument
+ *
+ * Times are audio-clock seconds from Sound.currentTime, converted to ticks
+ * through the recorded tempo map, so a DAW lines the bars up with the grid.
+ */
+
+const Score = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var PPQ        = 480;
+  var DRUM_CH    = 9;      // MIDI channel 10
+  var LAST_CH    = 15;
+  var DRUM_LEN   = 0.1;    // seconds — drum note length in the file
+  var TEMPO_STEP = 1;      // BPM change that earns a new tempo event
+
+  // General MIDI programs — nearest relative of each built-in voice
+  var GM_PROGRAM = {
+    piano: 0, epiano: 4, lofiRhodes: 4, soulKeys: 4, organ: 16,
+    strings: 48, bell: 14, pluck: 25, stab: 61, formant: 52,
+    massive: 38, gridstack: 81, unisonWall: 90, upright: 32,
+    mono: 81, fm: 5, glitch: 98,
+  };
+
+  // GM percussion keys
+  var GM_DRUM = { kick: 36, snare: 38, hat: 42, shaker: 70, perc: 37 };
+
+  // Key signature from the parent major scale: tonic offset per mode
+  var MODE_PARENT = {
+    major: 0, lydian: 7, mixolydian: 5, dorian: 10, phrygian: 8,
+    minor: 3, picardy: 3, pentatonic: 0, blues: 3,
+  };
+  var MINOR_MODES = { minor: 1, dorian: 1, phrygian: 1, picardy: 1, blues: 1 };
+
+  var NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _recording = false;
+  var _t0        = 0;      // audio time of tick 0
+  var _events    = [];     // raw Sound events, time relative to _t0
+  var _tempos    = [];     // [{ sec, bpm }]
+  var _keys      = [];     // [{ sec, root, mode }]
+
+  // ── SOURCES ───────────────────────────────────────────────────────────
+
+  function _currentBpm() {
+    if (typeof Rhythm !== 'undefined' && Rhythm.tempo > 0) return Rhythm.tempo;
+    if (typeof Environ !== 'undefined' && Environ.bpm) return Environ.bpm;
+    return 90;
+  }
+
+  // The plain getters — getState() copies scale, history and motifs, too much per note
+  function _currentKey() {
+    if (typeof Harmony === 'undefined' || !(Harmony.root > 0)) return null;
+    return { root: Harmony.root, mode: Harmony.mode };
+  }
+
+  // Called on every note — tempo and key changes are sampled as they happen
+  function _track(sec) {
+    var bpm = _currentBpm();
+    var lastT = _tempos[_tempos.length - 1];
+    if (!lastT || Math.abs(bpm - lastT.bpm) >= TEMPO_STEP) {
+      _tempos.push({ sec: lastT ? sec : 0, bpm: bpm });
+    }
+    var key = _currentKey();
+    var lastK = _keys[_keys.length - 1];
+    if (key && (!lastK || lastK.root !== key.root || lastK.mode !== key.mode)) {
+      _keys.push({ sec: lastK ? sec : 0, root: key.root, mode: key.mode });
+    }
+  }
+
+  function _onSound(ev) {
+    if (!_recording) return;
+    var sec = ev.time - _t0;
+    if (sec < 0) sec = 0;
+    _track(sec);
+    _events.push({
+      type:   ev.type,
+      name:   ev.type === 'drum' ? ev.instrument : ev.voice,
+      sec:    sec,
+      freq:   ev.freq,
+      vel:    ev.velocity,
+      dur:    ev.type === 'drum' ? DRUM_LEN : ev.duration,
+    });
+  }
+
+  // ── RECORD ────────────────────────────────────────────────────────────
+
+  function start() {
+    _events = [];
+    _tempos = [];
+    _keys   = [];
+    _t0     = (typeof Sound !== 'undefined') ? Sound.currentTime : 0;
+    _track(0);
+    _recording = true;
+    if (typeof Sound !== 'undefined' && Sound.addListener) Sound.addListener(_onSound);
+  }
+
+  function stop() {
+    _recording = false;
+    if (typeof Sound !== 'undefined' && Sound.removeListener) Sound.removeListener(_onSound);
+    return _events.length;
+  }
+
+  // ── TIME ──────────────────────────────────────────────────────────────
+
+  // Seconds → ticks through the piecewise-constant tempo map
+  function _ticks(sec) {
+    var ticks = 0;
+    for (var i = 0; i < _tempos.length; i++) {
+      var segStart = _tempos[i].sec;
+      if (sec <= segStart) break;
+      var segEnd = (i + 1 < _tempos.length) ? Math.min(sec, _tempos[i + 1].sec) : sec;
+      ticks += (segEnd - segStart) * (_tempos[i].bpm / 60) * PPQ;
+    }
+    return Math.round(ticks);
+  }
+
+  // ── ENCODING ──────────────────────────────────────────────────────────
+
+  function _varLen(n) {
+    var bytes = [n & 0x7f];
+    n >>= 7;
+    while (n > 0) { bytes.unshift((n & 0x7f) | 0x80); n >>= 7; }
+    return bytes;
+  }
+
+  function _u32(n) { return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff]; }
+
+  function _text(type, str) {
+    var b = [];
+    for (var i = 0; i < str.length; i++) b.push(str.charCodeAt(i) & 0x7f);
+    return [0xff, type].concat(_varLen(b.length), b);
+  }
+
+  // [{ tick, data[] }] → MTrk chunk; stable order for equal ticks
+  function _chunk(items) {
+    items.sort(function (a, b) { return a.tick - b.tick || a.order - b.order; });
+    var out = [], last = 0;
+    for (var i = 0; i < items.length; i++) {
+      Array.prototype.push.apply(out, _varLen(items[i].tick - last));
+      Array.prototype.push.apply(out, items[i].data);
+      last = items[i].tick;
+    }
+    out.push(0x00, 0xff, 0x2f, 0x00);   // end of track
+    return [0x4d, 0x54, 0x72, 0x6b].concat(_u32(out.length), out);
+  }
+
+  function _midiNote(freq) {
+    return Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(freq / 440))));
+  }
+
+  function _midiVel(v) {
+    return Math.max(1, Math.min(127, Math.round(v * 127)));
+  }
+
+  function _keySig(root, mode) {
+    var pc = ((Math.round(12 * Math.log2(root / 261.626)) % 12) + 12) % 12;
+    var parent = (pc + (MODE_PARENT[mode] || 0)) % 12;
+    var sf = (parent * 7) % 12;
+    if (sf > 6) sf -= 12;
+    var mi = MINOR_MODES[mode] ? 1 : 0;
+    return { sf: sf, mi: mi, label: NOTE_NAMES[pc] + ' ' + mode };
+  }
+
+  function _conductorTrack() {
+    var items = [{ tick: 0, order: 0, data: _text(0x03, 'GUMP conductor') }];
+    _tempos.forEach(function (tp, i) {
+      var us = Math.round(60000000 / tp.bpm);
+      items.push({ tick: _ticks(tp.sec), order: 1 + i,
+        data: [0xff, 0x51, 0x03, (us >> 16) & 0xff, (us >> 8) & 0xff, us & 0xff] });
+    });
+    _keys.forEach(function (k, i) {
+      var ks = _keySig(k.root, k.mode);
+      var tick = _ticks(k.sec);
+      items.push({ tick: tick, order: 1000 + i, data: [0xff, 0x59, 0x02, ks.sf & 0xff, ks.mi] });
+      items.push({ tick: tick, order: 2000 + i, data: _text(0x06, ks.label) });   // marker: exact mode
+    });
+    return _chunk(items);
+  }
+
+  // The i-th voice's channel: 1–9, 11–16, then 16 again for the rest
+  function _voiceChannel(i) {
+    var ch = Math.min(i, LAST_CH - 1);
+    return ch < DRUM_CH ? ch : ch + 1;
+  }
+
+  function _noteTrack(name, evs, ch, isDrum, shared) {
+    var items = [{ tick: 0, order: 0, data: _text(0x03, name) }];
+    if (!isDrum && !shared) items.push({ tick: 0, order: 1, data: [0xc0 | ch, GM_PROGRAM[name] || 0] });
+    evs.forEach(function (e, i) {
+      var note = isDrum ? (GM_DRUM[name] || 39) : _midiNote(e.freq || 440);
+      var on  = _ticks(e.sec);
+      var off = Math.max(on + 1, _ticks(e.sec + Math.max(0.02, e.dur || 0.25)));
+      // note-offs sort before note-ons at the same tick so retriggers survive
+      items.push({ tick: off, order: 2 + i,   data: [0x80 | ch, note, 0] });
+      items.push({ tick: on,  order: 1e6 + i, data: [0x90 | ch, note, _midiVel(e.vel)] });
+    });
+    return _chunk(items);
+  }
+
+  /** Encode what has been recorded so far. Returns a Uint8Array (type-1 SMF). */
+  function toMidi() {
+    var voices = {}, drums = {}, vOrder = [], dOrder = [];
+    _events.forEach(function (e) {
+      if (e.type === 'drum') {
+        if (!drums[e.name]) { drums[e.name] = []; dOrder.push(e.name); }
+        drums[e.name].push(e);
+      } else {
+        if (!voices[e.name]) { voices[e.name] = []; vOrder.push(e.name); }
+        voices[e.name].push(e);
+      }
+    });
+
+    var tracks = [_conductorTrack()];
+    vOrder.forEach(function (name, i) {
+      tracks.push(_noteTrack(name, voices[name], _voiceChannel(i), false, i >= LAST_CH));
+    });
+    dOrder.forEach(function (name) {
+      tracks.push(_noteTrack(name, drums[name], DRUM_CH, true));
+    });
+
+    var header = [0x4d, 0x54, 0x68, 0x64].concat(_u32(6),
+      [0x00, 0x01, (tracks.length >> 8) & 0xff, tracks.length & 0xff, (PPQ >> 8) & 0xff, PPQ & 0xff]);
+    var bytes = header;
+    tracks.forEach(function (t) { Array.prototype.push.apply(bytes, t); });
+    return new Uint8Array(bytes);
+  }
+
+  function toBlob() {
+    return new Blob([toMidi()], { type: 'audio/midi' });
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    start:  start,
+    stop:   stop,
+    toMidi: toMidi,
+    toBlob: toBlob,
+    get recording() { return _recording; },
+    get notes()     { return _events.length; },
+  });
+})();
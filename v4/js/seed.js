@@ -0,0 +1,77 @@
+/**
+ * SEED — One PRNG for the whole session
+ *
+ * Every bit of chance in the engine (humanized timing and velocity, pink
+ * noise, probabilistic grids, contour picks, call & response waits, noise
+ * buffers) draws from Seed.random() instead of Math.random().
+ *
+ * Same seed + same gesture log = same notes. A seed can be a number or any
+ * string ("boom-bap", a bug report id). ?seed=… on the URL pins it.
+ *
+ * Mulberry32: 32-bit state, fast, good enough for music. Not crypto.
+ */
+
+const Seed = (function () {
+  'use strict';
+
+  var _seed   = 0;
+  var _state  = 0;
+  var _custom = null;   // injected PRNG (tests, external sync) — overrides mulberry32
+
+  // ── CORE ──────────────────────────────────────────────────────────────
+
+  function _mulberry32() {
+    _state = (_state + 0x6D2B79F5) | 0;
+    var t = _state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // FNV-1a — turns string seeds into 32-bit integers
+  function _hash(str) {
+    var h = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  /** Next float in [0, 1). Drop-in for Math.random. */
+  function random() {
+    return _custom ? _custom() : _mulberry32();
+  }
+
+  /** Restart the sequence from a seed. Numeric strings count as numbers. Returns the 32-bit seed. */
+  function set(seed) {
+    if (typeof seed === 'string' && /^\d+$/.test(seed)) seed = parseInt(seed, 10);
+    _seed  = (typeof seed === 'number' && isFinite(seed)) ? (seed >>> 0) : _hash(String(seed));
+    _state = _seed;
+    return _seed;
+  }
+
+  /** New seed from the clock. Returns it so it can be logged or shared. */
+  function fresh() {
+    var now = (typeof performance !== 'undefined') ? performance.now() : 0;
+    return set((Date.now() ^ Math.floor(now * 1000)) >>> 0);
+  }
+
+  /** Inject a PRNG function returning [0, 1). Pass null to go back to the seeded one. */
+  function use(fn) {
+    _custom = (typeof fn === 'function') ? fn : null;
+  }
+
+  fresh();
+
+  return Object.freeze({
+    random: random,
+    set:    set,
+    fresh:  fresh,
+    use:    use,
+    get value()    { return _seed; },
+    get injected() { return _custom !== null; },
+  });
+})();
@@ -0,0 +1,348 @@
+/**
+ * SESSION — Record the hardware, replay it anywhere
+ *
+ * Debugging v4 used to mean holding a phone and waving it. This records
+ * the raw inputs of the main loop — Sensor.read(), Wand.update() and the
+ * room's beat (Onset.estimate) per frame — into a compact file, and plays
+ * one back as the loop's input source, in place of the sensors and mic.
+ *
+ *   phone:  record → session file (JSON, shareable)
+ *   laptop: ?session=<url> or drop the file → same inputs, same seed
+ *   node:   tools/headless.js session.json → conductor decisions as JSON
+ *
+ * Format: one key table (dotted paths: 's.beta', 'w.kret.K', 'r.tempo') and one row
+ * per frame: [dt ms, keyIndex, value, keyIndex, value, …] holding only the
+ * values that changed since the previous frame. Numbers keep 4 decimals.
+ * Location fields are dropped at record time — sessions get posted in
+ * bug reports.
+ *
+ * Inputs that don't come through a frame — touches, style switches, cues,
+ * sung notes, room chords, LOCK TO ROOM and the phrases Pattern played
+ * from memory — go in `events`, as in a render take: { row, t, type, data },
+ * applied just before row `row` is fed (t is ms since the first row, for
+ * reading). Pattern's oracle lives on the phone, so its phrases can only
+ * replay from this log. Files from before it have no events.
+ *
+ * decode() also accepts a render take (js/render.js), whose frames carry
+ * the same SensorState + wand pair.
+ */
+
+const Session = (function () {
+  'use strict';
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var FORMAT     = 'gump-session';
+  var VERSION    = 1;
+  var PRECISION  = 1e4;
+  var MAX_FRAMES = 60 * 60 * 30;    // 30 min at 60fps
+  var PRIVATE    = { 's.latitude': 1, 's.longitude': 1 };
+  var NO_ROOM    = { tempo: 0, phase: 0, confidence: 0 };   // keeps a lost beat from replaying as the last one heard
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _rec      = null;     // session being recorded
+  var _recKeys  = null;     // key → index
+  var _recLast  = null;     // last value per key index
+  var _recPrevT = 0;
+  var _onFull   = null;     // start()'s callback for a session that fills up
+
+  var _play     = null;     // decoded session being played
+  var _pos      = 0;        // next row to apply
+  var _state    = null;     // running flat values
+  var _clockT0  = null;     // loop time of playback start
+  var _recT     = 0;        // recorded ms offset of the last applied row
+  var _loop     = false;
+  var _speed    = 1;
+  var _evPos    = 0;        // next event to apply
+
+  // ── FLATTEN ───────────────────────────────────────────────────────────
+
+  function _flatten(prefix, obj, out) {
+    if (!obj) return out;
+    Object.keys(obj).forEach(function (k) {
+      var v = obj[k];
+      var path = prefix + '.' + k;
+      if (v && typeof v === 'object' && !Array.isArray(v)) _flatten(path, v, out);
+      else if (typeof v !== 'function' && v !== undefined) out[path] = v;
+    });
+    return out;
+  }
+
+  function _unflatten(keys, values, root) {
+    var out = {};
+    for (var i = 0; i < keys.length; i++) {
+      if (values[i] === undefined) continue;
+      var parts = keys[i].split('.');
+      if (parts[0] !== root) continue;
+      var node = out;
+      for (var p = 1; p < parts.length - 1; p++) {
+        if (!node[parts[p]] || typeof node[parts[p]] !== 'object') node[parts[p]] = {};
+        node = node[parts[p]];
+      }
+      node[parts[parts.length - 1]] = values[i];
+    }
+    return out;
+  }
+
+  function _q(v) {
+    return (typeof v === 'number' && isFinite(v) && Math.floor(v) !== v)
+      ? Math.round(v * PRECISION) / PRECISION : v;
+  }
+
+  // ── RECORD ────────────────────────────────────────────────────────────
+
+  function _begin(header) {
+    _rec = {
+      format:   FORMAT,
+      version:  VERSION,
+      created:  header.created || new Date().toISOString(),
+      seed:     header.seed,
+      style:    header.style || 'lofi',
+      styleDef: header.styleDef || null,
+      environ:  header.environ || null,
+      roomLock: !!header.roomLock,     // LOCK TO ROOM at the start; 'lock' events after
+      t0:       null,
+      keys:     [],
+      rows:     [],
+      events:   [],
+    };
+    _recKeys = {};
+    _recLast = [];
+    _recPrevT = 0;
+  }
+
+  // Starts a new seed, like Render.start — call before Conductor.init.
+  // onFull(session) is called once if it hits MAX_FRAMES and stops itself.
+  function start(styleId, onFull) {
+    _begin({
+      seed:     (typeof Seed !== 'undefined') ? Seed.fresh() : null,
+      style:    styleId,
+      styleDef: (typeof Styles !== 'undefined' && Styles.isUser && Styles.isUser(styleId)) ? Styles.get(styleId) : null,
+      environ:  (typeof Environ !== 'undefined' && Environ.snapshot) ? Environ.snapshot() : null,
+      roomLock: (typeof Conductor !== 'undefined') ? Conductor.roomLocked : false,
+    });
+    _onFull = (typeof onFull === 'function') ? onFull : null;
+  }
+
+  /** Call once per loop frame with what the loop read. No-op unless recording. */
+  function record(ts, sensor, wand, room) {
+    if (!_rec) return;
+    if (_rec.rows.length >= MAX_FRAMES) {
+      // full — stop, and hand the session over rather than drop it
+      var full = _onFull;
+      var s = stop();
+      if (full) { try { full(s); } catch (e) { console.warn('[v4 session] onFull failed:', e); } }
+      return;
+    }
+    if (_rec.t0 === null) { _rec.t0 = ts; _recPrevT = ts; }
+
+    var flat = _flatten('s', sensor, {});
+    _flatten('w', wand, flat);
+    _flatten('r', room || NO_ROOM, flat);
+
+    var row = [Math.round((ts - _recPrevT) * 10) / 10];
+    _recPrevT = ts;
+    Object.keys(flat).forEach(function (k) {
+      if (PRIVATE[k]) return;
+      var idx = _recKeys[k];
+      if (idx === undefined) {
+        idx = _recKeys[k] = _rec.keys.length;
+        _rec.keys.push(k);
+      }
+      var v = _q(flat[k]);
+      if (_recLast[idx] !== v) {
+        row.push(idx, v);
+        _recLast[idx] = v;
+      }
+    });
+    _rec.rows.push(row);
+  }
+
+  /**
+   * A discrete input, as Render.event takes it. One logged in the frame it
+   * happened, after that frame was recorded, still applies before it.
+   */
+  function event(ts, type, data) {
+    if (!_rec) return;
+    var n = _rec.rows.length;
+    var row = (n && ts <= _recPrevT) ? n - 1 : n;
+    _rec.events.push({
+      row:  row,
+      t:    _rec.t0 === null ? 0 : Math.round((ts - _rec.t0) * 10) / 10,
+      type: type,
+      data: data ? JSON.parse(JSON.stringify(data)) : null,
+    });
+  }
+
+  function stop() {
+    var s = _rec;
+    _rec = null;
+    _onFull = null;
+    return s;
+  }
+
+  // ── FILES ─────────────────────────────────────────────────────────────
+
+  function encode(session) {
+    return JSON.stringify(session || _rec);
+  }
+
+  /**
+   * Parse a session file (text or object). A render take is converted.
+   * Throws on anything else.
+   */
+  function decode(src) {
+    var obj = (typeof src === 'string') ? JSON.parse(src) : src;
+    if (!obj) throw new Error('Session: empty');
+    if (obj.format === FORMAT) {
+      if (!Array.isArray(obj.keys) || !Array.isArray(obj.rows)) throw new Error('Session: missing keys/rows');
+      return obj;
+    }
+    if (Array.isArray(obj.frames) && obj.frames.length && obj.frames[0].s) return _fromTake(obj);
+    throw new Error('Session: not a session or take file');
+  }
+
+  function _fromTake(take) {
+    var saved = _rec, savedKeys = _recKeys, savedLast = _recLast, savedT = _recPrevT;
+    _begin(take);
+    // Render applies an event before the first frame at or after its time
+    var evs = (take.events || []).slice().sort(function (a, b) { return a.t - b.t; });
+    var ei = 0;
+    take.frames.forEach(function (f, i) {
+      while (ei < evs.length && evs[ei].t <= f.t) _takeEvent(evs[ei++], i);
+      record(f.t, f.s, f.w, f.r);
+    });
+    var out = _rec;
+    _rec = saved; _recKeys = savedKeys; _recLast = savedLast; _recPrevT = savedT;
+    return out;
+  }
+
+  function _takeEvent(ev, row) {
+    _rec.events.push({ row: row, t: Math.round((ev.t - (_rec.t0 === null ? ev.t : _rec.t0)) * 10) / 10, type: ev.type, data: ev.data || null });
+  }
+
+  // Sessions from before the room was recorded have no 'r' keys: no beat
+  function _room(keys, values) {
+    var r = _unflatten(keys, values, 'r');
+    return r.tempo > 0 ? r : null;
+  }
+
+  /**
+   * Expand every frame — for headless runs and inspection.
+   * [{ t, sensor, wand, room, events }] — events to replayEvent() before feeding the frame
+   */
+  function frames(session) {
+    var s = decode(session);
+    var vals = [];
+    var t = s.t0 || 0;
+    var evs = s.events || [];
+    var ei = 0;
+    return s.rows.map(function (row, n) {
+      t += row[0];
+      for (var i = 1; i < row.length; i += 2) vals[row[i]] = row[i + 1];
+      var due = [];
+      while (ei < evs.length && evs[ei].row <= n) due.push(evs[ei++]);
+      return { t: t, sensor: _unflatten(s.keys, vals, 's'), wand: _unflatten(s.keys, vals, 'w'), room: _room(s.keys, vals), events: due };
+    });
+  }
+
+  /** Apply one logged event — a session's or a render take's — to the engine. */
+  function replayEvent(ev) {
+    var d = ev.data || {};
+    try {
+      if (ev.type === 'touch') Conductor.touch(d.x, d.y, d.vx || 0, d.vy || 0);
+      else if (ev.type === 'style') Conductor.applyStyle(d.id);
+      else if (ev.type === 'cue') Conductor.cue(d.action, d.arg);
+      else if (ev.type === 'sing') Conductor.sing(d.hz, d.level);
+      else if (ev.type === 'chord') Conductor.roomChord(d);
+      else if (ev.type === 'lock') Conductor.lockToRoom(d.on);
+      else if (ev.type === 'pattern' && typeof Pattern !== 'undefined') Pattern.replay(d);
+    } catch(e) {}
+  }
+
+  // ── PLAYBACK ──────────────────────────────────────────────────────────
+
+  /**
+   * Make a session the loop's input source.
+   * @param {Object|string} session
+   * @param {Object} [opts] — { loop: false, speed: 1 }
+   * @returns {Object} the decoded session (seed, style, environ, roomLock for the caller to restore)
+   */
+  function play(session, opts) {
+    opts = opts || {};
+    _play = decode(session);
+    _loop = !!opts.loop;
+    _speed = opts.speed > 0 ? opts.speed : 1;
+    _rewind();
+    return _play;
+  }
+
+  function _rewind() {
+    _pos = 0;
+    _state = [];
+    _clockT0 = null;
+    _recT = 0;
+    _evPos = 0;
+  }
+
+  function _apply(row) {
+    _recT += row[0];
+    for (var i = 1; i < row.length; i += 2) _state[row[i]] = row[i + 1];
+  }
+
+  /**
+   * Inputs for this loop frame, in place of Sensor.read() + Wand.update().
+   * @param {number} now — loop timestamp (ms)
+   * @returns {{ sensor, wand, room, t }|null} null once a non-looping session ends
+   */
+  function read(now) {
+    if (!_play) return null;
+    if (_clockT0 === null) _clockT0 = now;
+    var target = (now - _clockT0) * _speed;
+
+    if (_pos === 0 && _play.rows.length) _apply(_play.rows[_pos++]);
+    while (_pos < _play.rows.length && _recT + _play.rows[_pos][0] <= target) {
+      _apply(_play.rows[_pos++]);
+    }
+
+    if (_pos >= _play.rows.length && target > _recT + 100) {
+      if (!_loop) { _play = null; return null; }
+      _rewind();
+      return read(now);
+    }
+    // events up to the row about to be fed
+    var evs = _play.events || [];
+    while (_evPos < evs.length && evs[_evPos].row < _pos) replayEvent(evs[_evPos++]);
+    return {
+      sensor: _unflatten(_play.keys, _state, 's'),
+      wand:   _unflatten(_play.keys, _state, 'w'),
+      room:   _room(_play.keys, _state),
+      t:      _recT,
+    };
+  }
+
+  function stopPlayback() {
+    _play = null;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    start:        start,
+    record:       record,
+    event:        event,
+    stop:         stop,
+    encode:       encode,
+    decode:       decode,
+    frames:       frames,
+    replayEvent:  replayEvent,
+    play:         play,
+    read:         read,
+    stopPlayback: stopPlayback,
+    get recording() { return _rec !== null; },
+    get playing()   { return _play !== null; },
+    get length()    { return _rec ? _rec.rows.length : (_play ? _play.rows.length : 0); },
+    get progress()  { return _play && _play.rows.length ? _pos / _play.rows.length : 0; },
+  });
+})();
@@ -31,6 +31,9 @@
 const Sound = (function () {
   'use strict';
 
+  // Humanization + noise buffers draw from the session PRNG (seed.js)
+  var rand = (typeof Seed !== 'undefined') ? Seed.random : Math.random;
+
   // ── AUDIO GRAPH STATE ──────────────────────────────────────────────────
 
   var ctx = null;
@@ -93,6 +96,10 @@ const Sound = (function () {
 
   // v4 WAND — tremor drives "human life" in the voices (flutter, breath, jitter, noise)
   var _wandTremor = 0;
+
+  // Sample drum kit — instrument → velocity layers (soft → hard), each a
+  // round-robin set of AudioBuffers. Empty = everything synthesized.
+  var _drumSamples = {};
   // Public so index.html / conductor can push live values
   // (also exposed on the returned Sound object)
 
@@ -452,7 +459,7 @@ const Sound = (function () {
         var exponent = 1.5 + damping * 3;
         var envelope = Math.pow(1 - t, exponent);
         var hfDamp   = 1 - damping * t;
-        d[j] = (Math.random() * 2 - 1) * envelope * Math.max(0.05, hfDamp) * fadeIn;
+        d[j] = (rand() * 2 - 1) * envelope * Math.max(0.05, hfDamp) * fadeIn;
       }
     }
     convolver.buffer = buf;
@@ -542,14 +549,14 @@ const Sound = (function () {
   // saturation. These helpers make any digital oscillator feel analog.
 
   // Timing humanization: +-3.5ms (below 10ms JND threshold)
-  function hTime(t) { return t + (Math.random() - 0.5) * 0.007; }
+  function hTime(t) { return t + (rand() - 0.5) * 0.007; }
 
   // Velocity humanization: +-13% variation
-  function hVel(vel) { return Math.min(0.95, vel * (0.87 + Math.random() * 0.26)); }
+  function hVel(vel) { return Math.min(0.95, vel * (0.87 + rand() * 0.26)); }
 
   // Velocity micro-variation: +-2% (subtler, for within-phrase consistency)
   function _humanVel(vel) {
-    return Math.max(0.01, Math.min(1, vel + (Math.random() - 0.5) * 0.04));
+    return Math.max(0.01, Math.min(1, vel + (rand() - 0.5) * 0.04));
   }
 
   /**
@@ -562,9 +569,10 @@ const Sound = (function () {
     var c = cents || 3;
     var lfo = ctx.createOscillator();
     lfo.type = 'sine';
-    lfo.frequency.value = 0.2 + Math.random() * 0.6;
+    lfo.frequency.value = 0.2 + rand() * 0.6;
     var lfoG = ctx.createGain();
-    lfoG.gain.value = osc.frequency.value * (c / 1200);
+    // Buffer sources (sampler voices) have no frequency — drift straight in cents
+    lfoG.gain.value = osc.frequency ? osc.frequency.value * (c / 1200) : c;
     lfo.connect(lfoG);
     lfoG.connect(osc.detune);
     lfo.start(ctx.currentTime);
@@ -580,7 +588,7 @@ const Sound = (function () {
     var noiseLen = Math.floor(ctx.sampleRate * Math.min(4, duration || 1));
     var noiseBuf = ctx.createBuffer(1, noiseLen, ctx.sampleRate);
     var nd = noiseBuf.getChannelData(0);
-    for (var j = 0; j < noiseLen; j++) nd[j] = (Math.random() * 2 - 1);
+    for (var j = 0; j < noiseLen; j++) nd[j] = (rand() * 2 - 1);
     var src = ctx.createBufferSource();
     src.buffer = noiseBuf;
     var g = ctx.createGain();
@@ -620,7 +628,7 @@ const Sound = (function () {
     var d = buf.getChannelData(0);
     var b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
     for (var i = 0; i < bufLen; i++) {
-      var w = Math.random() * 2 - 1;
+      var w = rand() * 2 - 1;
       b0 = 0.99886 * b0 + w * 0.0555179;
       b1 = 0.99332 * b1 + w * 0.0750759;
       b2 = 0.96900 * b2 + w * 0.1538520;
@@ -637,7 +645,7 @@ const Sound = (function () {
     var bufLen = ctx.sampleRate * 2;
     var buf = ctx.createBuffer(1, bufLen, ctx.sampleRate);
     var d = buf.getChannelData(0);
-    for (var i = 0; i < bufLen; i++) d[i] = Math.random() * 2 - 1;
+    for (var i = 0; i < bufLen; i++) d[i] = rand() * 2 - 1;
     return buf;
   }
 
@@ -875,6 +883,30 @@ const Sound = (function () {
   // don't need custom code use the generic _synthFromRegistry builder.
 
 
+  // ── NOTE LISTENERS ────────────────────────────────────────────────────
+  // Observers of every note and drum hit (MIDI export, MIDI out).
+  // They see the decision, not the audio: { type, voice|instrument,
+  // time, freq, velocity, duration, kit }. A throwing listener is dropped
+  // for that event — never the note.
+
+  var _listeners = [];
+
+  function addListener(fn) {
+    if (typeof fn === 'function' && _listeners.indexOf(fn) === -1) _listeners.push(fn);
+  }
+
+  function removeListener(fn) {
+    var i = _listeners.indexOf(fn);
+    if (i !== -1) _listeners.splice(i, 1);
+  }
+
+  function _emit(ev) {
+    for (var i = 0; i < _listeners.length; i++) {
+      try { _listeners[i](ev); } catch (e) {}
+    }
+  }
+
+
   // ── PLAY — Main entry point ───────────────────────────────────────────
   // All note-on events come through here. Dispatches to the appropriate
   // synthesis engine based on voice name.
@@ -887,6 +919,10 @@ const Sound = (function () {
       var vel = Math.max(0.01, Math.min(1, velocity || 0.5));
       var dur = duration || 1.0;
 
+      if (_listeners.length) {
+        _emit({ type: 'note', voice: voice, time: t, freq: f, velocity: vel, duration: dur });
+      }
+
       var reg = VOICES[voice];
       if (!reg) {
         // Unknown voice — fall back to simple triangle
@@ -940,8 +976,9 @@ const Sound = (function () {
 
 
   // ── GENERIC REGISTRY BUILDER ──────────────────────────────────────────
-  // For voices defined entirely by their registry entry (strings, organ, bell).
-  // Creates oscillator(s), optional unison detune, filter, ADSR envelope.
+  // For voices defined entirely by their registry entry (strings, organ, bell,
+  // and sampler instruments from loadInstrument).
+  // Creates oscillator(s) or a repitched sample, filter, ADSR envelope.
 
   function _synthFromRegistry(reg, time, freq, vel, dur) {
     var end = time + dur + (reg.release || 0.5);
@@ -976,7 +1013,27 @@ const Sound = (function () {
 
     // ── Oscillator creation ──
 
-    if (reg.partials && reg.partials.length > 0) {
+    if (reg.sampler) {
+      // Sampler: nearest zone for this key + velocity, repitched by playbackRate
+      var zone = _pickZone(reg.sampler, freq, vel);
+      if (!zone) return;
+      var tr = _wandTremor || 0;
+      var src = ctx.createBufferSource();
+      src.buffer = zone.buffer;
+      src.playbackRate.value = freq / _midiFreq(zone.root);
+      // Tremor loosens intonation the way it loosens the synth voices
+      src.detune.value = (zone.tune || 0) + (rand() - 0.5) * (2 + tr * 10);
+      if (zone.loop) {
+        src.loop = true;
+        src.loopStart = zone.loop[0];
+        src.loopEnd = zone.loop[1];
+      }
+      src.connect(filt);
+      src.start(time);
+      src.stop(end);
+
+      if (reg.drift) addDrift(src, reg.drift * (1 + tr));
+    } else if (reg.partials && reg.partials.length > 0) {
       // Partial-based voice (organ, bell): multiple sine oscillators at harmonic ratios
       var pGains = reg.partialGains || [];
       for (var pi = 0; pi < reg.partials.length; pi++) {
@@ -1080,6 +1137,80 @@ const Sound = (function () {
   }
 
 
+  // ── SAMPLER INSTRUMENTS ───────────────────────────────────────────────
+  //
+  // A sampler voice is a registry entry with a `sampler` zone list, so it
+  // goes through _synthFromRegistry like strings or organ: same envelope,
+  // filter, sends and drift. Zones are SFZ-shaped (sampler.js parses .sfz):
+  //   { buffer, root, lo, hi, lovel, hivel, tune (cents), loop: [start, end] sec }
+
+  var SAMPLER_DEFAULTS = {
+    attack: 0.002, decay: 0.0, sustain: 1.0, release: 0.6,
+    filterFreq: 12000, filterQ: 0.3,
+    drift: 1.5, reverbSend: 0.25, delaySend: 0.15,
+  };
+
+  function _midiFreq(note) { return 440 * Math.pow(2, (note - 69) / 12); }
+
+  function _pickZone(zones, freq, vel) {
+    var note = 69 + 12 * Math.log2(freq / 440);
+    var v = Math.round(vel * 127);
+    var best = null, bestDist = Infinity;
+    for (var i = 0; i < zones.length; i++) {
+      var z = zones[i];
+      if (v < z.lovel || v > z.hivel) continue;
+      // Inside the key range beats any outside it; then nearest root
+      var outside = note < z.lo - 0.5 ? z.lo - note : note > z.hi + 0.5 ? note - z.hi : 0;
+      var dist = outside * 1000 + Math.abs(note - z.root);
+      if (dist < bestDist) { best = z; bestDist = dist; }
+    }
+    // No velocity layer covers this hit — take the nearest key anyway
+    if (!best && zones.length) return _pickZone(zones.map(function (z) {
+      return Object.assign({}, z, { lovel: 0, hivel: 127 });
+    }), freq, vel);
+    return best;
+  }
+
+  /**
+   * Register a multi-sample instrument as a voice.
+   * @param {string} name  — voice id, usable anywhere a voice name is (play, palettes)
+   * @param {Array}  zones — [{ buffer, root, lo?, hi?, lovel?, hivel?, tune?, loop? }]
+   * @param {Object} [opts] — registry overrides (attack, release, filterFreq, drift, sends…)
+   * @returns {boolean} false for bad input or a built-in synth name
+   */
+  function loadInstrument(name, zones, opts) {
+    if (!name || !Array.isArray(zones)) return false;
+    if (VOICES[name] && !VOICES[name].sampler) return false;
+    var list = zones.filter(function (z) { return z && z.buffer && typeof z.root === 'number'; })
+      .map(function (z) {
+        return {
+          buffer: z.buffer,
+          root:   z.root,
+          lo:     typeof z.lo === 'number' ? z.lo : 0,
+          hi:     typeof z.hi === 'number' ? z.hi : 127,
+          lovel:  typeof z.lovel === 'number' ? z.lovel : 0,
+          hivel:  typeof z.hivel === 'number' ? z.hivel : 127,
+          tune:   z.tune || 0,
+          loop:   (z.loop && z.loop[1] > z.loop[0]) ? [z.loop[0], z.loop[1]] : null,
+        };
+      });
+    if (!list.length) return false;
+    var reg = {};
+    var k;
+    for (k in SAMPLER_DEFAULTS) reg[k] = SAMPLER_DEFAULTS[k];
+    if (opts) for (k in opts) if (k !== 'sampler' && k !== 'custom') reg[k] = opts[k];
+    reg.sampler = list;
+    VOICES[name] = reg;
+    return true;
+  }
+
+  function unloadInstrument(name) {
+    if (!VOICES[name] || !VOICES[name].sampler) return false;
+    delete VOICES[name];
+    return true;
+  }
+
+
   // ══════════════════════════════════════════════════════════════════════
   // ██ CUSTOM VOICE ENGINES
   // ══════════════════════════════════════════════════════════════════════
@@ -1120,7 +1251,7 @@ const Sound = (function () {
     var cLen = Math.floor(ctx.sampleRate * 0.015);
     var cBuf = ctx.createBuffer(1, cLen, ctx.sampleRate);
     var cd = cBuf.getChannelData(0);
-    for (var i = 0; i < cLen; i++) cd[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / cLen, 3);
+    for (var i = 0; i < cLen; i++) cd[i] = (rand() * 2 - 1) * Math.pow(1 - i / cLen, 3);
     var cSrc = ctx.createBufferSource(); cSrc.buffer = cBuf;
     var cG = ctx.createGain(); cG.gain.value = vel * 0.5; cSrc.connect(cG);
 
@@ -1309,7 +1440,7 @@ const Sound = (function () {
     var noiseLen = Math.floor(ctx.sampleRate * 0.08);
     var noiseBuf = ctx.createBuffer(1, noiseLen, ctx.sampleRate);
     var nd = noiseBuf.getChannelData(0);
-    for (var ni = 0; ni < noiseLen; ni++) nd[ni] = (Math.random() * 2 - 1) * 0.006;
+    for (var ni = 0; ni < noiseLen; ni++) nd[ni] = (rand() * 2 - 1) * 0.006;
     var noiseSrc = ctx.createBufferSource();
     noiseSrc.buffer = noiseBuf; noiseSrc.loop = true;
     var noiseG = ctx.createGain(); noiseG.gain.value = (0.016 + t * 0.035) * vel;  // tremor brings the vinyl up — the room is in the groove
@@ -1389,7 +1520,7 @@ const Sound = (function () {
     var excLen = Math.floor(ctx.sampleRate * 0.004);
     var excBuf = ctx.createBuffer(1, excLen, ctx.sampleRate);
     var ed = excBuf.getChannelData(0);
-    for (var i = 0; i < excLen; i++) ed[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / excLen, 2);
+    for (var i = 0; i < excLen; i++) ed[i] = (rand() * 2 - 1) * Math.pow(1 - i / excLen, 2);
     var excSrc = ctx.createBufferSource(); excSrc.buffer = excBuf;
 
     // Resonant body filters
@@ -1645,7 +1776,7 @@ const Sound = (function () {
     var bLen = Math.floor(ctx.sampleRate * 0.008);
     var bBuf = ctx.createBuffer(1, bLen, ctx.sampleRate);
     var bd = bBuf.getChannelData(0);
-    for (var i = 0; i < bLen; i++) bd[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bLen, 5);
+    for (var i = 0; i < bLen; i++) bd[i] = (rand() * 2 - 1) * Math.pow(1 - i / bLen, 5);
     var bSrc = ctx.createBufferSource(); bSrc.buffer = bBuf;
     var bG = ctx.createGain(); bG.gain.value = vel * 0.2; bSrc.connect(bG);
 
@@ -1703,13 +1834,13 @@ const Sound = (function () {
   function _synthGlitch(time, freq, vel) {
     var waves = ['sawtooth', 'square', 'triangle'];
     var o = ctx.createOscillator();
-    o.type = waves[Math.floor(Math.random() * waves.length)];
+    o.type = waves[Math.floor(rand() * waves.length)];
     o.frequency.value = freq;
 
     var lfo = ctx.createOscillator(); lfo.type = 'sine';
-    lfo.frequency.value = 2 + Math.random() * 8;
+    lfo.frequency.value = 2 + rand() * 8;
     var lG = ctx.createGain();
-    lG.gain.value = freq * (0.02 + Math.random() * 0.05);
+    lG.gain.value = freq * (0.02 + rand() * 0.05);
     lfo.connect(lG); lG.connect(o.frequency);
 
     var dist = ctx.createWaveShaper();
@@ -1750,8 +1881,9 @@ const Sound = (function () {
   // ██ DRUM SYNTHESIS
   // ══════════════════════════════════════════════════════════════════════
   //
-  // All drums are synthesized, not samples. Each instrument supports
-  // multiple kits: 'acoustic' (default), '808', 'tribal', 'brushes', 'glitch'.
+  // Drums are synthesized unless a sample kit is loaded (loadSample, kit.js).
+  // Each instrument supports multiple kits: 'acoustic' (default), '808',
+  // 'tribal', 'brushes', 'glitch'.
   //
   // playDrum(instrument, time, velocity, kit) is the single entry point.
 
@@ -1762,6 +1894,16 @@ const Sound = (function () {
       var vel = Math.max(0.01, Math.min(1, velocity || 0.5));
       var k   = kit || 'acoustic';
 
+      if (_listeners.length) {
+        _emit({ type: 'drum', instrument: instrument, time: t, velocity: vel, kit: k });
+      }
+
+      if (_drumSamples[instrument]) {
+        _drumSample(instrument, t, vel);
+        if (instrument === 'kick') pumpSidechain(vel);
+        return;
+      }
+
       switch (instrument) {
         case 'kick':   _drumKick(t, vel, k);   break;
         case 'snare':  _drumSnare(t, vel, k);  break;
@@ -1777,6 +1919,58 @@ const Sound = (function () {
   }
 
 
+  // ── SAMPLED KIT ───────────────────────────────────────────────────────
+  //
+  // One-shots override synthesis per instrument; anything not loaded keeps
+  // its synth voice. Velocity picks the layer, round-robin picks the take
+  // within it, and each hit gets the same micro-variation as the synths.
+
+  var DRUM_NAMES = ['kick', 'snare', 'hat', 'shaker', 'perc'];
+
+  function _drumSample(instrument, time, vel) {
+    var layers = _drumSamples[instrument];
+    var li = Math.min(layers.length - 1, Math.floor(vel * layers.length));
+    var layer = layers[li];
+    var buf = layer.buffers[layer.rr % layer.buffers.length];
+    layer.rr++;
+
+    var src = ctx.createBufferSource();
+    src.buffer = buf;
+    src.detune.value = (rand() - 0.5) * 16;   // ±8 cents — no two hits identical
+    var g = ctx.createGain();
+    g.gain.value = _humanVel(vel);
+    src.connect(g); g.connect(drumBus);
+    src.start(time);
+  }
+
+  /**
+   * Replace a drum's synthesis with samples.
+   * @param {string} instrument — kick | snare | hat | shaker | perc ('hihat' accepted)
+   * @param {AudioBuffer|AudioBuffer[]|AudioBuffer[][]} buffers — one shot,
+   *   a round-robin set, or velocity layers (soft → hard) of round-robin sets
+   * @returns {boolean} false if the instrument isn't a drum
+   */
+  function loadSample(instrument, buffers) {
+    if (instrument === 'hihat') instrument = 'hat';
+    if (DRUM_NAMES.indexOf(instrument) === -1 || !buffers) return false;
+    var layers = Array.isArray(buffers) ? buffers : [buffers];
+    if (!Array.isArray(layers[0])) layers = [layers];
+    layers = layers
+      .filter(function (l) { return l && l.length; })
+      .map(function (l) { return { buffers: l.slice(), rr: 0 }; });
+    if (!layers.length) return false;
+    _drumSamples[instrument] = layers;
+    return true;
+  }
+
+  /** Back to synthesis — one instrument, or the whole kit when omitted. */
+  function clearSamples(instrument) {
+    if (instrument === 'hihat') instrument = 'hat';
+    if (instrument) delete _drumSamples[instrument];
+    else _drumSamples = {};
+  }
+
+
   // ── KICK ──────────────────────────────────────────────────────────────
 
   function _drumKick(time, vel, kit) {
@@ -1790,7 +1984,7 @@ const Sound = (function () {
       var clickLen = Math.floor(ctx.sampleRate * 0.005);
       var clickBuf = ctx.createBuffer(1, clickLen, ctx.sampleRate);
       var cd = clickBuf.getChannelData(0);
-      for (var ci = 0; ci < clickLen; ci++) cd[ci] = (Math.random() * 2 - 1) * Math.pow(1 - ci / clickLen, 0.3);
+      for (var ci = 0; ci < clickLen; ci++) cd[ci] = (rand() * 2 - 1) * Math.pow(1 - ci / clickLen, 0.3);
       var clickSrc = ctx.createBufferSource(); clickSrc.buffer = clickBuf;
       var clickHP = ctx.createBiquadFilter(); clickHP.type = 'highpass'; clickHP.frequency.value = 3500;
 
@@ -1861,7 +2055,7 @@ const Sound = (function () {
       o.start(time); o.stop(time + 0.2);
 
     } else if (kit === 'glitch') {
-      o.frequency.setValueAtTime(200 + Math.random() * 100, time);
+      o.frequency.setValueAtTime(200 + rand() * 100, time);
       o.frequency.exponentialRampToValueAtTime(30, time + 0.03);
       var g = ctx.createGain();
       g.gain.setValueAtTime(0.6 * vel, time);
@@ -1875,7 +2069,7 @@ const Sound = (function () {
       var clickLen = Math.floor(ctx.sampleRate * 0.005);
       var clickBuf = ctx.createBuffer(1, clickLen, ctx.sampleRate);
       var cd = clickBuf.getChannelData(0);
-      for (var ci = 0; ci < clickLen; ci++) cd[ci] = (Math.random() * 2 - 1) * Math.pow(1 - ci / clickLen, 0.5);
+      for (var ci = 0; ci < clickLen; ci++) cd[ci] = (rand() * 2 - 1) * Math.pow(1 - ci / clickLen, 0.5);
       var clickSrc = ctx.createBufferSource(); clickSrc.buffer = clickBuf;
       var clickHP = ctx.createBiquadFilter(); clickHP.type = 'highpass'; clickHP.frequency.value = 3000;
       var clickG = ctx.createGain();
@@ -1916,7 +2110,7 @@ const Sound = (function () {
         var len = ctx.sampleRate * 0.08;
         var buf = ctx.createBuffer(1, len, ctx.sampleRate);
         var d = buf.getChannelData(0);
-        for (var i = 0; i < len; i++) d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / len, 2);
+        for (var i = 0; i < len; i++) d[i] = (rand() * 2 - 1) * Math.pow(1 - i / len, 2);
         var src = ctx.createBufferSource(); src.buffer = buf;
         var bp = ctx.createBiquadFilter(); bp.type = 'bandpass'; bp.frequency.value = 1000; bp.Q.value = 1;
         var g = ctx.createGain();
@@ -1931,7 +2125,7 @@ const Sound = (function () {
       var slapLen = Math.floor(ctx.sampleRate * 0.015);
       var slapBuf = ctx.createBuffer(1, slapLen, ctx.sampleRate);
       var sd = slapBuf.getChannelData(0);
-      for (var si = 0; si < slapLen; si++) sd[si] = (Math.random() * 2 - 1) * Math.pow(1 - si / slapLen, 0.6);
+      for (var si = 0; si < slapLen; si++) sd[si] = (rand() * 2 - 1) * Math.pow(1 - si / slapLen, 0.6);
       var slapSrc = ctx.createBufferSource(); slapSrc.buffer = slapBuf;
       var slapBP = ctx.createBiquadFilter(); slapBP.type = 'bandpass'; slapBP.frequency.value = 1200; slapBP.Q.value = 1.2;
       var slapG = ctx.createGain();
@@ -1954,7 +2148,7 @@ const Sound = (function () {
       var len = ctx.sampleRate * 0.2;
       var buf = ctx.createBuffer(1, len, ctx.sampleRate);
       var d = buf.getChannelData(0);
-      for (var i = 0; i < len; i++) d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / len, 1.5) * 0.3;
+      for (var i = 0; i < len; i++) d[i] = (rand() * 2 - 1) * Math.pow(1 - i / len, 1.5) * 0.3;
       var src = ctx.createBufferSource(); src.buffer = buf;
       var bp = ctx.createBiquadFilter(); bp.type = 'bandpass'; bp.frequency.value = 2000; bp.Q.value = 0.5;
       var g = ctx.createGain();
@@ -1967,7 +2161,7 @@ const Sound = (function () {
       var len = ctx.sampleRate * 0.06;
       var buf = ctx.createBuffer(1, len, ctx.sampleRate);
       var d = buf.getChannelData(0);
-      for (var i = 0; i < len; i++) d[i] = Math.random() > 0.5 ? 0.5 : -0.5;
+      for (var i = 0; i < len; i++) d[i] = rand() > 0.5 ? 0.5 : -0.5;
       var src = ctx.createBufferSource(); src.buffer = buf;
       var g = ctx.createGain();
       g.gain.setValueAtTime(0.3 * vel, time);
@@ -1981,7 +2175,7 @@ const Sound = (function () {
       var crackLen = Math.floor(ctx.sampleRate * 0.08);
       var crackBuf = ctx.createBuffer(1, crackLen, ctx.sampleRate);
       var crd = crackBuf.getChannelData(0);
-      for (var ci = 0; ci < crackLen; ci++) crd[ci] = (Math.random() * 2 - 1) * Math.pow(1 - ci / crackLen, 0.4);
+      for (var ci = 0; ci < crackLen; ci++) crd[ci] = (rand() * 2 - 1) * Math.pow(1 - ci / crackLen, 0.4);
       var crackSrc = ctx.createBufferSource(); crackSrc.buffer = crackBuf;
       var crackHP = ctx.createBiquadFilter(); crackHP.type = 'highpass';
       crackHP.frequency.setValueAtTime(600, time);
@@ -2006,7 +2200,7 @@ const Sound = (function () {
       var wireLen = Math.floor(ctx.sampleRate * 0.22);
       var wireBuf = ctx.createBuffer(1, wireLen, ctx.sampleRate);
       var wrd = wireBuf.getChannelData(0);
-      for (var wi = 0; wi < wireLen; wi++) wrd[wi] = (Math.random() * 2 - 1) * Math.pow(1 - wi / wireLen, 1.0);
+      for (var wi = 0; wi < wireLen; wi++) wrd[wi] = (rand() * 2 - 1) * Math.pow(1 - wi / wireLen, 1.0);
       var wireSrc = ctx.createBufferSource(); wireSrc.buffer = wireBuf;
       var wireBP = ctx.createBiquadFilter(); wireBP.type = 'bandpass'; wireBP.frequency.value = 3500; wireBP.Q.value = 0.6;
       var wireG = ctx.createGain();
@@ -2030,7 +2224,7 @@ const Sound = (function () {
       var shLen = Math.floor(ctx.sampleRate * 0.035);
       var shBuf = ctx.createBuffer(1, shLen, ctx.sampleRate);
       var shd = shBuf.getChannelData(0);
-      for (var i = 0; i < shLen; i++) shd[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / shLen, 1.2);
+      for (var i = 0; i < shLen; i++) shd[i] = (rand() * 2 - 1) * Math.pow(1 - i / shLen, 1.2);
       var shSrc = ctx.createBufferSource(); shSrc.buffer = shBuf;
       var shBP = ctx.createBiquadFilter(); shBP.type = 'bandpass'; shBP.frequency.value = 4000; shBP.Q.value = 0.4;
       var shG = ctx.createGain();
@@ -2063,7 +2257,7 @@ const Sound = (function () {
     var noiseLen = Math.floor(ctx.sampleRate * dur);
     var noiseBuf = ctx.createBuffer(1, noiseLen, ctx.sampleRate);
     var nd = noiseBuf.getChannelData(0);
-    for (var i = 0; i < noiseLen; i++) nd[i] = (Math.random() * 2 - 1) * (1 - i / noiseLen);
+    for (var i = 0; i < noiseLen; i++) nd[i] = (rand() * 2 - 1) * (1 - i / noiseLen);
     var noiseSrc = ctx.createBufferSource(); noiseSrc.buffer = noiseBuf;
     var noiseHP = ctx.createBiquadFilter(); noiseHP.type = 'highpass'; noiseHP.frequency.value = 7000;
     var noiseG = ctx.createGain();
@@ -2085,11 +2279,11 @@ const Sound = (function () {
     for (var i = 0; i < len; i++) {
       var t = i / len;
       var env = t < 0.1 ? t / 0.1 : Math.pow(1 - (t - 0.1) / 0.9, 0.8);
-      d[i] = (Math.random() * 2 - 1) * env;
+      d[i] = (rand() * 2 - 1) * env;
     }
     var src = ctx.createBufferSource(); src.buffer = buf;
     var bp = ctx.createBiquadFilter(); bp.type = 'bandpass';
-    bp.frequency.value = 3500 + Math.random() * 1500;
+    bp.frequency.value = 3500 + rand() * 1500;
     bp.Q.value = 0.6;
     var g = ctx.createGain();
     g.gain.setValueAtTime(0.18 * vel, time);
@@ -2121,7 +2315,7 @@ const Sound = (function () {
         var len = Math.floor(ctx.sampleRate * 0.04);
         var buf = ctx.createBuffer(1, len, ctx.sampleRate);
         var d = buf.getChannelData(0);
-        for (var i = 0; i < len; i++) d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / len, 1.5);
+        for (var i = 0; i < len; i++) d[i] = (rand() * 2 - 1) * Math.pow(1 - i / len, 1.5);
         var src = ctx.createBufferSource(); src.buffer = buf;
         var bp = ctx.createBiquadFilter(); bp.type = 'bandpass'; bp.frequency.value = 1500; bp.Q.value = 0.8;
         var g = ctx.createGain();
@@ -2145,7 +2339,7 @@ const Sound = (function () {
       var shimLen = Math.floor(ctx.sampleRate * 0.5);
       var shimBuf = ctx.createBuffer(1, shimLen, ctx.sampleRate);
       var sd = shimBuf.getChannelData(0);
-      for (var i = 0; i < shimLen; i++) sd[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / shimLen, 0.4);
+      for (var i = 0; i < shimLen; i++) sd[i] = (rand() * 2 - 1) * Math.pow(1 - i / shimLen, 0.4);
       var shimSrc = ctx.createBufferSource(); shimSrc.buffer = shimBuf;
       var shimBP = ctx.createBiquadFilter(); shimBP.type = 'bandpass'; shimBP.frequency.value = 2000; shimBP.Q.value = 1.0;
       var shimG = ctx.createGain();
@@ -2157,6 +2351,41 @@ const Sound = (function () {
   }
 
 
+  // ── SWEEPS — section pickups ──────────────────────────────────────────
+  // One bar of noise leading into a downbeat. Riser: band-pass climbing
+  // 300 Hz → 9 kHz as it swells. Swell: a reverse cymbal — high-passed
+  // wash rising exponentially, cut dead on the one.
+
+  function playSweep(kind, time, dur, velocity) {
+    if (!ctx || !drumBus || !(dur > 0)) return;
+    var vel = Math.max(0, Math.min(1, velocity || 0.7));
+    var end = time + dur;
+    var len = Math.floor(ctx.sampleRate * dur);
+    var buf = ctx.createBuffer(1, len, ctx.sampleRate);
+    var d = buf.getChannelData(0);
+    for (var i = 0; i < len; i++) d[i] = rand() * 2 - 1;
+    var src = ctx.createBufferSource(); src.buffer = buf;
+    var filt = ctx.createBiquadFilter();
+    var g = ctx.createGain();
+
+    if (kind === 'riser') {
+      filt.type = 'bandpass'; filt.Q.value = 4;
+      filt.frequency.setValueAtTime(300, time);
+      filt.frequency.exponentialRampToValueAtTime(9000, end);
+      g.gain.setValueAtTime(0.001, time);
+      g.gain.linearRampToValueAtTime(0.26 * vel, end - 0.02);
+    } else {
+      filt.type = 'highpass'; filt.frequency.value = 5200;
+      g.gain.setValueAtTime(0.0005, time);
+      g.gain.exponentialRampToValueAtTime(0.32 * vel, end - 0.01);
+    }
+    g.gain.linearRampToValueAtTime(0, end);
+    src.connect(filt); filt.connect(g); g.connect(drumBus);
+    try { if (reverbSend) g.connect(reverbSend); } catch(e) {}
+    src.start(time); src.stop(end + 0.01);
+  }
+
+
   // ══════════════════════════════════════════════════════════════════════
   // ██ VOID DRONE
   // ══════════════════════════════════════════════════════════════════════
@@ -2240,7 +2469,7 @@ const Sound = (function () {
     var nd = noiseBuf.getChannelData(0);
     var b0=0, b1=0, b2=0, b3=0, b4=0, b5=0;
     for (var ni = 0; ni < noiseLen; ni++) {
-      var w = Math.random() * 2 - 1;
+      var w = rand() * 2 - 1;
       b0=0.99886*b0+w*0.0555179; b1=0.99332*b1+w*0.0750759;
       b2=0.96900*b2+w*0.1538520; b3=0.86650*b3+w*0.3104856;
       b4=0.55000*b4+w*0.5329522; b5=-0.7616*b5-w*0.0168980;
@@ -2411,6 +2640,14 @@ const Sound = (function () {
 
     // Drums
     playDrum: playDrum,
+    playSweep: playSweep,
+    loadSample: loadSample,
+    clearSamples: clearSamples,
+    get sampledDrums() { return Object.keys(_drumSamples); },
+
+    // Note observers (MIDI export / output)
+    addListener: addListener,
+    removeListener: removeListener,
 
     // Continuous layers
     createLayer: createLayer,
@@ -2450,6 +2687,10 @@ const Sound = (function () {
     hTime: hTime,
     hVel: hVel,
 
+    // Sampler instruments (sampler.js loads .sfz into these)
+    loadInstrument: loadInstrument,
+    unloadInstrument: unloadInstrument,
+
     // Voice registry (read-only, for flow.js to inspect voice params)
     get voices() { return VOICES; },
 
@@ -0,0 +1,400 @@
+/**
+ * STEMS — Loaded loops and song stems, sliced and played on Rhythm's grid
+ *
+ * A whole AudioBuffer started once plays at the tempo it was recorded and
+ * drifts off the band within a bar. This cuts it at its transients instead
+ * (no separation — the stem is already one instrument, or one drum kit):
+ *
+ *   onsets — rises in the log energy (plain or pre-emphasised) above a
+ *            running local mean, placed on the sample the attack starts
+ *   tempo  — autocorrelation of that envelope over MIN_BPM–MAX_BPM with a
+ *            prior at PRIOR_BPM; snapped to a whole number of bars when
+ *            the file is a loop that length
+ *   grid   — the comb of beats that sits on the most energy, and the one of
+ *            its four bar phases with the heaviest downbeats
+ *
+ * Every slice gets a position in source 16ths. step() is called by the
+ * conductor on each of Rhythm's steps: the slices that fall in that 16th
+ * are started at the band's time and cut at the next slice's band time,
+ * so the stem follows BPM changes and the room without time-stretching.
+ * Per slice:
+ *
+ *   density — the section's drum density thins the offbeats (downbeats
+ *             always play) or, above 1, adds rolls
+ *   tremor  — the wand's tremor repitches each slice a little and, past
+ *             STUTTER_AT, retriggers its head 2–4 times
+ *
+ * Slots named kick / snare / hihat / drums are drum stems: they go to the
+ * drum bus, arrive with Rhythm's drum presence and replace the synthesized
+ * instruments they cover (covers()). bass and chords go to the sidechain.
+ * In v3 this was Band.setStem, which swapped a whole buffer in for a layer.
+ */
+
+const Stems = (function () {
+  'use strict';
+
+  // Repitch + stutter draw from the session PRNG (seed.js)
+  var rand = (typeof Seed !== 'undefined') ? Seed.random : Math.random;
+
+  // ── CONSTANTS ─────────────────────────────────────────────────────────
+
+  var HOP          = 512;     // samples per envelope frame
+  var LOCAL_SEC    = 0.25;    // half-width of the onset threshold's mean
+  var ONSET_OVER   = 1.5;     // log-energy rise over the local mean rise…
+  var ONSET_MIN    = 0.4;     // …and at least this (natural log units)
+  var MIN_GAP      = 0.05;    // seconds between slices
+  var TEMPO_SEC    = 60;      // tempo read from at most this much
+  var MIN_BPM      = 60;
+  var MAX_BPM      = 180;
+  var PRIOR_BPM    = 110;
+  var LOOP_SNAP    = 0.01;    // within 1% of whole bars: it's a loop, use its length
+  var REFINE       = 0.01;    // otherwise the tempo is searched ±1% around the estimate
+  var PREROLL      = 0.002;   // seconds a slice starts before its attack
+  var FADE         = 0.004;   // seconds, each end of a slice
+  var STUTTER_AT   = 0.35;    // tremor
+  var REPITCH      = { drums: 300, tonal: 60 };   // cents at full tremor
+  var GAIN         = { drums: 0.8, tonal: 0.55 };
+  var DRUM_SLOTS   = { kick: ['kick'], snare: ['snare'], hihat: ['hat'], drums: ['kick', 'snare', 'hat', 'shaker', 'perc'] };
+
+  // ── STATE ─────────────────────────────────────────────────────────────
+
+  var _stems   = {};        // name → { buffer, map, kind: drums | bass | chords }
+  var _barStart = 0;        // 16ths from the stems' start to this band bar
+  var _lastStep = -1;
+
+  // ── ANALYSIS ──────────────────────────────────────────────────────────
+
+  function _mono(buffer) {
+    var n = buffer.length, ch = buffer.numberOfChannels;
+    var out = new Float32Array(n);
+    for (var c = 0; c < ch; c++) {
+      var d = buffer.getChannelData(c);
+      for (var i = 0; i < n; i++) out[i] += d[i] / ch;
+    }
+    return out;
+  }
+
+  // Log energy per HOP, plain and of the first difference. The difference
+  // tilts the spectrum up, so a hat or a pluck shows through a held bass
+  // note; the plain energy keeps kicks and bass notes, which it all but
+  // removes.
+  function _envelopes(x) {
+    var frames = Math.floor(x.length / HOP);
+    var raw = new Float32Array(frames), hi = new Float32Array(frames);
+    var prev = 0;
+    for (var f = 0; f < frames; f++) {
+      var e = 0, d2 = 0;
+      for (var i = f * HOP, end = i + HOP; i < end; i++) {
+        var d = x[i] - prev;
+        prev = x[i];
+        e += x[i] * x[i];
+        d2 += d * d;
+      }
+      raw[f] = Math.log(1e-10 + e / HOP);
+      hi[f] = Math.log(1e-10 + d2 / HOP);
+    }
+    return { raw: raw, hi: hi };
+  }
+
+  function _rises(env) {
+    var rise = new Float32Array(env.raw.length);
+    for (var f = 1; f < rise.length; f++) {
+      rise[f] = Math.max(0, env.raw[f] - env.raw[f - 1], env.hi[f] - env.hi[f - 1]);
+    }
+    return rise;
+  }
+
+  // The sample a hit starts on: the first in its frame (or the one before)
+  // at half the loudest there
+  function _attack(x, f) {
+    var a = Math.max(0, (f - 1) * HOP), b = Math.min(x.length, (f + 1) * HOP);
+    var peak = 0;
+    for (var i = a; i < b; i++) if (Math.abs(x[i]) > peak) peak = Math.abs(x[i]);
+    for (i = a; i < b; i++) if (Math.abs(x[i]) >= peak * 0.5) return i;
+    return f * HOP;
+  }
+
+  function _onsets(env, rise, sr) {
+    var half = Math.max(1, Math.round(LOCAL_SEC * sr / HOP));
+    var gap = Math.round(MIN_GAP * sr / HOP);
+    var floor = -Infinity;
+    for (var e = 0; e < env.raw.length; e++) if (env.raw[e] > floor) floor = env.raw[e];
+    floor -= 60 * Math.LN10 / 10;    // 60 dB under the loudest frame is silence
+
+    var out = [];
+    var sum = 0, lo = 0, hi = -1;
+    for (var f = 1; f < rise.length - 1; f++) {
+      while (hi < Math.min(rise.length - 1, f + half)) sum += rise[++hi];
+      while (lo < f - half) sum -= rise[lo++];
+      var mean = sum / (hi - lo + 1);
+      if (rise[f] < ONSET_MIN || rise[f] < mean * ONSET_OVER) continue;
+      if (rise[f] < rise[f - 1] || rise[f] < rise[f + 1]) continue;
+      if (env.raw[f] < floor) continue;
+      if (out.length && f - out[out.length - 1] < gap) continue;
+      out.push(f);
+    }
+    return out;
+  }
+
+  function _tempo(rise, sr) {
+    var frameSec = HOP / sr;
+    var n = Math.min(rise.length, Math.round(TEMPO_SEC / frameSec));
+    var zero = 0;
+    for (var i = 0; i < n; i++) zero += rise[i] * rise[i];
+    if (!(zero > 0)) return 0;
+
+    var minLag = Math.floor(60 / MAX_BPM / frameSec);
+    var maxLag = Math.ceil(60 / MIN_BPM / frameSec);
+    var ac = [];
+    for (var lag = minLag - 1; lag <= 2 * maxLag + 2 && lag < n; lag++) {
+      var s = 0;
+      for (var j = lag; j < n; j++) s += rise[j] * rise[j - lag];
+      ac[lag] = s / zero;
+    }
+    var at = function (l) { return ac[l] || 0; };
+    var best = -1, bestScore = 0;
+    for (lag = minLag; lag <= maxLag; lag++) {
+      var oct = Math.log(60 / (lag * frameSec) / PRIOR_BPM) / Math.LN2;
+      var score = (at(lag) + 0.5 * Math.max(at(2 * lag - 1), at(2 * lag), at(2 * lag + 1))) *
+                  Math.exp(-0.5 * oct * oct);
+      if (score > bestScore) { bestScore = score; best = lag; }
+    }
+    if (best < 0) return 0;
+    var a = at(best - 1), b = at(best), c = at(best + 1);
+    var denom = a - 2 * b + c;
+    return 60 / ((best + (denom < 0 ? 0.5 * (a - c) / denom : 0)) * frameSec);
+  }
+
+  // The autocorrelation is good to a fraction of a percent, which over a
+  // whole song is a beat off by the end: the nearby tempo whose comb lands
+  // on the most energy, tooth for tooth, across the window
+  function _refine(rise, sr, bpm) {
+    var n = Math.min(rise.length, Math.round(TEMPO_SEC * sr / HOP));
+    var best = bpm, bestSum = -1;
+    for (var d = -REFINE; d <= REFINE + 1e-9; d += REFINE / 20) {
+      var period = 60 / (bpm * (1 + d)) * sr / HOP;
+      for (var off = 0; off < period; off++) {
+        var s = 0;
+        for (var pos = off; pos < n; pos += period) s += rise[Math.round(pos)] || 0;
+        if (s > bestSum) { bestSum = s; best = bpm * (1 + d); }
+      }
+    }
+    return best;
+  }
+
+  // Seconds to the first downbeat: the beat comb on the most energy, then
+  // the one of its four bar phases whose beats are the heaviest at the
+  // bottom — kicks land on the one far more often than snares do
+  function _downbeat(env, rise, sr, bpm) {
+    var period = 60 / bpm * sr / HOP;
+    var n = Math.min(rise.length, Math.round(TEMPO_SEC * sr / HOP));   // a slightly-off tempo drifts over a whole song
+    var ratio = [];
+    for (var f = 0; f < n; f++) ratio.push(env.raw[f] - env.hi[f]);
+    var mid = ratio.slice().sort(function (p, q) { return p - q; })[n >> 1];
+    var low = new Float32Array(n);
+    for (f = 0; f < n; f++) low[f] = rise[f] * Math.min(4, Math.exp(ratio[f] - mid));
+
+    var sumAt = function (w, off, stride) {
+      var s = 0;
+      for (var pos = off; pos < n; pos += stride) {
+        var p = Math.round(pos);
+        s += Math.max(w[p] || 0, w[p - 1] || 0, w[p + 1] || 0);
+      }
+      return s;
+    };
+    var beatOff = 0, best = -1;
+    for (var off = 0; off < period; off++) {
+      var s = sumAt(rise, off, period);
+      if (s > best) { best = s; beatOff = off; }
+    }
+    var barOff = beatOff, barBest = -1;
+    for (var k = 0; k < 4; k++) {
+      var sb = sumAt(low, beatOff + k * period, 4 * period);
+      if (sb > barBest) { barBest = sb; barOff = beatOff + k * period; }
+    }
+    return barOff * HOP / sr;
+  }
+
+  /**
+   * Find a buffer's slices and grid.
+   * @param {AudioBuffer} buffer
+   * @param {number} [bpm] — known tempo (a conformed render); skips the estimate
+   * @returns {{ duration, bpm, offset, stepDur, loop, slices: [{ start, end, pos, peak }] }}
+   *   start/end/offset/stepDur in seconds, pos in source 16ths from the first downbeat
+   *   (negative for a pickup, which never plays), loop the 16ths to go round
+   */
+  function analyse(buffer, knownBpm) {
+    var sr = buffer.sampleRate;
+    var x = _mono(buffer);
+    var env = _envelopes(x);
+    var rise = _rises(env);
+    var duration = buffer.duration;
+
+    var bpm = knownBpm || _tempo(rise, sr) || PRIOR_BPM;
+    var bars = Math.round(duration * bpm / 240);
+    var isLoop = bars >= 1 && Math.abs(duration * bpm / 240 - bars) < bars * LOOP_SNAP;
+    if (isLoop) bpm = bars * 240 / duration;
+    else if (!knownBpm) bpm = _refine(rise, sr, bpm);
+    var offset = isLoop ? 0 : _downbeat(env, rise, sr, bpm);
+    var stepDur = 15 / bpm;
+
+    var frames = _onsets(env, rise, sr);
+    var attacks = frames.map(function (f) { return _attack(x, f); });
+    if (!attacks.length || attacks[0] / sr > MIN_GAP) attacks.unshift(0);
+    var slices = attacks.map(function (at, i) {
+      // a hair before the attack, so no slice starts mid-hit
+      var start = Math.max(i ? attacks[i - 1] : 0, at - Math.round(PREROLL * sr));
+      return { start: start / sr, pos: (at / sr - offset) / stepDur };
+    });
+    for (var i = 0; i < slices.length; i++) {
+      var s = slices[i];
+      s.end = i + 1 < slices.length ? slices[i + 1].start : duration;
+      var a = Math.floor(s.start * sr), b2 = Math.min(x.length, Math.floor(s.end * sr));
+      var peak = 0;
+      for (var j = a; j < b2; j++) if (Math.abs(x[j]) > peak) peak = Math.abs(x[j]);
+      s.peak = peak;
+    }
+    return {
+      duration: duration,
+      bpm:      bpm,
+      offset:   offset,
+      stepDur:  stepDur,
+      loop:     Math.max(16, Math.floor((duration - offset) / stepDur / 16 + 0.1) * 16),
+      slices:   slices,
+    };
+  }
+
+  // ── SLOTS ─────────────────────────────────────────────────────────────
+
+  /**
+   * Slice `buffer` and play it on the grid as `name`.
+   * @param {string} name — kick | snare | hihat | drums | bass | chords
+   * @param {AudioBuffer} buffer
+   * @param {number} [bpm] — its tempo, when already known (js/conform.js)
+   * @returns {object|null} the analysis (bpm, slices…), null if it can't be sliced
+   */
+  function set(name, buffer, bpm) {
+    if (!name || !buffer) return null;
+    try {
+      var map = analyse(buffer, bpm);
+      _stems[name] = { buffer: buffer, map: map, kind: DRUM_SLOTS[name] ? 'drums' : name };
+      return map;
+    } catch (e) { return null; }
+  }
+
+  function clear(name) {
+    if (name) delete _stems[name];
+    else _stems = {};
+  }
+
+  /** True when a drum stem stands in for `instrument`'s synthesis. */
+  function covers(instrument) {
+    for (var name in _stems) {
+      if (DRUM_SLOTS[name] && DRUM_SLOTS[name].indexOf(instrument) !== -1) return true;
+    }
+    return false;
+  }
+
+  // ── PLAYBACK ──────────────────────────────────────────────────────────
+
+  function _play(ctx, dest, stem, slice, time, length, gain, cents) {
+    var src = ctx.createBufferSource();
+    src.buffer = stem.buffer;
+    src.detune.value = cents;
+    var g = ctx.createGain();
+    var fade = Math.min(FADE, length / 3);
+    g.gain.setValueAtTime(0, time);
+    g.gain.linearRampToValueAtTime(gain, time + fade);
+    g.gain.setValueAtTime(gain, time + length - fade);
+    g.gain.linearRampToValueAtTime(0, time + length);
+    src.connect(g); g.connect(dest);
+    src.start(time, slice.start, length + 0.01);
+  }
+
+  function _slice(ctx, stem, slice, next, time, opts) {
+    var drums = stem.kind === 'drums';
+    if (opts.mute[stem.kind]) return;     // drums and chords are section layers; bass never mutes
+    var dest = drums ? Sound.drumBusNode : (Sound.sidechain || Sound.master);
+    if (!dest) return;
+
+    // downbeats always; offbeats by the section's density
+    var onBeat = Math.abs(slice.pos - Math.round(slice.pos / 4) * 4) < 0.5;
+    if (!onBeat && rand() > opts.density) return;
+
+    var natural = slice.end - slice.start;
+    var span = next ? (next.pos - slice.pos) * opts.stepDur : natural;
+    var length = Math.max(0.02, Math.min(natural, span));
+    var tremor = opts.tremor || 0;
+    var cents = (rand() * 2 - 1) * tremor * (drums ? REPITCH.drums : REPITCH.tonal);
+    var gain = (drums ? GAIN.drums * opts.drumPresence : GAIN.tonal) * opts.velocity;
+    if (!(gain > 0.001)) return;
+
+    var stutterP = Math.max(0, tremor - STUTTER_AT) * 1.2 + Math.max(0, opts.density - 1) * 0.15;
+    if (rand() < stutterP) {
+      var n = 2 + Math.floor(rand() * 3);
+      var each = length / n;
+      for (var k = 0; k < n; k++) {
+        _play(ctx, dest, stem, slice, time + k * each, each, gain * (1 - k * 0.12), cents);
+      }
+      return;
+    }
+    _play(ctx, dest, stem, slice, time, length, gain, cents);
+  }
+
+  /**
+   * Play every stem's slices that fall in this step. Called on each of
+   * Rhythm's steps (Conductor wires it through Rhythm.setStepCallback).
+   * @param {number} stepInBar — Rhythm's step within the bar
+   * @param {number} time      — Sound time the step starts
+   * @param {object} opts      — { stepDur (one band 16th, s), steps (16ths per
+   *   bar), density, tremor, drumPresence, mute: { drums, chords }, velocity }
+   */
+  function step(stepInBar, time, opts) {
+    if (!opts) return;
+    if (stepInBar <= _lastStep) _barStart += (opts.steps || 16);
+    _lastStep = stepInBar;
+    var ctx = Sound.ctx;
+    if (!ctx) return;
+    opts = {
+      stepDur:      opts.stepDur,
+      density:      typeof opts.density === 'number' ? opts.density : 1,
+      tremor:       opts.tremor || 0,
+      drumPresence: typeof opts.drumPresence === 'number' ? opts.drumPresence : 1,
+      mute:         opts.mute || {},
+      velocity:     typeof opts.velocity === 'number' ? opts.velocity : 1,
+    };
+    if (!(opts.stepDur > 0)) return;
+
+    var at = _barStart + stepInBar;    // 16ths since the stems started
+    for (var name in _stems) {
+      var stem = _stems[name], map = stem.map, sl = map.slices;
+      try {
+        var a = at % map.loop;
+        for (var i = 0; i < sl.length; i++) {
+          var p = sl[i].pos;
+          if (p < a || p >= a + 1) continue;
+          _slice(ctx, stem, sl[i], sl[i + 1], time + (p - a) * opts.stepDur, opts);
+        }
+      } catch (e) { /* never crash the music */ }
+    }
+  }
+
+  /** Back to the top of every stem on the next step. */
+  function rewind() {
+    _barStart = 0;
+    _lastStep = -1;
+  }
+
+  // ── PUBLIC ────────────────────────────────────────────────────────────
+
+  return Object.freeze({
+    analyse: analyse,
+    set:     set,
+    clear:   clear,
+    covers:  covers,
+    step:    step,
+    rewind:  rewind,
+    get names()  { return Object.keys(_stems); },
+    get loaded() { return Object.keys(_stems).length > 0; },
+  });
+})();
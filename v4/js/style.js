@@ -50,6 +50,7 @@ const Styles = (function () {
       hasTrap:  false,
       modeHint: ['minor', 'dorian'],
       fills: [ [0,2,4,2], [3,2,0,-1], [0,-1,4,2], [2,0,2,-1] ],
+      pickup: 'swell',
       sunoPrompt: 'lo-fi hip hop, jazz chords, vinyl crackle, mellow beats, 88 BPM',
     },
 
@@ -82,6 +83,7 @@ const Styles = (function () {
       hasTrap:  false,
       modeHint: ['minor', 'mixolydian'],
       fills: [ [0,2,4,5], [4,3,2,0], [0,4,2,6], [2,4,6,4] ],
+      pickup: 'roll',
       sunoPrompt: 'R&B soul, smooth groove, warm bass, 96 BPM, modern production',
     },
 
@@ -120,6 +122,9 @@ const Styles = (function () {
       // Jazz fills land on 7ths and 9ths — chord tones, not just scale tones
       // Degree 6 = 7th (now a chord tone), creates jazz flavor
       fills: [ [0,4,6,2], [6,2,4,0], [2,6,4,1], [4,6,2,4] ],
+      // Head – solos – head (js/form.js); the other styles play the song form
+      form: 'jazz',
+      pickup: 'roll',
       sunoPrompt: 'jazz quartet, brushed drums, upright bass, piano, swing feel',
     },
 
@@ -152,6 +157,7 @@ const Styles = (function () {
       hasTrap:  false,
       modeHint: ['lydian', 'major'],
       fills: [ [-1,-1,-1,0], [-1,-1,4,-1], [-1,0,-1,2], [-1,-1,2,-1] ],
+      pickup: 'swell',
       sunoPrompt: 'ambient music, ethereal pads, sparse texture, cinematic, slow',
     },
 
@@ -184,14 +190,195 @@ const Styles = (function () {
       hasTrap:  true,
       modeHint: ['minor', 'phrygian'],
       fills: [ [-1,-1,0,-1], [-1,-1,-1,4], [-1,0,-1,-1], [-1,-1,0,2] ],
+      pickup: 'riser',
       sunoPrompt: 'trap music, 808 bass, dark cinematic, hi-hat rolls, moody minor',
     },
 
   };
 
+  var BUILTIN = Object.keys(defs);
+
+  // ── USER STYLES ───────────────────────────────────────────────────────
+  // Grooves you try without forking this file. A user style names a
+  // built-in `base` (its voices, kit and lens in Conductor) and overrides
+  // any of the DNA fields below. Stored in localStorage, exported as JSON.
+
+  var STORAGE_KEY = 'gump_v4_styles';
+  var BASS_STYLES = ['bounce', 'groove', 'walk', 'sparse', 'hold'];
+  var MODE_NAMES  = ['major', 'minor', 'dorian', 'lydian', 'mixolydian', 'phrygian'];
+  var VOICE_ROLES = ['continuous', 'harmonic', 'peak'];
+
+  function _isNum(v, lo, hi) { return typeof v === 'number' && isFinite(v) && v >= lo && v <= hi; }
+  function _grid16(v) {
+    return Array.isArray(v) && v.length === 16 && v.every(function (x) { return _isNum(x, 0, 1); });
+  }
+
+  // field → [check, message, details?]. Only fields present are checked; the merged
+  // style (base + overrides) must pass every required one.
+  var SCHEMA = {
+    id:           [function (v) { return typeof v === 'string' && /^[a-z0-9][a-z0-9_-]{1,31}$/.test(v); }, 'lowercase slug, 2–32 chars'],
+    label:        [function (v) { return typeof v === 'string' && v.length > 0 && v.length <= 24; }, 'non-empty string ≤ 24 chars'],
+    sub:          [function (v) { return typeof v === 'string' && v.length <= 60; }, 'string ≤ 60 chars'],
+    color:        [function (v) { return typeof v === 'string' && /^#[0-9a-fA-F]{6}$/.test(v); }, '#rrggbb'],
+    base:         [function (v) { return BUILTIN.indexOf(v) !== -1; }, 'one of ' + BUILTIN.join(', ')],
+    bpmRange:     [function (v) { return Array.isArray(v) && v.length === 2 && _isNum(v[0], 40, 220) && _isNum(v[1], 40, 220) && v[0] <= v[1]; }, '[lo, hi] BPM within 40–220'],
+    swing:        [function (v) { return _isNum(v, 0, 0.5); }, 'number 0–0.5'],
+    hatVel:       [function (v) { return _isNum(v, 0, 1); }, 'number 0–1'],
+    hatVels:      [_grid16, '16 numbers 0–1'],
+    hatGrid:      [_grid16, '16 probabilities 0–1'],
+    kickGrid:     [_grid16, '16 numbers 0–1'],
+    snareGrid:    [_grid16, '16 numbers 0–1'],
+    melodyRhythm: [_grid16, '16 numbers 0–1'],
+    chordRhythm:  [function (v) { return _isNum(v, 1, 8) && Math.floor(v) === v; }, 'integer bars 1–8'],
+    fillDensity:  [function (v) { return _isNum(v, 0, 1); }, 'number 0–1'],
+    bassStyle:    [function (v) { return BASS_STYLES.indexOf(v) !== -1; }, 'one of ' + BASS_STYLES.join(', ')],
+    modeHint:     [function (v) { return Array.isArray(v) && v.length > 0 && v.every(function (m) { return MODE_NAMES.indexOf(m) !== -1; }); }, 'non-empty list of ' + MODE_NAMES.join(', ')],
+    fills:        [function (v) {
+      return Array.isArray(v) && v.length > 0 && v.every(function (f) {
+        return Array.isArray(f) && f.length === 4 && f.every(function (d) { return _isNum(d, -1, 14) && Math.floor(d) === d; });
+      });
+    }, 'list of [4 scale degrees], -1 = rest'],
+    voices:       [function (v) {
+      return v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).every(function (role) {
+        return VOICE_ROLES.indexOf(role) !== -1 && typeof v[role] === 'string' && /^[A-Za-z0-9_-]{1,40}$/.test(v[role]);
+      });
+    }, '{ ' + VOICE_ROLES.join(', ') + ' } → voice names (synths or loaded samplers)'],
+    pickup:       [function (v) { return ['roll', 'riser', 'swell', 'none'].indexOf(v) !== -1; }, 'roll, riser, swell or none'],
+    form:         [function (v) { return typeof Form === 'undefined' || Form.validate(v).length === 0; },
+                   'a form name or { start, sections }',
+                   function (v) { return Form.validate(v); }],
+    sunoPrompt:   [function (v) { return typeof v === 'string' && v.length <= 400; }, 'string ≤ 400 chars'],
+  };
+
+  var REQUIRED = ['id', 'label', 'bpmRange', 'kickGrid', 'snareGrid', 'melodyRhythm',
+    'chordRhythm', 'bassStyle', 'fills'];
+
+  /**
+   * Check a style definition. Unknown fields are reported, not dropped silently.
+   * Returns { ok, errors: ['field: expected …'] }.
+   */
+  function validate(def) {
+    var errors = [];
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+      return { ok: false, errors: ['style must be an object'] };
+    }
+    REQUIRED.forEach(function (k) {
+      if (def[k] === undefined) errors.push(k + ': required');
+    });
+    Object.keys(def).forEach(function (k) {
+      var rule = SCHEMA[k];
+      if (!rule) {
+        if (!defs.lofi.hasOwnProperty(k) && k !== 'user') errors.push(k + ': unknown field');
+        return;
+      }
+      if (rule[0](def[k])) return;
+      errors.push(k + ': expected ' + rule[1]);
+      if (rule[2]) rule[2](def[k]).forEach(function (d) { errors.push(k + ': ' + d); });
+    });
+    if (typeof def.id === 'string' && BUILTIN.indexOf(def.id) !== -1) {
+      errors.push('id: "' + def.id + '" is a built-in style');
+    }
+    return { ok: errors.length === 0, errors: errors };
+  }
+
+  // Base DNA + overrides → a full style every consumer can read
+  function _merge(def) {
+    var base = defs[def.base] || defs.lofi;
+    var out = JSON.parse(JSON.stringify(base));
+    delete out.hatVels;   // base-specific; only kept if the user gives one
+    Object.keys(def).forEach(function (k) { out[k] = JSON.parse(JSON.stringify(def[k])); });
+    out.base = BUILTIN.indexOf(def.base) !== -1 ? def.base : 'lofi';
+    out.user = true;
+    return out;
+  }
+
+  function _save() {
+    var list = Object.keys(defs)
+      .filter(function (id) { return defs[id].user; })
+      .map(function (id) { return defs[id]; });
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); } catch (e) { /* storage full or blocked */ }
+  }
+
+  /**
+   * Add or replace a user style. Returns { ok, errors, style }.
+   * Nothing is stored unless the merged style validates.
+   */
+  function add(def) {
+    if (!def || typeof def !== 'object') return { ok: false, errors: ['style must be an object'], style: null };
+    var merged = _merge(def);
+    var v = validate(merged);
+    if (!v.ok) return { ok: false, errors: v.errors, style: null };
+    defs[merged.id] = merged;
+    _save();
+    return { ok: true, errors: [], style: merged };
+  }
+
+  function remove(id) {
+    if (!defs[id] || !defs[id].user) return false;
+    delete defs[id];
+    _save();
+    return true;
+  }
+
+  /**
+   * Import one style or an array of styles from JSON text.
+   * Returns [{ id, ok, errors }] — valid ones are added even if others fail.
+   */
+  function importJSON(text) {
+    var parsed;
+    try { parsed = JSON.parse(text); } catch (e) {
+      return [{ id: null, ok: false, errors: ['invalid JSON: ' + e.message] }];
+    }
+    var list = Array.isArray(parsed) ? parsed : [parsed];
+    return list.map(function (def) {
+      var r = add(def);
+      return { id: def && def.id, ok: r.ok, errors: r.errors };
+    });
+  }
+
+  /** JSON for one style (built-in or user), or every user style when id is omitted. */
+  function exportJSON(id) {
+    if (id) {
+      var s = defs[id];
+      if (!s) return null;
+      var out = JSON.parse(JSON.stringify(s));
+      delete out.user;
+      if (!out.base) out.base = id;
+      // A built-in exported as a template needs a new id before it can be imported
+      if (BUILTIN.indexOf(id) !== -1) out.id = id + '-copy';
+      return JSON.stringify(out, null, 2);
+    }
+    var users = Object.keys(defs)
+      .filter(function (k) { return defs[k].user; })
+      .map(function (k) { var o = JSON.parse(JSON.stringify(defs[k])); delete o.user; return o; });
+    return JSON.stringify(users, null, 2);
+  }
+
+  // Restore saved user styles; anything that no longer validates is skipped
+  (function _load() {
+    try {
+      var raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return;
+      var list = JSON.parse(raw);
+      if (!Array.isArray(list)) return;
+      list.forEach(function (def) {
+        var merged = _merge(def);
+        if (validate(merged).ok) defs[merged.id] = merged;
+      });
+    } catch (e) { /* no storage — built-ins only */ }
+  })();
+
   return Object.freeze({
     get:  function (id) { return defs[id] || defs.lofi; },
     all:  function ()   { return Object.values(defs); },
     ids:  function ()   { return Object.keys(defs); },
+    has:  function (id) { return defs.hasOwnProperty(id); },
+    isUser: function (id) { return !!(defs[id] && defs[id].user); },
+    validate:   validate,
+    add:        add,
+    remove:     remove,
+    importJSON: importJSON,
+    exportJSON: exportJSON,
+    SCHEMA_FIELDS: Object.keys(SCHEMA),
   });
 })();
@@ -26,7 +26,7 @@ const Wand = (function () {
   // ── CONFIG ────────────────────────────────────────────────────────────
   const TREMOR_WINDOW = 28;        // ~0.25-0.45 s at 60-100 Hz (hand tremor band)
   const SHAPE_WINDOW  = 72;        // ~0.7-1.2 s for trajectory shape
-  const MAX_SAMPLES   = 96;        // safety cap
+  const MAX_SAMPLES   = 384;       // ~4 s at 96 Hz for gesture.js; a multiple of 3 (see update)
 
   // Empirical scaling for phone accelerometers (m/s²). Tweak on device.
   const TREMOR_SCALE  = 9.5;       // higher = less sensitive
@@ -261,6 +261,14 @@ const Wand = (function () {
     return _tremor;
   }
 
+  // Raw samples from the last `ms` (oldest first) — gesture templates match on these
+  function trajectory(ms) {
+    const since = lastPushTime - ms;
+    let i = samples.length;
+    while (i > 0 && samples[i - 1].t >= since) i--;
+    return samples.slice(i);
+  }
+
   function reset() {
     samples = [];
     _tremor = 0;
@@ -282,6 +290,7 @@ const Wand = (function () {
     update: update,
     getState: getState,
     getTremor: getTremor,
+    trajectory: trajectory,
     reset: reset
   });
 })();
\ No newline at end of file
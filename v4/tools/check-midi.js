@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * check-midi.js — MidiOut against a mock MIDIAccess, no browser, no ports.
+ *
+ * Loads js/midiout.js into a sandbox with a stand-in Sound (just the
+ * listener hooks) and a mock output that records every send(data, ts) and
+ * clear(). Checks notes, drums, pitch bend, a nameless port and what
+ * disable() leaves on the wire. Exits non-zero on the first failure.
+ *
+ * Usage:
+ *     node v4/tools/check-midi.js
+ */
+'use strict';
+
+var assert = require('assert');
+var fs     = require('fs');
+var path   = require('path');
+var vm     = require('vm');
+
+var FILE = path.join(__dirname, '..', 'js', 'midiout.js');
+
+function mockAccess() {
+  var port = {
+    id: 'virtual-1', name: null,            // virtual ports often have no name
+    sent: [], cleared: 0,
+    send: function (data, ts) { this.sent.push({ data: Array.from(data), ts: ts }); },
+    clear: function () { this.cleared++; this.sent = this.sent.filter(function (m) { return m.ts === undefined; }); },
+  };
+  var outputs = new Map([[port.id, port]]);
+  return { access: { outputs: outputs }, port: port };
+}
+
+function sandbox() {
+  var listeners = [];
+  var g = {
+    console: console, Math: Math, Promise: Promise,
+    performance: { now: function () { return 1000; } },
+    Sound: {
+      currentTime: 2,
+      addListener:    function (fn) { listeners.push(fn); },
+      removeListener: function (fn) { listeners = listeners.filter(function (l) { return l !== fn; }); },
+      emit: function (ev) { listeners.forEach(function (l) { l(ev); }); },
+    },
+  };
+  vm.createContext(g);
+  vm.runInContext(fs.readFileSync(FILE, 'utf8'), g, { filename: FILE });
+  return { MidiOut: vm.runInContext('MidiOut', g), Sound: g.Sound };
+}
+
+var e = sandbox();
+var m = mockAccess();
+
+e.MidiOut.init(m.access).then(function (outs) {
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(outs)), [{ id: 'virtual-1', name: '' }], 'nameless port lists as ""');
+  assert.strictEqual(e.MidiOut.output.name, '', 'output getter defaults the name');
+
+  e.MidiOut.enable();
+
+  // A4 half a second ahead of the audio clock, 0.25 s long, on channel 1
+  e.Sound.emit({ type: 'note', time: 2.5, freq: 440, velocity: 0.5, duration: 0.25 });
+  assert.deepStrictEqual(m.port.sent[0], { data: [0x90, 69, 64], ts: 1500 });
+  assert.deepStrictEqual(m.port.sent[1], { data: [0x80, 69, 0], ts: 1750 });
+
+  // Drums on channel 10, GM kick
+  e.Sound.emit({ type: 'drum', time: 2, instrument: 'kick', velocity: 1 });
+  assert.deepStrictEqual(m.port.sent[2].data, [0x99, 36, 127]);
+
+  // Full right tilt → top of the bend range
+  e.MidiOut.update({ gamma: 90 }, null, 5000);
+  assert.deepStrictEqual(m.port.sent[4].data, [0xe0, 0x7f, 0x7f]);
+
+  // Off: queued future notes are dropped, then all-notes-off + bend home on both channels
+  e.MidiOut.disable();
+  assert.strictEqual(m.port.cleared, 1, 'disable() clears the output queue');
+  var tail = m.port.sent.slice(-4).map(function (s) { return s.data; });
+  assert.deepStrictEqual(tail, [[0xb0, 123, 0], [0xe0, 0, 0x40], [0xb9, 123, 0], [0xe9, 0, 0x40]]);
+  assert.ok(m.port.sent.every(function (s) { return !(s.ts > 1000); }), 'nothing timestamped is left');
+
+  var before = m.port.sent.length;
+  e.Sound.emit({ type: 'note', time: 3, freq: 440, velocity: 0.5, duration: 0.25 });
+  assert.strictEqual(m.port.sent.length, before, 'no notes once disabled');
+
+  console.log('check-midi: ok');
+}).catch(function (err) {
+  console.error('check-midi: FAILED —', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * check-sessions.js — the sessions in fixtures/ against what they played before.
+ *
+ * Each fixtures/<name>.json is a session file (sensor + wand rows and the
+ * seed they were heard with). lofi-pump.json is synthetic, not a phone
+ * capture — regenerate it with `node v4/tools/synth-session.js pump`. Next to it, <name>.expected.json is
+ * headless.js --summary output from when it last sounded right. Checks that
+ *
+ *   - the summary still matches: notes per voice and drum, sections, prompt
+ *   - the style still sounds like itself, down to where its kick and
+ *     snare land in the bar (CHARACTER below)
+ *   - a second run plays the very same notes, at the same times — every
+ *     random draw goes through the session seed (js/seed.js)
+ *   - another seed plays something else, so the seed is really in use
+ *
+ * Exits non-zero on the first failure.
+ *
+ * Usage:
+ *     node v4/tools/check-sessions.js            check
+ *     node v4/tools/check-sessions.js --update   rewrite the expectations after an intended change
+ */
+'use strict';
+
+var assert   = require('assert');
+var fs       = require('fs');
+var path     = require('path');
+var headless = require('./headless');
+
+var DIR = path.join(__dirname, 'fixtures');
+
+// Drum hits per instrument per bar step: { kick: { 0: 3, 10: 3 }, … }
+function drumSteps(events) {
+  var at = {};
+  events.forEach(function (ev) {
+    if (ev.type !== 'drum') return;
+    var steps = at[ev.instrument] = at[ev.instrument] || {};
+    steps[ev.step] = (steps[ev.step] || 0) + 1;
+  });
+  return at;
+}
+
+function onlyOn(steps, allowed, what) {
+  Object.keys(steps || {}).forEach(function (st) {
+    assert.ok(allowed.indexOf(+st) !== -1, what + ' on step ' + st + ' (' + steps[st] + '×), expected only ' + allowed.join(', '));
+  });
+}
+
+// What a style has to keep doing, whatever the details. Gets the summary
+// and the full event list.
+var CHARACTER = {
+  // boom-bap: Rhodes over a kick on the one and a snare on 2 and 4, every bar
+  lofi: function (r, events) {
+    var at = drumSteps(events);
+    var ones = (at.kick || {})[0] || 0;
+    assert.ok(r.counts.note.lofiRhodes > 0, 'lofi plays its Rhodes');
+    assert.ok(ones > 0, 'lofi kicks on the one');
+    assert.ok((at.snare || {})[4] === ones && at.snare[12] === ones, 'a snare on 2 and 4 in every bar that kicks on the one');
+    onlyOn(at.kick, [0, 10, 14], 'kick');
+    onlyOn(at.snare, [4, 12, 14], 'snare');
+  },
+};
+
+var update = process.argv.indexOf('--update') !== -1;
+var names = fs.readdirSync(DIR).filter(function (f) {
+  return /\.json$/.test(f) && !/\.expected\.json$/.test(f);
+}).sort();
+
+try {
+  names.forEach(function (file) {
+    var text = fs.readFileSync(path.join(DIR, file), 'utf8');
+    var expectedFile = path.join(DIR, file.replace(/\.json$/, '.expected.json'));
+    var result = headless.run(text, { summary: true });
+
+    if (update) {
+      fs.writeFileSync(expectedFile, JSON.stringify(result, null, 1) + '\n');
+      console.log('check-sessions: wrote ' + path.basename(expectedFile));
+      return;
+    }
+
+    var expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(result)), expected, file + ' plays what it played before');
+
+    var events = headless.run(text).events;
+    if (CHARACTER[result.style]) CHARACTER[result.style](result, events);
+
+    var once  = JSON.stringify(events);
+    var twice = JSON.stringify(headless.run(text).events);
+    assert.ok(once === twice, file + ': same session, same seed, same notes');
+
+    var other = JSON.parse(text);
+    other.seed = (other.seed + 1) >>> 0;
+    assert.ok(JSON.stringify(headless.run(other).events) !== once, file + ': another seed plays differently');
+  });
+  if (!update) console.log('check-sessions: ok (' + names.length + ' session' + (names.length === 1 ? '' : 's') + ')');
+} catch (err) {
+  console.error('check-sessions: FAILED —', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * headless.js — run a recorded session through the v4 engine, no browser.
+ *
+ * Loads the real engine scripts (js/*.js) into a sandbox with a silent
+ * stand-in AudioContext, feeds every recorded frame to Conductor.update
+ * at its recorded time, and prints what the engine decided: every note
+ * and drum hit (drums with the bar step they fell on), song-section
+ * changes, a summary, and the text prompt the performance ended on
+ * (js/prompt.js). Same session + same seed → same
+ * output, so a session file works as a regression fixture.
+ *
+ * Usage:
+ *     node v4/tools/headless.js gump-session-….json            full JSON
+ *     node v4/tools/headless.js gump-session-….json --summary  counts only
+ *     node v4/tools/headless.js gump-session-….json --style jazz   same gestures, other style
+ *
+ * Also a module: require('./headless').run(text) → the same object.
+ * Accepts render take files (gump-take-….json) too. Logged events
+ * (touches, cues, sung notes, Pattern's phrases…) replay before their frame.
+ */
+'use strict';
+
+var fs   = require('fs');
+var path = require('path');
+var vm   = require('vm');
+
+var JS = path.join(__dirname, '..', 'js');
+
+// Load order matters, as in index.html
+var SCRIPTS = ['seed', 'body', 'harmony', 'sound', 'rhythm', 'idb', 'environ', 'form', 'style', 'conductor', 'pattern', 'session', 'prompt'];
+var EXPORTS = ['Seed', 'Sound', 'Rhythm', 'Environ', 'Styles', 'Conductor', 'Session', 'Prompt'];
+
+// ── SILENT AUDIO ────────────────────────────────────────────────────────
+//
+// Every node, param and method is a proxy that accepts anything and
+// returns another proxy; numbers read back as 0. Only what the engine
+// actually reads is real: the clock, the sample rate, and buffers (noise
+// and impulse responses are written sample by sample).
+
+function silent() {
+  var props = {};
+  return new Proxy(function () {}, {
+    get: function (t, k) {
+      if (k === 'then') return undefined;
+      if (k === Symbol.toPrimitive) return function () { return 0; };
+      if (typeof k === 'symbol') return undefined;
+      if (k in props) return props[k];
+      if (k === 'value' || k === 'defaultValue') return 0;
+      return (props[k] = silent());
+    },
+    set: function (t, k, v) { props[k] = v; return true; },
+    apply: function () { return silent(); },
+    construct: function () { return silent(); },
+  });
+}
+
+function fakeContext(sampleRate) {
+  var ctx = silent();
+  ctx.sampleRate  = sampleRate;
+  ctx.currentTime = 0;
+  ctx.state       = 'running';
+  ctx.destination = silent();
+  ctx.resume      = function () { return Promise.resolve(); };
+  ctx.createBuffer = function (channels, length, sr) {
+    var data = [];
+    for (var c = 0; c < channels; c++) data.push(new Float32Array(length));
+    return {
+      numberOfChannels: channels,
+      length:           length,
+      sampleRate:       sr,
+      duration:         length / sr,
+      getChannelData:   function (c) { return data[c]; },
+    };
+  };
+  return ctx;
+}
+
+// ── SANDBOX ─────────────────────────────────────────────────────────────
+
+function sandbox() {
+  var store = {};
+  var g = {
+    console:     { log: function () {}, warn: function () {}, error: console.error },
+    Math:        Math,
+    Date:        Date,
+    JSON:        JSON,
+    Promise:     Promise,
+    Float32Array: Float32Array,
+    performance: { now: function () { return 0; } },
+    setTimeout:  function () { return 0; },
+    clearTimeout: function () {},
+    setInterval: function () { return 0; },
+    clearInterval: function () {},
+    navigator:   {},
+    localStorage: {
+      getItem:    function (k) { return k in store ? store[k] : null; },
+      setItem:    function (k, v) { store[k] = String(v); },
+      removeItem: function (k) { delete store[k]; },
+    },
+    document: { addEventListener: function () {}, hidden: false },
+  };
+  g.window = g;
+  g.addEventListener = function () {};
+  vm.createContext(g);
+  SCRIPTS.forEach(function (name) {
+    var file = path.join(JS, name + '.js');
+    vm.runInContext(fs.readFileSync(file, 'utf8'), g, { filename: file });
+  });
+  // top-level consts live in the context's script scope, not on the global
+  var out = {};
+  EXPORTS.forEach(function (n) { out[n] = vm.runInContext(n, g); });
+  return out;
+}
+
+// ── RUN ─────────────────────────────────────────────────────────────────
+
+function run(src, opts) {
+  opts = opts || {};
+  var e = sandbox();
+  var session = e.Session.decode(typeof src === 'string' ? JSON.parse(src) : src);
+  var frames  = e.Session.frames(session);
+  if (!frames.length) throw new Error('headless: session has no frames');
+
+  if (session.styleDef && !e.Styles.has(session.style)) e.Styles.add(session.styleDef);
+  if (session.environ) e.Environ.restore(session.environ);
+  if (session.seed !== null && session.seed !== undefined) e.Seed.set(session.seed);
+  e.Conductor.lockToRoom(!!session.roomLock);
+  // Pattern plays its phrases from the session's log, not its (empty) memory, while one plays
+  e.Session.play(session);
+
+  var t0  = frames[0].t;
+  var ctx = fakeContext(opts.sampleRate || 44100);
+  var events = [];
+  var sections = [];
+  var counts = { note: {}, drum: {} };
+
+  var style = opts.style || session.style;
+  e.Conductor.init(ctx, e.Styles.has(style) ? style : 'lofi', t0);
+  e.Sound.addListener(function (ev) {
+    var key = ev.type === 'drum' ? ev.instrument : ev.voice;
+    counts[ev.type][key] = (counts[ev.type][key] || 0) + 1;
+    if (opts.summary) return;
+    var out = { type: ev.type, time: +ev.time.toFixed(4), velocity: +(+ev.velocity).toFixed(3) };
+    // drums fire inside Rhythm's step, so this is the step they landed on
+    if (ev.type === 'drum') { out.instrument = ev.instrument; out.step = e.Rhythm.currentStep; }
+    else { out.voice = ev.voice; out.freq = +ev.freq.toFixed(2); out.duration = +(+ev.duration).toFixed(3); }
+    events.push(out);
+  });
+
+  var lastSection = null;
+  frames.forEach(function (f) {
+    ctx.currentTime = (f.t - t0) / 1000;
+    f.events.forEach(e.Session.replayEvent);
+    if (f.wand && typeof f.wand.tremor === 'number') e.Sound.setWandTremor(f.wand.tremor);
+    e.Conductor.update(f.sensor, f.t, f.wand, f.room);
+    e.Prompt.observe(f.t, f.wand);
+    var sec = e.Conductor.songSection;
+    if (sec !== lastSection) {
+      sections.push({ time: +ctx.currentTime.toFixed(3), section: sec });
+      lastSection = sec;
+    }
+  });
+
+  var result = {
+    style:    e.Conductor.styleId,
+    seed:     session.seed,
+    frames:   frames.length,
+    seconds:  +((frames[frames.length - 1].t - t0) / 1000).toFixed(3),
+    notes:    e.Conductor.notes,
+    errors:   e.Conductor.errors,
+    phase:    e.Conductor.phase,
+    counts:   counts,
+    sections: sections,
+    prompt:   e.Prompt.build(),
+  };
+  if (!opts.summary) result.events = events;
+  return result;
+}
+
+module.exports = { run: run };
+
+if (require.main === module) {
+  var args = process.argv.slice(2);
+  var file = args.filter(function (a, i) { return a.charAt(0) !== '-' && args[i - 1] !== '--style'; })[0];
+  if (!file) {
+    console.error('usage: node v4/tools/headless.js <session.json> [--summary] [--style <id>]');
+    process.exit(2);
+  }
+  var styleAt = args.indexOf('--style');
+  var result = run(fs.readFileSync(file, 'utf8'), {
+    summary: args.indexOf('--summary') !== -1,
+    style:   styleAt !== -1 ? args[styleAt + 1] : null,
+  });
+  process.stdout.write(JSON.stringify(result, null, 1) + '\n');
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * synth-session.js — write a synthetic session file, no phone needed.
+ *
+ * Drives the real Wand (js/wand.js) and Session recorder (js/session.js)
+ * with made-up sensor readings at a steady 60 fps, so the rows are exactly
+ * 16.7 ms apart — that regularity is how to tell one of these from a real
+ * capture. The seed and timestamp are fixed, so the same gesture always
+ * writes the same bytes.
+ *
+ * Gestures:
+ *   pump   3 s held still, then 27 s of a steady 1.5 Hz pump with a slow
+ *          tilt, evening, lofi — fixtures/lofi-pump.json
+ *
+ * Usage:
+ *     node v4/tools/synth-session.js pump > v4/tools/fixtures/lofi-pump.json
+ */
+'use strict';
+
+var fs   = require('fs');
+var path = require('path');
+var vm   = require('vm');
+
+var JS = path.join(__dirname, '..', 'js');
+
+var FPS     = 60;
+var CREATED = '2026-10-19T02:05:57.639Z';
+
+var GESTURES = {
+  pump: {
+    style:   'lofi',
+    seed:    1374195207,
+    seconds: 30,
+    sensor:  function (i) {
+      var ph = i / FPS;
+      var moving = i > 3 * FPS;
+      return {
+        gx: Math.sin(ph * 3) * 4, gy: 9.8 * Math.cos(ph), gz: 1,
+        ax: Math.sin(ph * 2 * Math.PI * 1.5) * (moving ? 4 : 0.05),
+        ay: Math.cos(ph * 5) * (moving ? 1 : 0.05),
+        az: 0.1,
+        alpha: 180, beta: 30 * Math.sin(ph * 0.7), gamma: 40 * Math.sin(ph * 1.3),
+        touching: false, tx: 0, ty: 0, touchVelX: 0, touchVelY: 0,
+        touchStartX: 0, touchStartY: 0, touchStartTime: 0,
+        timeOfDay: 'evening', hour: 20,
+        weather: null, temperature: null, humidity: null,
+        latitude: 51.5, longitude: -0.1,
+      };
+    },
+  },
+};
+
+function synth(name) {
+  var g = GESTURES[name];
+  if (!g) throw new Error('unknown gesture: ' + name + ' (have: ' + Object.keys(GESTURES).join(', ') + ')');
+
+  var box = { console: console, Math: Math, Date: Date, JSON: JSON, Float32Array: Float32Array,
+              performance: { now: function () { return 0; } } };
+  box.window = box;
+  vm.createContext(box);
+  ['seed', 'wand', 'session'].forEach(function (n) {
+    vm.runInContext(fs.readFileSync(path.join(JS, n + '.js'), 'utf8'), box, { filename: n + '.js' });
+  });
+  var Session = vm.runInContext('Session', box);
+  var Wand    = vm.runInContext('Wand', box);
+
+  Session.start(g.style);
+  var t = 1000;
+  for (var i = 0; i < g.seconds * FPS; i++) {
+    t += 1000 / FPS;
+    var s = g.sensor(i);
+    Session.record(t, s, Wand.update(s, 1 / FPS));
+  }
+  var session = Session.stop();
+  session.seed    = g.seed;
+  session.created = CREATED;
+  return Session.encode(session);
+}
+
+if (require.main === module) {
+  try {
+    process.stdout.write(synth(process.argv[2] || 'pump'));
+  } catch (err) {
+    console.error('synth-session:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { synth: synth };